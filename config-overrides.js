@@ -61,7 +61,8 @@ module.exports = function override(config, env) {
         maxAsyncRequests: 10,
         cacheGroups: {
           vendor: {
-            test: /[\/]node_modules[\/]/,
+            // pdf.js体积较大且仅在查看文档时使用，保留为按需加载的独立chunk
+            test: /[\/]node_modules[\/](?!pdfjs-dist[\/])/,
             name: 'vendors',
             chunks: 'all',
             priority: 10
@@ -0,0 +1,140 @@
+/**
+ * Service worker - 离线时仍可打开网站
+ * - 页面请求：先请求网络，离线时返回缓存的 index.html（应用是单页应用，由前端路由处理地址）
+ * - 静态资源（/static/ 下带哈希的 JS、CSS、图片）：先查缓存，没有时请求网络并缓存；
+ *   本文件在部署间不变，不会因部署而重新安装，因此每次取得新的 index.html 后按 asset-manifest.json 删除旧版本的文件
+ * - 离线保存的试卷文件：见 src/utils/OfflineStore.js，直接从缓存返回
+ * 接口请求不经过缓存，接口数据的缓存见 src/utils/QueryCache.js
+ */
+
+// 应用外壳缓存，版本变化时删除旧缓存
+const SHELL_CACHE = 'timeday-shell-v1';
+
+// 离线试卷文件缓存（与 src/utils/OfflineStore.js 中的 FILE_CACHE 一致）
+const OFFLINE_FILE_CACHE = 'timeday-offline-files';
+
+// 保留的缓存（离线试卷相关的缓存由页面管理，不在这里删除）
+const KEPT_CACHES = [SHELL_CACHE, OFFLINE_FILE_CACHE, 'timeday-offline-papers'];
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+/**
+ * 是否为 /static/ 下的静态资源
+ * @param {string} href - 地址
+ * @returns {boolean} 是否为静态资源
+ */
+const isStaticAsset = (href) => {
+  const url = new URL(href);
+  return url.origin === self.location.origin && url.pathname.startsWith(new URL(scopeUrl('static/')).pathname);
+};
+
+/**
+ * 删除不属于当前版本的静态资源（每次部署的文件名哈希不同，旧文件不会再被请求）
+ * 当前版本的文件列表来自构建生成的 asset-manifest.json，获取失败时本次不删除
+ * @returns {Promise<void>}
+ */
+const pruneStaticAssets = async () => {
+  try {
+    const response = await fetch(scopeUrl('asset-manifest.json'), { cache: 'no-store' });
+    if (!response.ok) return;
+    const { files = {} } = await response.json();
+    const current = new Set(Object.values(files).map(path => new URL(path, self.registration.scope).href));
+
+    const cache = await caches.open(SHELL_CACHE);
+    const requests = await cache.keys();
+    await Promise.all(requests
+      .filter(request => isStaticAsset(request.url) && !current.has(request.url))
+      .map(request => cache.delete(request)));
+  } catch (error) {
+    console.warn('清理旧版本静态资源失败:', error);
+  }
+};
+
+// 安装时缓存页面入口
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll([scopeUrl('index.html'), scopeUrl('manifest.json'), scopeUrl('favicon.ico')]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// 启用时删除旧版本的外壳缓存
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => !KEPT_CACHES.includes(name)).map(name => caches.delete(name))))
+      .then(pruneStaticAssets)
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * 先请求网络，成功时更新缓存的 index.html 并删除旧版本的静态资源；离线时返回缓存
+ * @param {FetchEvent} event - 页面请求事件
+ * @returns {Promise<Response>} 响应
+ */
+const handleNavigation = async (event) => {
+  const { request } = event;
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(scopeUrl('index.html'), response.clone());
+      event.waitUntil(pruneStaticAssets());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(scopeUrl('index.html'));
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+/**
+ * 先查缓存，没有时请求网络并缓存
+ * @param {Request} request - 静态资源请求
+ * @returns {Promise<Response>} 响应
+ */
+const handleStaticAsset = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+/**
+ * 离线保存的试卷文件直接从缓存返回，未保存的照常请求
+ * @param {Request} request - 请求
+ * @returns {Promise<Response>} 响应
+ */
+const handleOfflineFile = async (request) => {
+  const cached = await (await caches.open(OFFLINE_FILE_CACHE)).match(request.url);
+  return cached || fetch(request);
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event));
+    return;
+  }
+
+  if (isStaticAsset(request.url)) {
+    event.respondWith(handleStaticAsset(request));
+    return;
+  }
+
+  const url = new URL(request.url);
+  // 只处理可能离线保存的文件（PDF 和后端文件接口），其他请求不经过 service worker
+  if (url.pathname.endsWith('.pdf') || /\/api\/files\/[^/]+\/content$/.test(url.pathname)) {
+    event.respondWith(handleOfflineFile(request));
+  }
+});
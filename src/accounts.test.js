@@ -0,0 +1,262 @@
+/**
+ * 多账号管理测试：账号排序、置顶、移除账号时的清理、账号数上限、多个标签页同时读写会话、从旧版Cookie迁移、启动时批量验证令牌
+ * jsdom 未提供 IndexedDB，SessionStore 使用 localStorage
+ */
+import { CookieUtils } from './main/Cookie.js';
+import SessionStore from './utils/SessionStore.js';
+import { migrateCookieSessions } from './utils/migrationScript.js';
+import { safeLocalStorage } from './utils/storageUtils.js';
+
+/**
+ * 保存一个账号
+ * @param {string} username - 用户名
+ * @param {Object} [extra] - 额外的用户数据
+ */
+const saveAccount = (username, extra = {}) => {
+  CookieUtils.setUserToken(username, `token-${username}`, { id: 'ab12-3456', username, email: `${username}@example.com`, ...extra });
+};
+
+/**
+ * 当前所有Cookie名称
+ * @returns {Array} Cookie名称
+ */
+const cookieNames = () => document.cookie.split(';').map(cookie => cookie.trim().split('=')[0]).filter(Boolean);
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'info').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  cookieNames().forEach(name => CookieUtils.deleteCookie(name));
+  await SessionStore.clear();
+});
+
+describe('account picker storage', () => {
+  test('keeps more than two recent accounts', () => {
+    ['amy', 'ben', 'cat', 'dan'].forEach(username => saveAccount(username));
+
+    expect(CookieUtils.getLastUsers()).toEqual(['dan', 'cat', 'ben', 'amy']);
+    expect(CookieUtils.getAllSavedUsers()).toHaveLength(4);
+  });
+
+  test('sorts pinned accounts first, then by last use', () => {
+    ['amy', 'ben', 'cat'].forEach(username => saveAccount(username));
+    CookieUtils.setActiveUser('amy');
+    CookieUtils.togglePinnedUser('ben');
+
+    expect(CookieUtils.sortUsers(['amy', 'ben', 'cat', 'zed'])).toEqual(['ben', 'amy', 'cat', 'zed']);
+
+    expect(CookieUtils.togglePinnedUser('ben')).toBe(false);
+    expect(CookieUtils.sortUsers(['amy', 'ben', 'cat'])).toEqual(['amy', 'cat', 'ben']);
+  });
+
+  test('removes everything that belongs to an account', () => {
+    saveAccount('amy');
+    saveAccount('ben', { userAvatar: `data:image/png;base64,${'A'.repeat(7000)}` });
+    CookieUtils.setUserRefreshToken('ben', 'refresh');
+    CookieUtils.setTrustedDevice('ben', 'device');
+    CookieUtils.togglePinnedUser('ben');
+    expect(CookieUtils.getUserAvatar('ben')).toHaveLength(7022);
+
+    CookieUtils.removeAccount('ben');
+
+    expect(SessionStore.getAccount('ben')).toBeNull();
+    expect(CookieUtils.getLastUsers()).toEqual(['amy']);
+    expect(CookieUtils.getPinnedUsers()).toEqual([]);
+    expect(CookieUtils.getActiveUser()).toBeNull();
+    expect(CookieUtils.getUserData('amy')).toMatchObject({ username: 'amy' });
+  });
+
+  test('keeps every account up to the limit', () => {
+    const usernames = Array.from({ length: CookieUtils.MAX_ACCOUNTS }, (_, i) => `user${i}`);
+    usernames.forEach(username => saveAccount(username));
+
+    expect(CookieUtils.getAllSavedUsers()).toHaveLength(CookieUtils.MAX_ACCOUNTS);
+    expect(SessionStore.listAccounts()).toHaveLength(CookieUtils.MAX_ACCOUNTS);
+
+    // 重新登录已保存的账号不会移除其他账号
+    saveAccount('user0');
+    expect(CookieUtils.getAllSavedUsers().sort()).toEqual([...usernames].sort());
+  });
+
+  test('removes the least recently used unpinned account to make room for one over the limit', () => {
+    const usernames = Array.from({ length: CookieUtils.MAX_ACCOUNTS }, (_, i) => `user${i}`);
+    usernames.forEach(username => saveAccount(username));
+    CookieUtils.setTrustedDevice('user1', 'device');
+    CookieUtils.togglePinnedUser('user0');
+
+    saveAccount('newcomer');
+
+    const saved = CookieUtils.getAllSavedUsers();
+    expect(saved).toHaveLength(CookieUtils.MAX_ACCOUNTS);
+    expect(saved).toContain('newcomer');
+    expect(saved).toContain('user0');
+    expect(saved).not.toContain('user1');
+    // 被移除的账号不留下令牌，只保留设备信任
+    expect(SessionStore.getAccount('user1')).toEqual({ username: 'user1', trustedDevice: 'device', trustedDeviceExpiresAt: expect.any(Number) });
+    expect(CookieUtils.getLastUsers()).not.toContain('user1');
+    expect(CookieUtils.getActiveUser()).toBe('newcomer');
+  });
+
+  test('keeps sessions out of cookies and across reloads', async () => {
+    saveAccount('amy', { userAvatar: 'data:image/png;base64,AAAA' });
+    CookieUtils.setTrustedDevice('amy', 'device');
+    expect(cookieNames()).toEqual([]);
+
+    await SessionStore.flush();
+    await SessionStore.reload();
+    expect(CookieUtils.getUserData('amy')).toMatchObject({ username: 'amy', userAvatar: 'data:image/png;base64,AAAA' });
+    expect(CookieUtils.getActiveUser()).toBe('amy');
+
+    // 会话失效后保留设备信任
+    CookieUtils.deleteUserToken('amy');
+    expect(CookieUtils.getAllSavedUsers()).toEqual([]);
+    expect(CookieUtils.getTrustedDevice('amy')).toBe('device');
+  });
+});
+
+describe('session store across tabs', () => {
+  /**
+   * 模拟另一个标签页直接修改存储中的账号记录
+   * @param {string} username - 用户名
+   * @param {Object} changes - 修改的字段
+   */
+  const writeFromOtherTab = (username, changes) => {
+    const data = safeLocalStorage.get('sessionStore', {});
+    data.accounts[username] = { ...data.accounts[username], ...changes };
+    safeLocalStorage.set('sessionStore', data);
+  };
+
+  test('a stale tab does not overwrite a token another tab just refreshed', async () => {
+    saveAccount('amy');
+    await SessionStore.flush();
+    writeFromOtherTab('amy', { token: 'token-refreshed' });
+
+    // 本标签页仍是旧令牌，只修改待验证标记
+    CookieUtils.setUserStale('amy', true);
+    await SessionStore.flush();
+    await SessionStore.reload();
+
+    expect(CookieUtils.getUserToken('amy')).toBe('token-refreshed');
+    expect(CookieUtils.isUserStale('amy')).toBe(true);
+  });
+
+  test('keeps changes made while reloading', async () => {
+    saveAccount('amy');
+    saveAccount('ben');
+    await SessionStore.flush();
+
+    // 读取存储的同时本标签页刷新了 amy 的令牌并移除了 ben
+    const read = safeLocalStorage.get;
+    jest.spyOn(safeLocalStorage, 'get').mockImplementationOnce((...args) => {
+      const data = read(...args);
+      CookieUtils.updateUserToken('amy', 'token-during-reload');
+      CookieUtils.removeAccount('ben');
+      return data;
+    });
+    await SessionStore.reload();
+
+    expect(CookieUtils.getUserToken('amy')).toBe('token-during-reload');
+    expect(SessionStore.getAccount('ben')).toBeNull();
+    expect(CookieUtils.getLastUsers()).toEqual(['amy']);
+
+    await SessionStore.flush();
+    await SessionStore.reload();
+    expect(CookieUtils.getUserToken('amy')).toBe('token-during-reload');
+    expect(SessionStore.getAccount('ben')).toBeNull();
+  });
+});
+
+describe('startup token validation', () => {
+  test('validates accounts in parallel up to the concurrency limit', async () => {
+    ['amy', 'ben', 'cat', 'dan', 'eve'].forEach(username => saveAccount(username));
+    let running = 0;
+    let maxRunning = 0;
+
+    const results = await CookieUtils.batchValidateTokens(async (username) => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running -= 1;
+      return username !== 'cat';
+    }, { concurrency: 2 });
+
+    expect(maxRunning).toBe(2);
+    expect(results.map(result => [result.username, result.isValid])).toEqual([
+      ['amy', true], ['ben', true], ['cat', false], ['dan', true], ['eve', true]
+    ]);
+    expect(CookieUtils.getValidUsers(results).map(user => user.username)).toEqual(['amy', 'ben', 'dan', 'eve']);
+    expect(SessionStore.getAccount('cat')).toBeNull();
+  });
+
+  test('marks accounts stale instead of deleting them on network errors and timeouts', async () => {
+    ['amy', 'ben', 'cat'].forEach(username => saveAccount(username));
+
+    const results = await CookieUtils.batchValidateTokens((username) => {
+      if (username === 'amy') return Promise.reject(new Error('Network Error'));
+      if (username === 'ben') return new Promise(() => {});
+      return Promise.resolve(true);
+    }, { timeout: 50 });
+
+    expect(results.map(result => [result.username, result.isValid, result.stale])).toEqual([
+      ['amy', false, true], ['ben', false, true], ['cat', true, false]
+    ]);
+    expect(CookieUtils.getUserToken('amy')).toBe('token-amy');
+    expect(CookieUtils.getUserData('ben')).toMatchObject({ username: 'ben' });
+    expect(CookieUtils.isUserStale('amy')).toBe(true);
+    expect(CookieUtils.isUserStale('cat')).toBe(false);
+
+    // 下次验证成功后清除标记
+    await CookieUtils.batchValidateTokens(async () => true);
+    expect(CookieUtils.isUserStale('amy')).toBe(false);
+    expect(CookieUtils.isUserStale('ben')).toBe(false);
+  });
+});
+
+describe('cookie session migration', () => {
+  test('moves legacy cookies, including a chunked avatar, into the session store', async () => {
+    const avatar = `https://cdn.example.com/avatars/amy.png?v=${'B'.repeat(5000)}`;
+    CookieUtils.setCookie('userToken_amy', 'token-amy', 7);
+    CookieUtils.setCookie('userData_amy', JSON.stringify({ id: 'ab12-3456', username: 'amy' }), 7);
+    CookieUtils.setCookie('userRefresh_amy', 'refresh-amy', 30);
+    CookieUtils.setCookie('userTrust_amy', 'device-amy', 30);
+    CookieUtils.setCookie('userAvatar_amy', 'chunked', 7);
+    CookieUtils.setCookie('userAvatar_amy_chunks', '2', 7);
+    CookieUtils.setCookie('userAvatar_amy_chunk_0', avatar.slice(0, 3000), 7);
+    CookieUtils.setCookie('userAvatar_amy_chunk_1', avatar.slice(3000), 7);
+    CookieUtils.setCookie('userToken_ben', 'token-ben', 7);
+    CookieUtils.setCookie('userData_ben', JSON.stringify({ id: 'cd34-5678', username: 'ben' }), 7);
+    CookieUtils.setCookie('activeUser', 'amy', 7);
+    CookieUtils.setCookie('lastUsers', JSON.stringify(['amy', 'ben']), 30);
+    CookieUtils.setCookie('pinnedUsers', JSON.stringify(['ben']), 365);
+    CookieUtils.setCookie('authToken', 'token-amy', 1);
+    CookieUtils.setCookie('user_amy', JSON.stringify({ id: 'ab12-3456', username: 'amy', email: 'amy@example.com' }), 30);
+
+    expect(await migrateCookieSessions()).toEqual(['amy', 'ben']);
+
+    expect(cookieNames()).toEqual(['authToken']);
+    expect(CookieUtils.getUserToken('amy')).toBe('token-amy');
+    expect(CookieUtils.getUserRefreshToken('amy')).toBe('refresh-amy');
+    expect(CookieUtils.getTrustedDevice('amy')).toBe('device-amy');
+    expect(CookieUtils.getUserData('amy')).toEqual({ id: 'ab12-3456', username: 'amy', userAvatar: avatar });
+    expect(CookieUtils.getActiveUser()).toBe('amy');
+    expect(CookieUtils.sortUsers(CookieUtils.getAllSavedUsers())).toEqual(['ben', 'amy']);
+
+    // 再次执行不会改变已迁移的数据
+    expect(await migrateCookieSessions()).toEqual([]);
+    expect(CookieUtils.getUserToken('ben')).toBe('token-ben');
+  });
+
+  test('does not migrate past the account limit', async () => {
+    Array.from({ length: CookieUtils.MAX_ACCOUNTS }, (_, i) => `user${i}`).forEach(username => saveAccount(username));
+    CookieUtils.setCookie('userToken_amy', 'token-amy', 7);
+    CookieUtils.setCookie('userData_amy', JSON.stringify({ id: 'ab12-3456', username: 'amy' }), 7);
+
+    await migrateCookieSessions();
+
+    expect(CookieUtils.getAllSavedUsers()).toHaveLength(CookieUtils.MAX_ACCOUNTS);
+    expect(SessionStore.getAccount('amy')).toBeNull();
+  });
+});
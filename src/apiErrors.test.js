@@ -0,0 +1,165 @@
+/**
+ * 接口错误类型与失败重试测试：错误归类、幂等请求的指数退避重试、Retry-After、注册字段错误
+ */
+import axios, { AxiosError } from 'axios';
+import ApiError from './utils/ApiError.js';
+import QueryCache from './utils/QueryCache.js';
+
+let ApiService;
+let mockBackend;
+
+// 当前使用的适配器，以及各次请求
+let adapter = null;
+let requests = [];
+
+/**
+ * 生成axios错误
+ * @param {Object} config - 请求配置
+ * @param {number|null} status - 状态码，为空表示没有响应（网络错误）
+ * @param {Object} [data] - 响应体
+ * @param {Object} [headers] - 响应头
+ * @returns {AxiosError} 错误
+ */
+const axiosError = (config, status, data = {}, headers = {}) => {
+  if (!status) {
+    return new AxiosError('Network Error', AxiosError.ERR_NETWORK, config, {});
+  }
+  const response = { status, data, headers, config, statusText: String(status) };
+  return new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_RESPONSE, config, {}, response);
+};
+
+/**
+ * 按顺序返回预设结果的适配器
+ * @param {Array} outcomes - 每项为 [状态码|null, 响应体?, 响应头?]，最后一项重复使用
+ * @returns {Function} 适配器
+ */
+const sequenceAdapter = (outcomes) => async (config) => {
+  requests.push(config);
+  const [status, data = { success: true, data: {} }, headers = {}] = outcomes[Math.min(requests.length - 1, outcomes.length - 1)];
+  if (!status || status >= 400) {
+    throw axiosError(config, status, data, headers);
+  }
+  return { status, data, headers, config, statusText: 'OK' };
+};
+
+beforeAll(() => {
+  // apiClient 创建时会复制默认适配器，因此在加载 API.js 之前替换
+  mockBackend = require('./main/mockBackend.js');
+  axios.defaults.adapter = (config) => adapter(config);
+  ({ ApiService } = require('./main/API.js'));
+});
+
+beforeEach(async () => {
+  await QueryCache.clear();
+  requests = [];
+  adapter = null;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'info').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ApiError', () => {
+  test('classifies responses by status and reads field errors and Retry-After', () => {
+    const { TYPES } = ApiError;
+    const config = { url: '/api/test' };
+
+    expect(ApiError.from(axiosError(config, null)).type).toBe(TYPES.NETWORK);
+    expect(ApiError.from(new AxiosError('timeout', AxiosError.ECONNABORTED, config, {})).type).toBe(TYPES.TIMEOUT);
+    expect(ApiError.from(axiosError(config, 401)).type).toBe(TYPES.AUTH);
+    expect(ApiError.from(axiosError(config, 403)).type).toBe(TYPES.FORBIDDEN);
+    expect(ApiError.from(axiosError(config, 502)).type).toBe(TYPES.SERVER);
+    expect(ApiError.from(new TypeError('x is undefined')).type).toBe(TYPES.UNKNOWN);
+
+    const validation = ApiError.from(axiosError(config, 422, {
+      message: '提交的信息有误',
+      errors: [{ field: 'email', message: '邮箱格式不正确' }]
+    }));
+    expect(validation.type).toBe(TYPES.VALIDATION);
+    expect(validation.fieldErrors).toEqual({ email: '邮箱格式不正确' });
+    expect(validation.isTransient()).toBe(false);
+
+    const limited = ApiError.from(axiosError(config, 429, {}, { 'retry-after': '30' }));
+    expect(limited.type).toBe(TYPES.RATE_LIMITED);
+    expect(limited.retryAfter).toBe(30000);
+    expect(limited.isTransient()).toBe(true);
+    expect(limited.getMessage('获取失败')).toBe('请求过于频繁，请在30秒后重试');
+  });
+
+  test('prefers the server message, then the caller message for non-transient errors', () => {
+    const config = { url: '/api/test' };
+
+    expect(ApiError.from(axiosError(config, 404, { message: '课程不存在' })).getMessage('获取失败')).toBe('课程不存在');
+    expect(ApiError.from(axiosError(config, 404)).getMessage('获取失败')).toBe('获取失败');
+    expect(ApiError.from(axiosError(config, null)).getMessage('获取失败')).toBe('网络连接失败，请检查网络后重试');
+  });
+});
+
+describe('retry policy', () => {
+  test('retries idempotent requests with exponential backoff', async () => {
+    adapter = sequenceAdapter([[null], [503], [200, { success: true, data: { physics: {} } }]]);
+    const delays = [];
+    const realSetTimeout = global.setTimeout;
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback, ms) => {
+      delays.push(ms);
+      return realSetTimeout(callback, 0);
+    });
+
+    const response = await ApiService.getSubjects();
+
+    expect(response).toEqual({ success: true, data: { physics: {} } });
+    expect(requests).toHaveLength(3);
+    expect(delays[0]).toBeGreaterThanOrEqual(500);
+    expect(delays[0]).toBeLessThan(1000);
+    expect(delays[1]).toBeGreaterThanOrEqual(1000);
+    expect(delays[1]).toBeLessThan(2000);
+  });
+
+  test('gives up after the retry limit and returns a typed failure', async () => {
+    adapter = sequenceAdapter([[500, { success: false }, { 'retry-after': '0' }]]);
+
+    const response = await ApiService.getSubjects();
+
+    expect(requests).toHaveLength(3);
+    expect(response).toMatchObject({ success: false, message: '获取学科数据失败，请检查网络连接' });
+    expect(response.error).toBeInstanceOf(ApiError);
+    expect(response.error.type).toBe(ApiError.TYPES.SERVER);
+  });
+
+  test('waits for Retry-After and stops when the wait is too long', async () => {
+    adapter = sequenceAdapter([[429, {}, { 'retry-after': '0' }], [200, { success: true, data: [] }]]);
+    expect((await ApiService.getAttempts()).success).toBe(true);
+    expect(requests).toHaveLength(2);
+
+    requests = [];
+    adapter = sequenceAdapter([[429, {}, { 'retry-after': '120' }]]);
+    const response = await ApiService.getAttempts();
+    expect(requests).toHaveLength(1);
+    expect(response.message).toBe('请求过于频繁，请在120秒后重试');
+  });
+
+  test('does not retry requests that are not idempotent', async () => {
+    adapter = sequenceAdapter([[503]]);
+
+    const response = await ApiService.requestPasswordReset('student@example.com');
+
+    expect(requests).toHaveLength(1);
+    expect(response.error.type).toBe(ApiError.TYPES.SERVER);
+  });
+});
+
+describe('validation errors', () => {
+  test('registration reports the fields that are already taken', async () => {
+    adapter = mockBackend.mockAdapter;
+    mockBackend.resetMockBackend();
+    expect((await ApiService.register('student_01', 'student@example.com', 'Secr3t-Passw0rd!')).success).toBe(true);
+
+    const response = await ApiService.register('student_01', 'student@example.com', 'Secr3t-Passw0rd!');
+
+    expect(response.success).toBe(false);
+    expect(response.error.type).toBe(ApiError.TYPES.VALIDATION);
+    expect(response.errors).toEqual({ username: '该用户名已被注册', email: '该邮箱已被注册' });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * 请求取消测试：切换课程或筛选条件时取消上一次请求，乱序返回的过期响应不会显示
+ */
+import axios from 'axios';
+import { act, render, screen, fireEvent, waitFor } from '@testing-library/react';
+import MockMode from './utils/MockMode.js';
+import QueryCache from './utils/QueryCache.js';
+import PaperUtils from './utils/PaperUtils.js';
+import { getTopicPapers } from './main/mockFixtures.js';
+
+let ApiService;
+let PapersView;
+let mockBackend;
+
+// 当前使用的适配器，以及等待返回的请求
+let adapter = null;
+let pending = [];
+
+/**
+ * 请求挂起，直到测试调用 respond 才返回；不理会取消信号，模拟已发出、无法中断的请求
+ * @param {Object} config - 请求配置
+ * @returns {Promise<Object>} 响应
+ */
+const deferredAdapter = (config) => new Promise(resolve => {
+  pending.push({
+    config,
+    respond: (data) => resolve({ status: 200, data, headers: {}, config, statusText: 'OK' })
+  });
+});
+
+/**
+ * 以试卷列表响应某个请求
+ * @param {Object} request - pending 中的请求
+ * @param {Array} papers - 试卷
+ */
+const respondWithPapers = async (request, papers) => {
+  await act(async () => {
+    request.respond({ success: true, data: { papers, total: papers.length, page: 1, pageSize: 12 } });
+  });
+};
+
+const TOPICS = {
+  physics: { id: '9702', name: 'Physics' },
+  maths: { id: '9709', name: 'Mathematics' }
+};
+
+/**
+ * 渲染课程试卷列表（与 App 相同，以课程ID作为key）
+ * @param {Object} topic - 课程
+ * @returns {Function} 切换课程
+ */
+const showPapersView = (topic) => {
+  const view = (current) => (
+    <PapersView key={current.id} topic={current} onPaperView={() => {}} onPaperDownload={() => {}} />
+  );
+  const { rerender } = render(view(topic));
+  return (next) => rerender(view(next));
+};
+
+const componentCodes = (papers) => papers.map(paper => PaperUtils.formatComponentCode(paper));
+
+beforeAll(() => {
+  // apiClient 创建时会复制默认适配器，因此在加载 API.js 之前替换
+  mockBackend = require('./main/mockBackend.js');
+  axios.defaults.adapter = (config) => adapter(config);
+  ({ ApiService } = require('./main/API.js'));
+  PapersView = require('./main/PapersView.js').default;
+});
+
+beforeEach(async () => {
+  await QueryCache.clear();
+  pending = [];
+  adapter = deferredAdapter;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  localStorage.removeItem('mockApi');
+});
+
+describe('ApiService', () => {
+  test('returns a cancelled failure without logging when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const request = ApiService.getPapers('9702', {}, { signal: controller.signal });
+    await waitFor(() => expect(pending).toHaveLength(1));
+    controller.abort();
+    pending[0].respond({ success: true, data: { papers: [], total: 0 } });
+
+    const response = await request;
+    expect(response).toMatchObject({ success: false, message: '请求已取消' });
+    expect(response.error.type).toBe('cancelled');
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  test('the mock backend stops waiting as soon as a request is cancelled', async () => {
+    adapter = mockBackend.mockAdapter;
+    mockBackend.resetMockBackend();
+    MockMode.setScenario('slow');
+
+    const controller = new AbortController();
+    const request = ApiService.getSubjects({ signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    const startedAt = Date.now();
+    expect((await request).error.type).toBe('cancelled');
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+});
+
+describe('PapersView', () => {
+  test('a response for the previous topic never replaces the current topic', async () => {
+    const physicsPapers = getTopicPapers('9702').slice(0, 2);
+    const mathsPapers = getTopicPapers('9709').slice(0, 3);
+
+    const switchTopic = showPapersView(TOPICS.physics);
+    await waitFor(() => expect(pending).toHaveLength(1));
+    switchTopic(TOPICS.maths);
+    await waitFor(() => expect(pending).toHaveLength(2));
+
+    expect(pending.map(request => request.config.url)).toEqual(['/api/topics/9702/papers', '/api/topics/9709/papers']);
+    expect(pending[0].config.signal.aborted).toBe(true);
+
+    // 新课程先返回，旧课程后返回
+    await respondWithPapers(pending[1], mathsPapers);
+    await respondWithPapers(pending[0], physicsPapers);
+
+    expect(screen.getByText('3 past papers available')).toBeInTheDocument();
+    componentCodes(mathsPapers).forEach(code => expect(screen.getByText(code)).toBeInTheDocument());
+    componentCodes(physicsPapers).forEach(code => expect(screen.queryByText(code)).not.toBeInTheDocument());
+  });
+
+  test('a slow response for old filters never replaces newer results', async () => {
+    const papers = getTopicPapers('9702');
+    const papers2023 = papers.filter(paper => paper.year === '2023').slice(0, 2);
+    const papers2022 = papers.filter(paper => paper.year === '2022').slice(0, 3);
+
+    showPapersView(TOPICS.physics);
+    await waitFor(() => expect(pending).toHaveLength(1));
+    await act(async () => {
+      pending[0].respond({
+        success: true,
+        data: { papers: papers.slice(0, 12), total: papers.length, page: 1, pageSize: 12, facets: { years: ['2023', '2022'] } }
+      });
+    });
+
+    fireEvent.change(screen.getByLabelText('Year:'), { target: { value: '2023' } });
+    await waitFor(() => expect(pending).toHaveLength(2));
+    fireEvent.change(screen.getByLabelText('Year:'), { target: { value: '2022' } });
+    await waitFor(() => expect(pending).toHaveLength(3));
+
+    expect(pending.slice(1).map(request => request.config.params.year)).toEqual(['2023', '2022']);
+    expect(pending[1].config.signal.aborted).toBe(true);
+
+    // 后选的年份先返回
+    await respondWithPapers(pending[2], papers2022);
+    await respondWithPapers(pending[1], papers2023);
+
+    expect(screen.getByText('3 past papers available')).toBeInTheDocument();
+    componentCodes(papers2023).forEach(code => expect(screen.queryByText(code)).not.toBeInTheDocument());
+  });
+
+  test('unmounting cancels the request', async () => {
+    const { unmount } = render(
+      <PapersView topic={TOPICS.physics} onPaperView={() => {}} onPaperDownload={() => {}} />
+    );
+    await waitFor(() => expect(pending).toHaveLength(1));
+
+    unmount();
+
+    expect(pending[0].config.signal.aborted).toBe(true);
+    await act(async () => {
+      pending[0].respond({ success: true, data: { papers: [], total: 0 } });
+    });
+    expect(console.error).not.toHaveBeenCalled();
+  });
+});
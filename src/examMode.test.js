@@ -0,0 +1,135 @@
+/**
+ * 考试模式测试：倒计时与暂停、提醒阈值、评分标准锁定、刷新后恢复考试会话
+ */
+import ExamUtils from './utils/ExamUtils.js';
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2024, 4, 20, 9, 0);
+const PAPER = { id: '9702_s23_qp_42', title: 'Physics Paper 4' };
+
+/**
+ * 创建一场从 START 开始的考试
+ * @param {Object} [options] - createSession 的其他选项
+ * @returns {Object} 考试会话
+ */
+const startExam = (options = {}) => ExamUtils.createSession({ paper: PAPER, durationMinutes: 60, ...options }, START);
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+describe('countdown', () => {
+  test('does not count paused time', () => {
+    let session = startExam();
+    session = ExamUtils.pause(session, START + 10 * MINUTE);
+    session = ExamUtils.resume(session, START + 25 * MINUTE);
+
+    expect(ExamUtils.getElapsed(session, START + 30 * MINUTE)).toBe(15 * MINUTE);
+    expect(ExamUtils.getRemaining(session, START + 30 * MINUTE)).toBe(45 * MINUTE);
+    // 暂停期间剩余时间不变
+    const paused = ExamUtils.pause(session, START + 30 * MINUTE);
+    expect(ExamUtils.getRemaining(paused, START + 50 * MINUTE)).toBe(45 * MINUTE);
+    expect(ExamUtils.isTimeUp(paused, START + 200 * MINUTE)).toBe(false);
+  });
+
+  test('ends at the deadline even when time up is noticed later', () => {
+    const session = startExam();
+
+    expect(ExamUtils.isTimeUp(session, START + 59 * MINUTE)).toBe(false);
+    expect(ExamUtils.isTimeUp(session, START + 60 * MINUTE)).toBe(true);
+
+    const finished = ExamUtils.finish(session, 'timeUp', START + 90 * MINUTE);
+    expect(finished).toMatchObject({ status: 'finished', endedAt: START + 60 * MINUTE, finishReason: 'timeUp' });
+    expect(ExamUtils.getElapsed(finished, START + 120 * MINUTE)).toBe(60 * MINUTE);
+  });
+
+  test.each([
+    [0, '00:00'],
+    [25 * MINUTE, '25:00'],
+    [500, '00:01'],
+    [65 * MINUTE + 9000, '1:05:09']
+  ])('formats %i ms as %s', (milliseconds, text) => {
+    expect(ExamUtils.formatCountdown(milliseconds)).toBe(text);
+  });
+});
+
+describe('warnings', () => {
+  test('keeps thresholds shorter than the exam, largest first, without duplicates', () => {
+    expect(startExam({ warnings: [5, 30, 10, 5, 60, 90, -1] }).warnings).toEqual([30, 10, 5]);
+    expect(ExamUtils.parseWarnings('30, 10，5 abc 0')).toEqual([30, 10, 5]);
+  });
+
+  test('reports each threshold once it is reached and not yet shown', () => {
+    const session = startExam();
+
+    expect(ExamUtils.getDueWarnings(session, START + 29 * MINUTE)).toEqual([]);
+    expect(ExamUtils.getDueWarnings(session, START + 30 * MINUTE)).toEqual([30]);
+    // 刷新后才检测到时，一次报告所有已到达的阈值
+    expect(ExamUtils.getDueWarnings(session, START + 56 * MINUTE)).toEqual([30, 10, 5]);
+    expect(ExamUtils.getDueWarnings({ ...session, firedWarnings: [30, 10] }, START + 56 * MINUTE)).toEqual([5]);
+    expect(ExamUtils.getDueWarnings(ExamUtils.pause(session, START + 40 * MINUTE), START + 56 * MINUTE)).toEqual([]);
+  });
+});
+
+describe('mark scheme lock', () => {
+  test('locks the mark scheme and examiner report until the exam finishes', () => {
+    const session = startExam();
+
+    expect(ExamUtils.isDocumentLocked(session, 'ms')).toBe(true);
+    expect(ExamUtils.isDocumentLocked(session, 'er')).toBe(true);
+    expect(ExamUtils.isDocumentLocked(session, 'qp')).toBe(false);
+    expect(ExamUtils.isDocumentLocked(ExamUtils.pause(session, START + MINUTE), 'ms')).toBe(true);
+    expect(ExamUtils.isDocumentLocked(ExamUtils.finish(session, 'completed', START + MINUTE), 'ms')).toBe(false);
+  });
+
+  test('does not lock anything when the lock is turned off or there is no exam', () => {
+    expect(ExamUtils.isDocumentLocked(startExam({ lockMarkScheme: false }), 'ms')).toBe(false);
+    expect(ExamUtils.isDocumentLocked(null, 'ms')).toBe(false);
+  });
+});
+
+describe('persistence', () => {
+  test('restores the remaining time and pauses after a reload', () => {
+    let session = startExam({ username: 'amy', context: { subjectKey: 'physics', topic: { id: '9702', name: 'Physics' } } });
+    session = ExamUtils.pause(session, START + 10 * MINUTE);
+    ExamUtils.saveSession(session);
+
+    const restored = ExamUtils.loadSession('amy');
+    expect(restored).toEqual(session);
+    expect(ExamUtils.getRemaining(ExamUtils.resume(restored, START + 40 * MINUTE), START + 45 * MINUTE)).toBe(45 * MINUTE);
+  });
+
+  test('does not restore a finished exam or another account\'s exam', () => {
+    ExamUtils.saveSession(startExam({ username: 'amy' }));
+    expect(ExamUtils.loadSession('ben')).toBeNull();
+    expect(ExamUtils.loadSession()).toMatchObject({ username: 'amy' });
+
+    ExamUtils.saveSession(ExamUtils.finish(startExam({ username: 'amy' }), 'completed', START + MINUTE));
+    expect(ExamUtils.loadSession('amy')).toBeNull();
+
+    ExamUtils.saveSession(startExam({ username: 'amy' }));
+    ExamUtils.clearSession();
+    expect(ExamUtils.loadSession('amy')).toBeNull();
+  });
+
+  test('records the attempt with ISO times and time spent', () => {
+    let session = startExam({ username: 'amy', context: { subjectKey: 'physics', topic: { id: '9702', name: 'Physics' } } });
+    session = ExamUtils.pause(session, START + 10 * MINUTE);
+    session = ExamUtils.finish(session, 'completed', START + 20 * MINUTE);
+
+    expect(ExamUtils.toAttempt(session)).toEqual({
+      id: session.id,
+      username: 'amy',
+      paperId: PAPER.id,
+      title: PAPER.title,
+      topicId: '9702',
+      subjectKey: 'physics',
+      startedAt: new Date(START).toISOString(),
+      endedAt: new Date(START + 20 * MINUTE).toISOString(),
+      durationMs: 60 * MINUTE,
+      elapsedMs: 10 * MINUTE,
+      pauses: [{ start: new Date(START + 10 * MINUTE).toISOString(), end: new Date(START + 20 * MINUTE).toISOString() }],
+      finishReason: 'completed'
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * 空闲锁屏测试：空闲检测的各阶段、锁屏策略校验、全校策略接口（本地模拟后端）
+ */
+import axios from 'axios';
+import { IdleManager, VisibilityManager } from './utils/performanceUtils.js';
+import SessionPolicy from './utils/SessionPolicy.js';
+import { signUp } from './testUtils/mockAccounts.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * 模拟一次键盘操作
+ */
+const pressKey = () => document.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }));
+
+describe('idle detection', () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    manager = new IdleManager(new VisibilityManager());
+  });
+
+  afterEach(() => {
+    manager.stop();
+    jest.useRealTimers();
+  });
+
+  test('locks, then signs out, and ignores activity on the lock screen', () => {
+    const onStage = jest.fn();
+    manager.start(SessionPolicy.getStages({ lockMinutes: 5, signOutMinutes: 30 }), onStage);
+
+    // 有操作时重新计时
+    jest.advanceTimersByTime(4 * MINUTE);
+    pressKey();
+    jest.advanceTimersByTime(4 * MINUTE);
+    expect(onStage).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(MINUTE + 10 * 1000);
+    expect(onStage).toHaveBeenCalledWith('lock');
+
+    // 锁屏界面上的操作不推迟自动退出
+    pressKey();
+    jest.advanceTimersByTime(25 * MINUTE);
+    expect(onStage).toHaveBeenLastCalledWith('signOut');
+    expect(onStage).toHaveBeenCalledTimes(2);
+  });
+
+  test('counts activity from other tabs and restarts after unlocking', () => {
+    const onStage = jest.fn();
+    manager.start(SessionPolicy.getStages({ lockMinutes: 5, signOutMinutes: 0 }), onStage);
+
+    // 其他标签页写入的最近活动时间
+    jest.advanceTimersByTime(4 * MINUTE);
+    localStorage.setItem('lastActivity', String(Date.now()));
+    jest.advanceTimersByTime(4 * MINUTE);
+    expect(onStage).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(2 * MINUTE);
+    expect(onStage).toHaveBeenCalledTimes(1);
+
+    manager.reset();
+    jest.advanceTimersByTime(4 * MINUTE);
+    expect(onStage).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(2 * MINUTE);
+    expect(onStage).toHaveBeenCalledTimes(2);
+  });
+
+  test('resumes a lock from before a reload', () => {
+    const onStage = jest.fn();
+    manager.start(SessionPolicy.getStages({ lockMinutes: 5, signOutMinutes: 30 }), onStage, Date.now() - 29 * MINUTE);
+    expect(onStage).toHaveBeenCalledWith('lock');
+
+    jest.advanceTimersByTime(MINUTE + 10 * 1000);
+    expect(onStage).toHaveBeenLastCalledWith('signOut');
+  });
+});
+
+describe('session policy', () => {
+  test('validates and falls back to defaults', () => {
+    expect(SessionPolicy.validate({ lockMinutes: 10, signOutMinutes: 60 })).toBeNull();
+    expect(SessionPolicy.validate({ lockMinutes: 0, signOutMinutes: 0 })).toBeNull();
+    expect(SessionPolicy.validate({ lockMinutes: 30, signOutMinutes: 20 })).toBe('自动退出时间应长于锁屏时间');
+    expect(SessionPolicy.validate({ lockMinutes: 1.5, signOutMinutes: 0 })).toMatch(/锁屏时间/);
+
+    expect(SessionPolicy.normalize({ lockMinutes: -1 })).toEqual(SessionPolicy.DEFAULTS);
+    expect(SessionPolicy.normalize({ signOutMinutes: 120 })).toEqual({ lockMinutes: SessionPolicy.DEFAULTS.lockMinutes, signOutMinutes: 120 });
+  });
+
+  describe('school-wide policy API', () => {
+    let ApiService;
+    let CookieUtils;
+    let mockBackend;
+
+    /**
+     * 注册账号并设为活跃账号
+     * @param {string} username - 用户名
+     * @param {boolean} isAdmin - 是否为管理员
+     */
+    beforeAll(() => {
+      // apiClient 创建时会复制默认适配器，因此在加载 API.js 之前替换
+      mockBackend = require('./main/mockBackend.js');
+      axios.defaults.adapter = mockBackend.mockAdapter;
+      ({ ApiService } = require('./main/API.js'));
+      ({ CookieUtils } = require('./main/Cookie.js'));
+    });
+
+    beforeEach(() => {
+      mockBackend.resetMockBackend();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'info').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('only admins change the policy, and every account reads it', async () => {
+      await signUp('student_01');
+      expect((await ApiService.getSessionPolicy()).data).toMatchObject(SessionPolicy.DEFAULTS);
+
+      const denied = await ApiService.updateSessionPolicy({ lockMinutes: 5, signOutMinutes: 30 });
+      expect(denied).toMatchObject({ success: false, message: '仅管理员可以修改锁屏策略' });
+
+      await signUp('teacher_01', { isAdmin: true });
+      const invalid = await ApiService.updateSessionPolicy({ lockMinutes: 30, signOutMinutes: 10 });
+      expect(invalid).toEqual({ success: false, message: '自动退出时间应长于锁屏时间' });
+
+      const updated = await ApiService.updateSessionPolicy({ lockMinutes: 5, signOutMinutes: 30 });
+      expect(updated.data).toMatchObject({ lockMinutes: 5, signOutMinutes: 30, updatedBy: 'teacher_01' });
+
+      CookieUtils.setActiveUser('student_01');
+      expect((await ApiService.getSessionPolicy()).data).toMatchObject({ lockMinutes: 5, signOutMinutes: 30 });
+      expect(SessionPolicy.getCached()).toEqual({ lockMinutes: 5, signOutMinutes: 30 });
+    });
+  });
+});
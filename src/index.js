@@ -3,17 +3,38 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './main/App';
 import reportWebVitals from './reportWebVitals';
+import registerServiceWorker from './serviceWorkerRegistration';
 import { initializeCSP } from './utils/cspConfig';
+import SessionStore from './utils/SessionStore';
+import QueryCache from './utils/QueryCache';
+import OfflineStore from './utils/OfflineStore';
+import { migrateCookieSessions } from './utils/migrationScript';
 
 // 初始化CSP配置和违规报告
 initializeCSP();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+
+// 账号会话需要在首次渲染前读入内存（CookieUtils 的读取是同步的）
+// 接口缓存同时读入，首次渲染即可显示缓存的学科目录（读取失败时从空缓存开始）
+// 离线保存的试卷记录同样在首次渲染前读入，离线打开时即可显示
+Promise.all([
+  SessionStore.init()
+    .then(migrateCookieSessions)
+    .catch(error => console.error('加载账号会话失败:', error)),
+  QueryCache.init(),
+  OfflineStore.init()
+])
+  .finally(() => {
+    root.render(
+      <React.StrictMode>
+        <App />
+      </React.StrictMode>
+    );
+  });
+
+// 离线时仍可打开网站（仅生产构建）
+registerServiceWorker();
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
@@ -1,10 +1,20 @@
 // ==================== API服务 ====================
 import axios from 'axios';
-import { subjectsData } from './mockData.js';
-import { CryptoUtils } from './CryptoUtils.js';
+import { CryptoUtils, PasswordValidator, RegistrationValidator } from './CryptoUtils.js';
 import { safeLocalStorage } from '../utils/storageUtils.js';
+import { CookieUtils, HistoryUtils } from './Cookie.js';
 import IdUtils from '../utils/IdUtils.js';
 import UserUtils from '../utils/UserUtils.js';
+import PaperUtils from '../utils/PaperUtils.js';
+import RouteUtils from '../utils/RouteUtils.js';
+import WebAuthnUtils from '../utils/WebAuthnUtils.js';
+import OidcUtils from '../utils/OidcUtils.js';
+import SessionBus from '../utils/SessionBus.js';
+import SessionPolicy from '../utils/SessionPolicy.js';
+import MockMode from '../utils/MockMode.js';
+import ApiError from '../utils/ApiError.js';
+import QueryCache from '../utils/QueryCache.js';
+import OfflineStore from '../utils/OfflineStore.js';
 
 // 创建axios实例
 const apiClient = axios.create({
@@ -15,15 +25,276 @@ const apiClient = axios.create({
   },
 });
 
+// 本地模拟后端：REACT_APP_MOCK_API=true，或开发环境中打开了模拟开关（见 MockMode）时，所有接口请求由 mockBackend 在浏览器内处理
+// 按需加载；正式构建未设置 REACT_APP_MOCK_API 时条件恒为false，模拟后端不会被打包
+if (process.env.REACT_APP_MOCK_API === 'true' || (process.env.NODE_ENV === 'development' && MockMode.isEnabled())) {
+  const networkAdapter = axios.getAdapter(apiClient.defaults.adapter);
+  apiClient.defaults.adapter = async (config) => {
+    // 前端静态文件（如示例试卷PDF）照常请求
+    if (!isApiUrl(config.url)) {
+      return networkAdapter(config);
+    }
+    const { mockAdapter } = await import('./mockBackend.js');
+    return mockAdapter(config);
+  };
+}
+
+/**
+ * 读取当前认证令牌
+ * 优先使用活跃账号的令牌，其次本地存储和Cookie（向后兼容）
+ * @returns {string|undefined} 令牌
+ */
+const getAuthToken = () => CookieUtils.getCurrentUserToken() || safeLocalStorage.get('authToken') || document.cookie
+  .split('; ')
+  .find(row => row.startsWith('authToken='))
+  ?.split('=')[1];
+
+/**
+ * 保存当前会话令牌到localStorage和cookie
+ * @param {string} token - 令牌
+ */
+const setAuthToken = (token) => {
+  safeLocalStorage.set('authToken', token);
+  document.cookie = `authToken=${token}; path=/; max-age=86400`; // 24小时
+};
+
+/**
+ * 清除当前会话令牌
+ */
+const clearAuthToken = () => {
+  safeLocalStorage.remove('authToken');
+  document.cookie = 'authToken=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;';
+};
+
+/**
+ * 生成验证邮件中的链接地址（后端在其后附加 ?token=xxx）
+ * @returns {string} 验证页面的完整地址
+ */
+const getVerifyUrl = () => `${window.location.origin}${RouteUtils.toHref(RouteUtils.ROUTES.verifyEmail)}`;
+
+/**
+ * 判断地址是否指向后端API（需要携带认证头）
+ * @param {string} url - 文件地址
+ * @returns {boolean} 是否为API地址
+ */
+const isApiUrl = (url) => url.startsWith('/api/') || url.startsWith(`${apiClient.defaults.baseURL}/api/`);
+
+/**
+ * 下载文件内容
+ * 经过 apiClient，同样会失败重试、遇到401时刷新令牌后重放
+ * @param {Object} source - 文件地址，见 ApiService.getFileSource
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Blob>} 文件
+ */
+const fetchFile = async (source, { signal } = {}) => {
+  const response = await apiClient.get(source.url, {
+    // 前端静态文件从当前网站获取，不拼接后端地址
+    ...(!isApiUrl(source.url) && { baseURL: window.location.origin }),
+    headers: source.httpHeaders,
+    responseType: 'blob',
+    timeout: 60000,
+    signal
+  });
+  return response.data;
+};
+
+// ==================== 令牌刷新 ====================
+
+// 自行处理401的认证接口，不触发令牌刷新
+const AUTH_ENDPOINTS = [
+  '/api/auth/params',
+  '/api/auth/available',
+  '/api/auth/login',
+  '/api/auth/register',
+  '/api/auth/refresh',
+  '/api/auth/validate',
+  '/api/auth/logout',
+  '/api/auth/password',
+  '/api/auth/email/verify',
+  '/api/auth/2fa/verify',
+  '/api/auth/webauthn/login',
+  '/api/auth/oidc/callback'
+];
+
+// 刷新状态：是否正在刷新、刷新失败后等待重新登录的用户名
+let isRefreshing = false;
+let expiredUsername = null;
+
+// 等待新令牌的请求队列 [{ resolve, reject }]
+let pendingRequests = [];
+
+// 进行中的令牌刷新：用户名 -> Promise<新令牌>
+// 后端会轮换刷新令牌，同一账号同时发出两次刷新时后一次必然失败，因此拦截器和 refreshSession 共用同一次刷新
+const refreshes = new Map();
+
+// 会话失效监听器
+const sessionExpiredListeners = new Set();
+
+/**
+ * 判断是否为认证接口
+ * @param {string} url - 请求地址
+ * @returns {boolean} 是否为认证接口
+ */
+const isAuthEndpoint = (url = '') => AUTH_ENDPOINTS.some(endpoint => url.includes(endpoint));
+
+/**
+ * 统一的失败结果
+ * @param {Error} error - 请求错误
+ * @param {string} fallbackMessage - 没有更具体的提示时显示
+ * @returns {Object} { success: false, message, error: ApiError, errors?: { 字段名: 提示 } }
+ */
+const failure = (error, fallbackMessage) => {
+  const apiError = ApiError.from(error);
+  return {
+    success: false,
+    message: apiError.getMessage(fallbackMessage),
+    error: apiError,
+    ...(apiError.fieldErrors && { errors: apiError.fieldErrors })
+  };
+};
+
+/**
+ * 记录请求错误，已取消的请求（切换页面或组件卸载）不记录
+ * @param {string} label - 日志前缀，如 'Get Papers API Error:'
+ * @param {Error} error - 请求错误
+ */
+const logApiError = (label, error) => {
+  if (!axios.isCancel(error)) {
+    console.error(label, error);
+  }
+};
+
+/**
+ * 是否因为连不上后端而失败（此时改用离线保存的试卷）
+ * @param {Error} error - 请求错误
+ * @returns {boolean} 是否为网络错误或超时
+ */
+const isOfflineError = (error) => [ApiError.TYPES.NETWORK, ApiError.TYPES.TIMEOUT].includes(ApiError.from(error).type);
+
+// ==================== 失败重试 ====================
+
+// 可安全重试的请求方法（其他请求可用 config.idempotent = true 声明可重试）
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// 默认最多重试次数、首次重试前的等待时间、单次等待上限（毫秒）
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY = 500;
+const MAX_RETRY_DELAY = 10000;
+
+/**
+ * 计算重试前的等待时间
+ * 服务器给出 Retry-After 时按其等待（超过上限则不重试），否则按指数退避并加入随机抖动
+ * @param {ApiError} apiError - 接口错误
+ * @param {number} attempt - 第几次重试（从0开始）
+ * @returns {number|null} 等待毫秒数，不应重试时为null
+ */
+const getRetryDelay = (apiError, attempt) => {
+  if (apiError.retryAfter !== null) {
+    return apiError.retryAfter <= MAX_RETRY_DELAY ? apiError.retryAfter : null;
+  }
+  const backoff = RETRY_BASE_DELAY * 2 ** attempt;
+  return Math.min(backoff + Math.random() * RETRY_BASE_DELAY * 0.2, MAX_RETRY_DELAY);
+};
+
+/**
+ * 进入等待队列，直到刷新成功或用户重新登录
+ * @returns {Promise<void>}
+ */
+const waitForToken = () => new Promise((resolve, reject) => {
+  pendingRequests.push({ resolve, reject });
+});
+
+/**
+ * 放行或拒绝队列中的请求
+ * @param {Error|null} error - 为空时放行，否则以该错误拒绝
+ */
+const flushPendingRequests = (error) => {
+  const queue = pendingRequests;
+  pendingRequests = [];
+  queue.forEach(({ resolve, reject }) => (error ? reject(error) : resolve()));
+};
+
+/**
+ * 结束会话失效状态，并放行或拒绝等待中的请求
+ * @param {Error|null} error - 为空时放行（已重新登录），否则拒绝（已切换账号）
+ */
+const endSessionRecovery = (error) => {
+  expiredUsername = null;
+  flushPendingRequests(error);
+};
+
+/**
+ * 使用当前令牌重放请求
+ * @param {Object} config - 原请求配置
+ * @returns {Promise} 请求结果
+ */
+const replayRequest = (config) => {
+  const token = getAuthToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return apiClient(config);
+};
+
+/**
+ * 使用刷新令牌为指定账号换取新令牌
+ * 只更新该账号的令牌；该账号仍为活跃账号时同步更新当前会话令牌，并通知其他标签页
+ * @param {string} username - 用户名
+ * @returns {Promise<string>} 新令牌
+ *
+ * 后端API接口：POST /api/auth/refresh
+ * 请求体：{ refreshToken: string }
+ * 响应格式：{ success: boolean, data?: { token: string, refreshToken?: string }, message?: string }
+ */
+const requestNewToken = async (username) => {
+  const refreshToken = CookieUtils.getUserRefreshToken(username);
+  if (!refreshToken) {
+    throw new Error('缺少刷新令牌');
+  }
+
+  const response = await apiClient.post('/api/auth/refresh', { refreshToken });
+  const data = response.data?.data;
+  if (!response.data?.success || !data?.token) {
+    throw new Error(response.data?.message || '令牌刷新失败');
+  }
+
+  CookieUtils.updateUserToken(username, data.token);
+  // 后端轮换刷新令牌时保存新的刷新令牌
+  if (data.refreshToken) {
+    CookieUtils.setUserRefreshToken(username, data.refreshToken);
+  }
+  if (CookieUtils.getActiveUser() === username) {
+    setAuthToken(data.token);
+  }
+  SessionBus.publish(SessionBus.EVENTS.TOKEN_REFRESH, { username });
+
+  return data.token;
+};
+
+/**
+ * 刷新指定账号的令牌，同一账号进行中的刷新只发出一次请求
+ * @param {string} username - 用户名
+ * @returns {Promise<string>} 新令牌
+ */
+const refreshAccessToken = (username) => {
+  if (!refreshes.has(username)) {
+    refreshes.set(username, requestNewToken(username).finally(() => refreshes.delete(username)));
+  }
+  return refreshes.get(username);
+};
+
 // 请求拦截器 - 自动添加认证头
 apiClient.interceptors.request.use(
-  (config) => {
-    const token = safeLocalStorage.get('authToken') || document.cookie
-      .split('; ')
-      .find(row => row.startsWith('authToken='))
-      ?.split('=')[1];
+  async (config) => {
+    // 刷新进行中或等待重新登录时，暂缓发出新请求，避免重复401
+    if ((isRefreshing || expiredUsername) && !isAuthEndpoint(config.url)) {
+      await waitForToken();
+    }
+
+    const token = getAuthToken();
     
-    if (token) {
+    // 已显式指定认证头的请求（如批量验证各账号令牌）保持不变；前端静态文件不携带令牌
+    if (token && !config.headers.Authorization && isApiUrl(config.url)) {
       config.headers.Authorization = `Bearer ${token}`;
     }
     
@@ -36,26 +307,281 @@ apiClient.interceptors.request.use(
   }
 );
 
+// 响应拦截器 - 幂等请求遇到网络错误、超时、服务器错误或请求过于频繁时自动重试
+// config.retry 可设置单个请求的最多重试次数，为 0 或 false 时不重试
+apiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config } = error;
+    if (!config || axios.isCancel(error)) {
+      return Promise.reject(error);
+    }
+
+    // 浏览器已处于离线状态时重试没有意义，直接失败以便尽快改用离线数据
+    if (navigator.onLine === false) {
+      return Promise.reject(error);
+    }
+
+    const method = (config.method || 'get').toLowerCase();
+    const maxRetries = config.retry === undefined ? MAX_RETRIES : Number(config.retry) || 0;
+    const retryCount = config._retryCount || 0;
+    const apiError = ApiError.from(error);
+    if (!(IDEMPOTENT_METHODS.includes(method) || config.idempotent) || retryCount >= maxRetries || !apiError.isTransient()) {
+      return Promise.reject(error);
+    }
+
+    const delay = getRetryDelay(apiError, retryCount);
+    if (delay === null) {
+      return Promise.reject(error);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return apiClient({ ...config, _retryCount: retryCount + 1 });
+  }
+);
+
 // 响应拦截器 - 统一错误处理
 apiClient.interceptors.response.use(
   (response) => {
 
     return response;
   },
-  (error) => {
+  async (error) => {
+    const { config, response } = error;
 
-    
-    // 处理认证错误
-    if (error.response?.status === 401) {
-      safeLocalStorage.remove('authToken');
-      document.cookie = 'authToken=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;';
-      window.location.href = '/login';
+    // 处理认证错误：仅针对活跃账号刷新令牌，每个请求只重放一次
+    if (response?.status !== 401 || !config || config._retried || isAuthEndpoint(config.url)) {
+      return Promise.reject(error);
     }
-    
-    return Promise.reject(error);
+
+    const username = CookieUtils.getActiveUser();
+    if (!username) {
+      return Promise.reject(error);
+    }
+    config._retried = true;
+
+    // 其他请求正在刷新或等待重新登录，排队后重放
+    if (isRefreshing || expiredUsername) {
+      await waitForToken();
+      return replayRequest(config);
+    }
+
+    // 请求发出后令牌已被更新，直接重放
+    const sentToken = String(config.headers.Authorization || '').replace('Bearer ', '');
+    const currentToken = getAuthToken();
+    if (currentToken && sentToken !== currentToken) {
+      return replayRequest(config);
+    }
+
+    isRefreshing = true;
+    try {
+      await refreshAccessToken(username);
+      isRefreshing = false;
+      flushPendingRequests(null);
+    } catch (refreshError) {
+      console.error('Token Refresh Error:', refreshError);
+      isRefreshing = false;
+
+      // 刷新失败：保留队列，等待用户在应用内重新登录，不丢弃页面状态
+      expiredUsername = username;
+      sessionExpiredListeners.forEach(listener => listener(username));
+      await waitForToken();
+    }
+
+    return replayRequest(config);
   }
 );
 
+// ==================== 接口数据缓存 ====================
+
+// 进行中的后台刷新：缓存键 -> Promise，同一数据只刷新一次
+const revalidations = new Map();
+
+/**
+ * 请求数据并写入缓存
+ * 已有缓存时带上 If-None-Match，后端返回304表示数据未变化，沿用缓存并延长有效期
+ * @param {string} endpoint - 接口名称，见 QueryCache.TTL
+ * @param {string} url - 请求地址
+ * @param {Object} options - { params, signal }
+ * @returns {Promise<Object>} { data: 响应体, changed: 与缓存相比是否变化 }
+ */
+const fetchAndCache = async (endpoint, url, { params, signal }) => {
+  const key = QueryCache.keyFor(url, params);
+  const cached = QueryCache.get(key);
+
+  const response = await apiClient.get(url, {
+    params,
+    signal,
+    headers: cached?.etag ? { 'If-None-Match': cached.etag } : {},
+    validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(cached?.etag))
+  });
+
+  if (response.status === 304) {
+    QueryCache.set(key, { endpoint, data: cached.data, etag: cached.etag });
+    return { data: cached.data, changed: false };
+  }
+
+  // 只缓存成功的响应
+  if (response.data?.success) {
+    QueryCache.set(key, { endpoint, data: response.data, etag: response.headers?.etag || null });
+  }
+  return {
+    data: response.data,
+    changed: !cached || JSON.stringify(cached.data) !== JSON.stringify(response.data)
+  };
+};
+
+/**
+ * 带缓存的GET请求（stale-while-revalidate）
+ * - 缓存在有效期内：直接返回缓存
+ * - 缓存已过期：立即返回缓存，同时在后台刷新，数据有变化且请求未取消时调用 onUpdate
+ * - 没有缓存：请求后写入缓存
+ * 没有缓存时的请求失败会抛出错误；后台刷新失败只记录日志，继续使用缓存
+ * @param {string} endpoint - 接口名称，见 QueryCache.TTL
+ * @param {string} url - 请求地址
+ * @param {Object} [options] - { params, signal, onUpdate }
+ * @returns {Promise<Object>} 响应体
+ */
+const cachedGet = async (endpoint, url, { params, signal, onUpdate } = {}) => {
+  await QueryCache.init();
+  const key = QueryCache.keyFor(url, params);
+  const cached = QueryCache.get(key);
+
+  if (!cached) {
+    return (await fetchAndCache(endpoint, url, { params, signal })).data;
+  }
+
+  if (!QueryCache.isFresh(cached)) {
+    // 后台刷新不随页面切换取消，刷新结果仍会写入缓存
+    if (!revalidations.has(key)) {
+      revalidations.set(key, fetchAndCache(endpoint, url, { params }).finally(() => revalidations.delete(key)));
+    }
+    revalidations.get(key)
+      .then(({ data, changed }) => {
+        if (changed && data?.success && !signal?.aborted) {
+          onUpdate?.(data);
+        }
+      })
+      .catch(error => logApiError('Revalidate Cache Error:', error));
+  }
+
+  return cached.data;
+};
+
+// ==================== 离线试卷包 ====================
+
+// 下载整个课程时每次获取的试卷数
+const OFFLINE_PAGE_SIZE = 100;
+
+// ==================== 做题记录同步 ====================
+
+// 进行中的做题记录同步（联网事件和进入主页面可能同时触发）
+let attemptSync = null;
+
+// ==================== 密码哈希协商 ====================
+
+/**
+ * 协商用户的密码哈希参数
+ * 后端尚未提供参数接口（404）时，只有登录退回旧版哈希，保证旧账号可以登录；
+ * 注册和重置密码会设置新密码，不能再用旧版哈希保存
+ * @param {string} username - 用户名
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.allowLegacy=false] - 参数接口不可用时是否退回旧版哈希
+ * @returns {Promise<Object>} { success, data?: { version, salt?, iterations?, upgrade? }, message? }
+ */
+const negotiateHashParams = async (username, { allowLegacy = false } = {}) => {
+  const response = await ApiService.getAuthParams(username);
+  if (response.success && response.data?.version) {
+    return response;
+  }
+  if (response.status === 404) {
+    if (!allowLegacy) {
+      return {
+        success: false,
+        message: '服务器暂不支持安全的密码加密，请稍后再试'
+      };
+    }
+    return {
+      success: true,
+      data: { version: CryptoUtils.HASH_VERSIONS.LEGACY_SHA256 }
+    };
+  }
+  return {
+    success: false,
+    message: response.message || '获取登录参数失败'
+  };
+};
+
+// ==================== 登录结果处理 ====================
+
+/**
+ * 接受登录结果：校验用户数据，保存会话令牌、刷新令牌和受信任设备令牌
+ * 密码登录和两步验证登录共用
+ * @param {Object} data - 登录响应中的 data 字段
+ * @returns {Object} { success, data?, message? }
+ */
+const acceptLogin = (data) => {
+  // 刷新令牌、受信任设备令牌单独保存，不写入用户数据
+  const { refreshToken, trustedDeviceToken, ...userData } = data;
+  
+  // 验证返回的用户ID格式
+  if (!IdUtils.validateUserId(userData.id)) {
+    console.error('Invalid user ID format received from server:', userData.id);
+    return {
+      success: false,
+      message: '服务器返回的用户ID格式无效'
+    };
+  }
+  
+  // 验证isAdmin字段与ID的一致性
+  const isAdminFromId = IdUtils.isAdminId(userData.id);
+  if (userData.isAdmin !== isAdminFromId) {
+    console.error('User admin status inconsistent with ID:', userData);
+    return {
+      success: false,
+      message: '用户权限信息不一致'
+    };
+  }
+  
+  // 更新登录信息
+  const updatedUserData = UserUtils.updateLoginInfo(userData);
+  
+  // 保存token到localStorage和cookie
+  if (userData.token) {
+    setAuthToken(userData.token);
+  }
+  if (refreshToken) {
+    CookieUtils.setUserRefreshToken(userData.username, refreshToken);
+  }
+  if (trustedDeviceToken) {
+    CookieUtils.setTrustedDevice(userData.username, trustedDeviceToken);
+  }
+  
+  return {
+    success: true,
+    data: updatedUserData
+  };
+};
+
+// ==================== 通行密钥 ====================
+
+/**
+ * 把通行密钥操作的错误转换为提示信息
+ * 浏览器错误（用户取消、凭据已存在）优先于后端消息
+ * @param {Error} error - 错误
+ * @param {string} fallback - 默认提示
+ * @returns {string} 提示信息
+ */
+const getPasskeyErrorMessage = (error, fallback) => {
+  if (error?.name === WebAuthnUtils.CANCELLED_ERROR) {
+    return '通行密钥验证已取消或超时';
+  }
+  if (error?.name === 'InvalidStateError') {
+    return '此设备上已有该账号的通行密钥';
+  }
+  return error?.response?.data?.message || fallback;
+};
+
 // 所有API调用都使用真实后端接口
 
 
@@ -65,6 +591,40 @@ apiClient.interceptors.response.use(
  * 所有接口都应该返回统一的响应格式：{ success: boolean, data?: any, message?: string }
  */
 export const ApiService = {
+  /**
+   * 获取密码哈希参数接口
+   * @param {string} username - 用户名
+   * @returns {Promise<Object>} 参数响应，失败时附带HTTP状态码 status
+   * 
+   * 后端API接口：GET /api/auth/params?username={username}
+   * 响应格式：{
+   *   success: boolean,
+   *   data?: {
+   *     version: number,     // 该账号当前的哈希版本（见 CryptoUtils.HASH_VERSIONS）
+   *     salt?: string,       // 版本2：每用户随机盐值
+   *     iterations?: number, // 版本2：PBKDF2迭代次数
+   *     upgrade?: { version: number, salt: string, iterations: number } // 旧版账号的升级参数
+   *   },
+   *   message?: string
+   * }
+   * 未注册的用户名也应返回新的版本2参数（注册时使用，同时避免暴露用户名是否存在）
+   */
+  getAuthParams: async (username) => {
+    try {
+      const response = await apiClient.get('/api/auth/params', {
+        params: { username }
+      });
+      
+      return response.data;
+    } catch (error) {
+      console.error('Get Auth Params API Error:', error);
+      return {
+        ...failure(error, '获取登录参数失败，请检查网络连接'),
+        status: error.response?.status
+      };
+    }
+  },
+
   /**
    * 用户登录接口 - dv020版本
    * @param {string} username - 用户名
@@ -72,7 +632,18 @@ export const ApiService = {
    * @returns {Promise<Object>} 登录响应
    * 
    * 后端API接口：POST /api/auth/login
-   * 请求体：{ username: string, passwordHash: string }
+   * 请求体：{
+   *   username: string,
+   *   passwordHash: string,  // 按 GET /api/auth/params 协商的版本计算
+   *   hashVersion: number,
+   *   upgrade?: {            // 旧版账号登录时附带新版哈希，服务器验证通过后替换存储
+   *     hashVersion: number,
+   *     salt: string,
+   *     iterations: number,
+   *     passwordHash: string
+   *   },
+   *   trustedDeviceToken?: string // 此设备已被信任（见 verifyTwoFactor），有效时跳过两步验证
+   * }
    * 响应格式：{
    *   success: boolean,
    *   data?: {
@@ -80,67 +651,69 @@ export const ApiService = {
    *     username: string,
    *     email: string,
    *     isAdmin: boolean,  // 替代userType，基于ID前缀判断
-   *     token: string      // JWT token或session token
+   *     twoFactorEnabled: boolean,
+   *     token: string,     // JWT token或session token
+   *     refreshToken?: string // 刷新令牌，用于 POST /api/auth/refresh
+   *   } | {
+   *     requires2fa: true, // 已启用两步验证：此时不签发令牌
+   *     challengeToken: string
    *   },
    *   message?: string
    * }
+   * 需要两步验证时本方法返回 { success: true, requires2fa: true, challengeToken }
    */
   login: async (username, password) => {
     try {
-      // 生成用户专用盐值并加密密码
-      const salt = await CryptoUtils.generateUserSalt(username);
-      const passwordHash = await CryptoUtils.hashPassword(password, salt);
+      // 按服务器下发的参数加密密码
+      const negotiated = await negotiateHashParams(username, { allowLegacy: true });
+      if (!negotiated.success) {
+        return negotiated;
+      }
+      const params = negotiated.data;
+      const passwordHash = await CryptoUtils.hashWithParams(username, password, params);
       
-      const response = await apiClient.post('/api/auth/login', {
+      const requestData = {
         username,
-        passwordHash  // 发送加密后的密码哈希
-      });
+        passwordHash,  // 发送加密后的密码哈希
+        hashVersion: params.version
+      };
       
-      // 处理登录响应并验证用户数据
-      if (response.data.success && response.data.data) {
-        const userData = response.data.data;
-        
-        // 验证返回的用户ID格式
-        if (!IdUtils.validateUserId(userData.id)) {
-          console.error('Invalid user ID format received from server:', userData.id);
-          return {
-            success: false,
-            message: '服务器返回的用户ID格式无效'
-          };
-        }
-        
-        // 验证isAdmin字段与ID的一致性
-        const isAdminFromId = IdUtils.isAdminId(userData.id);
-        if (userData.isAdmin !== isAdminFromId) {
-          console.error('User admin status inconsistent with ID:', userData);
-          return {
-            success: false,
-            message: '用户权限信息不一致'
-          };
-        }
-        
-        // 更新登录信息
-        const updatedUserData = UserUtils.updateLoginInfo(userData);
-        
-        // 保存token到localStorage和cookie
-        if (userData.token) {
-          safeLocalStorage.set('authToken', userData.token);
-          document.cookie = `authToken=${userData.token}; path=/; max-age=86400`; // 24小时
-        }
-        
+      // 此设备已被信任时跳过两步验证
+      const trustedDeviceToken = CookieUtils.getTrustedDevice(username);
+      if (trustedDeviceToken) {
+        requestData.trustedDeviceToken = trustedDeviceToken;
+      }
+      
+      // 旧版账号：同时提交新版哈希，登录成功后即完成升级
+      if (params.upgrade && params.upgrade.version > params.version) {
+        requestData.upgrade = {
+          hashVersion: params.upgrade.version,
+          salt: params.upgrade.salt,
+          iterations: params.upgrade.iterations,
+          passwordHash: await CryptoUtils.hashWithParams(username, password, params.upgrade)
+        };
+      }
+      
+      const response = await apiClient.post('/api/auth/login', requestData);
+      
+      // 已启用两步验证：返回挑战令牌，由 verifyTwoFactor 完成登录
+      if (response.data.success && response.data.data?.requires2fa) {
         return {
           success: true,
-          data: updatedUserData
+          requires2fa: true,
+          challengeToken: response.data.data.challengeToken
         };
       }
       
+      // 处理登录响应并验证用户数据
+      if (response.data.success && response.data.data) {
+        return acceptLogin(response.data.data);
+      }
+      
       return response.data;
     } catch (error) {
       console.error('Login API Error:', error);
-      return {
-        success: false,
-        message: error.response?.data?.message || '登录失败，请检查网络连接'
-      };
+      return failure(error, '登录失败，请检查网络连接');
     }
   },
   
@@ -150,10 +723,19 @@ export const ApiService = {
    * @param {string} email - 邮箱
    * @param {string} password - 密码
    * @param {boolean} isAdmin - 是否创建管理员账户（默认false）
-   * @returns {Promise<Object>} 注册响应
+   * @returns {Promise<Object>} 注册响应；本地验证未通过时不发出请求，并附带各字段错误 errors
    * 
    * 后端API接口：POST /api/auth/register
-   * 请求体：{ username: string, email: string, passwordHash: string, isAdmin?: boolean }
+   * 请求体：{
+   *   username: string,
+   *   email: string,
+   *   passwordHash: string,
+   *   hashVersion: number,
+   *   salt?: string,         // 版本2：GET /api/auth/params 为该用户名下发的盐值
+   *   iterations?: number,
+   *   isAdmin?: boolean,
+   *   verifyUrl: string      // 验证邮件中的链接为 {verifyUrl}?token=xxx
+   * }
    * 响应格式：{
    *   success: boolean,
    *   data?: {
@@ -161,23 +743,46 @@ export const ApiService = {
    *     username: string,
    *     email: string,
    *     isAdmin: boolean,  // 替代userType
-   *     token: string
+   *     token: string,
+   *     refreshToken?: string
    *   },
    *   message?: string
    * }
    */
   register: async (username, email, password, isAdmin = false) => {
+    // 发出任何请求前先验证注册信息
+    const validation = RegistrationValidator.validate({ username, email, password });
+    if (!validation.isValid) {
+      return {
+        success: false,
+        message: Object.values(validation.errors)[0],
+        errors: validation.errors
+      };
+    }
+    
     try {
-      // 生成用户专用盐值并加密密码
-      const salt = await CryptoUtils.generateUserSalt(username);
-      const passwordHash = await CryptoUtils.hashPassword(password, salt);
+      // 新账号使用服务器下发的参数加密密码
+      const negotiated = await negotiateHashParams(username);
+      if (!negotiated.success) {
+        return negotiated;
+      }
+      const params = negotiated.data;
+      if (params.version !== CryptoUtils.HASH_VERSIONS.PBKDF2_SHA256) {
+        return {
+          success: false,
+          message: '服务器暂不支持安全的密码加密，请稍后再试'
+        };
+      }
+      const passwordHash = await CryptoUtils.hashWithParams(username, password, params);
       
       const requestData = {
         username,
         email,
-        password,
-        passwordHash,
-        isAdmin  // 添加管理员标识
+        passwordHash,  // 仅发送派生后的凭据，明文密码不离开本模块
+        hashVersion: params.version,
+        ...(params.salt && { salt: params.salt, iterations: params.iterations }),
+        isAdmin,  // 添加管理员标识
+        verifyUrl: getVerifyUrl()
       };
       
       const response = await apiClient.post('/api/auth/register', requestData);
@@ -186,7 +791,8 @@ export const ApiService = {
       
       // 处理注册响应并验证用户数据
       if (response.data.success && response.data.data) {
-        const userData = response.data.data;
+        // 刷新令牌单独保存，不写入用户数据
+        const { refreshToken, ...userData } = response.data.data;
         
         // 验证返回的用户ID格式
         if (!IdUtils.validateUserId(userData.id)) {
@@ -210,6 +816,7 @@ export const ApiService = {
         // 创建完整的用户数据结构
         const completeUserData = {
           ...userData,
+          emailVerified: userData.emailVerified ?? false,  // 新注册的邮箱默认未验证
           createdAt: new Date().toISOString(),
           lastLoginAt: new Date().toISOString(),
           preferences: {
@@ -224,8 +831,10 @@ export const ApiService = {
         
         // 保存token到localStorage和cookie（注册即登录）
         if (userData.token) {
-          safeLocalStorage.set('authToken', userData.token);
-          document.cookie = `authToken=${userData.token}; path=/; max-age=86400`; // 24小时
+          setAuthToken(userData.token);
+        }
+        if (refreshToken) {
+          CookieUtils.setUserRefreshToken(userData.username, refreshToken);
         }
         
         return {
@@ -237,40 +846,66 @@ export const ApiService = {
       return response.data;
     } catch (error) {
       console.error('Register API Error:', error);
-      
-
-      
-      return {
-        success: false,
-        message: error.response?.data?.message || '注册失败，请检查网络连接'
-      };
+      return failure(error, '注册失败，请检查网络连接');
     }
   },
-  
+
   /**
-   * 会话验证接口
-   * @param {string} token - 用户token
-   * @returns {Promise<Object>} 验证响应
+   * 检查用户名和邮箱是否可用
+   * @param {Object} fields - { username?, email? }，只检查传入的字段
+   * @param {Object} [options] - 选项
+   * @param {AbortSignal} [options.signal] - 取消请求，取消后返回的 error.type 为 'cancelled'
+   * @returns {Promise<Object>} 检查响应
    * 
-   * 后端API接口：POST /api/auth/validate
-   * 请求头：Authorization: Bearer {token}
-   * 响应格式：{ success: boolean }
+   * 后端API接口：GET /api/auth/available?username={username}&email={email}
+   * 响应格式：{
+   *   success: boolean,
+   *   data?: { username?: boolean, email?: boolean }, // true 表示可用
+   *   message?: string
+   * }
+   */
+  checkAvailability: async ({ username, email } = {}, { signal } = {}) => {
+    try {
+      const response = await apiClient.get('/api/auth/available', {
+        params: {
+          ...(username && { username }),
+          ...(email && { email })
+        },
+        signal
+      });
+      
+      return response.data;
+    } catch (error) {
+      logApiError('Check Availability API Error:', error);
+      return failure(error, '可用性检查失败，请检查网络连接');
+    }
+  },
+  
+  /**
+   * 会话验证接口
+   * @param {string} token - 用户token
+   * @returns {Promise<Object>} 验证响应
+   * 
+   * 后端API接口：POST /api/auth/validate
+   * 请求头：Authorization: Bearer {token}
+   * 响应格式：{ success: boolean }
+   * 网络错误、超时或服务器错误时返回 transient: true，表示无法判断令牌是否有效
    */
   validateSession: async (token) => {
     try {
+      // 只读取会话状态，失败时可安全重试
       const response = await apiClient.post('/api/auth/validate', {}, {
         headers: {
           Authorization: `Bearer ${token}`
-        }
+        },
+        idempotent: true
       });
       
       return response.data;
     } catch (error) {
       console.error('Validate Session API Error:', error);
-      return {
-        success: false,
-        message: '会话验证失败'
-      };
+      const result = failure(error, '会话验证失败');
+      return { ...result, transient: result.error.isTransient() };
     }
   },
 
@@ -288,80 +923,1329 @@ export const ApiService = {
       const response = await apiClient.post('/api/auth/logout');
       
       // 仅清除当前会话token，保留用户数据
-      safeLocalStorage.remove('authToken');
-      document.cookie = 'authToken=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;';
+      clearAuthToken();
+      endSessionRecovery(new Error('会话已结束'));
       
       return response.data;
     } catch (error) {
       console.error('Switch Account API Error:', error);
       // 即使API调用失败，也要清除当前会话
-      safeLocalStorage.remove('authToken');
-      document.cookie = 'authToken=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;';
+      clearAuthToken();
+      endSessionRecovery(new Error('会话已结束'));
+      
+      return failure(error, '切换账号失败，请检查网络连接');
+    }
+  },
+
+  /**
+   * 刷新指定账号的令牌
+   * 与请求遇到401时的自动刷新共用进行中的刷新，同一账号不会同时发出两次刷新请求
+   * @param {string} username - 用户名
+   * @returns {Promise<Object>} 刷新响应 { success, data?: { token }, message?, transient? }
+   *
+   * 后端API接口：POST /api/auth/refresh
+   */
+  refreshSession: async (username) => {
+    try {
+      const token = await refreshAccessToken(username);
+      return {
+        success: true,
+        data: { token }
+      };
+    } catch (error) {
+      console.error('Refresh Session API Error:', error);
+      const result = failure(error, error.message || '令牌刷新失败');
+      return { ...result, transient: result.error.isTransient() };
+    }
+  },
+
+  /**
+   * 订阅会话失效事件（令牌刷新失败时触发，需在应用内重新登录）
+   * @param {Function} listener - 回调函数，接收失效账号的用户名
+   * @returns {Function} 取消订阅函数
+   */
+  onSessionExpired: (listener) => {
+    sessionExpiredListeners.add(listener);
+    return () => sessionExpiredListeners.delete(listener);
+  },
+
+  /**
+   * 重新登录后恢复会话，重放等待中的请求
+   */
+  resumeSession: () => {
+    endSessionRecovery(null);
+  },
+
+  /**
+   * 放弃等待重新登录（其他标签页已退出该账号），拒绝等待中的请求
+   */
+  abandonSession: () => {
+    endSessionRecovery(new Error('会话已结束'));
+  },
+
+  // ==================== 密码重置接口 ====================
+
+  /**
+   * 申请重置密码接口
+   * 无论账号是否存在，后端都应返回成功，避免暴露用户名或邮箱是否已注册
+   * @param {string} identifier - 用户名或邮箱
+   * @returns {Promise<Object>} 申请响应
+   * 
+   * 后端API接口：POST /api/auth/password/forgot
+   * 请求体：{ username?: string, email?: string, resetUrl: string } // 重置链接为 {resetUrl}?token=xxx
+   * 响应格式：{ success: boolean, message?: string }
+   */
+  requestPasswordReset: async (identifier) => {
+    const value = String(identifier || '').trim();
+    if (!value) {
+      return {
+        success: false,
+        message: '请输入用户名或邮箱'
+      };
+    }
+    
+    try {
+      const response = await apiClient.post('/api/auth/password/forgot', {
+        ...(value.includes('@') ? { email: value } : { username: value }),
+        resetUrl: `${window.location.origin}${RouteUtils.toHref(RouteUtils.ROUTES.reset)}`
+      });
+      
+      return response.data;
+    } catch (error) {
+      console.error('Request Password Reset API Error:', error);
+      return failure(error, '申请重置密码失败，请检查网络连接');
+    }
+  },
+
+  /**
+   * 验证重置链接接口
+   * @param {string} token - 重置链接中的令牌
+   * @returns {Promise<Object>} 验证响应
+   * 
+   * 后端API接口：GET /api/auth/password/reset?token={token}
+   * 响应格式：{ success: boolean, data?: { username: string, expiresAt?: string }, message?: string }
+   */
+  verifyResetToken: async (token) => {
+    try {
+      const response = await apiClient.get('/api/auth/password/reset', {
+        params: { token }
+      });
       
+      return response.data;
+    } catch (error) {
+      console.error('Verify Reset Token API Error:', error);
+      return failure(error, '重置链接无效或已过期');
+    }
+  },
+
+  /**
+   * 重置密码接口
+   * 新密码按最新版本的参数哈希；成功后清除本机保存的该账号令牌
+   * @param {string} token - 重置链接中的令牌
+   * @param {string} username - 账号（来自 verifyResetToken）
+   * @param {string} password - 新密码
+   * @returns {Promise<Object>} 重置响应
+   * 
+   * 后端API接口：POST /api/auth/password/reset
+   * 请求体：{ token: string, passwordHash: string, hashVersion: number, salt?: string, iterations?: number }
+   * 响应格式：{ success: boolean, message?: string }
+   * 后端应同时吊销该账号已签发的所有令牌
+   */
+  resetPassword: async (token, username, password) => {
+    const strength = PasswordValidator.validateStrength(password);
+    if (!strength.isValid) {
       return {
         success: false,
-        message: error.response?.data?.message || '切换账号失败，请检查网络连接'
+        message: `密码强度不足：${strength.issues.join('，')}`
       };
     }
+    
+    try {
+      const negotiated = await negotiateHashParams(username);
+      if (!negotiated.success) {
+        return negotiated;
+      }
+      // 旧版账号直接使用升级参数，重置即完成升级
+      const params = negotiated.data.upgrade || negotiated.data;
+      if (params.version !== CryptoUtils.HASH_VERSIONS.PBKDF2_SHA256) {
+        return {
+          success: false,
+          message: '服务器暂不支持安全的密码加密，请稍后再试'
+        };
+      }
+      const passwordHash = await CryptoUtils.hashWithParams(username, password, params);
+      
+      const response = await apiClient.post('/api/auth/password/reset', {
+        token,
+        passwordHash,
+        hashVersion: params.version,
+        ...(params.salt && { salt: params.salt, iterations: params.iterations })
+      });
+      
+      if (response.data.success) {
+        // 旧密码签发的令牌已失效，清除本机保存的该账号会话
+        if (CookieUtils.getActiveUser() === username) {
+          CookieUtils.clearActiveUser();
+          clearAuthToken();
+        }
+        CookieUtils.deleteUserToken(username);
+      }
+      
+      return response.data;
+    } catch (error) {
+      console.error('Reset Password API Error:', error);
+      return failure(error, '重置密码失败，请检查网络连接');
+    }
   },
 
+  // ==================== 邮箱验证接口 ====================
 
-  
   /**
-   * 获取学科数据接口
-   * @returns {Promise<Object>} 学科数据响应
+   * 重新发送验证邮件接口（当前登录账号）
+   * @returns {Promise<Object>} 发送响应
    * 
-   * 后端API接口：GET /api/subjects
+   * 后端API接口：POST /api/auth/email/resend
+   * 请求头：Authorization: Bearer {token}
+   * 请求体：{ verifyUrl: string }
+   * 响应格式：{ success: boolean, message?: string }
+   */
+  resendVerificationEmail: async () => {
+    try {
+      const response = await apiClient.post('/api/auth/email/resend', {
+        verifyUrl: getVerifyUrl()
+      });
+      
+      return response.data;
+    } catch (error) {
+      console.error('Resend Verification Email API Error:', error);
+      return failure(error, '发送验证邮件失败，请检查网络连接');
+    }
+  },
+
+  /**
+   * 验证邮箱接口
+   * 成功后同步更新本机保存的该账号数据
+   * @param {string} token - 验证链接中的令牌
+   * @returns {Promise<Object>} 验证响应
+   * 
+   * 后端API接口：POST /api/auth/email/verify
+   * 请求体：{ token: string }
+   * 响应格式：{ success: boolean, data?: { username: string, email: string, emailVerified: true }, message?: string }
+   */
+  verifyEmail: async (token) => {
+    try {
+      const response = await apiClient.post('/api/auth/email/verify', { token });
+      
+      if (response.data.success && response.data.data?.username) {
+        CookieUtils.updateUserData(response.data.data.username, { emailVerified: true });
+      }
+      
+      return response.data;
+    } catch (error) {
+      console.error('Verify Email API Error:', error);
+      return failure(error, '验证链接无效或已过期');
+    }
+  },
+
+  // ==================== 两步验证接口 ====================
+
+  /**
+   * 完成两步验证登录接口
+   * @param {string} challengeToken - login 返回的挑战令牌
+   * @param {string} code - 验证器中的6位验证码，或一次性恢复码
+   * @param {Object} [options]
+   * @param {boolean} [options.recovery=false] - code 是否为恢复码
+   * @param {boolean} [options.trustDevice=false] - 是否信任此设备30天
+   * @returns {Promise<Object>} 登录响应，格式同 login
+   *
+   * 后端API接口：POST /api/auth/2fa/verify
+   * 请求体：{ challengeToken: string, code?: string, recoveryCode?: string, trustDevice: boolean }
    * 响应格式：{
    *   success: boolean,
-   *   data: {
-   *     [subjectKey]: {
-   *       name: string,
-   *       icon: string,
-   *       topics: Array<{
-   *         id: string,
-   *         name: string,
-   *         papers: number,
-   *         lastUpdated: string
-   *       }>
-   *     }
-   *   }
+   *   data?: {
+   *     ...login 返回的用户数据,
+   *     trustedDeviceToken?: string,     // trustDevice 为 true 时签发，有效期30天
+   *     recoveryCodesRemaining?: number  // 使用恢复码登录时返回
+   *   },
+   *   message?: string
    * }
    */
-  getSubjects: async () => {
-    await new Promise(resolve => setTimeout(resolve, 800));
-    return {
-      success: true,
-      data: subjectsData  // 后端需要从数据库获取真实的学科数据
-    };
+  verifyTwoFactor: async (challengeToken, code, { recovery = false, trustDevice = false } = {}) => {
+    const value = String(code || '').replace(/\s+/g, '');
+    if (!value) {
+      return {
+        success: false,
+        message: recovery ? '请输入恢复码' : '请输入验证码'
+      };
+    }
+
+    try {
+      const response = await apiClient.post('/api/auth/2fa/verify', {
+        challengeToken,
+        ...(recovery ? { recoveryCode: value } : { code: value }),
+        trustDevice
+      });
+
+      if (response.data.success && response.data.data) {
+        const { recoveryCodesRemaining, ...data } = response.data.data;
+        const result = acceptLogin(data);
+        return recoveryCodesRemaining === undefined ? result : { ...result, recoveryCodesRemaining };
+      }
+
+      return response.data;
+    } catch (error) {
+      console.error('Verify Two Factor API Error:', error);
+      return failure(error, '两步验证失败，请检查网络连接');
+    }
   },
-  
+
   /**
-   * 搜索试卷接口
-   * @param {string} query - 搜索关键词
-   * @returns {Promise<Object>} 搜索结果
-   * 
-   * 后端API接口：GET /api/papers/search?q={query}
+   * 获取当前账号的两步验证状态接口
+   * @returns {Promise<Object>} 状态响应
+   *
+   * 后端API接口：GET /api/auth/2fa
+   * 请求头：Authorization: Bearer {token}
    * 响应格式：{
    *   success: boolean,
-   *   data: Array<{
-   *     id: string,
-   *     title: string,
-   *     subject: string,
-   *     year: string,
-   *     session: string,
-   *     paperNumber: number
-   *   }>
+   *   data?: {
+   *     enabled: boolean,
+   *     required: boolean,              // 管理员账号必须启用
+   *     recoveryCodesRemaining?: number
+   *   },
+   *   message?: string
    * }
    */
-  searchPapers: async (query) => {
-    await new Promise(resolve => setTimeout(resolve, 600));
-    return {
-      success: true,
-      data: []  // 后端需要实现真实的搜索逻辑
-    };
+  getTwoFactorStatus: async () => {
+    try {
+      const response = await apiClient.get('/api/auth/2fa');
+
+      return response.data;
+    } catch (error) {
+      console.error('Get Two Factor Status API Error:', error);
+      return failure(error, '获取两步验证状态失败，请检查网络连接');
+    }
+  },
+
+  /**
+   * 开始设置两步验证接口
+   * 生成新的密钥，在 enableTwoFactor 确认前不生效
+   * @returns {Promise<Object>} 设置响应
+   *
+   * 后端API接口：POST /api/auth/2fa/setup
+   * 请求头：Authorization: Bearer {token}
+   * 响应格式：{
+   *   success: boolean,
+   *   data?: {
+   *     secret: string,      // Base32密钥，供手动输入
+   *     otpauthUri: string,  // otpauth://totp/TimeDay:{username}?secret=...&issuer=TimeDay
+   *     qrCode?: string      // otpauthUri 的二维码图片（data URL）
+   *   },
+   *   message?: string
+   * }
+   */
+  setupTwoFactor: async () => {
+    try {
+      const response = await apiClient.post('/api/auth/2fa/setup');
+
+      return response.data;
+    } catch (error) {
+      console.error('Setup Two Factor API Error:', error);
+      return failure(error, '获取两步验证密钥失败，请检查网络连接');
+    }
+  },
+
+  /**
+   * 启用两步验证接口
+   * 用验证器生成的验证码确认密钥；成功后同步更新本机保存的账号数据
+   * @param {string} code - 6位验证码
+   * @returns {Promise<Object>} 启用响应
+   *
+   * 后端API接口：POST /api/auth/2fa/enable
+   * 请求头：Authorization: Bearer {token}
+   * 请求体：{ code: string }
+   * 响应格式：{ success: boolean, data?: { recoveryCodes: string[] }, message?: string } // 恢复码仅返回这一次
+   */
+  enableTwoFactor: async (code) => {
+    try {
+      const response = await apiClient.post('/api/auth/2fa/enable', {
+        code: String(code || '').replace(/\s+/g, '')
+      });
+
+      if (response.data.success) {
+        CookieUtils.updateUserData(CookieUtils.getActiveUser(), { twoFactorEnabled: true });
+      }
+
+      return response.data;
+    } catch (error) {
+      console.error('Enable Two Factor API Error:', error);
+      return failure(error, '启用两步验证失败，请检查网络连接');
+    }
+  },
+
+  /**
+   * 重新生成恢复码接口（旧的恢复码全部失效）
+   * @param {string} code - 6位验证码
+   * @returns {Promise<Object>} 响应
+   *
+   * 后端API接口：POST /api/auth/2fa/recovery-codes
+   * 请求头：Authorization: Bearer {token}
+   * 请求体：{ code: string }
+   * 响应格式：{ success: boolean, data?: { recoveryCodes: string[] }, message?: string }
+   */
+  regenerateRecoveryCodes: async (code) => {
+    try {
+      const response = await apiClient.post('/api/auth/2fa/recovery-codes', {
+        code: String(code || '').replace(/\s+/g, '')
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Regenerate Recovery Codes API Error:', error);
+      return failure(error, '生成恢复码失败，请检查网络连接');
+    }
   },
 
-  // ==================== 第三方登录接口预留 ====================
+  /**
+   * 停用两步验证接口
+   * 管理员账号不能停用（后端同样应拒绝）；成功后清除本机对该账号的设备信任
+   * @param {string} code - 6位验证码
+   * @returns {Promise<Object>} 停用响应
+   *
+   * 后端API接口：POST /api/auth/2fa/disable
+   * 请求头：Authorization: Bearer {token}
+   * 请求体：{ code: string }
+   * 响应格式：{ success: boolean, message?: string }
+   */
+  disableTwoFactor: async (code) => {
+    const username = CookieUtils.getActiveUser();
+    if (UserUtils.requiresTwoFactor(CookieUtils.getUserData(username))) {
+      return {
+        success: false,
+        message: '管理员账号必须启用两步验证'
+      };
+    }
+
+    try {
+      const response = await apiClient.post('/api/auth/2fa/disable', {
+        code: String(code || '').replace(/\s+/g, '')
+      });
+
+      if (response.data.success) {
+        CookieUtils.updateUserData(username, { twoFactorEnabled: false });
+        CookieUtils.deleteTrustedDevice(username);
+      }
+
+      return response.data;
+    } catch (error) {
+      console.error('Disable Two Factor API Error:', error);
+      return failure(error, '停用两步验证失败，请检查网络连接');
+    }
+  },
+
+  // ==================== 通行密钥接口 ====================
+
+  /**
+   * 为当前账号添加通行密钥
+   * @param {string} name - 通行密钥名称（便于在设置中区分设备）
+   * @returns {Promise<Object>} 添加响应
+   *
+   * 后端API接口：
+   * 1. POST /api/auth/webauthn/register/options
+   *    请求头：Authorization: Bearer {token}
+   *    响应格式：{ success: boolean, data?: PublicKeyCredentialCreationOptions（二进制字段为base64url） }
+   * 2. POST /api/auth/webauthn/register/verify
+   *    请求头：Authorization: Bearer {token}
+   *    请求体：{ name: string, credential: WebAuthnUtils.serializeAttestation 的结果 }
+   *    响应格式：{ success: boolean, data?: { id: string, name: string, createdAt: string }, message?: string }
+   */
+  registerPasskey: async (name) => {
+    if (!WebAuthnUtils.isSupported()) {
+      return {
+        success: false,
+        message: '当前浏览器不支持通行密钥'
+      };
+    }
+
+    try {
+      const optionsResponse = await apiClient.post('/api/auth/webauthn/register/options');
+      if (!optionsResponse.data.success) {
+        return optionsResponse.data;
+      }
+
+      const credential = await navigator.credentials.create({
+        publicKey: WebAuthnUtils.toCreationOptions(optionsResponse.data.data)
+      });
 
+      const response = await apiClient.post('/api/auth/webauthn/register/verify', {
+        name: String(name || '').trim() || 'Passkey',
+        credential: WebAuthnUtils.serializeAttestation(credential)
+      });
+
+      if (response.data.success) {
+        CookieUtils.updateUserData(CookieUtils.getActiveUser(), { hasPasskey: true });
+      }
+
+      return response.data;
+    } catch (error) {
+      console.error('Register Passkey API Error:', error);
+      return {
+        ...failure(error),
+        message: getPasskeyErrorMessage(error, '添加通行密钥失败，请检查网络连接')
+      };
+    }
+  },
+
+  /**
+   * 使用通行密钥登录
+   * 通行密钥本身包含用户验证，成功后不再要求两步验证
+   * @param {string} username - 账号（账号选择页中的用户卡片）
+   * @returns {Promise<Object>} 登录响应，格式同 login
+   *
+   * 后端API接口：
+   * 1. POST /api/auth/webauthn/login/options
+   *    请求体：{ username: string }
+   *    响应格式：{ success: boolean, data?: PublicKeyCredentialRequestOptions（二进制字段为base64url） }
+   * 2. POST /api/auth/webauthn/login/verify
+   *    请求体：{ credential: WebAuthnUtils.serializeAssertion 的结果 }
+   *    响应格式：同 POST /api/auth/login 的成功响应
+   */
+  loginWithPasskey: async (username) => {
+    if (!WebAuthnUtils.isSupported()) {
+      return {
+        success: false,
+        message: '当前浏览器不支持通行密钥'
+      };
+    }
+
+    try {
+      const optionsResponse = await apiClient.post('/api/auth/webauthn/login/options', { username });
+      if (!optionsResponse.data.success) {
+        return optionsResponse.data;
+      }
+
+      const credential = await navigator.credentials.get({
+        publicKey: WebAuthnUtils.toRequestOptions(optionsResponse.data.data)
+      });
+
+      const response = await apiClient.post('/api/auth/webauthn/login/verify', {
+        credential: WebAuthnUtils.serializeAssertion(credential)
+      });
+
+      if (response.data.success && response.data.data) {
+        return acceptLogin(response.data.data);
+      }
+
+      return response.data;
+    } catch (error) {
+      console.error('Passkey Login API Error:', error);
+      return {
+        ...failure(error),
+        message: getPasskeyErrorMessage(error, '通行密钥登录失败，请检查网络连接')
+      };
+    }
+  },
+
+  /**
+   * 获取当前账号的通行密钥列表
+   * @returns {Promise<Object>} 列表响应
+   *
+   * 后端API接口：GET /api/auth/webauthn/credentials
+   * 请求头：Authorization: Bearer {token}
+   * 响应格式：{ success: boolean, data?: Array<{ id: string, name: string, createdAt: string, lastUsedAt?: string }> }
+   */
+  getPasskeys: async () => {
+    try {
+      const response = await apiClient.get('/api/auth/webauthn/credentials');
+
+      return response.data;
+    } catch (error) {
+      console.error('Get Passkeys API Error:', error);
+      return failure(error, '获取通行密钥失败，请检查网络连接');
+    }
+  },
+
+  /**
+   * 删除通行密钥
+   * @param {string} credentialId - 凭据ID
+   * @returns {Promise<Object>} 删除响应
+   *
+   * 后端API接口：DELETE /api/auth/webauthn/credentials/{credentialId}
+   * 请求头：Authorization: Bearer {token}
+   * 响应格式：{ success: boolean, data?: { remaining: number }, message?: string }
+   */
+  deletePasskey: async (credentialId) => {
+    try {
+      const response = await apiClient.delete(`/api/auth/webauthn/credentials/${encodeURIComponent(credentialId)}`);
+
+      if (response.data.success && response.data.data?.remaining === 0) {
+        CookieUtils.updateUserData(CookieUtils.getActiveUser(), { hasPasskey: false });
+      }
+
+      return response.data;
+    } catch (error) {
+      console.error('Delete Passkey API Error:', error);
+      return failure(error, '删除通行密钥失败，请检查网络连接');
+    }
+  },
+
+
+  
+  /**
+   * 获取学科数据接口
+   * @param {Object} [options] - 选项
+   * @param {AbortSignal} [options.signal] - 取消请求，取消后返回的 error.type 为 'cancelled'
+   * @param {Function} [options.onUpdate] - 返回的是过期缓存时，后台刷新得到新数据后调用，参数与返回值格式相同
+   * @returns {Promise<Object>} 学科数据响应
+   * 
+   * 后端API接口：GET /api/subjects
+   * 响应格式：{
+   *   success: boolean,
+   *   data: {
+   *     [subjectKey]: {
+   *       name: string,
+   *       icon: string,
+   *       topics: Array<{
+   *         id: string,
+   *         name: string,
+   *         papers: number,
+   *         lastUpdated: string
+   *       }>
+   *     }
+   *   }
+   * }
+   */
+  getSubjects: async ({ signal, onUpdate } = {}) => {
+    try {
+      return await cachedGet('subjects', '/api/subjects', { signal, onUpdate });
+    } catch (error) {
+      logApiError('Get Subjects API Error:', error);
+      return failure(error, '获取学科数据失败，请检查网络连接');
+    }
+  },
+  
+  /**
+   * 获取课程试卷列表接口
+   * @param {string} topicId - 课程代码，如 9702
+   * @param {Object} filters - 筛选条件
+   * @param {string} [filters.year] - 年份，如 2023
+   * @param {string} [filters.session] - 考试季代码：m(Feb/March) | s(May/June) | w(Oct/Nov)
+   * @param {number} [filters.paperNumber] - 试卷编号，如 4
+   * @param {number} [filters.variant] - 变体编号，如 2
+   * @param {number} [filters.page] - 页码（从1开始）
+   * @param {number} [filters.pageSize] - 每页数量
+   * @param {Object} [options] - 选项
+   * @param {AbortSignal} [options.signal] - 取消请求，取消后返回的 error.type 为 'cancelled'
+   * @param {Function} [options.onUpdate] - 返回的是过期缓存时，后台刷新得到新数据后调用，参数与返回值格式相同
+   * @returns {Promise<Object>} 试卷列表响应，离线时为已离线保存的试卷（offline 为 true）
+   *
+   * 后端API接口：GET /api/topics/:id/papers?year=&session=&paperNumber=&variant=&page=&pageSize=
+   * 响应格式：{
+   *   success: boolean,
+   *   data: {
+   *     papers: Array<{
+   *       id: string,          // 试卷ID，如 9702_s23_qp_42
+   *       topicId: string,
+   *       title: string,
+   *       year: string,
+   *       session: string,     // m | s | w
+   *       paperNumber: number,
+   *       variant: number,
+   *       type: string,        // qp
+   *       duration: number,    // 考试时长（分钟）
+   *       fileUrl: string,     // 试卷文件地址
+   *       documents: {         // 配套文档，没有的类型省略
+   *         ms?: { id: string, fileUrl: string },  // 评分标准 Mark Scheme
+   *         er?: { id: string, fileUrl: string },  // 考官报告 Examiner Report
+   *         in?: { id: string, fileUrl: string },  // 插页 Insert
+   *         gt?: { id: string, fileUrl: string }   // 等级分数线 Grade Thresholds
+   *       }
+   *     }>,
+   *     total: number,         // 筛选后的总数
+   *     page: number,
+   *     pageSize: number,
+   *     facets?: {             // 该课程所有可选的筛选项（不受当前筛选影响）
+   *       years: string[],
+   *       sessions: string[],
+   *       paperNumbers: number[],
+   *       variants: number[]
+   *     }
+   *   }
+   * }
+   */
+  getPapers: async (topicId, filters = {}, { signal, onUpdate } = {}) => {
+    try {
+      // 只发送有值的筛选参数
+      const params = Object.fromEntries(
+        Object.entries({
+          year: filters.year,
+          session: filters.session,
+          paperNumber: filters.paperNumber,
+          variant: filters.variant,
+          page: filters.page || 1,
+          pageSize: filters.pageSize
+        }).filter(([, value]) => value !== undefined && value !== null && value !== '')
+      );
+
+      /**
+       * 统一试卷列表响应格式
+       * @param {Object} body - 响应体
+       * @returns {Object} 试卷列表响应
+       */
+      const normalize = (body) => {
+        if (!body.success || !body.data) return body;
+
+        const data = body.data;
+        // 兼容直接返回数组的后端实现
+        const papers = Array.isArray(data) ? data : (data.papers || []);
+
+        return {
+          success: true,
+          data: {
+            papers,
+            total: Array.isArray(data) ? papers.length : (data.total ?? papers.length),
+            page: data.page || params.page,
+            pageSize: data.pageSize || params.pageSize || papers.length,
+            facets: data.facets || null
+          }
+        };
+      };
+
+      const body = await cachedGet('papers', `/api/topics/${encodeURIComponent(topicId)}/papers`, {
+        params,
+        signal,
+        onUpdate: onUpdate && (updated => onUpdate(normalize(updated)))
+      });
+      return normalize(body);
+    } catch (error) {
+      // 离线时显示该课程已离线保存的试卷，在本地筛选和分页
+      const offlinePapers = isOfflineError(error) ? OfflineStore.getTopicPapers(topicId) : [];
+      if (offlinePapers.length > 0) {
+        const papers = PaperUtils.filterPapers(offlinePapers, filters);
+        return {
+          success: true,
+          offline: true,
+          data: {
+            papers,
+            total: papers.length,
+            page: 1,
+            pageSize: papers.length,
+            facets: PaperUtils.deriveFilterOptions(offlinePapers)
+          }
+        };
+      }
+
+      logApiError('Get Papers API Error:', error);
+      return failure(error, '获取试卷列表失败，请检查网络连接');
+    }
+  },
+
+  /**
+   * 获取单份试卷详情接口（含配套文档）
+   * @param {string} paperId - 试卷ID，如 9702_s23_qp_42
+   * @param {Object} [options] - 选项
+   * @param {AbortSignal} [options.signal] - 取消请求，取消后返回的 error.type 为 'cancelled'
+   * @param {Function} [options.onUpdate] - 返回的是过期缓存时，后台刷新得到新数据后调用，参数与返回值格式相同
+   * @returns {Promise<Object>} 试卷详情响应，离线时为离线保存的详情（offline 为 true）
+   *
+   * 后端API接口：GET /api/papers/:id
+   * 响应格式：{ success: boolean, data: Paper }  // Paper结构同getPapers
+   */
+  getPaper: async (paperId, { signal, onUpdate } = {}) => {
+    try {
+      return await cachedGet('paper', `/api/papers/${encodeURIComponent(paperId)}`, { signal, onUpdate });
+    } catch (error) {
+      const record = isOfflineError(error) ? OfflineStore.getPaperRecord(paperId) : null;
+      if (record) {
+        return { success: true, offline: true, data: record.paper };
+      }
+
+      logApiError('Get Paper API Error:', error);
+      return failure(error, '获取试卷详情失败，请检查网络连接');
+    }
+  },
+
+  /**
+   * 搜索试卷接口
+   * 前端先解析Cambridge风格的编号（9709_s23_qp_12、9702/42/M/J/23、9702 2022 Oct/Nov paper 4），
+   * 将识别出的结构化条件与原始关键词一起发送给后端
+   * @param {string} query - 搜索关键词
+   * @param {Object} options - 选项
+   * @param {number} [options.limit=10] - 最多返回条数
+   * @param {AbortSignal} [options.signal] - 取消请求，取消后返回的 error.type 为 'cancelled'
+   * @returns {Promise<Object>} 搜索结果
+   * 
+   * 后端API接口：GET /api/papers/search?q={query}&topicId=&year=&session=&type=&paperNumber=&variant=&text=&limit=
+   * 响应格式：{
+   *   success: boolean,
+   *   data: Array<{
+   *     id: string,          // 试卷ID，如 9709_s23_qp_12
+   *     title: string,
+   *     subject: string,     // 学科键名，如 mathematics
+   *     topicId: string,
+   *     year: string,
+   *     session: string,     // m | s | w
+   *     type: string,
+   *     paperNumber: number,
+   *     variant: number,
+   *     duration: number
+   *   }>
+   * }
+   */
+  searchPapers: async (query, options = {}) => {
+    const trimmed = String(query || '').trim();
+    if (!trimmed) {
+      return {
+        success: true,
+        data: []
+      };
+    }
+
+    try {
+      const parsed = PaperUtils.parseSearchQuery(trimmed);
+      const params = Object.fromEntries(
+        Object.entries({
+          q: trimmed,
+          ...parsed,
+          limit: options.limit || 10
+        }).filter(([, value]) => value !== undefined && value !== null && value !== '')
+      );
+
+      const response = await apiClient.get('/api/papers/search', { params, signal: options.signal });
+
+      if (response.data.success) {
+        return {
+          success: true,
+          data: response.data.data || []
+        };
+      }
+
+      return response.data;
+    } catch (error) {
+      logApiError('Search Papers API Error:', error);
+      return failure(error, '搜索失败，请检查网络连接');
+    }
+  },
+
+  /**
+   * 获取试卷评分信息接口（题目满分和当季分数线）
+   * @param {string} paperId - 试卷ID，如 9702_s23_qp_42
+   * @param {Object} [options] - 选项
+   * @param {AbortSignal} [options.signal] - 取消请求，取消后返回的 error.type 为 'cancelled'
+   * @param {Function} [options.onUpdate] - 返回的是过期缓存时，后台刷新得到新数据后调用，参数与返回值格式相同
+   * @returns {Promise<Object>} 评分信息响应，离线时为离线保存的评分信息（offline 为 true）
+   *
+   * 后端API接口：GET /api/papers/:id/marking
+   * 响应格式：{
+   *   success: boolean,
+   *   data: {
+   *     questions: Array<{ number: string, maxMarks: number }>,
+   *     thresholds: Array<{ grade: string, minMark: number }>,  // 该考试季该组件的分数线
+   *     maxMarks: number                                          // 分数线对应的满分
+   *   }
+   * }
+   */
+  getPaperMarking: async (paperId, { signal, onUpdate } = {}) => {
+    try {
+      return await cachedGet('marking', `/api/papers/${encodeURIComponent(paperId)}/marking`, { signal, onUpdate });
+    } catch (error) {
+      const record = isOfflineError(error) ? OfflineStore.getPaperRecord(paperId) : null;
+      if (record?.marking) {
+        return { success: true, offline: true, data: record.marking };
+      }
+
+      logApiError('Get Paper Marking API Error:', error);
+      return failure(error, '获取评分信息失败，请检查网络连接');
+    }
+  },
+
+  // ==================== 做题记录接口 ====================
+
+  /**
+   * 保存做题记录接口
+   * @param {Object} attempt - 做题记录
+   * @returns {Promise<Object>} 保存结果
+   *
+   * 后端API接口：POST /api/attempts
+   * 请求头：Authorization: Bearer {token}
+   * 请求体：{
+   *   id: string,
+   *   paperId: string,
+   *   title: string,
+   *   topicId: string,
+   *   startedAt?: string,     // 限时考试开始时间（ISO）
+   *   endedAt?: string,
+   *   elapsedMs?: number,
+   *   pauses?: Array<{ start: string, end: string }>,
+   *   score: { marks: Object, total: number, maxTotal: number, percentage: number, grade: string|null },
+   *   markedAt: string
+   * }
+   * 响应格式：{ success: boolean, data?: Attempt, message?: string }
+   */
+  saveAttempt: async (attempt) => {
+    try {
+      // 后端按记录ID覆盖保存，重复提交不会产生重复记录，失败时可安全重试
+      const response = await apiClient.post('/api/attempts', attempt, { idempotent: true });
+      return response.data;
+    } catch (error) {
+      console.error('Save Attempt API Error:', error);
+      return failure(error, '保存做题记录失败，已保存在本地');
+    }
+  },
+
+  /**
+   * 获取当前用户的做题记录接口
+   * @param {Object} filters - 筛选条件
+   * @param {string} [filters.topicId] - 课程代码
+   * @param {Object} [options] - 选项
+   * @param {AbortSignal} [options.signal] - 取消请求，取消后返回的 error.type 为 'cancelled'
+   * @returns {Promise<Object>} 做题记录列表
+   *
+   * 后端API接口：GET /api/attempts?topicId=
+   * 请求头：Authorization: Bearer {token}
+   * 响应格式：{ success: boolean, data: Attempt[] }  // 按时间倒序
+   */
+  getAttempts: async (filters = {}, { signal } = {}) => {
+    try {
+      const params = filters.topicId ? { topicId: filters.topicId } : {};
+      const response = await apiClient.get('/api/attempts', { params, signal });
+
+      if (response.data.success) {
+        return {
+          success: true,
+          data: response.data.data || []
+        };
+      }
+
+      return response.data;
+    } catch (error) {
+      logApiError('Get Attempts API Error:', error);
+      return failure(error, '获取做题记录失败，请检查网络连接');
+    }
+  },
+
+  /**
+   * 上传离线时保存在本地的做题记录（synced 为 false 的记录）
+   * 按记录ID覆盖保存，重复上传是安全的；同一时间只进行一次同步，遇到失败时停止，剩余记录留待下次
+   * @param {string} username - 当前用户名
+   * @returns {Promise<Object>} { success, data: { synced: 上传的条数, remaining: 仍未同步的条数 }, message? }
+   */
+  syncPendingAttempts: (username) => {
+    if (!attemptSync) {
+      attemptSync = (async () => {
+        const pending = HistoryUtils.getExamAttempts(username).filter(attempt => attempt.synced === false);
+        let count = 0;
+
+        for (const attempt of pending) {
+          const { synced, ...payload } = attempt;
+          const response = await ApiService.saveAttempt(payload);
+          if (!response.success) {
+            return { ...response, data: { synced: count, remaining: pending.length - count } };
+          }
+          HistoryUtils.markAttemptSynced(attempt.id);
+          count++;
+        }
+
+        return { success: true, data: { synced: count, remaining: 0 } };
+      })().finally(() => {
+        attemptSync = null;
+      });
+    }
+    return attemptSync;
+  },
+
+  // ==================== 缓存管理 ====================
+
+  /**
+   * 使学科目录、试卷列表等缓存过期，下次读取时在后台刷新
+   * @param {Object} [filter] - { endpoint: 'subjects' | 'papers' | 'paper' | 'marking', key }，不传时全部过期
+   * @returns {number} 过期的条数
+   */
+  invalidateCache: (filter) => QueryCache.invalidate(filter),
+
+  /**
+   * 清空接口缓存（切换后端后使用）
+   * @returns {Promise<void>}
+   */
+  clearCache: () => QueryCache.clear(),
+
+  // ==================== 离线试卷包 ====================
+
+  /**
+   * 把单份试卷设为离线可用：保存试卷详情、评分信息以及试卷、评分标准等全部PDF
+   * 保存后离线时 getPapers、getPaper、getPaperMarking 和文档查看器改用离线数据
+   * @param {Object} paper - 试卷 { id }
+   * @param {Object} topic - 所属课程 { id, name }
+   * @param {Object} [options] - 选项
+   * @param {AbortSignal} [options.signal] - 取消下载，取消后返回的 error.type 为 'cancelled'
+   * @returns {Promise<Object>} { success, data?: 试卷记录, message? }
+   */
+  savePaperOffline: async (paper, topic, { signal } = {}) => {
+    if (!OfflineStore.isSupported()) {
+      return { success: false, message: '当前浏览器不支持离线保存' };
+    }
+
+    const detail = await ApiService.getPaper(paper.id, { signal });
+    if (!detail.success) return detail;
+
+    // 评分信息不是必需的，没有时离线仍可查看试卷
+    const marking = await ApiService.getPaperMarking(paper.id, { signal });
+    if (!marking.success && marking.error?.type === ApiError.TYPES.CANCELLED) return marking;
+
+    try {
+      const files = [];
+      for (const doc of PaperUtils.getDocuments(detail.data)) {
+        const source = ApiService.getFileSource(doc);
+        // 共用的文件（如同一考试季的分数线）只下载一次
+        if (source && !files.some(file => file.url === source.url)) {
+          files.push({ type: doc.type, url: source.url, data: await fetchFile(source, { signal }) });
+        }
+      }
+
+      const record = await OfflineStore.savePaper({
+        topic,
+        paper: detail.data,
+        marking: marking.success ? marking.data : null,
+        files
+      });
+      return { success: true, data: record };
+    } catch (error) {
+      logApiError('Save Paper Offline Error:', error);
+      // 存储空间不足时浏览器抛出 QuotaExceededError
+      if (error?.name === 'QuotaExceededError') {
+        return { success: false, message: '设备存储空间不足，请在个人资料中删除部分离线试卷' };
+      }
+      return failure(error, '下载试卷失败，请检查网络连接');
+    }
+  },
+
+  /**
+   * 把课程的全部试卷设为离线可用（已保存的试卷跳过）
+   * 遇到失败时停止，已下载的试卷仍然保留
+   * @param {Object} topic - 课程 { id, name }
+   * @param {Object} [options] - 选项
+   * @param {AbortSignal} [options.signal] - 取消下载
+   * @param {Function} [options.onProgress] - 每完成一份试卷调用，参数为 { done, total }
+   * @returns {Promise<Object>} { success, data?: { saved: 本次下载的试卷数, total }, message? }
+   */
+  saveTopicOffline: async (topic, { signal, onProgress } = {}) => {
+    if (!OfflineStore.isSupported()) {
+      return { success: false, message: '当前浏览器不支持离线保存' };
+    }
+
+    // 取出该课程的全部试卷
+    const papers = [];
+    for (let page = 1; ; page++) {
+      const response = await ApiService.getPapers(topic.id, { page, pageSize: OFFLINE_PAGE_SIZE }, { signal });
+      if (!response.success) return response;
+      // 离线时返回的只是已保存的试卷
+      if (response.offline) return { success: false, message: '网络连接失败，请联网后再下载' };
+      papers.push(...response.data.papers);
+      if (response.data.papers.length === 0 || papers.length >= response.data.total) break;
+    }
+
+    const missing = papers.filter(paper => !OfflineStore.isPaperOffline(paper.id));
+    const total = papers.length;
+    let done = total - missing.length;
+    onProgress?.({ done, total });
+
+    for (const paper of missing) {
+      const response = await ApiService.savePaperOffline(paper, topic, { signal });
+      if (!response.success) return response;
+      done++;
+      onProgress?.({ done, total });
+    }
+
+    return { success: true, data: { saved: missing.length, total } };
+  },
+
+  // ==================== 文件接口 ====================
+
+  /**
+   * 获取文件的加载地址，供文档查看器使用
+   * 后端文件需携带认证头，前端静态示例文件直接访问
+   * @param {Object} file - 文件对象 { id, fileUrl }
+   * @returns {Object|null} { url, httpHeaders }，无可用地址时返回null
+   *
+   * 后端API接口：GET /api/files/:id/content
+   * 请求头：Authorization: Bearer {token}
+   * 响应：PDF文件流（Content-Type: application/pdf）
+   */
+  getFileSource: (file) => {
+    if (!file) return null;
+
+    const rawUrl = file.fileUrl || (file.id ? `/api/files/${encodeURIComponent(file.id)}/content` : '');
+    if (!rawUrl) return null;
+
+    if (!isApiUrl(rawUrl)) {
+      return { url: rawUrl, httpHeaders: {} };
+    }
+
+    const token = getAuthToken();
+    return {
+      url: rawUrl.startsWith('/') ? `${apiClient.defaults.baseURL}${rawUrl}` : rawUrl,
+      httpHeaders: token ? { Authorization: `Bearer ${token}` } : {}
+    };
+  },
+
+  /**
+   * 下载文件
+   * 以Blob方式获取后触发浏览器下载，保证后端文件请求携带认证头
+   * @param {Object} file - 文件对象 { id, title, fileUrl }
+   * @returns {Promise<Object>} 下载结果
+   */
+  downloadFile: async (file) => {
+    const source = ApiService.getFileSource(file);
+    if (!source) {
+      return {
+        success: false,
+        message: '该文件暂无可下载的地址'
+      };
+    }
+
+    try {
+      // 已离线保存的文件直接从本地取出
+      const blob = await OfflineStore.getFile(source.url) || await fetchFile(source);
+
+      const objectUrl = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = `${(file.title || file.id || 'document').replace(/[\\/:*?"<>|]+/g, '_')}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      // 等待浏览器开始下载后再释放
+      setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Download File API Error:', error);
+      const result = failure(error, '文件下载失败，请检查网络连接');
+      return result.error.type === ApiError.TYPES.NOT_FOUND ? { ...result, message: '文件不存在' } : result;
+    }
+  },
+
+  // ==================== 第三方登录接口 ====================
+
+  /**
+   * 发起第三方登录（或把第三方账号关联到当前账号）
+   * 只生成授权地址，不发出请求；调用方随后跳转到该地址
+   * @param {string} providerId - 提供方ID（见 OidcUtils.PROVIDERS）
+   * @param {Object} [options]
+   * @param {string} [options.mode='login'] - 'login' 登录或注册 | 'link' 关联到当前账号
+   * @param {string|null} [options.returnTo=null] - 完成后返回的站内路径
+   * @returns {Promise<Object>} { success, data?: { authorizationUrl }, message? }
+   */
+  startOidcLogin: async (providerId, { mode = 'login', returnTo = null } = {}) => {
+    const provider = OidcUtils.getProvider(providerId);
+    if (!provider) {
+      return {
+        success: false,
+        message: '不支持该登录方式'
+      };
+    }
+
+    const username = mode === 'link' ? CookieUtils.getActiveUser() : null;
+    if (mode === 'link' && !username) {
+      return {
+        success: false,
+        message: '请先登录'
+      };
+    }
+
+    try {
+      const authorizationUrl = await OidcUtils.createAuthorizationUrl(provider, { mode, username, returnTo });
+      return {
+        success: true,
+        data: { authorizationUrl }
+      };
+    } catch (error) {
+      console.error('Start OIDC Login Error:', error);
+      return {
+        success: false,
+        message: '无法发起第三方登录'
+      };
+    }
+  },
+
+  /**
+   * 完成第三方登录：校验回调中的 state，由后端用授权码换取令牌
+   * @param {string} search - 回调地址的查询字符串
+   * @returns {Promise<Object>} 回调结果，附带发起时的 mode 和 returnTo
+   * - 登录：格式同 login；需要两步验证时返回 { success: true, requires2fa: true, challengeToken, username }
+   * - 关联：{ success, data?: 关联的第三方账号列表 }
+   *
+   * 后端API接口：POST /api/auth/oidc/callback
+   * 请求头：关联时 Authorization: Bearer {token}
+   * 请求体：{
+   *   provider: string,
+   *   mode: 'login' | 'link',
+   *   code: string,
+   *   redirectUri: string,
+   *   codeVerifier?: string, // PKCE，后端换取令牌时提交给提供方
+   *   nonce?: string         // 后端需与ID令牌中的 nonce 比对
+   * }
+   * 响应格式：
+   * - 登录：同 POST /api/auth/login 的响应；第三方账号未关联且邮箱未注册时创建新账号
+   *   需要两步验证时 data 为 { requires2fa: true, challengeToken, username }
+   * - 关联：{ success: boolean, data?: Array<{ provider, email?, linkedAt }>, message?: string }
+   */
+  completeOidcLogin: async (search) => {
+    const { code, state, error } = OidcUtils.parseCallback(search);
+    const request = OidcUtils.takePendingRequest(state);
+    if (!request) {
+      return {
+        success: false,
+        message: '登录请求已失效，请重新发起第三方登录'
+      };
+    }
+
+    const { mode, returnTo } = request;
+    if (error || !code) {
+      return {
+        success: false,
+        mode,
+        returnTo,
+        message: error === 'access_denied' ? '已取消第三方登录' : '第三方登录失败，请重试'
+      };
+    }
+
+    // 关联期间切换了账号：令牌已不属于发起关联的账号
+    if (mode === 'link' && CookieUtils.getActiveUser() !== request.username) {
+      return {
+        success: false,
+        mode,
+        returnTo,
+        message: '当前账号已切换，请重新关联'
+      };
+    }
+
+    try {
+      const response = await apiClient.post('/api/auth/oidc/callback', {
+        provider: request.provider,
+        mode,
+        code,
+        redirectUri: request.redirectUri,
+        ...(request.codeVerifier && { codeVerifier: request.codeVerifier }),
+        ...(request.nonce && { nonce: request.nonce })
+      });
+
+      if (mode === 'login' && response.data.success && response.data.data?.requires2fa) {
+        return {
+          success: true,
+          mode,
+          returnTo,
+          requires2fa: true,
+          challengeToken: response.data.data.challengeToken,
+          username: response.data.data.username
+        };
+      }
+
+      if (mode === 'login' && response.data.success && response.data.data) {
+        return { ...acceptLogin(response.data.data), mode, returnTo };
+      }
+
+      return { ...response.data, mode, returnTo };
+    } catch (error) {
+      console.error('OIDC Callback API Error:', error);
+      return { ...failure(error, '第三方登录失败，请检查网络连接'), mode, returnTo };
+    }
+  },
+
+  /**
+   * 获取当前账号关联的第三方账号
+   * @returns {Promise<Object>} 列表响应
+   *
+   * 后端API接口：GET /api/auth/oidc/accounts
+   * 请求头：Authorization: Bearer {token}
+   * 响应格式：{ success: boolean, data?: Array<{ provider: string, email?: string, linkedAt: string }> }
+   */
+  getLinkedAccounts: async () => {
+    try {
+      const response = await apiClient.get('/api/auth/oidc/accounts');
+
+      return response.data;
+    } catch (error) {
+      console.error('Get Linked Accounts API Error:', error);
+      return failure(error, '获取关联账号失败，请检查网络连接');
+    }
+  },
+
+  /**
+   * 取消关联第三方账号
+   * 后端应拒绝移除账号唯一的登录方式（无密码、无通行密钥时的最后一个关联）
+   * @param {string} providerId - 提供方ID
+   * @returns {Promise<Object>} 取消关联响应
+   *
+   * 后端API接口：DELETE /api/auth/oidc/accounts/{providerId}
+   * 请求头：Authorization: Bearer {token}
+   * 响应格式：{ success: boolean, data?: 剩余的关联账号列表, message?: string }
+   */
+  unlinkOidcAccount: async (providerId) => {
+    try {
+      const response = await apiClient.delete(`/api/auth/oidc/accounts/${encodeURIComponent(providerId)}`);
+
+      return response.data;
+    } catch (error) {
+      console.error('Unlink OIDC Account API Error:', error);
+      return failure(error, '取消关联失败，请检查网络连接');
+    }
+  },
+
+  // ==================== 空闲锁屏策略接口 ====================
+
+  /**
+   * 获取全校空闲锁屏策略，成功时缓存在本设备（锁屏后离线或刷新页面也能使用）
+   * @returns {Promise<Object>} 策略响应
+   *
+   * 后端API接口：GET /api/settings/session-policy
+   * 请求头：Authorization: Bearer {token}
+   * 响应格式：{ success: boolean, data?: { lockMinutes: number, signOutMinutes: number, updatedAt?: string, updatedBy?: string } }
+   */
+  getSessionPolicy: async () => {
+    try {
+      const response = await apiClient.get('/api/settings/session-policy');
+
+      if (response.data.success && response.data.data) {
+        SessionPolicy.setCached(response.data.data);
+      }
+
+      return response.data;
+    } catch (error) {
+      console.error('Get Session Policy API Error:', error);
+      return failure(error, '获取锁屏策略失败，请检查网络连接');
+    }
+  },
+
+  /**
+   * 修改全校空闲锁屏策略（仅管理员）
+   * @param {Object} policy - { lockMinutes, signOutMinutes }，0 表示不启用
+   * @returns {Promise<Object>} 修改响应
+   *
+   * 后端API接口：PUT /api/admin/session-policy
+   * 请求头：Authorization: Bearer {token}
+   * 请求体：{ lockMinutes: number, signOutMinutes: number }
+   * 响应格式：同 GET /api/settings/session-policy；非管理员返回403
+   */
+  updateSessionPolicy: async (policy) => {
+    const validationError = SessionPolicy.validate(policy);
+    if (validationError) {
+      return {
+        success: false,
+        message: validationError
+      };
+    }
+
+    try {
+      const response = await apiClient.put('/api/admin/session-policy', policy);
+
+      if (response.data.success && response.data.data) {
+        SessionPolicy.setCached(response.data.data);
+      }
+
+      return response.data;
+    } catch (error) {
+      console.error('Update Session Policy API Error:', error);
+      return failure(error, '保存锁屏策略失败，请检查网络连接');
+    }
+  }
 };
\ No newline at end of file
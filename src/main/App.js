@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 //===================== 样式 =======================
 import './App.css';
 // ==================== 工具函数 ====================
@@ -8,24 +8,70 @@ import {
   debounce, 
   throttle, 
   globalVisibilityManager, 
-  globalAnimationManager 
+  globalAnimationManager,
+  globalIdleManager,
+  formatDuration as formatElapsed
 } from '../utils/performanceUtils';
 import { safeLocalStorage } from '../utils/storageUtils.js';
 import { autoMigrate } from '../utils/migrationScript.js';
 import { IdUtils } from '../utils/IdUtils';
 import UserUtils from '../utils/UserUtils';
+import ExamUtils from '../utils/ExamUtils.js';
+import RouteUtils from '../utils/RouteUtils.js';
+import PaperUtils from '../utils/PaperUtils.js';
+import OidcUtils from '../utils/OidcUtils.js';
+import SessionBus from '../utils/SessionBus.js';
+import SessionPolicy from '../utils/SessionPolicy.js';
+import MockMode from '../utils/MockMode.js';
 // ==================== 组件 ====================
 import Login from './Login.js';
 import UserProfile from './Profile.js';
+import PapersView from './PapersView.js';
+import GlobalSearch from './GlobalSearch.js';
+import PaperPreview from './PaperPreview.js';
+import DocumentViewer from './DocumentViewer.js';
+import Breadcrumb from './Breadcrumb.js';
+import ReloginModal from './ReloginModal.js';
+import LockScreen from './LockScreen.js';
+import PasswordReset from './PasswordReset.js';
+import EmailVerification from './EmailVerification.js';
+import EmailVerificationBanner from './EmailVerificationBanner.js';
+import TwoFactorRequiredModal from './TwoFactorRequiredModal.js';
+import OidcCallback from './OidcCallback.js';
+import MockOidcAuthorize from './MockOidcAuthorize.js';
+import MockModeToggle from './MockModeToggle.js';
+import QueryCacheDevtools from './QueryCacheDevtools.js';
 
 
 // ==================== 模拟数据 ====================
-import { subjectsData, userTestData } from './mockData.js';
+import { subjectsData as bundledSubjects, userTestData } from './mockData.js';
 
 
 
 // ==================== 主组件 ====================
 
+// 通过邮件链接或第三方登录回调直接打开的页面：路由名称 -> 页面状态（打开时不自动登录）
+const LANDING_PAGES = {
+  reset: 'reset',
+  verifyEmail: 'verify',
+  oidcCallback: 'oidc',
+  ...(OidcUtils.isMock() && { mockOidcAuthorize: 'mockOidc' })
+};
+
+/**
+ * 读取上次使用的账号（本地令牌未过期、用户数据完整）
+ * 启动时直接进入该账号，不等待令牌验证
+ * @returns {Object|null} 用户数据
+ */
+const getLastActiveUser = () => {
+  const username = CookieUtils.getActiveUser();
+  if (!username || !CookieUtils.getUserToken(username)) return null;
+
+  const userData = CookieUtils.getUserData(username);
+  if (UserUtils.needsMigration(userData) || !UserUtils.validateUserData(userData)) return null;
+  return userData;
+};
+
 /**
  * App主组件
  * 管理整个应用的状态和路由
@@ -35,15 +81,30 @@ function App() {
 
   /**
    * 当前页面状态
-   * 可能的值：'welcome', 'login', 'signup', 'main'
+   * 可能的值：'welcome', 'login', 'signup', 'forgot', 'reset', 'verify', 'oidc', 'mockOidc', 'main'
+   * 通过邮件链接或第三方登录回调打开时直接进入对应页面（见 LANDING_PAGES）
    */
-  const [currentPage, setCurrentPage] = useState('login');
+  const [currentPage, setCurrentPage] = useState(() => (
+    LANDING_PAGES[RouteUtils.match(RouteUtils.getCurrentPath()).name] || (getLastActiveUser() ? 'main' : 'login')
+  ));
 
   /**
    * 用户信息状态
    * 结构：{ username: string, id: string, isAdmin: boolean, email: string, token: string }
+   * 启动时先使用上次的账号，令牌验证在后台进行（见 checkCookieAndSession）
+   */
+  const [user, setUser] = useState(() => (currentPage === 'main' ? getLastActiveUser() : null));
+
+  /**
+   * 学科目录
+   * 先使用内置数据，进入主页面后从后端获取（GET /api/subjects）
+   */
+  const [subjectsData, setSubjectsData] = useState(bundledSubjects);
+
+  /**
+   * 是否已向后端获取过学科目录（无论成功与否），之前地址中找不到的学科、课程可能只是尚未加载
    */
-  const [user, setUser] = useState(null);
+  const [subjectsLoaded, setSubjectsLoaded] = useState(false);
 
   /**
    * 选中的学科
@@ -71,6 +132,52 @@ function App() {
    */
   const [viewingFile, setViewingFile] = useState(null);
   
+  /**
+   * 弹窗中查看的文档（教科书、教学大纲）
+   */
+  const [viewingDocument, setViewingDocument] = useState(null);
+  
+  /**
+   * 笔记本中选中的笔记ID
+   */
+  const [selectedNoteId, setSelectedNoteId] = useState(null);
+  
+  /**
+   * 刚复制了分享链接的笔记ID
+   */
+  const [copiedNoteId, setCopiedNoteId] = useState(null);
+  
+  /**
+   * 路由同步状态
+   * 登录前保留初始地址，进入主页面并恢复地址对应的页面后，才开始将状态写入地址栏
+   */
+  const [routeReady, setRouteReady] = useState(false);
+  const routeSyncRef = useRef(false);
+  const initialPathRef = useRef(RouteUtils.getCurrentPath());
+  // 等待学科目录加载后再恢复的地址（其中的学科或课程不在已有目录中）
+  const pendingRouteRef = useRef(null);
+  
+  /**
+   * 会话失效（令牌刷新失败）的账号，非空时显示重新登录弹窗
+   */
+  const [expiredSessionUser, setExpiredSessionUser] = useState(null);
+  
+  /**
+   * 本设备账号列表的版本，其他标签页移除账号后递增，重新加载登录页的账号选择
+   */
+  const [accountsVersion, setAccountsVersion] = useState(0);
+  
+  /**
+   * 空闲锁屏：是否已锁屏，以及全校策略（先使用本设备缓存，进入主页面后从后端更新）
+   */
+  const [locked, setLocked] = useState(false);
+  const [sessionPolicy, setSessionPolicy] = useState(() => SessionPolicy.getCached());
+
+  /**
+   * 浏览器是否联网（离线时显示提示，可继续使用离线保存的试卷）
+   */
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false);
+  
   /**
    * 是否显示文件预览
    */
@@ -133,6 +240,134 @@ function App() {
   
   // 已合并到上面的useEffect中，避免重复
 
+  /**
+   * 监听会话失效，在应用内弹出重新登录，而不是跳转离开当前页面
+   */
+  useEffect(() => ApiService.onSessionExpired(setExpiredSessionUser), []);
+
+  /**
+   * 跨标签页会话同步：其他标签页登录、退出、切换账号、刷新令牌、切换主题或修改资料后同步到本标签页
+   * 使用ref保存最新的处理函数，订阅只建立一次
+   */
+  const sessionMessageRef = useRef(null);
+  sessionMessageRef.current = ({ type, payload }) => {
+    const { EVENTS } = SessionBus;
+
+    if (type === EVENTS.THEME) {
+      applyTheme(payload.theme);
+      return;
+    }
+
+    if (type === EVENTS.PROFILE) {
+      if (payload.profile) {
+        setUserProfile(payload.profile);
+      }
+      if (payload.avatar) {
+        setUserAvatar(safeLocalStorage.get('userAvatar'));
+      }
+      if (payload.username && payload.username === user?.username) {
+        const userData = CookieUtils.getUserData(payload.username);
+        if (userData) {
+          setUser(prev => ({ ...prev, ...userData }));
+        }
+      }
+      return;
+    }
+
+    // 邮件链接、第三方登录回调页面不跟随其他标签页切换账号
+    if (Object.values(LANDING_PAGES).includes(currentPage)) return;
+
+    // 其他标签页已重新登录或刷新了令牌：关闭重新登录弹窗，重放等待中的请求
+    const recovered = type === EVENTS.LOGIN || (type === EVENTS.TOKEN_REFRESH && payload.username === expiredSessionUser);
+    if (expiredSessionUser && recovered) {
+      ApiService.resumeSession();
+      setExpiredSessionUser(null);
+    }
+
+    if (type === EVENTS.LOGIN) {
+      const userData = CookieUtils.getUserData(payload.username);
+      if (!userData) return;
+
+      // 换成其他账号时回到首页，不保留上一个账号的页面
+      if (currentPage === 'main' && user?.username !== payload.username) {
+        safeLocalStorage.remove('userHistory');
+        RouteUtils.navigate(RouteUtils.ROUTES.home, { replace: true });
+        applyRouteRef.current(RouteUtils.ROUTES.home);
+      }
+      setUser(userData);
+      setCurrentPage('main');
+      setLocked(SessionPolicy.isLocked(payload.username));
+      return;
+    }
+
+    if ((type === EVENTS.LOCK || type === EVENTS.UNLOCK) && currentPage === 'main' && user?.username === payload.username) {
+      if (type === EVENTS.UNLOCK) {
+        globalIdleManager.reset();
+      }
+      setLocked(type === EVENTS.LOCK);
+      return;
+    }
+
+    if (type === EVENTS.SWITCH || type === EVENTS.LOGOUT) {
+      if (currentPage === 'main' && user?.username === payload.username) {
+        ApiService.abandonSession();
+        setExpiredSessionUser(null);
+        leaveSession();
+      } else if (currentPage !== 'main') {
+        setAccountsVersion(version => version + 1);
+      }
+    }
+  };
+
+  useEffect(() => SessionBus.subscribe(message => sessionMessageRef.current(message)), []);
+
+  /**
+   * 空闲锁屏：进入主页面后开始检测，按策略锁屏或自动退出登录
+   * 刷新页面或新开标签页时恢复锁屏，自动退出时间从锁屏前的最后一次活动开始计算
+   */
+  const idleStageRef = useRef(null);
+  idleStageRef.current = (stage) => {
+    if (!user) return;
+    if (stage === 'lock') {
+      lockScreen();
+    } else if (stage === 'signOut') {
+      handleIdleSignOut();
+    }
+  };
+
+  const activeUsername = user?.username;
+  useEffect(() => {
+    if (currentPage !== 'main' || !activeUsername) return;
+
+    const lock = SessionPolicy.getLock();
+    const restoring = lock?.username === activeUsername;
+    setLocked(restoring);
+    globalIdleManager.start(
+      SessionPolicy.getStages(SessionPolicy.getCached()),
+      stage => idleStageRef.current(stage),
+      restoring ? lock.idleSince : undefined
+    );
+
+    let ignore = false;
+    ApiService.getSessionPolicy().then(response => {
+      if (!ignore && response.success) {
+        setSessionPolicy(SessionPolicy.normalize(response.data));
+      }
+    });
+
+    return () => {
+      ignore = true;
+      globalIdleManager.stop();
+    };
+  }, [currentPage, activeUsername]);
+
+  /**
+   * 策略变化时更新空闲检测，不重新计时
+   */
+  useEffect(() => {
+    globalIdleManager.setStages(SessionPolicy.getStages(sessionPolicy));
+  }, [sessionPolicy]);
+
   /**
    * 应用初始化
    * 优化：合并所有初始化逻辑，减少effect数量
@@ -147,12 +382,61 @@ function App() {
       setUserAvatar(savedAvatar);
     }
     
-    // 初始化其他数据
-    checkCookieAndSession();
+    // 初始化其他数据（邮件链接页面不自动登录）
+    if (!LANDING_PAGES[RouteUtils.match(initialPathRef.current).name]) {
+      checkCookieAndSession(getLastActiveUser()?.username);
+    }
     loadBrowsingHistory();
     initializeTheme();
   }, []);
 
+  /**
+   * 进入主页面时获取学科目录，获取失败时继续使用已有数据
+   */
+  useEffect(() => {
+    if (currentPage !== 'main') return;
+
+    const controller = new AbortController();
+    const applySubjects = (response) => {
+      if (!controller.signal.aborted && response.success && response.data) {
+        setSubjectsData(response.data);
+      }
+    };
+    // 先显示缓存的目录，后台刷新得到新数据时再更新
+    ApiService.getSubjects({ signal: controller.signal, onUpdate: applySubjects }).then(response => {
+      applySubjects(response);
+      if (!controller.signal.aborted) {
+        setSubjectsLoaded(true);
+      }
+    });
+
+    return () => controller.abort();
+  }, [currentPage]);
+
+  /**
+   * 跟踪联网状态
+   */
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  /**
+   * 进入主页面和重新联网时上传离线期间保存在本地的做题记录
+   */
+  useEffect(() => {
+    if (currentPage !== 'main' || !activeUsername || !isOnline) return;
+
+    // 失败的记录保留在本地，下次联网时再上传
+    ApiService.syncPendingAttempts(activeUsername);
+  }, [currentPage, activeUsername, isOnline]);
+
 
 
   /**
@@ -179,6 +463,196 @@ function App() {
     };
   }, [fileStartTime, showFilePreview]);
 
+  /**
+   * 路由：根据地址恢复页面状态
+   * 使用ref保存最新的处理函数，供浏览器前进/后退事件调用
+   */
+  const applyRouteRef = useRef(null);
+  applyRouteRef.current = (path, options = {}) => {
+    const { name, params } = RouteUtils.match(path);
+    pendingRouteRef.current = null;
+    const isTabAllowed = (tab) => tab === 'search' || !user?.isAdmin;
+    
+    // 进行中的考试优先：刷新或登录后从首页进入时直接回到考试试卷
+    const examSession = options.restoreExam && name === 'home' ? ExamUtils.loadSession(user?.username) : null;
+    if (examSession) {
+      const examPath = examSession.subjectKey && examSession.topic
+        ? RouteUtils.build('paper', { subjectKey: examSession.subjectKey, topicId: examSession.topic.id, paperId: examSession.paper.id })
+        : RouteUtils.build('standalonePaper', { paperId: examSession.paper.id });
+      RouteUtils.navigate(examPath, { replace: true });
+      applyRouteRef.current(examPath);
+      return;
+    }
+    
+    setShowUserProfile(name === 'profile' || name === 'profileTab');
+    if (name === 'profile' || name === 'profileTab') {
+      setActiveProfileTab(params.profileTab || 'overview');
+      return;
+    }
+    
+    const tabByRoute = {
+      textbooks: 'textbook',
+      textbook: 'textbook',
+      syllabuses: 'syllabus',
+      syllabus: 'syllabus',
+      notebook: 'notebook',
+      note: 'notebook',
+      history: 'history'
+    };
+    const tab = tabByRoute[name] || 'search';
+    setActiveTab(isTabAllowed(tab) ? tab : 'search');
+    
+    // 教科书、教学大纲文档弹窗
+    const documentList = name === 'textbook' ? userTestData.textBooks : name === 'syllabus' ? userTestData.syllabuses : [];
+    const routeDocument = documentList.find(doc => String(doc.id) === params.documentId);
+    setViewingDocument(routeDocument && isTabAllowed(tab) ? { ...routeDocument, kind: tab } : null);
+    
+    setSelectedNoteId(name === 'note' ? params.noteId : null);
+    
+    // 学科、课程、试卷
+    const subject = subjectsData[params.subjectKey] ? params.subjectKey : null;
+    const topic = subject ? subjectsData[subject].topics.find(t => t.id === params.topicId) || null : null;
+    const paperId = (name === 'paper' && topic) || name === 'standalonePaper' ? params.paperId : null;
+    
+    // 学科或课程可能只在后端目录中，目录加载后再恢复一次，期间不改写地址栏
+    if (!subjectsLoaded && ((params.subjectKey && !subject) || (params.topicId && !topic))) {
+      pendingRouteRef.current = path;
+    }
+    
+    setSelectedSubject(subject);
+    setSelectedTopic(topic);
+    
+    if (paperId) {
+      // 同一份试卷（如前进/后退）保留已加载的详情
+      setViewingFile(current => (current?.id === paperId ? current : PaperUtils.fromPaperId(paperId)));
+      setShowFilePreview(true);
+      setFileStartTime(current => current || Date.now());
+    } else {
+      setViewingFile(null);
+      setShowFilePreview(false);
+      setFileStartTime(null);
+    }
+  };
+
+  /**
+   * 路由：进入主页面时恢复地址对应的页面，离开时跳转到登录页并记录目标地址
+   */
+  useEffect(() => {
+    if (currentPage === 'main') {
+      if (!routeSyncRef.current) {
+        const target = RouteUtils.getRedirect() || initialPathRef.current;
+        const path = RouteUtils.isPublicRoute(target) ? '/' : target;
+        RouteUtils.navigate(path, { replace: true });
+        applyRouteRef.current(path, { restoreExam: true });
+        routeSyncRef.current = true;
+        setRouteReady(true);
+      }
+      return;
+    }
+    
+    routeSyncRef.current = false;
+    setRouteReady(false);
+    // 邮件链接页面保留地址中的令牌
+    if (Object.values(LANDING_PAGES).includes(currentPage)) return;
+    const currentPath = RouteUtils.getCurrentPath();
+    const next = RouteUtils.isPublicRoute(currentPath) ? RouteUtils.getRedirect() : currentPath;
+    initialPathRef.current = next || '/';
+    RouteUtils.navigate(RouteUtils.buildLoginPath(next), { replace: true });
+  }, [currentPage]);
+
+  /**
+   * 路由：学科目录更新后恢复等待中的地址，目录已加载仍找不到时放弃
+   */
+  useEffect(() => {
+    if (!pendingRouteRef.current) return;
+    
+    applyRouteRef.current(pendingRouteRef.current);
+    if (subjectsLoaded) {
+      pendingRouteRef.current = null;
+    }
+  }, [subjectsData, subjectsLoaded]);
+
+  /**
+   * 当前页面状态对应的路由
+   * 面包屑和地址栏都由它驱动
+   */
+  const currentRoute = (() => {
+    if (showUserProfile) {
+      return activeProfileTab && activeProfileTab !== 'overview'
+        ? { name: 'profileTab', params: { profileTab: activeProfileTab } }
+        : { name: 'profile', params: {} };
+    }
+    
+    switch (activeTab) {
+      case 'textbook':
+        return viewingDocument
+          ? { name: 'textbook', params: { documentId: viewingDocument.id } }
+          : { name: 'textbooks', params: {} };
+      case 'syllabus':
+        return viewingDocument
+          ? { name: 'syllabus', params: { documentId: viewingDocument.id } }
+          : { name: 'syllabuses', params: {} };
+      case 'notebook':
+        return selectedNoteId
+          ? { name: 'note', params: { noteId: selectedNoteId } }
+          : { name: 'notebook', params: {} };
+      case 'history':
+        return { name: 'history', params: {} };
+      default:
+        break;
+    }
+    
+    if (showFilePreview && viewingFile?.id) {
+      return selectedSubject && selectedTopic
+        ? { name: 'paper', params: { subjectKey: selectedSubject, topicId: selectedTopic.id, paperId: viewingFile.id } }
+        : { name: 'standalonePaper', params: { paperId: viewingFile.id } };
+    }
+    if (selectedSubject && selectedTopic) {
+      return { name: 'topic', params: { subjectKey: selectedSubject, topicId: selectedTopic.id } };
+    }
+    if (selectedSubject) {
+      return { name: 'subject', params: { subjectKey: selectedSubject } };
+    }
+    return { name: 'home', params: {} };
+  })();
+  const currentRoutePath = RouteUtils.build(currentRoute.name, currentRoute.params);
+
+  /**
+   * 路由：页面状态变化时写入地址栏，形成可分享、可后退的链接
+   */
+  useEffect(() => {
+    if (currentPage !== 'main' || !routeReady || pendingRouteRef.current) return;
+    
+    if (RouteUtils.getCurrentPath() !== currentRoutePath) {
+      RouteUtils.navigate(currentRoutePath);
+    }
+  }, [currentPage, routeReady, currentRoutePath]);
+
+  /**
+   * 站内跳转：写入地址并恢复对应页面
+   * @param {string} path - 目标路径
+   */
+  const navigateTo = (path) => {
+    RouteUtils.navigate(path);
+    applyRouteRef.current(path);
+  };
+
+  /**
+   * 路由：浏览器前进/后退
+   */
+  useEffect(() => {
+    const handlePopState = () => {
+      if (routeSyncRef.current) {
+        applyRouteRef.current(RouteUtils.getCurrentPath());
+      }
+    };
+    
+    window.addEventListener('popstate', handlePopState);
+    return () => {
+      window.removeEventListener('popstate', handlePopState);
+    };
+  }, []);
+
   /**
    * 用户使用时间记录
    * 优化：使用现代化的页面可见性管理和防抖保存
@@ -252,13 +726,31 @@ function App() {
   };
 
   /**
-   * 切换主题
+   * 应用主题（不保存）
+   * @param {string} newTheme - 'light' | 'dark'
+   */
+  const applyTheme = (newTheme) => {
+    setTheme(newTheme);
+    document.body.className = newTheme === 'dark' ? 'dark-theme' : '';
+  };
+
+  /**
+   * 切换主题，并同步到其他标签页
    */
   const toggleTheme = () => {
     const newTheme = theme === 'light' ? 'dark' : 'light';
-    setTheme(newTheme);
+    applyTheme(newTheme);
     safeLocalStorage.set('theme', newTheme);
-    document.body.className = newTheme === 'dark' ? 'dark-theme' : '';
+    SessionBus.publish(SessionBus.EVENTS.THEME, { theme: newTheme });
+  };
+
+  /**
+   * 个人资料更新，并同步到其他标签页
+   * @param {Object} newProfile - 新的个人资料
+   */
+  const handleProfileUpdate = (newProfile) => {
+    setUserProfile(newProfile);
+    SessionBus.publish(SessionBus.EVENTS.PROFILE, { profile: newProfile });
   };
 
   /**
@@ -285,6 +777,7 @@ function App() {
       reader.onload = (e) => {
         setUserAvatar(e.target.result);
           safeLocalStorage.set('userAvatar', e.target.result);
+        SessionBus.publish(SessionBus.EVENTS.PROFILE, { avatar: true });
       };
       reader.readAsDataURL(file);
     }
@@ -346,6 +839,38 @@ function App() {
     safeLocalStorage.set('selectedSubjects', selectedSubjects);
   };
 
+  /**
+   * 管理员账号完成两步验证设置
+   */
+  const handleTwoFactorEnabled = useCallback(() => {
+    setUser(prev => ({ ...prev, twoFactorEnabled: true }));
+  }, []);
+
+  /**
+   * 登录成功：进入主页面，其他标签页也切换到该账号
+   * @param {Object} userData - 用户数据
+   */
+  const handleLoginSuccess = useCallback((userData) => {
+    // 重新输入密码等方式登录后解除该账号的锁屏
+    if (SessionPolicy.isLocked(userData.username)) {
+      SessionPolicy.clearLock();
+    }
+    setLocked(false);
+    setUser(userData);
+    setCurrentPage('main');
+    SessionBus.publish(SessionBus.EVENTS.LOGIN, { username: userData.username });
+  }, []);
+
+  /**
+   * 第三方登录成功：进入主页面，并返回发起登录前的目标地址
+   * @param {Object} userData - 用户数据
+   * @param {string|null} returnTo - 目标地址
+   */
+  const handleOidcLogin = useCallback((userData, returnTo) => {
+    RouteUtils.navigate(RouteUtils.buildLoginPath(returnTo), { replace: true });
+    handleLoginSuccess(userData);
+  }, [handleLoginSuccess]);
+
   /**
    * 处理用户切换账号
    */
@@ -369,13 +894,69 @@ function App() {
     CookieUtils.deleteCookie('userData');
     
     // 清除活跃用户标记，实现用户切换
-    CookieUtils.deleteCookie('activeUser');
+    CookieUtils.clearActiveUser();
+    SessionBus.publish(SessionBus.EVENTS.SWITCH, { username: user?.username });
+    
+    leaveSession();
+  };
+
+  /**
+   * 空闲锁屏
+   */
+  const lockScreen = () => {
+    if (!SessionPolicy.isLocked(user.username)) {
+      SessionPolicy.setLock(user.username, globalIdleManager.getLastActivity());
+      SessionBus.publish(SessionBus.EVENTS.LOCK, { username: user.username });
+    }
+    setLocked(true);
+  };
+
+  /**
+   * 输入密码或使用通行密钥解锁（已取得新令牌）
+   * @param {Object} userData - 用户数据
+   */
+  const handleUnlock = (userData) => {
+    SessionPolicy.clearLock();
+    globalIdleManager.reset();
+    setLocked(false);
+    setUser(userData);
+    if (expiredSessionUser) {
+      ApiService.resumeSession();
+      setExpiredSessionUser(null);
+    }
+    SessionBus.publish(SessionBus.EVENTS.UNLOCK, { username: userData.username });
+  };
+
+  /**
+   * 空闲超时或在锁屏界面选择退出：完全退出当前账号
+   * 删除本设备保存的令牌（保留设备信任），之后需要重新输入密码登录
+   */
+  const handleIdleSignOut = async () => {
+    const username = user?.username;
+    if (!username) return;
+
+    await ApiService.switchAccount();
+    CookieUtils.deleteUserToken(username);
+    CookieUtils.clearActiveUser();
+    SessionPolicy.clearLock();
+    SessionBus.publish(SessionBus.EVENTS.LOGOUT, { username });
+
+    setExpiredSessionUser(null);
+    leaveSession();
+  };
+
+  /**
+   * 回到账号选择并清除当前账号的页面状态（本标签页退出，或其他标签页已退出该账号）
+   */
+  const leaveSession = () => {
+    // 主动退出时不记录跳转目标
+    RouteUtils.navigate(RouteUtils.ROUTES.login);
     
     // 清除localStorage中的用户历史数据（删除local history功能）
     safeLocalStorage.remove('userHistory');
 
-    
     setUser(null);
+    setLocked(false);
     setCurrentPage('login'); // 跳转到登录页面，显示用户切换界面
     setSelectedSubject(null);
     setSelectedTopic(null);
@@ -383,15 +964,14 @@ function App() {
     setViewingFile(null);
     setShowFilePreview(false);
     setShowUserProfile(false);
-    
-
   };
 
   /**
    * 检查Cookie和会话状态
    * 用于自动登录功能，支持新的ID系统
+   * @param {string} [restoredUsername] - 启动时已直接进入的账号
    */
-  const checkCookieAndSession = async () => {
+  const checkCookieAndSession = async (restoredUsername = null) => {
     // 首先检查旧版本的单用户Token（向后兼容）
     const legacyUserToken = CookieUtils.getCookie('userToken');
     const legacyUserData = CookieUtils.getCookie('userData');
@@ -421,67 +1001,78 @@ function App() {
       }
     }
     
+    // 上次使用的账号已按本地数据直接进入（见 getLastActiveUser），令牌在后台并行验证
+    const startActiveUser = CookieUtils.getActiveUser();
+    const enteredOptimistically = Boolean(restoredUsername) && restoredUsername === startActiveUser;
+
+    /**
+     * 进入验证通过的账号
+     * @param {Object} entry - { username, userData }
+     */
+    const enterUser = ({ username, userData }) => {
+      // 检查用户数据是否需要迁移
+      if (UserUtils.needsMigration(userData)) {
+        userData = UserUtils.migrateFromOldVersion(userData);
+        // 更新会话存储中的用户数据
+        CookieUtils.setUserToken(username, CookieUtils.getUserToken(username), userData);
+      }
+      
+      // 验证用户数据完整性
+      if (UserUtils.validateUserData(userData)) {
+        CookieUtils.setActiveUser(username);
+        setUser(userData);
+        setCurrentPage('main');
+      } else {
+        // 数据无效，跳转到登录页
+        setUser(null);
+        setCurrentPage('login');
+      }
+    };
+    
     // 批量验证所有用户Token
     try {
       const validationResults = await CookieUtils.batchValidateTokens(async (username, token) => {
         const response = await ApiService.validateSession(token);
-        return response.success;
+        if (response.success) return true;
+        // 网络错误等无法判断令牌是否有效时，保留账号稍后再验证
+        if (response.transient) throw new Error(response.message);
+        // 令牌过期时尝试用刷新令牌续期
+        const refreshed = await ApiService.refreshSession(username);
+        if (refreshed.transient) throw new Error(refreshed.message);
+        return refreshed.success;
       });
-      
-      // 获取有效用户列表
-      const validUsers = CookieUtils.getValidUsers(validationResults);
-      
-      if (validUsers.length > 0) {
-        // 检查是否有活跃用户
-        const activeUser = CookieUtils.getActiveUser();
-        let activeUserData = validUsers.find(user => user.username === activeUser);
-        
-        if (activeUserData) {
-          // 检查用户数据是否需要迁移
-          if (UserUtils.needsMigration(activeUserData.userData)) {
-            const migratedData = UserUtils.migrateFromOldVersion(activeUserData.userData);
-            activeUserData.userData = migratedData;
-            // 更新Cookie中的用户数据
-            CookieUtils.setUserToken(activeUserData.username, activeUserData.token, migratedData);
-          }
-          
-          // 验证用户数据完整性
-          if (UserUtils.validateUserData(activeUserData.userData)) {
-            setUser(activeUserData.userData);
-            setCurrentPage('main');
-          } else {
-            // 数据无效，跳转到登录页
-            setCurrentPage('login');
-          }
-        } else {
-          // 活跃用户无效，选择第一个有效用户
-          const firstValidUser = validUsers[0];
-          
-          // 检查用户数据是否需要迁移
-          if (UserUtils.needsMigration(firstValidUser.userData)) {
-            const migratedData = UserUtils.migrateFromOldVersion(firstValidUser.userData);
-            firstValidUser.userData = migratedData;
-            // 更新Cookie中的用户数据
-            CookieUtils.setUserToken(firstValidUser.username, firstValidUser.token, migratedData);
-          }
-          
-          // 验证用户数据完整性
-          if (UserUtils.validateUserData(firstValidUser.userData)) {
-            CookieUtils.setActiveUser(firstValidUser.username);
-            setUser(firstValidUser.userData);
-            setCurrentPage('main');
-          } else {
-            // 数据无效，跳转到登录页
-            setCurrentPage('login');
-          }
+
+      // 有账号被清理或标记为待验证时刷新账号选择列表
+      if (validationResults.some(result => !result.isValid)) {
+        setAccountsVersion(version => version + 1);
+      }
+
+      // 验证期间已登录、切换或退出账号时不再改变当前页面
+      if (CookieUtils.getActiveUser() !== startActiveUser) return;
+
+      // 活跃账号有效，或暂时无法验证（如离线）时继续使用
+      const activeResult = validationResults.find(result => result.username === startActiveUser);
+      if (activeResult && (activeResult.isValid || activeResult.stale)) {
+        if (!enteredOptimistically) {
+          enterUser(activeResult);
         }
+        return;
+      }
+      
+      // 活跃用户无效，选择第一个有效用户
+      const [firstValidUser] = CookieUtils.getValidUsers(validationResults);
+      if (firstValidUser) {
+        enterUser(firstValidUser);
       } else {
         // 没有有效用户，跳转到登录页
-        CookieUtils.deleteCookie('activeUser');
+        CookieUtils.clearActiveUser();
+        setUser(null);
         setCurrentPage('login');
       }
     } catch (error) {
-      setCurrentPage('login');
+      if (!enteredOptimistically) {
+        setCurrentPage('login');
+      }
     }
   };
 
@@ -510,8 +1101,9 @@ function App() {
   /**
    * 处理文件查看
    * @param {Object} file - 文件对象
+   * @param {Object} context - 所属学科和课程（默认使用当前选中项）
    */
-  const handleFileView = (file) => {
+  const handleFileView = (file, context = { subjectKey: selectedSubject, topic: selectedTopic }) => {
     setViewingFile(file);
     setShowFilePreview(true);
     
@@ -521,15 +1113,86 @@ function App() {
     // 添加到浏览历史
     HistoryUtils.addToHistory({
       type: 'file',
-      id: file.title,
+      id: file.id || file.title,
+      name: file.title,
+      subjectName: subjectsData[context.subjectKey]?.name,
+      topicName: context.topic?.name
+    });
+    
+    loadBrowsingHistory();
+  };
+
+  /**
+   * 处理文档查看（教科书、教学大纲）
+   * @param {Object} file - 文件对象 { id, title, fileUrl }
+   * @param {string} kind - 文档类别：textbook | syllabus
+   */
+  const handleDocumentView = (file, kind) => {
+    setViewingDocument({ ...file, kind });
+    
+    HistoryUtils.addToHistory({
+      type: 'file',
+      id: `${kind}-${file.id}`,
       name: file.title,
-      subjectName: subjectsData[selectedSubject]?.name,
-      topicName: selectedTopic?.name
+      subjectName: file.subject
     });
     
     loadBrowsingHistory();
   };
 
+  /**
+   * 处理文件下载
+   * @param {Object} file - 文件对象 { id, title, fileUrl }
+   */
+  const handleFileDownload = async (file) => {
+    const response = await ApiService.downloadFile(file);
+    if (!response.success) {
+      window.alert(response.message);
+    }
+  };
+
+  /**
+   * 分享笔记：复制笔记链接（需要已验证邮箱）
+   * @param {Object} note - 笔记
+   */
+  const handleShareNote = async (note) => {
+    if (!UserUtils.canUseFeature(user, 'shareNote')) return;
+    
+    const link = `${window.location.origin}${RouteUtils.toHref(RouteUtils.build('note', { noteId: note.id }))}`;
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopiedNoteId(note.id);
+    } catch (error) {
+      window.prompt('Copy this link to share the note:', link);
+    }
+  };
+
+  /**
+   * 处理全局搜索结果选择
+   * 直接跳转到对应的学科、课程或试卷
+   * @param {Object} result - 搜索结果 { kind, subjectKey, topic, paper }
+   */
+  const handleSearchResultSelect = (result) => {
+    setActiveTab('search');
+    
+    if (result.kind === 'subject') {
+      handleSubjectClick(result.subjectKey);
+      return;
+    }
+    
+    setSelectedSubject(result.subjectKey || null);
+    
+    if (result.kind === 'topic') {
+      handleTopicClick(result.topic);
+      return;
+    }
+    
+    if (result.kind === 'paper') {
+      setSelectedTopic(result.topic);
+      handleFileView(result.paper, { subjectKey: result.subjectKey, topic: result.topic });
+    }
+  };
+
   /**
    * 关闭文件预览
    */
@@ -565,25 +1228,6 @@ function App() {
     }
   };
 
-  /**
-   * 返回到学科列表
-   */
-  const goBackToSubjects = () => {
-    setSelectedSubject(null);
-    setSelectedTopic(null);
-    setShowFilePreview(false);
-    setViewingFile(null);
-  };
-
-  /**
-   * 返回到主题列表
-   */
-  const goBackToTopics = () => {
-    setSelectedTopic(null);
-    setShowFilePreview(false);
-    setViewingFile(null);
-  };
-
   /**
    * 清空浏览历史
    */
@@ -697,10 +1341,18 @@ function App() {
 
   // ==================== 主渲染函数 ====================
   
+  // 笔记本中选中的笔记
+  const selectedNote = selectedNoteId
+    ? userTestData.notebooks.find(note => String(note.id) === selectedNoteId)
+    : null;
+  
+  // 当前用户的考试记录（仅在历史标签页读取）
+  const examAttempts = activeTab === 'history' ? HistoryUtils.getExamAttempts(user?.username) : [];
+  
   return (
     <div className="App">
       {/* 登录组件 */}
-      {['welcome', 'login', 'signup'].includes(currentPage) && (
+      {['welcome', 'login', 'signup', 'forgot'].includes(currentPage) && (
         <>
           {/* 主题切换按钮 */}
           <button className="theme-toggle" onClick={toggleTheme} style={{position: 'fixed', top: '20px', right: '20px', zIndex: 1000}}>
@@ -709,12 +1361,10 @@ function App() {
           
 
           <Login
+            key={accountsVersion}
             currentPage={currentPage}
             onPageChange={setCurrentPage}
-            onLoginSuccess={(userData) => {
-              setUser(userData);
-              setCurrentPage('main');
-            }}
+            onLoginSuccess={handleLoginSuccess}
 
             theme={theme}
             onThemeToggle={toggleTheme}
@@ -722,6 +1372,40 @@ function App() {
         </>
       )}
 
+      {/* 重置密码页面 - 通过邮件中的链接进入 */}
+      {currentPage === 'reset' && (
+        <PasswordReset
+          token={RouteUtils.getQueryParam('token')}
+          onDone={() => setCurrentPage('login')}
+        />
+      )}
+
+      {/* 验证邮箱页面 - 通过验证邮件中的链接进入 */}
+      {currentPage === 'verify' && (
+        <EmailVerification
+          token={RouteUtils.getQueryParam('token')}
+          onDone={() => {
+            setCurrentPage('login');
+            checkCookieAndSession();
+          }}
+        />
+      )}
+
+      {/* 第三方登录回调页面 - 提供方授权后跳转回来 */}
+      {currentPage === 'oidc' && (
+        <OidcCallback
+          onLogin={handleOidcLogin}
+          onDone={(returnTo) => {
+            RouteUtils.navigate(RouteUtils.buildLoginPath(returnTo), { replace: true });
+            setCurrentPage('login');
+            checkCookieAndSession();
+          }}
+        />
+      )}
+
+      {/* 模拟OIDC授权页面 - 仅本地模拟后端模式 */}
+      {currentPage === 'mockOidc' && <MockOidcAuthorize />}
+
       {/* 主应用内容 */}
       {currentPage === 'main' && (
         <>
@@ -741,10 +1425,11 @@ function App() {
               onBackToMain={backToMain}
               onLogout={handleSwitchAccount}
               onAvatarUpload={handleAvatarUpload}
-              onProfileUpdate={setUserProfile}
+              onProfileUpdate={handleProfileUpdate}
               onTabChange={setActiveProfileTab}
               onSubjectModalOpen={openSubjectModal}
               onThemeToggle={toggleTheme}
+              onSessionPolicyChange={(policy) => setSessionPolicy(SessionPolicy.normalize(policy))}
             />
           )}
         </>
@@ -757,173 +1442,15 @@ function App() {
           <header className="dashboard-header">
             <div className="header-left">
               <h1 className="dashboard-title">❀ Past Papers Dashboard</h1>
-              {/* 
-                * 面包屑导航组件
-                * 功能：根据当前活动的标签页显示相应的导航路径
-                * 设计原则：
-                * 1. 每个标签页都有三层级的导航结构，保持一致性
-                * 2. 搜索标签页支持动态导航，其他标签页为静态导航
-                * 3. 使用统一的样式类名：breadcrumb-link 和 breadcrumb-separator
-                * 4. 为未来的交互功能（如点击导航）预留了结构基础
-                */}
-              <div className="breadcrumb">
-                {/* 
-                * 搜索标签页的面包屑导航
-                * 特点：动态导航，根据用户的浏览状态显示不同层级
-                * 层级结构：All Subjects → Subject Name → Topic Name → File Name
-                * 交互功能：支持点击返回上级页面
-                */}
-                {activeTab === 'search' && (
-                  <>
-                    {/* 根目录状态：显示所有学科 */}
-                    {!selectedSubject && !showFilePreview && <span>All Subjects</span>}
-                    
-                    {/* 学科选中状态：显示学科名称 */}
-                    {selectedSubject && !selectedTopic && !showFilePreview && (
-                      <>
-                        <span className="breadcrumb-link" onClick={goBackToSubjects}>All Subjects</span>
-                        <span className="breadcrumb-separator">›</span>
-                        <span>{subjectsData[selectedSubject]?.name}</span>
-                      </>
-                    )}
-                    
-                    {/* 主题选中状态：显示学科 → 主题 */}
-                    {selectedSubject && selectedTopic && !showFilePreview && (
-                      <>
-                        <span className="breadcrumb-link" onClick={goBackToSubjects}>All Subjects</span>
-                        <span className="breadcrumb-separator">›</span>
-                        <span className="breadcrumb-link" onClick={goBackToTopics}>{subjectsData[selectedSubject]?.name}</span>
-                        <span className="breadcrumb-separator">›</span>
-                        <span>{selectedTopic.name}</span>
-                      </>
-                    )}
-                    
-                    {/* 文件预览状态：显示完整路径 */}
-                    {showFilePreview && viewingFile && (
-                      <>
-                        <span className="breadcrumb-link" onClick={goBackToSubjects}>All Subjects</span>
-                        <span className="breadcrumb-separator">›</span>
-                        <span className="breadcrumb-link" onClick={goBackToTopics}>{subjectsData[selectedSubject]?.name}</span>
-                        <span className="breadcrumb-separator">›</span>
-                        <span className="breadcrumb-link" onClick={closeFilePreview}>{selectedTopic?.name}</span>
-                        <span className="breadcrumb-separator">›</span>
-                        <span>{viewingFile.title}</span>
-                      </>
-                    )}
-                  </>
-                )}
-                
-                {/* 
-                * 教科书标签页的面包屑导航
-                * 层级结构：Textbooks → Cambridge Resources → All Subjects
-                * 語義：教科書總覽 → Cambridge資源分類 → 所有學科列表
-                */}
-                {activeTab === 'textbook' && (
-                  <>
-                    <span className="breadcrumb-link">📖 Textbooks</span>
-                    <span className="breadcrumb-separator">›</span>
-                    <span className="breadcrumb-link">Cambridge Resources</span>
-                    <span className="breadcrumb-separator">›</span>
-                    <span>All Subjects</span>
-                  </>
-                )}
-                
-                {/* 
-                * 教学大纲标签页的面包屑导航
-                * 层级结构：Syllabus → Official Documents → All Subjects
-                * 語義：教學大綱總覽 → 官方文檔分類 → 所有學科列表
-                */}
-                {activeTab === 'syllabus' && (
-                  <>
-                    <span className="breadcrumb-link">📋 Syllabus</span>
-                    <span className="breadcrumb-separator">›</span>
-                    <span className="breadcrumb-link">Official Documents</span>
-                    <span className="breadcrumb-separator">›</span>
-                    <span>All Subjects</span>
-                  </>
-                )}
-                
-                {/* 
-                * 笔记本标签页的面包屑导航
-                * 层级结构：Notebook → All Notes → Recent
-                * 語義：筆記本總覽 → 所有筆記 → 最近筆記
-                */}
-                {activeTab === 'notebook' && (
-                  <>
-                    <span className="breadcrumb-link">📝 Notebook</span>
-                    <span className="breadcrumb-separator">›</span>
-                    <span className="breadcrumb-link">All Notes</span>
-                    <span className="breadcrumb-separator">›</span>
-                    <span>Recent</span>
-                  </>
-                )}
-                
-                {/* 
-                * 日历标签页的面包屑导航
-                * 层级结构：Calendar → Study Schedule → This Month
-                * 語義：日曆總覽 → 學習計劃 → 本月視圖
-                */}
-                {activeTab === 'calendar' && (
-                  <>
-                    <span className="breadcrumb-link">📅 Calendar</span>
-                    <span className="breadcrumb-separator">›</span>
-                    <span className="breadcrumb-link">Study Schedule</span>
-                    <span className="breadcrumb-separator">›</span>
-                    <span>This Month</span>
-                  </>
-                )}
-                
-                {/* 
-                * 分析标签页的面包屑导航
-                * 层级结构：Analytics → Performance → Overview
-                * 語義：分析總覽 → 性能分析 → 概覽視圖
-                */}
-                {activeTab === 'analytics' && (
-                  <>
-                    <span className="breadcrumb-link">📊 Analytics</span>
-                    <span className="breadcrumb-separator">›</span>
-                    <span className="breadcrumb-link">Performance</span>
-                    <span className="breadcrumb-separator">›</span>
-                    <span>Overview</span>
-                  </>
-                )}
-                
-                {/* 
-                * 浏览历史标签页的面包屑导航
-                * 层级结构：History → Browsing Activity → All Records
-                * 語義：歷史記錄總覽 → 瀏覽活動 → 所有記錄
-                */}
-                {activeTab === 'history' && (
-                  <>
-                    <span className="breadcrumb-link">📊 History</span>
-                    <span className="breadcrumb-separator">›</span>
-                    <span className="breadcrumb-link">Browsing Activity</span>
-                    <span className="breadcrumb-separator">›</span>
-                    <span>All Records</span>
-                  </>
-                )}
-                
-                {/* 
-                * 设置标签页的面包屑导航
-                * 层级结构：Settings → User Preferences → General
-                * 語義：設置總覽 → 用戶偏好 → 一般設置
-                */}
-                {activeTab === 'settings' && (
-                  <>
-                    <span className="breadcrumb-link">⚙️ Settings</span>
-                    <span className="breadcrumb-separator">›</span>
-                    <span className="breadcrumb-link">User Preferences</span>
-                    <span className="breadcrumb-separator">›</span>
-                    <span>General</span>
-                  </>
-                )}
-              </div>
+              {/* 面包屑导航 - 由当前路由驱动 */}
+              <Breadcrumb route={currentRoute} onNavigate={navigateTo} />
             </div>
             <div className="header-right">
-              {/* 全局搜索框 - 后端需要实现搜索API */}
-              <div className="search-box">
-                <input type="text" placeholder="🔍 Search papers..." className="global-search" />
-              </div>
+              {/* 全局搜索框 */}
+              <GlobalSearch
+                subjectsData={subjectsData}
+                onSelect={handleSearchResultSelect}
+              />
               {/* 用户菜单 */}
               <div className="user-menu">
                 <span className="user-info">👋 {user?.username}</span>
@@ -939,6 +1466,18 @@ function App() {
             </div>
           </header>
 
+          {/* 离线提示 */}
+          {!isOnline && (
+            <div className="offline-banner" role="status">
+              📴 You are offline. Papers saved for offline use are still available, and attempts will sync when you reconnect.
+            </div>
+          )}
+
+          {/* 邮箱未验证提示 */}
+          {user && !UserUtils.isEmailVerified(user) && (
+            <EmailVerificationBanner email={user.email} />
+          )}
+
           {/* 主要内容区域 */}
           <main className="dashboard-content">
             {/* 工具栏 */}
@@ -968,33 +1507,14 @@ function App() {
                 <>
                   {showFilePreview && viewingFile ? (
                     // 文件预览视图
-                    <div className="file-preview-container">
-                      <div className="file-preview-header">
-                        <div className="file-info">
-                          <h2>{viewingFile.title}</h2>
-                          <div className="file-meta">
-                            <span className="duration">{formatDuration(currentDuration)}</span>
-                            {/* 后端需要提供标准答案API */}
-                            <button className="mark-scheme-link">Mark scheme link</button>
-                          </div>
-                        </div>
-                        <button className="back-to-papers-btn" onClick={closeFilePreview}>
-                          ← Back to Papers
-                        </button>
-                      </div>
-                      <div className="file-preview-content">
-                        <div className="candidate-section">
-                          <h4>CANDIDATE NAME</h4>
-                          <div className="candidate-lines">
-                            <div className="line"></div>
-                            <div className="line"></div>
-                            <div className="line"></div>
-                          </div>
-                        </div>
-                        {/* 这里需要集成PDF查看器或图片查看器 */}
-                        {/* 后端需要提供文件内容API：GET /api/files/{fileId}/content */}
-                      </div>
-                    </div>
+                    <PaperPreview
+                      key={viewingFile.id || viewingFile.title}
+                      paper={viewingFile}
+                      durationLabel={formatDuration(currentDuration)}
+                      onClose={closeFilePreview}
+                      username={user?.username}
+                      context={{ subjectKey: selectedSubject, topic: selectedTopic }}
+                    />
                   ) : (
                     // 原有的学科/试卷列表视图
                     <>
@@ -1073,74 +1593,12 @@ function App() {
 
                       {/* 试卷列表页面 */}
                       {selectedSubject && selectedTopic && (
-                        <div className="papers-view">
-                          <div className="section-header">
-                            <h2>{selectedTopic.id} - {selectedTopic.name}</h2>
-                            <p>{selectedTopic.papers} past papers available</p>
-                          </div>
-                          
-                          {/* 试卷筛选器 - 后端需要实现筛选API */}
-                          <div className="papers-filters">
-                            <div className="filter-group">
-                              <label>Year:</label>
-                              <select>
-                                <option value="">All Years</option>
-                                <option value="2023">2023</option>
-                                <option value="2022">2022</option>
-                                <option value="2021">2021</option>
-                              </select>
-                            </div>
-                            <div className="filter-group">
-                              <label>Session:</label>
-                              <select>
-                                <option value="">All Sessions</option>
-                                <option value="may">May/June</option>
-                                <option value="oct">Oct/Nov</option>
-                                <option value="feb">Feb/March</option>
-                              </select>
-                            </div>
-                            <div className="filter-group">
-                              <label>Paper:</label>
-                              <select>
-                                <option value="">All Papers</option>
-                                <option value="1">Paper 1</option>
-                                <option value="2">Paper 2</option>
-                                <option value="3">Paper 3</option>
-                              </select>
-                            </div>
-                          </div>
-                          
-                          {/* 试卷网格 - 后端需要提供试卷列表API */}
-                          <div className="papers-grid">
-                            {[1,2,3,4,5,6].map(i => (
-                              <div key={i} className="paper-card">
-                                <div className="paper-header">
-                                  <h4>{selectedTopic.id} Paper {i % 3 + 1}</h4>
-                                  <span className="paper-year">2023</span>
-                                </div>
-                                <div className="paper-content">
-                                  <p>Session: {i % 2 === 0 ? 'May/June' : 'Oct/Nov'}</p>
-                                  <p>Type: Question Paper</p>
-                                  <p>Duration: {selectedTopic.id.includes('Paper') ? '2h 15m' : selectedTopic.id.includes('Worksheet') ? '45m' : '1h 30m'}</p>
-                                </div>
-                                <div className="paper-actions">
-                                  <button 
-                                    className="action-btn view-btn"
-                                    onClick={() => handleFileView({
-                                      title: `${selectedTopic.id} Paper ${i % 3 + 1}`,
-                                      year: '2023',
-                                      session: i % 2 === 0 ? 'May/June' : 'Oct/Nov'
-                                    })}
-                                  >
-                                    👁️ View
-                                  </button>
-                                  {/* 后端需要提供文件下载API */}
-                                  <button className="action-btn download-btn">📥 Download</button>
-                                </div>
-                              </div>
-                            ))}
-                          </div>
-                        </div>
+                        <PapersView
+                          key={selectedTopic.id}
+                          topic={selectedTopic}
+                          onPaperView={handleFileView}
+                          onPaperDownload={handleFileDownload}
+                        />
                       )}
                     </>
                   )}
@@ -1190,9 +1648,20 @@ function App() {
                                 </div>
                                 
                                 <div className="textbook-actions">
-                                  <button className="action-btn view-btn" title="View textbook">
+                                  <button
+                                    className="action-btn view-btn"
+                                    title="View textbook"
+                                    onClick={() => handleDocumentView(textbook, 'textbook')}
+                                  >
                                     👁️ View
                                   </button>
+                                  <button
+                                    className="action-btn download-btn"
+                                    title="Download PDF"
+                                    onClick={() => handleFileDownload(textbook)}
+                                  >
+                                    📥 Download
+                                  </button>
                                 </div>
                               </div>
                             ))}
@@ -1244,10 +1713,18 @@ function App() {
                                 </div>
                                 
                                 <div className="syllabus-actions">
-                                  <button className="action-btn view-btn" title="View syllabus online">
+                                  <button
+                                    className="action-btn view-btn"
+                                    title="View syllabus online"
+                                    onClick={() => handleDocumentView(syllabus, 'syllabus')}
+                                  >
                                     👁️ View
                                   </button>
-                                  <button className="action-btn download-btn" title="Download PDF">
+                                  <button
+                                    className="action-btn download-btn"
+                                    title="Download PDF"
+                                    onClick={() => handleFileDownload(syllabus)}
+                                  >
                                     📥 Download
                                   </button>
                                 </div>
@@ -1299,7 +1776,11 @@ function App() {
                           </div>
                           <div className="folder-notes">
                             {notes.map(note => (
-                              <div key={note.id} className="note-item">
+                              <div
+                                key={note.id}
+                                className={`note-item ${String(note.id) === selectedNoteId ? 'active' : ''}`}
+                                onClick={() => setSelectedNoteId(String(note.id))}
+                              >
                                 <div className="note-item-content">
                                   <div className="note-title">{note.title}</div>
                                   <div className="note-subject">{note.subject}</div>
@@ -1317,6 +1798,31 @@ function App() {
                   
                   {/* 主内容区域 */}
                   <div className="notebook-main">
+                    {selectedNote ? (
+                      <article className="note-viewer">
+                        <h2>{selectedNote.title}</h2>
+                        <div className="note-viewer-meta">
+                          <span>{selectedNote.subject}</span>
+                          <span>Updated {selectedNote.updatedAt}</span>
+                          {selectedNote.tags?.map(tag => (
+                            <span key={tag} className="note-tag">#{tag}</span>
+                          ))}
+                        </div>
+                        <div className="note-viewer-content">{selectedNote.content}</div>
+                        <div className="note-viewer-actions">
+                          <button
+                            className="note-share-btn"
+                            onClick={() => handleShareNote(selectedNote)}
+                            disabled={!UserUtils.canUseFeature(user, 'shareNote')}
+                          >
+                            🔗 {copiedNoteId === selectedNote.id ? 'Link copied' : 'Share'}
+                          </button>
+                          {!UserUtils.canUseFeature(user, 'shareNote') && (
+                            <span className="feature-locked-hint">Verify your email to share notes.</span>
+                          )}
+                        </div>
+                      </article>
+                    ) : (
                     <div className="notebook-welcome">
                       <div className="welcome-content">
                         <h3>Welcome to Your Notebook</h3>
@@ -1344,7 +1850,7 @@ function App() {
                               .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
                               .slice(0, 3)
                               .map(note => (
-                                <div key={note.id} className="recent-item">
+                                <div key={note.id} className="recent-item" onClick={() => setSelectedNoteId(String(note.id))}>
                                   <span className="recent-title">{note.title}</span>
                                   <span className="recent-date">{note.updatedAt}</span>
                                 </div>
@@ -1354,6 +1860,7 @@ function App() {
                         </div>
                       </div>
                     </div>
+                    )}
                   </div>
                 </div>
               )}
@@ -1406,6 +1913,34 @@ function App() {
                       ))}
                     </div>
                   )}
+
+                  {/* 考试记录 - 限时考试模式结束后写入 */}
+                  {examAttempts.length > 0 && (
+                    <div className="exam-attempts-history">
+                      <h3>⏱️ Exam Attempts</h3>
+                      <div className="history-full-view">
+                        {examAttempts.map(attempt => (
+                          <div key={attempt.id} className="history-item-full">
+                            <div className="history-icon">⏱️</div>
+                            <div className="history-content">
+                              <div className="history-name">{attempt.title || attempt.paperId}</div>
+                              <div className="history-subject">
+                                {ExamUtils.FINISH_REASONS[attempt.finishReason]} · {formatElapsed(attempt.elapsedMs)} of {formatElapsed(attempt.durationMs)}
+                              </div>
+                              <div className="history-meta">
+                                {attempt.pauses.length > 0 && (
+                                  <span className="visit-count">暂停 {attempt.pauses.length} 次</span>
+                                )}
+                                <span className="last-visited">
+                                  {new Date(attempt.startedAt).toLocaleString()}
+                                </span>
+                              </div>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -1413,6 +1948,43 @@ function App() {
         </div>
       )}
 
+      {/* 文档查看模态框 - 教科书、教学大纲 */}
+      {viewingDocument && (
+        <div className="modal-overlay" onClick={() => setViewingDocument(null)}>
+          <div className="document-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>{viewingDocument.kind === 'syllabus' ? '📋' : '📖'} {viewingDocument.title}</h3>
+              <button className="close-btn" onClick={() => setViewingDocument(null)}>×</button>
+            </div>
+            <DocumentViewer key={`${viewingDocument.kind}-${viewingDocument.id}`} file={viewingDocument} />
+          </div>
+        </div>
+      )}
+
+      {/* 会话失效 - 应用内重新登录 */}
+      {expiredSessionUser && currentPage === 'main' && (
+        <ReloginModal
+          username={expiredSessionUser}
+          onSuccess={(userData) => {
+            setExpiredSessionUser(null);
+            handleLoginSuccess(userData);
+          }}
+          onSwitchAccount={() => {
+            setExpiredSessionUser(null);
+            handleSwitchAccount();
+          }}
+        />
+      )}
+
+      {/* 管理员账号必须先设置两步验证 */}
+      {currentPage === 'main' && !expiredSessionUser && UserUtils.needsTwoFactorSetup(user) && (
+        <TwoFactorRequiredModal
+          username={user.username}
+          onEnabled={handleTwoFactorEnabled}
+          onSignOut={handleSwitchAccount}
+        />
+      )}
+
       {/* 學科選擇模態框 */}
       {showSubjectModal && (
         <div className="modal-overlay" onClick={closeSubjectModal}>
@@ -1449,6 +2021,22 @@ function App() {
         </div>
       )}
 
+      {/* 空闲锁屏 - 覆盖在所有页面之上，页面状态保持不变 */}
+      {locked && currentPage === 'main' && user && (
+        <LockScreen
+          user={user}
+          signOutMinutes={sessionPolicy.signOutMinutes}
+          onUnlock={handleUnlock}
+          onSignOut={handleIdleSignOut}
+        />
+      )}
+
+      {/* 本地模拟后端开关 - 仅开发环境 */}
+      {MockMode.isToggleAvailable() && <MockModeToggle />}
+
+      {/* 接口缓存面板 - 仅开发环境 */}
+      {process.env.NODE_ENV === 'development' && <QueryCacheDevtools />}
+
     </div>
   );
 }
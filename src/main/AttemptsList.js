@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { ApiService } from './API.js';
+import { HistoryUtils } from './Cookie.js';
+import { subjectsData } from './mockData.js';
+import { findTopicById } from './GlobalSearch.js';
+import ExamUtils from '../utils/ExamUtils.js';
+import { formatDuration } from '../utils/performanceUtils.js';
+
+/**
+ * 合并本地和后端的做题记录
+ * 后端记录优先，本地未同步的记录保留
+ * @param {Array} localAttempts - 本地记录
+ * @param {Array} remoteAttempts - 后端记录
+ * @returns {Array} 按时间倒序的记录
+ */
+const mergeAttempts = (localAttempts, remoteAttempts) => {
+  const byId = new Map(localAttempts.map(attempt => [attempt.id, attempt]));
+  remoteAttempts.forEach(attempt => {
+    byId.set(attempt.id, { ...byId.get(attempt.id), ...attempt, synced: true });
+  });
+
+  const timeOf = (attempt) => new Date(attempt.markedAt || attempt.endedAt || attempt.startedAt || 0).getTime();
+  return [...byId.values()].sort((a, b) => timeOf(b) - timeOf(a));
+};
+
+/**
+ * 按课程分组
+ * @param {Array} attempts - 做题记录
+ * @returns {Array} [{ topicId, label, attempts }]
+ */
+const groupByTopic = (attempts) => {
+  const groups = new Map();
+
+  attempts.forEach(attempt => {
+    const topicId = attempt.topicId || 'other';
+    if (!groups.has(topicId)) {
+      const match = findTopicById(subjectsData, attempt.topicId);
+      groups.set(topicId, {
+        topicId,
+        label: match ? `${match.topic.id} - ${match.topic.name}` : 'Other papers',
+        icon: match ? subjectsData[match.subjectKey].icon : '📄',
+        attempts: []
+      });
+    }
+    groups.get(topicId).attempts.push(attempt);
+  });
+
+  return [...groups.values()];
+};
+
+/**
+ * AttemptsList 组件 - 个人资料页中的做题记录
+ * 按课程列出限时考试和自评分记录
+ * @param {Object} props
+ * @param {string} props.username - 当前用户名
+ */
+const AttemptsList = ({ username }) => {
+  /**
+   * 做题记录（先显示本地记录，后端返回后合并）
+   */
+  const [attempts, setAttempts] = useState(() => HistoryUtils.getExamAttempts(username));
+  const [syncError, setSyncError] = useState('');
+
+  useEffect(() => {
+    // 切换账号或离开页面时取消请求
+    const controller = new AbortController();
+
+    ApiService.getAttempts({}, { signal: controller.signal }).then(response => {
+      if (controller.signal.aborted) return;
+      const localAttempts = HistoryUtils.getExamAttempts(username);
+      if (response.success) {
+        setAttempts(mergeAttempts(localAttempts, response.data));
+        setSyncError('');
+      } else {
+        setAttempts(localAttempts);
+        setSyncError(response.message || '获取做题记录失败');
+      }
+    });
+
+    return () => controller.abort();
+  }, [username]);
+
+  if (attempts.length === 0) {
+    return (
+      <div className="attempts-content">
+        <h3>Past Attempts</h3>
+        <p className="attempts-empty">
+          No attempts yet. Use exam mode or self-marking on a paper to track your results.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="attempts-content">
+      <h3>Past Attempts</h3>
+      {syncError && <p className="attempts-sync-error">{syncError}（显示本地记录）</p>}
+
+      {groupByTopic(attempts).map(group => {
+        const graded = group.attempts.filter(attempt => attempt.score);
+        const best = graded.reduce((top, attempt) => (
+          !top || attempt.score.percentage > top.score.percentage ? attempt : top
+        ), null);
+
+        return (
+          <section key={group.topicId} className="attempts-topic">
+            <div className="attempts-topic-header">
+              <span>{group.icon} {group.label}</span>
+              <span className="attempts-topic-meta">
+                {group.attempts.length} attempt{group.attempts.length === 1 ? '' : 's'}
+                {best && ` · best ${best.score.percentage}%`}
+              </span>
+            </div>
+
+            <div className="activity-list">
+              {group.attempts.map(attempt => (
+                <div key={attempt.id} className="activity-item attempt-item">
+                  <div className="activity-icon">{attempt.score ? '✏️' : '⏱️'}</div>
+                  <div className="activity-content">
+                    <div className="activity-description">
+                      {attempt.title || attempt.paperId}
+                      {attempt.score && (
+                        <span className="attempt-score">
+                          {' '}· {attempt.score.total}/{attempt.score.maxTotal} ({attempt.score.percentage}%)
+                          {attempt.score.grade && ` · Grade ${attempt.score.grade}`}
+                        </span>
+                      )}
+                    </div>
+                    <div className="activity-time">
+                      {new Date(attempt.markedAt || attempt.startedAt).toLocaleDateString()}
+                      {attempt.elapsedMs > 0 && ` · ${formatDuration(attempt.elapsedMs)} of ${formatDuration(attempt.durationMs)}`}
+                      {attempt.finishReason && ` · ${ExamUtils.FINISH_REASONS[attempt.finishReason]}`}
+                      {attempt.synced === false && ' · 未同步'}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </section>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AttemptsList;
@@ -0,0 +1,109 @@
+import React from 'react';
+import RouteUtils from '../utils/RouteUtils.js';
+import PaperUtils from '../utils/PaperUtils.js';
+import { subjectsData, userTestData } from './mockData.js';
+
+/**
+ * 根据路由生成面包屑层级
+ * 每一级为 { label, path }，最后一级为当前页面（不可点击）
+ * @param {Object} route - { name, params }
+ * @returns {Array} 面包屑层级
+ */
+const getCrumbs = ({ name, params }) => {
+  const subject = subjectsData[params.subjectKey];
+  const topic = subject?.topics.find(t => t.id === params.topicId);
+
+  switch (name) {
+    case 'subject':
+    case 'topic':
+    case 'paper': {
+      const crumbs = [{ label: 'All Subjects', path: RouteUtils.build('home') }];
+      if (subject) {
+        crumbs.push({ label: subject.name, path: RouteUtils.build('subject', params) });
+      }
+      if (topic && name !== 'subject') {
+        crumbs.push({ label: topic.name, path: RouteUtils.build('topic', params) });
+      }
+      if (name === 'paper') {
+        crumbs.push({ label: PaperUtils.fromPaperId(params.paperId).title });
+      }
+      return crumbs;
+    }
+    case 'standalonePaper':
+      return [
+        { label: 'All Subjects', path: RouteUtils.build('home') },
+        { label: PaperUtils.fromPaperId(params.paperId).title }
+      ];
+    case 'textbooks':
+    case 'textbook': {
+      const book = userTestData.textBooks.find(b => String(b.id) === params.documentId);
+      return book
+        ? [{ label: '📖 Textbooks', path: RouteUtils.build('textbooks') }, { label: book.subject }, { label: book.title }]
+        : [{ label: '📖 Textbooks' }, { label: 'Cambridge Resources' }, { label: 'All Subjects' }];
+    }
+    case 'syllabuses':
+    case 'syllabus': {
+      const syllabus = userTestData.syllabuses.find(s => String(s.id) === params.documentId);
+      return syllabus
+        ? [{ label: '📋 Syllabus', path: RouteUtils.build('syllabuses') }, { label: syllabus.subject }, { label: syllabus.title }]
+        : [{ label: '📋 Syllabus' }, { label: 'Official Documents' }, { label: 'All Subjects' }];
+    }
+    case 'notebook':
+    case 'note': {
+      const note = userTestData.notebooks.find(n => String(n.id) === params.noteId);
+      return note
+        ? [{ label: '📝 Notebook', path: RouteUtils.build('notebook') }, { label: note.folder || 'Uncategorized' }, { label: note.title }]
+        : [{ label: '📝 Notebook' }, { label: 'All Notes' }, { label: 'Recent' }];
+    }
+    case 'history':
+      return [{ label: '📊 History' }, { label: 'Browsing Activity' }, { label: 'All Records' }];
+    default:
+      return [{ label: 'All Subjects' }];
+  }
+};
+
+/**
+ * Breadcrumb 组件 - 面包屑导航
+ * 完全由当前路由驱动，可点击的层级渲染为真实链接，支持新标签页打开
+ * @param {Object} props
+ * @param {Object} props.route - 当前路由 { name, params }
+ * @param {Function} props.onNavigate - 站内跳转回调，接收路径
+ */
+const Breadcrumb = ({ route, onNavigate }) => {
+  const crumbs = getCrumbs(route);
+
+  /**
+   * 处理链接点击
+   * 按住修饰键时交给浏览器（新标签页/新窗口打开）
+   * @param {MouseEvent} e - 点击事件
+   * @param {string} path - 目标路径
+   */
+  const handleClick = (e, path) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    onNavigate(path);
+  };
+
+  return (
+    <nav className="breadcrumb" aria-label="Breadcrumb">
+      {crumbs.map((crumb, index) => (
+        <React.Fragment key={`${index}-${crumb.label}`}>
+          {index > 0 && <span className="breadcrumb-separator">›</span>}
+          {crumb.path && index < crumbs.length - 1 ? (
+            <a
+              className="breadcrumb-link"
+              href={RouteUtils.toHref(crumb.path)}
+              onClick={(e) => handleClick(e, crumb.path)}
+            >
+              {crumb.label}
+            </a>
+          ) : (
+            <span aria-current={index === crumbs.length - 1 ? 'page' : undefined}>{crumb.label}</span>
+          )}
+        </React.Fragment>
+      ))}
+    </nav>
+  );
+};
+
+export default Breadcrumb;
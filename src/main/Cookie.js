@@ -1,9 +1,66 @@
+import SessionStore from '../utils/SessionStore.js';
+import SessionBus from '../utils/SessionBus.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 计算过期时间
+ * @param {number} days - 天数
+ * @returns {number} 过期时间戳
+ */
+const expiresIn = (days) => Date.now() + days * DAY;
+
+/**
+ * 读取账号记录中未过期的字段
+ * @param {string} username - 用户名
+ * @param {string} field - 字段名
+ * @param {string} expiryField - 对应的过期时间字段
+ * @returns {*} 字段值，不存在或已过期时为null
+ */
+const readField = (username, field, expiryField) => {
+  const record = SessionStore.getAccount(username);
+  if (!record || record[field] === undefined) return null;
+  return !record[expiryField] || record[expiryField] > Date.now() ? record[field] : null;
+};
+
 /**
- * Cookie操作工具类
+ * 为Promise设置超时，超时后以错误结束
+ * @param {Promise} promise - 要等待的Promise
+ * @param {number} ms - 超时时间（毫秒）
+ * @returns {Promise} 结果
+ */
+const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`验证超时（${ms}ms）`)), ms);
+  Promise.resolve(promise).then(resolve, reject).finally(() => clearTimeout(timer));
+});
+
+/**
+ * 从账号列表中去掉用户：最近使用、置顶、活跃账号
+ * @param {string} username - 用户名
+ */
+const forgetUser = (username) => {
+  SessionStore.setMeta('lastUsers', CookieUtils.getLastUsers().filter(user => user !== username));
+  if (CookieUtils.getPinnedUsers().includes(username)) {
+    CookieUtils.togglePinnedUser(username);
+  }
+
+  if (CookieUtils.getActiveUser() === username) {
+    CookieUtils.clearActiveUser();
+  }
+};
+
+/**
+ * Cookie与多账号会话工具类
  * 用于管理多用户登录状态的持久化存储
- * 后端对接说明：这些Cookie值需要与后端的session/token验证机制对应
+ * 账号会话（令牌、用户数据、头像等）保存在 SessionStore（IndexedDB）中，Cookie只保留服务器需要读取的当前会话令牌 authToken（见 API.js）
+ * 名称沿用 CookieUtils，旧版Cookie中的会话由 migrationScript.js 中的 migrateCookieSessions 迁移
  */
 export const CookieUtils = {
+  /**
+   * 本设备最多保存的账号数（REACT_APP_MAX_ACCOUNTS，默认8）
+   */
+  MAX_ACCOUNTS: Math.max(1, parseInt(process.env.REACT_APP_MAX_ACCOUNTS, 10) || 8),
+
   /**
    * 设置Cookie
    * @param {string} name - Cookie名称
@@ -44,31 +101,27 @@ export const CookieUtils = {
   
   /**
    * 设置用户Token
+   * 保存新账号时已达到账号数上限，则移除最久未使用的账号（见 enforceAccountLimit）
    * @param {string} username - 用户名
    * @param {string} token - 用户Token
-   * @param {Object} userData - 用户数据
+   * @param {Object} userData - 用户数据（头像单独保存）
    * @param {number} days - 过期天数，默认7天
    */
   setUserToken: (username, token, userData, days = 7) => {
-    // 存储用户Token
-    CookieUtils.setCookie(`userToken_${username}`, token, days);
-    
-    // 处理头像数据存储
-    if (userData.userAvatar) {
-      CookieUtils.setUserAvatar(username, userData.userAvatar, days);
-      // 从userData中移除头像数据，避免重复存储
-      const userDataWithoutAvatar = { ...userData };
-      delete userDataWithoutAvatar.userAvatar;
-      CookieUtils.setCookie(`userData_${username}`, JSON.stringify(userDataWithoutAvatar), days);
-    } else {
-      // 存储用户数据(不含头像)
-      CookieUtils.setCookie(`userData_${username}`, JSON.stringify(userData), days);
-    }
+    CookieUtils.enforceAccountLimit(username);
+
+    const { userAvatar, ...userDataWithoutAvatar } = userData;
+    SessionStore.updateAccount(username, {
+      token,
+      userData: userDataWithoutAvatar,
+      ...(userAvatar && { avatar: userAvatar }),
+      expiresAt: expiresIn(days),
+      // 刚登录的令牌无需再验证
+      staleSince: null
+    });
     
-    // 更新活跃用户
-    CookieUtils.setCookie('activeUser', username, days);
-    // 更新最近用户列表
-    CookieUtils.updateLastUsers(username);
+    // 更新活跃用户和最近用户列表
+    CookieUtils.setActiveUser(username);
   },
 
   /**
@@ -77,7 +130,65 @@ export const CookieUtils = {
    * @returns {string|null} Token或null
    */
   getUserToken: (username) => {
-    return CookieUtils.getCookie(`userToken_${username}`);
+    return readField(username, 'token', 'expiresAt');
+  },
+
+  /**
+   * 更新用户Token（令牌刷新后使用，不改变活跃用户和最近用户列表）
+   * @param {string} username - 用户名
+   * @param {string} token - 新的用户Token
+   * @param {number} days - 过期天数，默认7天
+   */
+  updateUserToken: (username, token, days = 7) => {
+    SessionStore.updateAccount(username, { token, expiresAt: expiresIn(days), staleSince: null });
+  },
+
+  /**
+   * 设置用户刷新令牌
+   * @param {string} username - 用户名
+   * @param {string} refreshToken - 刷新令牌
+   * @param {number} days - 过期天数，默认30天
+   */
+  setUserRefreshToken: (username, refreshToken, days = 30) => {
+    SessionStore.updateAccount(username, { refreshToken, refreshExpiresAt: expiresIn(days) });
+  },
+
+  /**
+   * 获取用户刷新令牌
+   * @param {string} username - 用户名
+   * @returns {string|null} 刷新令牌或null
+   */
+  getUserRefreshToken: (username) => {
+    return readField(username, 'refreshToken', 'refreshExpiresAt');
+  },
+
+  /**
+   * 保存受信任设备令牌（两步验证时勾选"信任此设备"后由服务器签发）
+   * 与登录令牌分开保存：会话过期或切换账号后仍然有效，登录时随请求发送以跳过两步验证
+   * @param {string} username - 用户名
+   * @param {string} deviceToken - 受信任设备令牌
+   * @param {number} days - 过期天数，默认30天
+   */
+  setTrustedDevice: (username, deviceToken, days = 30) => {
+    SessionStore.updateAccount(username, { trustedDevice: deviceToken, trustedDeviceExpiresAt: expiresIn(days) });
+  },
+
+  /**
+   * 获取受信任设备令牌
+   * @param {string} username - 用户名
+   * @returns {string|null} 受信任设备令牌或null
+   */
+  getTrustedDevice: (username) => {
+    return readField(username, 'trustedDevice', 'trustedDeviceExpiresAt');
+  },
+
+  /**
+   * 取消信任此设备
+   * @param {string} username - 用户名
+   */
+  deleteTrustedDevice: (username) => {
+    if (!SessionStore.getAccount(username)) return;
+    SessionStore.updateAccount(username, { trustedDevice: null, trustedDeviceExpiresAt: null });
   },
 
   /**
@@ -86,31 +197,52 @@ export const CookieUtils = {
    * @returns {Object|null} 用户数据或null
    */
   getUserData: (username) => {
-    const userData = CookieUtils.getCookie(`userData_${username}`);
-    try {
-      const parsedData = userData ? JSON.parse(userData) : null;
-      if (parsedData) {
-        // 自动获取头像数据并合并
-        const avatarData = CookieUtils.getUserAvatar(username);
-        if (avatarData && avatarData !== 'default') {
-          parsedData.userAvatar = avatarData;
-        }
-      }
-      return parsedData;
-    } catch (e) {
-      console.error('解析用户数据失败:', e);
-      return null;
-    }
+    const userData = readField(username, 'userData', 'expiresAt');
+    if (!userData) return null;
+    
+    // 自动获取头像数据并合并
+    const avatarData = CookieUtils.getUserAvatar(username);
+    return avatarData ? { ...userData, userAvatar: avatarData } : { ...userData };
   },
 
   /**
-   * 删除用户Token和数据
+   * 更新已保存的用户数据（合并字段，不改变活跃用户和最近用户列表），并通知其他标签页
+   * @param {string} username - 用户名
+   * @param {Object} changes - 要更新的字段
+   * @param {number} days - 过期天数，默认7天
+   * @returns {Object|null} 更新后的用户数据，未保存该用户时返回null
+   */
+  updateUserData: (username, changes, days = 7) => {
+    const userData = CookieUtils.getUserData(username);
+    if (!userData) return null;
+
+    const updated = { ...userData, ...changes };
+    const { userAvatar, ...dataWithoutAvatar } = updated;
+    SessionStore.updateAccount(username, { userData: dataWithoutAvatar, expiresAt: expiresIn(days) });
+    SessionBus.publish(SessionBus.EVENTS.PROFILE, { username });
+    return updated;
+  },
+
+  /**
+   * 删除用户Token和数据（会话失效时使用，保留设备信任）
    * @param {string} username - 用户名
    */
   deleteUserToken: (username) => {
-    CookieUtils.deleteCookie(`userToken_${username}`);
-    CookieUtils.deleteCookie(`userData_${username}`);
-    CookieUtils.deleteUserAvatar(username);
+    const record = SessionStore.getAccount(username);
+    if (!record) return;
+    
+    if (record.trustedDevice) {
+      SessionStore.updateAccount(username, {
+        token: null,
+        expiresAt: null,
+        refreshToken: null,
+        refreshExpiresAt: null,
+        userData: null,
+        avatar: null
+      });
+    } else {
+      SessionStore.deleteAccount(username);
+    }
   },
 
   /**
@@ -118,15 +250,23 @@ export const CookieUtils = {
    * @returns {string|null} 活跃用户名或null
    */
   getActiveUser: () => {
-    return CookieUtils.getCookie('activeUser');
+    return SessionStore.getMeta('activeUser');
   },
 
   /**
-   * 设置活跃用户
+   * 设置活跃用户（同时记为最近使用）
    * @param {string} username - 用户名
    */
   setActiveUser: (username) => {
-    CookieUtils.setCookie('activeUser', username, 7);
+    SessionStore.setMeta('activeUser', username);
+    CookieUtils.updateLastUsers(username);
+  },
+
+  /**
+   * 清除活跃用户标记（切换账号、退出登录）
+   */
+  clearActiveUser: () => {
+    SessionStore.removeMeta('activeUser');
   },
 
   /**
@@ -134,27 +274,11 @@ export const CookieUtils = {
    * @returns {Array} 用户Token列表 [{username, token, userData}]
    */
   getAllUserTokens: () => {
-    const cookies = document.cookie.split(';');
-    const userTokens = [];
-    
-    cookies.forEach(cookie => {
-      const trimmed = cookie.trim();
-      if (trimmed.startsWith('userToken_')) {
-        const username = trimmed.split('=')[0].replace('userToken_', '');
-        const token = CookieUtils.getUserToken(username);
-        const userData = CookieUtils.getUserData(username);
-        
-        if (token && userData) {
-          userTokens.push({
-            username,
-            token,
-            userData
-          });
-        }
-      }
-    });
-    
-    return userTokens;
+    return CookieUtils.getAllSavedUsers().map(username => ({
+      username,
+      token: CookieUtils.getUserToken(username),
+      userData: CookieUtils.getUserData(username)
+    }));
   },
 
   /**
@@ -170,10 +294,10 @@ export const CookieUtils = {
     // 添加到开头
     lastUsers.unshift(username);
     
-    // 限制最多2个用户
-    lastUsers = lastUsers.slice(0, 2);
+    // 不超过可保存的账号数
+    lastUsers = lastUsers.slice(0, CookieUtils.MAX_ACCOUNTS);
     
-    CookieUtils.setCookie('lastUsers', JSON.stringify(lastUsers), 30);
+    SessionStore.setMeta('lastUsers', lastUsers);
   },
 
   /**
@@ -181,13 +305,76 @@ export const CookieUtils = {
    * @returns {Array} 最近用户名列表
    */
   getLastUsers: () => {
-    const lastUsers = CookieUtils.getCookie('lastUsers');
-    try {
-      return lastUsers ? JSON.parse(lastUsers) : [];
-    } catch (e) {
-      console.error('解析最近用户列表失败:', e);
-      return [];
+    return SessionStore.getMeta('lastUsers', []);
+  },
+
+  /**
+   * 获取置顶的账号
+   * @returns {Array} 用户名列表（按置顶顺序）
+   */
+  getPinnedUsers: () => {
+    return SessionStore.getMeta('pinnedUsers', []);
+  },
+
+  /**
+   * 置顶或取消置顶账号
+   * @param {string} username - 用户名
+   * @returns {boolean} 操作后是否为置顶
+   */
+  togglePinnedUser: (username) => {
+    const pinnedUsers = CookieUtils.getPinnedUsers();
+    const pinned = !pinnedUsers.includes(username);
+    const updated = pinned ? [...pinnedUsers, username] : pinnedUsers.filter(user => user !== username);
+    SessionStore.setMeta('pinnedUsers', updated);
+    return pinned;
+  },
+
+  /**
+   * 账号排序：置顶账号在前（按置顶顺序），其余按最近使用，从未使用的按用户名
+   * @param {Array} usernames - 用户名列表
+   * @returns {Array} 排序后的用户名列表
+   */
+  sortUsers: (usernames) => {
+    const pinnedUsers = CookieUtils.getPinnedUsers();
+    const lastUsers = CookieUtils.getLastUsers();
+    const rank = (username) => {
+      const pinIndex = pinnedUsers.indexOf(username);
+      if (pinIndex !== -1) return pinIndex;
+      const lastIndex = lastUsers.indexOf(username);
+      return pinnedUsers.length + (lastIndex === -1 ? lastUsers.length : lastIndex);
+    };
+    return [...usernames].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+  },
+
+  /**
+   * 从本设备移除账号：令牌、刷新令牌、用户数据、头像（含分片）、设备信任、置顶和最近使用记录
+   * @param {string} username - 用户名
+   */
+  removeAccount: (username) => {
+    SessionStore.deleteAccount(username);
+    forgetUser(username);
+  },
+
+  /**
+   * 保证本设备保存的账号不超过 MAX_ACCOUNTS：超出时按 sortUsers 的顺序从后往前移除，
+   * 即先移除从未使用和最久未使用的账号，置顶账号最后移除
+   * 被移除的账号只清除会话，保留设备信任
+   * @param {string} [newUsername] - 即将保存的账号，为其保留一个位置
+   * @returns {Array<string>} 被移除的用户名
+   */
+  enforceAccountLimit: (newUsername) => {
+    const otherUsers = CookieUtils.getAllSavedUsers().filter(user => user !== newUsername);
+    const limit = newUsername ? CookieUtils.MAX_ACCOUNTS - 1 : CookieUtils.MAX_ACCOUNTS;
+    const evicted = CookieUtils.sortUsers(otherUsers).slice(limit);
+
+    evicted.forEach(username => {
+      CookieUtils.deleteUserToken(username);
+      forgetUser(username);
+    });
+    if (evicted.length > 0) {
+      console.info(`已达到账号数上限，移除了最久未使用的账号: ${evicted.join(', ')}`);
     }
+    return evicted;
   },
 
   /**
@@ -198,8 +385,9 @@ export const CookieUtils = {
     userTokens.forEach(({username}) => {
       CookieUtils.deleteUserToken(username);
     });
-    CookieUtils.deleteCookie('activeUser');
-    CookieUtils.deleteCookie('lastUsers');
+    SessionStore.removeMeta('activeUser');
+    SessionStore.removeMeta('lastUsers');
+    SessionStore.removeMeta('pinnedUsers');
   },
 
   /**
@@ -222,44 +410,72 @@ export const CookieUtils = {
 
   /**
    * 批量验证所有用户Token
+   * 并行验证（同时进行的数量有上限），每个账号单独计时
+   * validateTokenFn 返回false表示令牌已失效，清理该账号；抛出错误或超时表示暂时无法验证（如网络中断），
+   * 保留账号并标记为待验证，下次验证成功后清除标记
    * @param {Function} validateTokenFn - Token验证函数，接收(username, token)参数
-   * @returns {Promise<Array>} 验证结果数组 [{username, isValid, userData, error}]
+   * @param {Object} options - 选项
+   * @param {number} options.concurrency - 最多同时验证的账号数，默认4
+   * @param {number} options.timeout - 单个账号的验证超时（毫秒），默认8000
+   * @returns {Promise<Array>} 验证结果数组（与账号顺序一致） [{username, isValid, stale, userData, error}]
    */
-  batchValidateTokens: async (validateTokenFn) => {
+  batchValidateTokens: async (validateTokenFn, { concurrency = 4, timeout = 8000 } = {}) => {
     const allTokens = CookieUtils.getAllUserTokens();
-    const validationResults = [];
-    
-    for (const {username, token, userData} of allTokens) {
+    const validationResults = new Array(allTokens.length);
+    let nextIndex = 0;
+
+    const validateUser = async ({username, token, userData}) => {
       try {
-        const isValid = await validateTokenFn(username, token);
-        validationResults.push({
-          username,
-          isValid,
-          userData: isValid ? userData : null,
-          error: null
-        });
-        
+        const isValid = await withTimeout(validateTokenFn(username, token), timeout);
+
         // 如果Token无效，清理该用户的数据
         if (!isValid) {
           CookieUtils.deleteUserToken(username);
+          return { username, isValid: false, stale: false, userData: null, error: null };
         }
+
+        CookieUtils.setUserStale(username, false);
+        return { username, isValid: true, stale: false, userData, error: null };
       } catch (error) {
-        console.error(`验证用户 ${username} Token失败:`, error);
-        validationResults.push({
-          username,
-          isValid: false,
-          userData: null,
-          error: error.message
-        });
-        
-        // 验证出错也清理该用户数据
-        CookieUtils.deleteUserToken(username);
+        console.warn(`验证用户 ${username} Token失败，稍后重试:`, error);
+        CookieUtils.setUserStale(username, true);
+        return { username, isValid: false, stale: true, userData, error: error.message };
       }
-    }
-    
+    };
+
+    const worker = async () => {
+      while (nextIndex < allTokens.length) {
+        const index = nextIndex++;
+        validationResults[index] = await validateUser(allTokens[index]);
+      }
+    };
+
+    const workerCount = Math.min(Math.max(1, concurrency), allTokens.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
     return validationResults;
   },
 
+  /**
+   * 标记账号是否待验证（上次启动时因网络等原因未能验证令牌）
+   * @param {string} username - 用户名
+   * @param {boolean} stale - 是否待验证
+   */
+  setUserStale: (username, stale) => {
+    const record = SessionStore.getAccount(username);
+    if (!record || Boolean(record.staleSince) === stale) return;
+    SessionStore.updateAccount(username, { staleSince: stale ? Date.now() : null });
+  },
+
+  /**
+   * 判断账号是否待验证
+   * @param {string} username - 用户名
+   * @returns {boolean} 是否待验证
+   */
+  isUserStale: (username) => {
+    return Boolean(SessionStore.getAccount(username)?.staleSince);
+  },
+
   /**
    * 获取有效的用户列表
    * @param {Array} validationResults - 批量验证结果
@@ -275,24 +491,13 @@ export const CookieUtils = {
   },
 
   /**
-   * 获取所有已保存的用户名列表
+   * 获取所有已保存（会话未过期）的用户名列表
    * @returns {Array} 用户名数组
    */
   getAllSavedUsers: () => {
-    const cookies = document.cookie.split(';');
-    const usernames = new Set();
-    
-    cookies.forEach(cookie => {
-      const trimmed = cookie.trim();
-      if (trimmed.startsWith('userToken_')) {
-        const username = trimmed.split('=')[0].replace('userToken_', '');
-        if (username) {
-          usernames.add(username);
-        }
-      }
-    });
-    
-    return Array.from(usernames);
+    return SessionStore.listAccounts().filter(username => (
+      CookieUtils.getUserToken(username) && readField(username, 'userData', 'expiresAt')
+    ));
   }
 };
 
@@ -345,36 +550,55 @@ export const HistoryUtils = {
    */
   clearHistory: () => {
     safeLocalStorage.remove('browsingHistory');
+  },
+
+  /**
+   * 获取考试记录（含限时考试和自评分记录）
+   * @param {string} [username] - 仅返回该用户的记录
+   * @returns {Array} 考试记录数组（最新的在前）
+   */
+  getExamAttempts: (username) => {
+    const attempts = safeLocalStorage.get('examAttempts', []);
+    return username ? attempts.filter(attempt => attempt.username === username) : attempts;
+  },
+
+  /**
+   * 添加或更新考试记录（开始、结束时间、暂停记录和自评分）
+   * 相同id的记录会合并，便于给限时考试补充评分
+   * @param {Object} attempt - 考试记录，见 ExamUtils.toAttempt
+   * 后端对接：可以通过API将考试记录同步到后端
+   */
+  addExamAttempt: (attempt) => {
+    const attempts = HistoryUtils.getExamAttempts();
+    const existing = attempts.find(item => item.id === attempt.id);
+    const others = attempts.filter(item => item.id !== attempt.id);
+    others.unshift({ ...existing, ...attempt });
+
+    // 限制考试记录数量为100条
+    safeLocalStorage.set('examAttempts', others.slice(0, 100));
+  },
+
+  /**
+   * 标记考试记录已上传到后端（保持记录原有的顺序）
+   * @param {string} id - 考试记录ID，记录已不存在时不做任何事
+   */
+  markAttemptSynced: (id) => {
+    const attempts = HistoryUtils.getExamAttempts();
+    if (!attempts.some(item => item.id === id)) return;
+
+    safeLocalStorage.set('examAttempts', attempts.map(item => (item.id === id ? { ...item, synced: true } : item)));
   }
 };
 
 // ========== 头像存储管理方法 ==========
 
 /**
- * 设置用户头像数据
+ * 设置用户头像数据（与会话一起保存，不再写入Cookie）
  * @param {string} username - 用户名
  * @param {string} avatarData - 头像数据(base64或URL)
- * @param {number} days - 过期天数
  */
-CookieUtils.setUserAvatar = (username, avatarData, days = 7) => {
-  try {
-    // 检查数据大小，如果超过3KB则进行压缩处理
-    if (avatarData.length > 3000) {
-      console.warn(`用户 ${username} 的头像数据较大 (${avatarData.length} 字符)，建议优化`);
-      // 可以在这里添加图片压缩逻辑
-    }
-    
-    // 如果数据过大，分片存储
-    if (avatarData.length > 3500) {
-      CookieUtils.setAvatarChunks(username, avatarData, days);
-    } else {
-      CookieUtils.setCookie(`userAvatar_${username}`, avatarData, days);
-    }
-  } catch (error) {
-    console.error(`存储用户 ${username} 头像失败:`, error);
-    // 降级处理：存储默认头像标识
-    CookieUtils.setCookie(`userAvatar_${username}`, 'default', days);
-  }
+CookieUtils.setUserAvatar = (username, avatarData) => {
+  SessionStore.updateAccount(username, { avatar: avatarData || null });
 };
 
 /**
@@ -383,23 +607,7 @@ CookieUtils.setUserAvatar = (username, avatarData, days = 7) => {
  * @returns {string|null} 头像数据或null
  */
 CookieUtils.getUserAvatar = (username) => {
-  try {
-    // 首先尝试获取完整头像
-    const avatar = CookieUtils.getCookie(`userAvatar_${username}`);
-    if (avatar && avatar !== 'chunked') {
-      return avatar;
-    }
-    
-    // 如果是分片存储，则重组数据
-    if (avatar === 'chunked') {
-      return CookieUtils.getAvatarChunks(username);
-    }
-    
-    return null;
-  } catch (error) {
-    console.error(`获取用户 ${username} 头像失败:`, error);
-    return null;
-  }
+  return readField(username, 'avatar', 'expiresAt');
 };
 
 /**
@@ -407,57 +615,6 @@ CookieUtils.getUserAvatar = (username) => {
  * @param {string} username - 用户名
  */
 CookieUtils.deleteUserAvatar = (username) => {
-  // 删除主头像cookie
-  CookieUtils.deleteCookie(`userAvatar_${username}`);
-  
-  // 删除可能的分片数据
-  for (let i = 0; i < 10; i++) {
-    CookieUtils.deleteCookie(`userAvatar_${username}_chunk_${i}`);
-  }
-};
-
-/**
- * 分片存储头像数据
- * @param {string} username - 用户名
- * @param {string} avatarData - 头像数据
- * @param {number} days - 过期天数
- */
-CookieUtils.setAvatarChunks = (username, avatarData, days) => {
-  const chunkSize = 3000; // 每片3KB
-  const chunks = [];
-  
-  for (let i = 0; i < avatarData.length; i += chunkSize) {
-    chunks.push(avatarData.slice(i, i + chunkSize));
-  }
-  
-  // 存储分片标识
-  CookieUtils.setCookie(`userAvatar_${username}`, 'chunked', days);
-  CookieUtils.setCookie(`userAvatar_${username}_chunks`, chunks.length.toString(), days);
-  
-  // 存储各个分片
-  chunks.forEach((chunk, index) => {
-    CookieUtils.setCookie(`userAvatar_${username}_chunk_${index}`, chunk, days);
-  });
+  if (!SessionStore.getAccount(username)) return;
+  SessionStore.updateAccount(username, { avatar: null });
 };
-
-/**
- * 获取分片头像数据
- * @param {string} username - 用户名
- * @returns {string|null} 重组后的头像数据
- */
-CookieUtils.getAvatarChunks = (username) => {
-  const chunkCount = parseInt(CookieUtils.getCookie(`userAvatar_${username}_chunks`) || '0');
-  if (chunkCount === 0) return null;
-  
-  let avatarData = '';
-  for (let i = 0; i < chunkCount; i++) {
-    const chunk = CookieUtils.getCookie(`userAvatar_${username}_chunk_${i}`);
-    if (!chunk) {
-      console.error(`头像分片 ${i} 丢失，用户: ${username}`);
-      return null;
-    }
-    avatarData += chunk;
-  }
-  
-  return avatarData;
-};
\ No newline at end of file
@@ -5,6 +5,20 @@
  * 提供密码哈希和验证功能，确保密码安全传输
  */
 export const CryptoUtils = {
+  /**
+   * 密码哈希版本
+   * 1 - 旧版：用户名派生的固定盐值 + 单次SHA-256（仅用于兼容旧账号）
+   * 2 - PBKDF2-SHA256：服务器下发的每用户随机盐值和迭代次数
+   */
+  HASH_VERSIONS: {
+    LEGACY_SHA256: 1,
+    PBKDF2_SHA256: 2
+  },
+
+  // PBKDF2迭代次数的允许范围，防止参数被篡改为过低（易破解）或过高（页面卡死）
+  MIN_PBKDF2_ITERATIONS: 100000,
+  MAX_PBKDF2_ITERATIONS: 5000000,
+
   /**
    * 使用SHA-256算法对密码进行哈希加密
    * @param {string} password - 原始密码
@@ -34,6 +48,64 @@ export const CryptoUtils = {
     }
   },
 
+  /**
+   * 使用PBKDF2-SHA256派生密码哈希
+   * @param {string} password - 原始密码
+   * @param {string} salt - 服务器下发的盐值（按UTF-8字节参与运算）
+   * @param {number} iterations - 迭代次数
+   * @returns {Promise<string>} 256位十六进制哈希
+   */
+  pbkdf2Hash: async (password, salt, iterations) => {
+    if (!salt) {
+      throw new Error('缺少盐值');
+    }
+    if (!Number.isInteger(iterations)
+      || iterations < CryptoUtils.MIN_PBKDF2_ITERATIONS
+      || iterations > CryptoUtils.MAX_PBKDF2_ITERATIONS) {
+      throw new Error('迭代次数无效');
+    }
+
+    try {
+      const encoder = new TextEncoder();
+      const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+      );
+      const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations },
+        keyMaterial,
+        256
+      );
+
+      return Array.from(new Uint8Array(bits)).map(b => b.toString(16).padStart(2, '0')).join('');
+    } catch (error) {
+      console.error('PBKDF2 hashing error:', error);
+      throw new Error('密码加密失败');
+    }
+  },
+
+  /**
+   * 按指定版本的参数计算密码哈希
+   * @param {string} username - 用户名（旧版本用于派生盐值）
+   * @param {string} password - 原始密码
+   * @param {Object} params - 哈希参数 { version, salt?, iterations? }
+   * @returns {Promise<string>} 密码哈希
+   */
+  hashWithParams: async (username, password, params) => {
+    const version = Number(params?.version);
+    if (version === CryptoUtils.HASH_VERSIONS.PBKDF2_SHA256) {
+      return CryptoUtils.pbkdf2Hash(password, params.salt, Number(params.iterations));
+    }
+    if (version === CryptoUtils.HASH_VERSIONS.LEGACY_SHA256) {
+      const salt = await CryptoUtils.generateUserSalt(username);
+      return CryptoUtils.hashPassword(password, salt);
+    }
+    throw new Error('不支持的密码哈希版本');
+  },
+
   /**
    * 生成随机盐值
    * @param {number} length - 盐值长度（默认16字符）
@@ -68,6 +140,7 @@ export const CryptoUtils = {
   /**
    * 为用户名生成一致的盐值
    * 使用用户名的哈希作为盐值，确保同一用户的盐值始终一致
+   * 仅用于旧版（版本1）哈希，新账号使用服务器下发的随机盐值
    * @param {string} username - 用户名
    * @returns {Promise<string>} 基于用户名的盐值
    */
@@ -136,4 +209,71 @@ export const PasswordValidator = {
     result.isValid = result.score >= 2 && password.length >= 6;
     return result;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * 注册信息验证工具
+ * 在发出任何请求之前检查用户名、邮箱和密码
+ */
+export const RegistrationValidator = {
+  // 用户名：3-20位字母、数字或下划线（用户名会作为Cookie名称的一部分）
+  USERNAME_PATTERN: /^[A-Za-z0-9_]{3,20}$/,
+
+  // 邮箱：基本格式检查，最终以后端验证为准
+  EMAIL_PATTERN: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+
+  /**
+   * 验证用户名格式
+   * @param {string} username - 用户名
+   * @returns {string|null} 错误信息，通过时返回null
+   */
+  validateUsername: (username) => {
+    if (!username) return '用户名不能为空';
+    if (!RegistrationValidator.USERNAME_PATTERN.test(username)) {
+      return '用户名需为3-20位字母、数字或下划线';
+    }
+    return null;
+  },
+
+  /**
+   * 验证邮箱格式
+   * @param {string} email - 邮箱
+   * @returns {string|null} 错误信息，通过时返回null
+   */
+  validateEmail: (email) => {
+    if (!email) return '邮箱不能为空';
+    if (!RegistrationValidator.EMAIL_PATTERN.test(email)) {
+      return '邮箱格式不正确';
+    }
+    return null;
+  },
+
+  /**
+   * 验证完整的注册信息
+   * @param {Object} fields - { username, email, password, confirmPassword? }
+   * @returns {Object} { isValid, errors: { username?, email?, password?, confirmPassword? } }
+   */
+  validate: ({ username, email, password, confirmPassword }) => {
+    const errors = {};
+
+    const usernameError = RegistrationValidator.validateUsername(username);
+    if (usernameError) errors.username = usernameError;
+
+    const emailError = RegistrationValidator.validateEmail(email);
+    if (emailError) errors.email = emailError;
+
+    const strength = PasswordValidator.validateStrength(password);
+    if (!strength.isValid) {
+      errors.password = `密码强度不足：${strength.issues.join('，')}`;
+    }
+
+    if (confirmPassword !== undefined && password !== confirmPassword) {
+      errors.confirmPassword = '密码不匹配！';
+    }
+
+    return {
+      isValid: Object.keys(errors).length === 0,
+      errors
+    };
+  }
+};
@@ -0,0 +1,516 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { ApiService } from './API.js';
+import OfflineStore from '../utils/OfflineStore.js';
+import {
+  loadPdfDocument,
+  searchPdfText,
+  getFitWidthScale,
+  renderPageToCanvas
+} from '../utils/pdfUtils.js';
+
+/**
+ * 缩放档位
+ */
+const ZOOM_STEPS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+
+/**
+ * 缩略图宽度（像素）
+ */
+const THUMBNAIL_WIDTH = 96;
+
+/**
+ * 页面区域左右留白（像素），适应宽度时扣除
+ */
+const STAGE_PADDING = 32;
+
+/**
+ * 判断是否为pdf.js的取消渲染异常
+ * @param {Error} error - 异常
+ * @returns {boolean} 是否为取消
+ */
+const isRenderCancelled = (error) => error?.name === 'RenderingCancelledException';
+
+/**
+ * 页面缩略图 - 进入可视区域后才渲染
+ * @param {Object} props
+ * @param {Object} props.pdf - pdf.js文档对象
+ * @param {number} props.pageNumber - 页码
+ * @param {boolean} props.active - 是否为当前页
+ * @param {Function} props.onSelect - 点击回调
+ */
+const PageThumbnail = ({ pdf, pageNumber, active, onSelect }) => {
+  const itemRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [visible, setVisible] = useState(typeof IntersectionObserver === 'undefined');
+
+  // 懒渲染：缩略图进入可视区域时再绘制
+  useEffect(() => {
+    if (visible) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        setVisible(true);
+        observer.disconnect();
+      }
+    });
+    observer.observe(itemRef.current);
+
+    return () => observer.disconnect();
+  }, [visible]);
+
+  useEffect(() => {
+    if (!visible) return;
+
+    let cancelled = false;
+    let renderTask = null;
+
+    pdf.getPage(pageNumber).then(page => {
+      if (cancelled) return;
+      renderTask = renderPageToCanvas(page, canvasRef.current, getFitWidthScale(page, THUMBNAIL_WIDTH));
+      return renderTask.promise;
+    }).catch(error => {
+      if (!isRenderCancelled(error)) {
+        console.warn(`Thumbnail render failed for page ${pageNumber}:`, error);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [pdf, pageNumber, visible]);
+
+  // 当前页滚动到缩略图列表可视范围内
+  useEffect(() => {
+    if (active) {
+      itemRef.current?.scrollIntoView?.({ block: 'nearest' });
+    }
+  }, [active]);
+
+  return (
+    <button
+      ref={itemRef}
+      className={`viewer-thumbnail ${active ? 'active' : ''}`}
+      onClick={() => onSelect(pageNumber)}
+      aria-label={`Page ${pageNumber}`}
+      aria-current={active ? 'page' : undefined}
+    >
+      <canvas ref={canvasRef} />
+      <span>{pageNumber}</span>
+    </button>
+  );
+};
+
+/**
+ * DocumentViewer 组件 - 应用内PDF查看器
+ * 支持页面缩略图、缩放、适应宽度、页码跳转、文档内搜索和键盘翻页
+ * 由试卷预览、教科书和教学大纲共用
+ * @param {Object} props
+ * @param {Object} props.file - 文件对象 { id, title, fileUrl }
+ * @param {boolean} [props.compact=false] - 紧凑模式（分屏时使用，默认隐藏缩略图）
+ */
+const DocumentViewer = ({ file, compact = false }) => {
+  /**
+   * 文档对象与加载状态：loading | ready | error | unavailable
+   */
+  const [pdf, setPdf] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [error, setError] = useState('');
+
+  /**
+   * 当前页码与页码输入框内容
+   */
+  const [pageNumber, setPageNumber] = useState(1);
+  const [pageInput, setPageInput] = useState('1');
+
+  /**
+   * 缩放：适应宽度或固定比例
+   */
+  const [fitWidth, setFitWidth] = useState(true);
+  const [zoom, setZoom] = useState(1);
+  const [renderedScale, setRenderedScale] = useState(1);
+  const [stageWidth, setStageWidth] = useState(0);
+
+  /**
+   * 是否显示缩略图
+   */
+  const [showThumbnails, setShowThumbnails] = useState(!compact);
+
+  /**
+   * 文档内搜索
+   */
+  const [searchQuery, setSearchQuery] = useState('');
+  const [matches, setMatches] = useState(null);
+  const [activeMatch, setActiveMatch] = useState(0);
+  const [searching, setSearching] = useState(false);
+
+  /**
+   * 下载状态
+   */
+  const [downloading, setDownloading] = useState(false);
+
+  const containerRef = useRef(null);
+  const stageRef = useRef(null);
+  const canvasRef = useRef(null);
+  const searchInputRef = useRef(null);
+
+  const fileId = file?.id;
+  const fileUrl = file?.fileUrl;
+  const source = useMemo(
+    () => ApiService.getFileSource(fileId || fileUrl ? { id: fileId, fileUrl } : null),
+    [fileId, fileUrl]
+  );
+
+  const numPages = pdf?.numPages || 0;
+
+  // 加载文档，切换文件时销毁旧文档
+  useEffect(() => {
+    if (!source) {
+      setStatus('unavailable');
+      return;
+    }
+
+    let ignore = false;
+    let loadedDocument = null;
+
+    setStatus('loading');
+    setError('');
+    setPdf(null);
+    setPageNumber(1);
+    setMatches(null);
+
+    // 已离线保存的文件从本地加载，不需要网络
+    OfflineStore.getFileData(source.url).then(data => (
+      loadPdfDocument(data ? { data } : source)
+    )).then(pdfDocument => {
+      if (ignore) {
+        pdfDocument.destroy();
+        return;
+      }
+      loadedDocument = pdfDocument;
+      setPdf(pdfDocument);
+      setStatus('ready');
+    }).catch(loadError => {
+      if (ignore) return;
+      console.error('Document load failed:', loadError);
+      setError(loadError?.name === 'MissingPDFException' ? '文件不存在' : '文档加载失败，请检查网络连接');
+      setStatus('error');
+    });
+
+    return () => {
+      ignore = true;
+      loadedDocument?.destroy();
+    };
+  }, [source]);
+
+  // 跟踪页面区域宽度，用于适应宽度
+  useEffect(() => {
+    const stage = stageRef.current;
+    if (!stage) return;
+
+    const updateWidth = () => setStageWidth(stage.clientWidth);
+    updateWidth();
+
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', updateWidth);
+      return () => window.removeEventListener('resize', updateWidth);
+    }
+
+    const observer = new ResizeObserver(updateWidth);
+    observer.observe(stage);
+    return () => observer.disconnect();
+  }, [status]);
+
+  // 渲染当前页，参数变化时取消上一次未完成的渲染
+  useEffect(() => {
+    if (!pdf) return;
+
+    let cancelled = false;
+    let renderTask = null;
+
+    pdf.getPage(pageNumber).then(page => {
+      if (cancelled) return;
+      const scale = fitWidth && stageWidth
+        ? getFitWidthScale(page, stageWidth - STAGE_PADDING)
+        : zoom;
+      setRenderedScale(scale);
+      renderTask = renderPageToCanvas(page, canvasRef.current, scale);
+      return renderTask.promise;
+    }).catch(renderError => {
+      if (!cancelled && !isRenderCancelled(renderError)) {
+        console.error(`Page ${pageNumber} render failed:`, renderError);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [pdf, pageNumber, fitWidth, zoom, stageWidth]);
+
+  // 页码变化时同步输入框
+  useEffect(() => {
+    setPageInput(String(pageNumber));
+  }, [pageNumber]);
+
+  /**
+   * 跳转到指定页（自动限制在有效范围内）
+   * @param {number} target - 目标页码
+   */
+  const goToPage = (target) => {
+    if (!numPages || Number.isNaN(target)) return;
+    setPageNumber(Math.min(Math.max(1, target), numPages));
+  };
+
+  /**
+   * 提交页码输入
+   */
+  const commitPageInput = () => {
+    const target = parseInt(pageInput, 10);
+    if (Number.isNaN(target)) {
+      setPageInput(String(pageNumber));
+      return;
+    }
+    goToPage(target);
+    setPageInput(String(Math.min(Math.max(1, target), numPages || 1)));
+  };
+
+  /**
+   * 按档位缩放，以当前实际比例为基准
+   * @param {number} direction - 1放大，-1缩小
+   */
+  const stepZoom = (direction) => {
+    const next = direction > 0
+      ? ZOOM_STEPS.find(step => step > renderedScale + 0.01)
+      : [...ZOOM_STEPS].reverse().find(step => step < renderedScale - 0.01);
+
+    if (next) {
+      setFitWidth(false);
+      setZoom(next);
+    }
+  };
+
+  /**
+   * 执行文档内搜索并跳转到第一个结果
+   */
+  const runSearch = async () => {
+    const query = searchQuery.trim();
+    if (!pdf || !query) {
+      setMatches(null);
+      return;
+    }
+
+    setSearching(true);
+    try {
+      const results = await searchPdfText(pdf, query);
+      setMatches(results);
+      setActiveMatch(0);
+      if (results.length > 0) {
+        goToPage(results[0].pageNumber);
+      }
+    } catch (searchError) {
+      console.error('Document search failed:', searchError);
+      setMatches([]);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  /**
+   * 切换到上一个/下一个搜索结果（循环）
+   * @param {number} direction - 1下一个，-1上一个
+   */
+  const stepMatch = (direction) => {
+    if (!matches || matches.length === 0) return;
+    const next = (activeMatch + direction + matches.length) % matches.length;
+    setActiveMatch(next);
+    goToPage(matches[next].pageNumber);
+  };
+
+  /**
+   * 下载当前文件
+   */
+  const handleDownload = async () => {
+    setDownloading(true);
+    const response = await ApiService.downloadFile(file);
+    setDownloading(false);
+    if (!response.success) {
+      setError(response.message);
+    }
+  };
+
+  /**
+   * 键盘翻页与缩放
+   * 焦点在输入框内时不拦截
+   * @param {KeyboardEvent} e - 键盘事件
+   */
+  const handleKeyDown = (e) => {
+    if (e.target.tagName === 'INPUT') {
+      if (e.key === 'Escape') {
+        containerRef.current?.focus();
+      }
+      return;
+    }
+
+    const actions = {
+      ArrowRight: () => goToPage(pageNumber + 1),
+      ArrowDown: () => goToPage(pageNumber + 1),
+      PageDown: () => goToPage(pageNumber + 1),
+      ' ': () => goToPage(pageNumber + 1),
+      ArrowLeft: () => goToPage(pageNumber - 1),
+      ArrowUp: () => goToPage(pageNumber - 1),
+      PageUp: () => goToPage(pageNumber - 1),
+      Home: () => goToPage(1),
+      End: () => goToPage(numPages),
+      '+': () => stepZoom(1),
+      '=': () => stepZoom(1),
+      '-': () => stepZoom(-1),
+      '/': () => searchInputRef.current?.focus()
+    };
+
+    const action = actions[e.key];
+    if (action && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+      action();
+    }
+  };
+
+  if (status === 'unavailable') {
+    return (
+      <div className="document-viewer unavailable">
+        <p>This document is not available yet.</p>
+      </div>
+    );
+  }
+
+  const currentMatch = matches && matches.length > 0 ? matches[activeMatch] : null;
+
+  return (
+    <div
+      ref={containerRef}
+      className={`document-viewer ${compact ? 'compact' : ''}`}
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+      aria-label={file?.title ? `${file.title} viewer` : 'Document viewer'}
+    >
+      <div className="viewer-toolbar">
+        <div className="viewer-toolbar-group">
+          <button
+            className={`viewer-btn ${showThumbnails ? 'active' : ''}`}
+            onClick={() => setShowThumbnails(!showThumbnails)}
+            title="Toggle page thumbnails"
+            aria-pressed={showThumbnails}
+          >
+            ☰
+          </button>
+          <button className="viewer-btn" onClick={() => goToPage(pageNumber - 1)} disabled={pageNumber <= 1} title="Previous page">
+            ‹
+          </button>
+          <input
+            className="viewer-page-input"
+            value={pageInput}
+            onChange={(e) => setPageInput(e.target.value.replace(/\D/g, ''))}
+            onBlur={commitPageInput}
+            onKeyDown={(e) => e.key === 'Enter' && commitPageInput()}
+            aria-label="Page number"
+            inputMode="numeric"
+          />
+          <span className="viewer-page-count">/ {numPages || '–'}</span>
+          <button className="viewer-btn" onClick={() => goToPage(pageNumber + 1)} disabled={!numPages || pageNumber >= numPages} title="Next page">
+            ›
+          </button>
+        </div>
+
+        <div className="viewer-toolbar-group">
+          <button className="viewer-btn" onClick={() => stepZoom(-1)} disabled={renderedScale <= ZOOM_STEPS[0]} title="Zoom out">
+            −
+          </button>
+          <span className="viewer-zoom-label">{Math.round(renderedScale * 100)}%</span>
+          <button className="viewer-btn" onClick={() => stepZoom(1)} disabled={renderedScale >= ZOOM_STEPS[ZOOM_STEPS.length - 1]} title="Zoom in">
+            +
+          </button>
+          <button
+            className={`viewer-btn ${fitWidth ? 'active' : ''}`}
+            onClick={() => setFitWidth(true)}
+            title="Fit to width"
+            aria-pressed={fitWidth}
+          >
+            ↔
+          </button>
+        </div>
+
+        <form
+          className="viewer-toolbar-group viewer-search"
+          onSubmit={(e) => {
+            e.preventDefault();
+            runSearch();
+          }}
+        >
+          <input
+            ref={searchInputRef}
+            type="search"
+            placeholder="Find in document"
+            value={searchQuery}
+            onChange={(e) => {
+              setSearchQuery(e.target.value);
+              setMatches(null);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && matches && matches.length > 0) {
+                e.preventDefault();
+                stepMatch(e.shiftKey ? -1 : 1);
+              }
+            }}
+            aria-label="Find in document"
+          />
+          {matches && (
+            <span className="viewer-match-count">
+              {matches.length > 0 ? `${activeMatch + 1} / ${matches.length}` : 'No matches'}
+            </span>
+          )}
+          <button type="button" className="viewer-btn" onClick={() => stepMatch(-1)} disabled={!matches || matches.length === 0} title="Previous match">
+            ▲
+          </button>
+          <button type="button" className="viewer-btn" onClick={() => stepMatch(1)} disabled={!matches || matches.length === 0} title="Next match">
+            ▼
+          </button>
+        </form>
+
+        <button className="viewer-btn viewer-download" onClick={handleDownload} disabled={downloading} title="Download">
+          {downloading ? '…' : '📥'}
+        </button>
+      </div>
+
+      {currentMatch && (
+        <div className="viewer-match-snippet">
+          Page {currentMatch.pageNumber}: …{currentMatch.snippet}…
+        </div>
+      )}
+      {searching && <div className="viewer-match-snippet">Searching…</div>}
+
+      <div className="viewer-body">
+        {showThumbnails && pdf && (
+          <div className="viewer-thumbnails">
+            {Array.from({ length: numPages }, (_, index) => (
+              <PageThumbnail
+                key={index + 1}
+                pdf={pdf}
+                pageNumber={index + 1}
+                active={pageNumber === index + 1}
+                onSelect={goToPage}
+              />
+            ))}
+          </div>
+        )}
+
+        <div className="viewer-stage" ref={stageRef}>
+          {status === 'loading' && <div className="viewer-status">Loading document…</div>}
+          {error && <div className="viewer-status error">{error}</div>}
+          {status === 'ready' && <canvas ref={canvasRef} className="viewer-page" />}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentViewer;
@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+import { ApiService } from './API.js';
+
+/**
+ * EmailVerification 组件 - 验证邮件链接的落地页
+ * 打开后自动提交令牌并显示结果
+ * @param {Object} props
+ * @param {string|null} props.token - 验证链接中的令牌
+ * @param {Function} props.onDone - 继续使用应用的回调，接收验证结果 { username, email } 或null
+ */
+const EmailVerification = ({ token, onDone }) => {
+  /**
+   * 验证状态：'verifying' | 'verified' | 'failed'
+   */
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  const [result, setResult] = useState(null);
+  const [message, setMessage] = useState(token ? '' : '验证链接无效或已过期');
+
+  useEffect(() => {
+    if (!token) return;
+    let ignore = false;
+
+    ApiService.verifyEmail(token).then(response => {
+      if (ignore) return;
+      if (response.success) {
+        setResult(response.data || null);
+        setStatus('verified');
+      } else {
+        setMessage(response.message || '验证链接无效或已过期');
+        setStatus('failed');
+      }
+    });
+
+    return () => {
+      ignore = true;
+    };
+  }, [token]);
+
+  return (
+    <div className="login-container">
+      <div className="modern-login-container">
+        <div className="login-header">
+          <h1 className="login-title">
+            {status === 'verifying' && 'Verifying your email…'}
+            {status === 'verified' && 'Email verified ✓'}
+            {status === 'failed' && 'Verification failed'}
+          </h1>
+          {status === 'verified' && result?.email && (
+            <p className="login-subtitle"><strong>{result.email}</strong> is now confirmed. Sharing is unlocked.</p>
+          )}
+        </div>
+
+        {message && <div className="message error">{message}</div>}
+
+        {status !== 'verifying' && (
+          <div className="password-reset-done">
+            {status === 'failed' && (
+              <p>Verification links expire after a while and can only be used once. Sign in and use “Resend verification” to get a new one.</p>
+            )}
+            <button type="button" className="sign-in-btn" onClick={() => onDone(result)}>
+              Continue
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerification;
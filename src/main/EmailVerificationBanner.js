@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+import { ApiService } from './API.js';
+
+// 重新发送验证邮件的冷却时间（毫秒）
+const RESEND_COOLDOWN = 60 * 1000;
+
+/**
+ * EmailVerificationBanner 组件 - 邮箱未验证提示
+ * 显示在主页面顶部，可重新发送验证邮件
+ * @param {Object} props
+ * @param {string} props.email - 待验证的邮箱
+ */
+const EmailVerificationBanner = ({ email }) => {
+  /**
+   * 发送状态：'idle' | 'sending' | 'sent'
+   */
+  const [status, setStatus] = useState('idle');
+  const [message, setMessage] = useState('');
+
+  // 发送成功后冷却一段时间，避免重复发送
+  useEffect(() => {
+    if (status !== 'sent') return;
+    const timer = setTimeout(() => setStatus('idle'), RESEND_COOLDOWN);
+    return () => clearTimeout(timer);
+  }, [status]);
+
+  /**
+   * 重新发送验证邮件
+   */
+  const handleResend = async () => {
+    setStatus('sending');
+    setMessage('');
+
+    const response = await ApiService.resendVerificationEmail();
+    if (response.success) {
+      setStatus('sent');
+    } else {
+      setStatus('idle');
+      setMessage(response.message || '发送验证邮件失败，请稍后重试');
+    }
+  };
+
+  return (
+    <div className="email-verification-banner" role="status">
+      <span className="email-verification-text">
+        ✉️ Please verify <strong>{email}</strong> to unlock sharing. Check your inbox for the verification link.
+      </span>
+      {message && <span className="email-verification-error">{message}</span>}
+      <button
+        type="button"
+        className="email-verification-resend"
+        onClick={handleResend}
+        disabled={status !== 'idle'}
+      >
+        {status === 'sending' ? 'Sending…' : status === 'sent' ? 'Email sent ✓' : 'Resend verification'}
+      </button>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
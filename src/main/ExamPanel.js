@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import ExamUtils from '../utils/ExamUtils.js';
+import PaperUtils from '../utils/PaperUtils.js';
+import { formatDuration, globalAnimationManager } from '../utils/performanceUtils.js';
+
+/**
+ * ExamPanel 组件 - 限时考试模式
+ * 未开始时显示考试设置，进行中显示倒计时、提醒和暂停/交卷按钮，结束后显示用时摘要
+ * 会话的持久化与记录由父组件负责，本组件只通过onChange上报新的会话
+ * @param {Object} props
+ * @param {Object} props.paper - 试卷对象（duration为官方时长，单位分钟）
+ * @param {Object|null} props.session - 当前试卷的考试会话
+ * @param {Object|null} props.otherSession - 其他试卷正在进行的考试会话
+ * @param {Function} props.onStart - 开始考试回调，接收 { durationMinutes, warnings, lockMarkScheme }
+ * @param {Function} props.onChange - 会话变化回调，接收新的会话（null表示关闭）
+ */
+const ExamPanel = ({ paper, session, otherSession, onStart, onChange }) => {
+  /**
+   * 是否展开考试设置
+   */
+  const [showSetup, setShowSetup] = useState(false);
+
+  /**
+   * 考试设置表单
+   */
+  const [durationInput, setDurationInput] = useState(paper.duration ? String(paper.duration) : '');
+  const [warningsInput, setWarningsInput] = useState(ExamUtils.DEFAULT_WARNINGS.join(', '));
+  const [lockMarkScheme, setLockMarkScheme] = useState(true);
+
+  /**
+   * 当前时间（按秒刷新）与最近一次提醒
+   */
+  const [now, setNow] = useState(Date.now());
+  const [warning, setWarning] = useState(null);
+
+  /**
+   * 考试计时
+   * 优化：使用全局动画管理器，仅在秒数变化时更新状态
+   */
+  useEffect(() => {
+    if (!session || session.status !== 'running') return;
+
+    const tick = () => {
+      const current = Date.now();
+      setNow(prev => (Math.floor(prev / 1000) === Math.floor(current / 1000) ? prev : current));
+
+      if (ExamUtils.isTimeUp(session, current)) {
+        setWarning(null);
+        onChange(ExamUtils.finish(session, 'timeUp', current));
+        return;
+      }
+
+      const due = ExamUtils.getDueWarnings(session, current);
+      if (due.length > 0) {
+        // 刷新后可能同时越过多个阈值，只提示最近的一个
+        setWarning(Math.min(...due));
+        onChange({ ...session, firedWarnings: [...session.firedWarnings, ...due] });
+      }
+    };
+
+    tick();
+    globalAnimationManager.add(tick);
+    return () => {
+      globalAnimationManager.remove(tick);
+    };
+  }, [session, onChange]);
+
+  /**
+   * 开始考试
+   * @param {Event} e - 表单提交事件
+   */
+  const handleStart = (e) => {
+    e.preventDefault();
+    const durationMinutes = parseInt(durationInput, 10);
+    if (!durationMinutes || durationMinutes <= 0) return;
+
+    setShowSetup(false);
+    setWarning(null);
+    onStart({
+      durationMinutes,
+      warnings: ExamUtils.parseWarnings(warningsInput),
+      lockMarkScheme
+    });
+  };
+
+  /**
+   * 交卷
+   */
+  const handleFinish = () => {
+    if (window.confirm('Finish the exam now? The remaining time will be discarded.')) {
+      setWarning(null);
+      onChange(ExamUtils.finish(session, 'completed'));
+    }
+  };
+
+  // 考试结束：显示用时摘要
+  if (session && session.status === 'finished') {
+    return (
+      <div className="exam-panel finished">
+        <span className="exam-summary">
+          🏁 {ExamUtils.FINISH_REASONS[session.finishReason]} · time used {formatDuration(ExamUtils.getElapsed(session))}
+          {' '}of {formatDuration(session.durationMs)}
+          {session.pauses.length > 0 && ` · paused ${session.pauses.length}×`}
+        </span>
+        {session.lockMarkScheme && <span className="exam-unlocked">🔓 Mark scheme unlocked</span>}
+        <button className="exam-btn" onClick={() => onChange(null)}>Dismiss</button>
+      </div>
+    );
+  }
+
+  // 考试进行中：倒计时
+  if (session) {
+    const remaining = ExamUtils.getRemaining(session, now);
+    const nextWarning = session.warnings.find(minutes => !session.firedWarnings.includes(minutes));
+    const urgent = remaining <= (session.warnings[session.warnings.length - 1] || 5) * 60 * 1000;
+
+    return (
+      <div className={`exam-panel ${session.status} ${urgent ? 'urgent' : ''}`}>
+        <span className="exam-countdown" aria-live="off" title="Time remaining">
+          ⏱️ {ExamUtils.formatCountdown(remaining)}
+        </span>
+        <span className="exam-meta">
+          {session.status === 'paused' ? 'Paused' : `of ${formatDuration(session.durationMs)}`}
+          {nextWarning && session.status === 'running' && ` · next warning at ${nextWarning}m`}
+          {session.lockMarkScheme && ' · 🔒 mark scheme locked'}
+        </span>
+        <div className="exam-actions">
+          {session.status === 'running' ? (
+            <button className="exam-btn" onClick={() => onChange(ExamUtils.pause(session))}>⏸ Pause</button>
+          ) : (
+            <button className="exam-btn" onClick={() => onChange(ExamUtils.resume(session))}>▶ Resume</button>
+          )}
+          <button className="exam-btn finish" onClick={handleFinish}>Finish</button>
+        </div>
+        {warning && (
+          <div className="exam-warning" role="alert">
+            ⚠️ {warning} minute{warning === 1 ? '' : 's'} remaining
+            <button className="exam-warning-close" onClick={() => setWarning(null)} aria-label="Dismiss warning">×</button>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  // 未开始：考试设置
+  return (
+    <div className="exam-panel setup">
+      {!showSetup ? (
+        <button className="exam-btn start" onClick={() => setShowSetup(true)}>
+          ⏱️ Exam mode{paper.duration ? ` (${PaperUtils.formatPaperDuration(paper.duration)})` : ''}
+        </button>
+      ) : (
+        <form className="exam-setup" onSubmit={handleStart}>
+          <label>
+            Duration (minutes)
+            <input
+              type="number"
+              min="1"
+              value={durationInput}
+              onChange={(e) => setDurationInput(e.target.value)}
+              required
+            />
+          </label>
+          <label>
+            Warn at (minutes left)
+            <input
+              type="text"
+              value={warningsInput}
+              onChange={(e) => setWarningsInput(e.target.value)}
+              placeholder="30, 10, 5"
+            />
+          </label>
+          <label className="exam-checkbox">
+            <input
+              type="checkbox"
+              checked={lockMarkScheme}
+              onChange={(e) => setLockMarkScheme(e.target.checked)}
+            />
+            Lock mark scheme until time is up
+          </label>
+          {otherSession && (
+            <p className="exam-note">
+              Starting will end your exam on {otherSession.paper.title}.
+            </p>
+          )}
+          <div className="exam-actions">
+            <button type="submit" className="exam-btn start">Start exam</button>
+            <button type="button" className="exam-btn" onClick={() => setShowSetup(false)}>Cancel</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ExamPanel;
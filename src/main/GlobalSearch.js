@@ -0,0 +1,286 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { ApiService } from './API.js';
+import { debounce } from '../utils/performanceUtils.js';
+import PaperUtils from '../utils/PaperUtils.js';
+
+/**
+ * 最短搜索长度
+ */
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * 每组本地结果的最大数量
+ */
+const MAX_LOCAL_RESULTS = 4;
+
+/**
+ * 根据课程代码查找所属学科
+ * @param {Object} subjectsData - 学科数据
+ * @param {string} topicId - 课程代码
+ * @returns {Object|null} { subjectKey, topic } 或null
+ */
+export const findTopicById = (subjectsData, topicId) => {
+  if (!topicId) return null;
+
+  for (const [subjectKey, subject] of Object.entries(subjectsData)) {
+    const topic = subject.topics.find(t => t.id.toUpperCase() === String(topicId).toUpperCase());
+    if (topic) {
+      return { subjectKey, topic };
+    }
+  }
+  return null;
+};
+
+/**
+ * 在本地学科数据中匹配学科和课程
+ * @param {Object} subjectsData - 学科数据
+ * @param {Object} parsed - PaperUtils.parseSearchQuery的解析结果
+ * @returns {Array} 本地搜索结果
+ */
+const searchCatalogue = (subjectsData, parsed) => {
+  const text = parsed.text.toLowerCase();
+  const subjects = [];
+  const topics = [];
+
+  Object.entries(subjectsData).forEach(([subjectKey, subject]) => {
+    const subjectMatches = text && subject.name.toLowerCase().includes(text);
+    if (subjectMatches && !parsed.topicId) {
+      subjects.push({
+        kind: 'subject',
+        key: `subject-${subjectKey}`,
+        subjectKey,
+        icon: subject.icon,
+        label: subject.name,
+        sublabel: `${subject.topics.length} courses`
+      });
+    }
+
+    subject.topics.forEach(topic => {
+      const idMatches = parsed.topicId && topic.id.toUpperCase() === parsed.topicId;
+      const nameMatches = text && (topic.name.toLowerCase().includes(text) || subjectMatches);
+      // 含试卷条件（年份、考试季等）时只展示试卷结果，课程仅在代码命中时出现
+      const onlyTopicId = !PaperUtils.hasStructuredFields({ ...parsed, topicId: null });
+      if (idMatches || (nameMatches && !parsed.topicId && onlyTopicId)) {
+        topics.push({
+          kind: 'topic',
+          key: `topic-${topic.id}`,
+          subjectKey,
+          topic,
+          icon: subject.icon,
+          label: `${topic.id} - ${topic.name}`,
+          sublabel: `${topic.papers} papers`
+        });
+      }
+    });
+  });
+
+  return [...subjects.slice(0, MAX_LOCAL_RESULTS), ...topics.slice(0, MAX_LOCAL_RESULTS)];
+};
+
+/**
+ * GlobalSearch 组件 - 顶部全局搜索框
+ * 支持学科/课程名称、Cambridge试卷编号和自由文本，结果以下拉列表显示
+ * @param {Object} props
+ * @param {Object} props.subjectsData - 学科数据
+ * @param {Function} props.onSelect - 选中结果回调，接收 { kind, subjectKey, topic, paper }
+ */
+const GlobalSearch = ({ subjectsData, onSelect }) => {
+  /**
+   * 搜索关键词
+   */
+  const [query, setQuery] = useState('');
+
+  /**
+   * 搜索结果（本地学科/课程 + 后端试卷）
+   */
+  const [results, setResults] = useState([]);
+
+  /**
+   * 加载、错误与下拉显示状态
+   */
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+
+  /**
+   * 键盘选中项索引
+   */
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  /**
+   * 最新的搜索关键词，用于丢弃过期响应
+   */
+  const latestQueryRef = useRef('');
+
+  /**
+   * 进行中的后端搜索，关键词变化、选中结果或卸载时取消
+   */
+  const searchControllerRef = useRef(null);
+
+  /**
+   * 取消进行中的后端搜索
+   */
+  const cancelSearch = () => {
+    searchControllerRef.current?.abort();
+    searchControllerRef.current = null;
+  };
+
+  /**
+   * 防抖的后端搜索
+   */
+  const debouncedSearch = useMemo(() => debounce(async (searchQuery, localResults) => {
+    // 防抖期间关键词已清空或组件已卸载
+    if (latestQueryRef.current !== searchQuery) return;
+
+    const controller = new AbortController();
+    searchControllerRef.current = controller;
+    const response = await ApiService.searchPapers(searchQuery, { signal: controller.signal });
+
+    // 请求已取消或关键词已变化，丢弃过期响应
+    if (controller.signal.aborted || latestQueryRef.current !== searchQuery) return;
+
+    if (response.success) {
+      const paperResults = response.data.map(paper => {
+        const match = findTopicById(subjectsData, paper.topicId);
+        return {
+          kind: 'paper',
+          key: `paper-${paper.id}`,
+          subjectKey: paper.subject || match?.subjectKey,
+          topic: match?.topic || null,
+          paper: { ...paper, title: PaperUtils.formatTitle(paper) },
+          icon: '📄',
+          label: PaperUtils.formatComponentCode(paper) || paper.id,
+          sublabel: `${PaperUtils.getTypeLabel(paper.type || 'qp')} · ${PaperUtils.getSessionLabel(paper.session)} ${paper.year}`
+        };
+      });
+      setResults([...localResults, ...paperResults]);
+      setError('');
+    } else {
+      setError(response.message || '搜索失败');
+    }
+    setLoading(false);
+  }, 300), [subjectsData]);
+
+  // 组件卸载时取消未完成的搜索
+  useEffect(() => () => {
+    latestQueryRef.current = '';
+    searchControllerRef.current?.abort();
+  }, []);
+
+  /**
+   * 处理输入变化
+   * @param {string} value - 输入值
+   */
+  const handleQueryChange = (value) => {
+    setQuery(value);
+    setActiveIndex(-1);
+
+    const trimmed = value.trim();
+    latestQueryRef.current = trimmed;
+    cancelSearch();
+
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setLoading(false);
+      setError('');
+      setIsOpen(false);
+      return;
+    }
+
+    // 本地结果立即显示，试卷结果防抖后从后端获取
+    const localResults = searchCatalogue(subjectsData, PaperUtils.parseSearchQuery(trimmed));
+    setResults(localResults);
+    setLoading(true);
+    setIsOpen(true);
+    debouncedSearch(trimmed, localResults);
+  };
+
+  /**
+   * 选中搜索结果
+   * @param {Object} result - 搜索结果
+   */
+  const handleSelect = (result) => {
+    if (!result) return;
+
+    latestQueryRef.current = '';
+    cancelSearch();
+    setQuery('');
+    setResults([]);
+    setIsOpen(false);
+    setActiveIndex(-1);
+    onSelect(result);
+  };
+
+  /**
+   * 键盘导航
+   * @param {KeyboardEvent} e - 键盘事件
+   */
+  const handleKeyDown = (e) => {
+    if (!isOpen) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(index => Math.min(index + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      handleSelect(results[activeIndex >= 0 ? activeIndex : 0]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="search-box">
+      <input
+        type="text"
+        placeholder="🔍 Search papers..."
+        className="global-search"
+        value={query}
+        onChange={(e) => handleQueryChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onFocus={() => query.trim().length >= MIN_QUERY_LENGTH && setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        role="combobox"
+        aria-expanded={isOpen}
+        aria-controls="global-search-results"
+        aria-autocomplete="list"
+      />
+
+      {isOpen && (
+        <ul className="search-results" id="global-search-results" role="listbox">
+          {results.map((result, index) => (
+            <li
+              key={result.key}
+              className={`search-result-item ${index === activeIndex ? 'active' : ''}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // 使用onMouseDown，避免输入框失焦先关闭下拉
+              onMouseDown={(e) => {
+                e.preventDefault();
+                handleSelect(result);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              <span className="search-result-icon">{result.icon}</span>
+              <span className="search-result-text">
+                <span className="search-result-label">{result.label}</span>
+                <span className="search-result-sublabel">{result.sublabel}</span>
+              </span>
+            </li>
+          ))}
+
+          {loading && <li className="search-result-status">Searching papers...</li>}
+          {!loading && error && <li className="search-result-status error">{error}</li>}
+          {!loading && !error && results.length === 0 && (
+            <li className="search-result-status">No results</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default GlobalSearch;
@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import { ApiService } from './API.js';
+import OidcUtils from '../utils/OidcUtils.js';
+import RouteUtils from '../utils/RouteUtils.js';
+
+/**
+ * LinkedAccountsSettings 组件 - 个人资料设置页中的第三方账号关联
+ * 关联后可在登录页用对应的提供方登录此账号
+ * 未配置任何提供方时不渲染
+ */
+const LinkedAccountsSettings = () => {
+  const [accounts, setAccounts] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const providers = OidcUtils.getProviders();
+  const hasProviders = providers.length > 0;
+
+  useEffect(() => {
+    if (!hasProviders) return;
+    let ignore = false;
+
+    ApiService.getLinkedAccounts().then(response => {
+      if (ignore) return;
+      if (response.success) {
+        setAccounts(response.data || []);
+      } else {
+        setMessage(response.message || '获取关联账号失败');
+      }
+    });
+
+    return () => {
+      ignore = true;
+    };
+  }, [hasProviders]);
+
+  if (!hasProviders) return null;
+
+  /**
+   * 跳转到提供方授权页进行关联，完成后回到设置页
+   * @param {Object} provider - 提供方
+   */
+  const handleLink = async (provider) => {
+    setBusy(provider.id);
+    setMessage('');
+
+    const response = await ApiService.startOidcLogin(provider.id, {
+      mode: 'link',
+      returnTo: RouteUtils.build('profileTab', { profileTab: 'settings' })
+    });
+    if (response.success) {
+      window.location.assign(response.data.authorizationUrl);
+    } else {
+      setBusy(null);
+      setMessage(response.message || '无法发起关联');
+    }
+  };
+
+  /**
+   * 取消关联
+   * @param {Object} provider - 提供方
+   */
+  const handleUnlink = async (provider) => {
+    if (!window.confirm(`确定要取消关联 ${provider.name} 吗？`)) return;
+
+    setBusy(provider.id);
+    setMessage('');
+    const response = await ApiService.unlinkOidcAccount(provider.id);
+    setBusy(null);
+
+    if (response.success) {
+      setAccounts(response.data || []);
+    } else {
+      setMessage(response.message || '取消关联失败');
+    }
+  };
+
+  return (
+    <div className="linked-accounts-settings">
+      <h3>Linked accounts</h3>
+      <p className="modal-description">Sign in with another account you already use. Linking never shares your TimeDay password.</p>
+
+      {message && <div className="message error">{message}</div>}
+
+      {accounts && (
+        <ul className="passkey-list">
+          {providers.map(provider => {
+            const linked = accounts.find(account => account.provider === provider.id);
+            return (
+              <li key={provider.id} className="passkey-item">
+                <div>
+                  <div className="passkey-name">
+                    <span className="oidc-provider-icon" aria-hidden="true">{provider.icon}</span> {provider.name}
+                  </div>
+                  <div className="passkey-meta">
+                    {linked
+                      ? `Linked${linked.email ? ` as ${linked.email}` : ''} · ${new Date(linked.linkedAt).toLocaleDateString()}`
+                      : 'Not linked'}
+                  </div>
+                </div>
+                {linked ? (
+                  <button type="button" className="cancel-btn danger" onClick={() => handleUnlink(provider)} disabled={Boolean(busy)}>
+                    Unlink
+                  </button>
+                ) : (
+                  <button type="button" className="confirm-btn" onClick={() => handleLink(provider)} disabled={Boolean(busy)}>
+                    {busy === provider.id ? 'Redirecting…' : 'Link'}
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LinkedAccountsSettings;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { ApiService } from './API.js';
+import { CookieUtils } from './Cookie.js';
+import UserUtils from '../utils/UserUtils.js';
+import WebAuthnUtils from '../utils/WebAuthnUtils.js';
+import TwoFactorChallenge from './TwoFactorChallenge.js';
+
+/**
+ * LockScreen 组件 - 空闲锁屏
+ * 覆盖整个页面（不卸载下面的页面，解锁后状态不变），需要输入密码或使用通行密钥解锁
+ * 账号启用了两步验证且此设备未被信任时，输入密码后还需输入验证码
+ * @param {Object} props
+ * @param {Object} props.user - 当前用户数据
+ * @param {number} props.signOutMinutes - 空闲多久后自动退出登录（0表示不自动退出）
+ * @param {Function} props.onUnlock - 解锁成功回调，接收新的用户数据
+ * @param {Function} props.onSignOut - 退出登录（不解锁）
+ */
+const LockScreen = ({ user, signOutMinutes, onUnlock, onSignOut }) => {
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
+
+  const username = user.username;
+  const displayName = UserUtils.getDisplayName(user).trim();
+  const canUsePasskey = Boolean(user.hasPasskey) && WebAuthnUtils.isSupported();
+
+  /**
+   * 保存新令牌并解锁
+   * @param {Object} userData - 登录返回的用户数据
+   */
+  const completeUnlock = (userData) => {
+    if (!UserUtils.validateUserData(userData) || userData.username !== username) {
+      setMessage('用户数据验证失败，请联系管理员');
+      return;
+    }
+
+    CookieUtils.setUserToken(username, userData.token, userData, 7);
+    onUnlock(userData);
+  };
+
+  /**
+   * 使用密码解锁
+   * @param {Event} e - 表单提交事件
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password) return;
+
+    setLoading(true);
+    setMessage('');
+
+    const response = await ApiService.login(username, password);
+    setLoading(false);
+    setPassword('');
+
+    if (!response.success) {
+      setMessage(response.message || '密码错误，请重试');
+      return;
+    }
+
+    if (response.requires2fa) {
+      setChallengeToken(response.challengeToken);
+      return;
+    }
+
+    completeUnlock(response.data);
+  };
+
+  /**
+   * 使用通行密钥解锁
+   */
+  const handlePasskeyUnlock = async () => {
+    setLoading(true);
+    setMessage('');
+
+    const response = await ApiService.loginWithPasskey(username);
+    setLoading(false);
+
+    if (response.success) {
+      completeUnlock(response.data);
+    } else {
+      setMessage(response.message || '通行密钥验证失败');
+    }
+  };
+
+  return (
+    <div className="lock-screen" role="dialog" aria-modal="true" aria-labelledby="lock-screen-title">
+      <div className="lock-screen-card">
+        <div className="lock-screen-avatar" aria-hidden="true">
+          {user.userAvatar ? <img src={user.userAvatar} alt="" /> : username.charAt(0).toUpperCase()}
+        </div>
+        <h2 id="lock-screen-title">🔒 Locked</h2>
+        <p className="modal-description">
+          <strong>{displayName}</strong> was away for a while, so TimeDay locked this screen. Your work is kept.
+          {signOutMinutes > 0 && ` You will be signed out after ${signOutMinutes} minutes without activity.`}
+        </p>
+
+        {challengeToken ? (
+          <TwoFactorChallenge
+            username={username}
+            challengeToken={challengeToken}
+            onSuccess={(result) => completeUnlock(result.data)}
+            onCancel={() => setChallengeToken(null)}
+          />
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label htmlFor="lock-screen-password">Password</label>
+              <input
+                id="lock-screen-password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+                autoFocus
+              />
+            </div>
+            <button type="submit" className="confirm-btn" disabled={loading || !password}>
+              {loading ? 'Unlocking…' : 'Unlock'}
+            </button>
+            {canUsePasskey && (
+              <button type="button" className="cancel-btn" onClick={handlePasskeyUnlock} disabled={loading}>
+                🔑 Use a passkey
+              </button>
+            )}
+          </form>
+        )}
+
+        {message && <div className="message error">{message}</div>}
+
+        <button type="button" className="lock-screen-sign-out" onClick={onSignOut} disabled={loading}>
+          Not {displayName}? Sign out
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default LockScreen;
@@ -1,14 +1,130 @@
 import React, { useState, useEffect } from "react";
 import { CookieUtils } from "./Cookie";
 import { ApiService } from "./API";
-import { PasswordValidator } from "./CryptoUtils";
+import { RegistrationValidator } from "./CryptoUtils";
 import IdUtils from "../utils/IdUtils.js";
 import UserUtils from "../utils/UserUtils.js";
+import TwoFactorChallenge from "./TwoFactorChallenge.js";
+import WebAuthnUtils from "../utils/WebAuthnUtils.js";
+import OidcProviderButtons from "./OidcProviderButtons.js";
+import SessionBus from "../utils/SessionBus.js";
+import SessionPolicy from "../utils/SessionPolicy.js";
+
+// 用户名、邮箱可用性检查的防抖延迟（毫秒）
+const AVAILABILITY_CHECK_DELAY = 400;
+
+// 账号数超过该值时显示搜索框
+const ACCOUNT_SEARCH_THRESHOLD = 4;
+
+// 注册表单输入框对应的字段名（与验证结果、后端字段错误的键名一致）
+const SIGNUP_FIELDS = {
+  signupUsername: 'username',
+  signupEmail: 'email',
+  signupPassword: 'password',
+  signupConfirmPassword: 'confirmPassword'
+};
+
+/**
+ * 从Cookie读取已保存的账号，转换为账号卡片（置顶在前，其余按最近使用排序）
+ * @returns {Array} 账号卡片列表
+ */
+const loadAccountCards = () => {
+  const pinnedUsers = CookieUtils.getPinnedUsers();
+
+  return CookieUtils.sortUsers(CookieUtils.getAllSavedUsers()).map(username => {
+    const userData = CookieUtils.getUserData(username);
+    const avatarData = CookieUtils.getUserAvatar(username);
+    const pinned = pinnedUsers.includes(username);
+
+    // 检查用户数据是否需要迁移
+    if (UserUtils.needsMigration(userData)) {
+      // 标记为需要迁移的用户
+      return {
+        id: `migration-${username}`,
+        username: username,
+        displayName: userData?.displayName || username,
+        role: 'User',
+        avatar: avatarData || username.charAt(0).toUpperCase(),
+        color: '#4299e1',
+        isOnline: false,
+        userAvatar: avatarData,
+        needsMigration: true,
+        pinned
+      };
+    }
+
+    return {
+      id: userData?.id || `legacy-${username}`,
+      username: username,
+      email: userData?.email || '',
+      displayName: UserUtils.getDisplayName(userData),
+      role: userData?.isAdmin ? 'Admin' : 'User',
+      avatar: avatarData || username.charAt(0).toUpperCase(),
+      color: '#4299e1',
+      isOnline: false,
+      userAvatar: avatarData,
+      hasPasskey: Boolean(userData?.hasPasskey),
+      stale: CookieUtils.isUserStale(username),
+      pinned
+    };
+  });
+};
+
+/**
+ * 按显示名称、用户名或邮箱筛选账号
+ * @param {Array} users - 账号卡片列表
+ * @param {string} query - 搜索词
+ * @returns {Array} 匹配的账号
+ */
+const filterAccounts = (users, query) => {
+  const keyword = query.trim().toLowerCase();
+  if (!keyword) return users;
+  return users.filter(user => [user.displayName, user.username, user.email]
+    .some(value => String(value || '').toLowerCase().includes(keyword)));
+};
+
+/**
+ * 实时检查用户名或邮箱是否可用
+ * 输入停止后才发出请求，输入变化或离开页面时取消未完成的请求
+ * @param {string} field - 'username' 或 'email'
+ * @param {string} value - 字段值
+ * @param {boolean} enabled - 是否检查（格式正确时才检查）
+ * @returns {string|null} 'checking' | 'available' | 'taken' | 'unknown'，未检查时为null
+ */
+const useAvailabilityCheck = (field, value, enabled) => {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) {
+      setStatus(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    setStatus('checking');
+    const timer = setTimeout(async () => {
+      const response = await ApiService.checkAvailability({ [field]: value }, { signal: controller.signal });
+      if (controller.signal.aborted) return;
+      if (response.success && typeof response.data?.[field] === 'boolean') {
+        setStatus(response.data[field] ? 'available' : 'taken');
+      } else {
+        setStatus('unknown');
+      }
+    }, AVAILABILITY_CHECK_DELAY);
+
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+    };
+  }, [field, value, enabled]);
+
+  return status;
+};
 
 /**
  * Login 组件 - 处理用户登录、注册和登出功能
  * @param {Object} props
- * @param {string} props.currentPage - 当前页面状态 ('loading', 'welcome', 'login', 'signup', 'main')
+ * @param {string} props.currentPage - 当前页面状态 ('loading', 'welcome', 'login', 'signup', 'forgot', 'main')
  * @param {Function} props.onPageChange - 页面切换回调函数
  * @param {Function} props.onLoginSuccess - 登录成功回调函数
  */
@@ -33,9 +149,50 @@ const [formData, setFormData] = useState({
   signupUsername: '',
   signupEmail: '',
   signupPassword: '',
-  signupConfirmPassword: ''
+  signupConfirmPassword: '',
+  forgotIdentifier: ''
 });
 
+/**
+ * 重置密码邮件是否已发送
+ */
+const [resetRequested, setResetRequested] = useState(false);
+
+/**
+ * 是否已尝试提交注册表单（之后空字段也显示错误）
+ */
+const [signupAttempted, setSignupAttempted] = useState(false);
+
+/**
+ * 后端返回的注册字段错误 { 字段名: 提示 }，修改对应字段后清除
+ */
+const [serverFieldErrors, setServerFieldErrors] = useState({});
+
+/**
+ * 注册信息的本地验证结果，以及用户名、邮箱的实时可用性
+ */
+const signupValidation = RegistrationValidator.validate({
+  username: formData.signupUsername,
+  email: formData.signupEmail,
+  password: formData.signupPassword,
+  confirmPassword: formData.signupConfirmPassword
+});
+const usernameAvailability = useAvailabilityCheck(
+  'username',
+  formData.signupUsername,
+  currentPage === 'signup' && !signupValidation.errors.username
+);
+const emailAvailability = useAvailabilityCheck(
+  'email',
+  formData.signupEmail,
+  currentPage === 'signup' && !signupValidation.errors.email
+);
+
+/**
+ * 两步验证挑战 { username, challengeToken }，密码验证通过后需要输入验证码时设置
+ */
+const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+
 /**
  * 选中的用户状态
  */
@@ -46,6 +203,16 @@ const [selectedUser, setSelectedUser] = useState(null);
  */
 const [predefinedUsers, setPredefinedUsers] = useState([]);
 
+/**
+ * 是否已达到本设备可保存的账号数
+ */
+const accountLimitReached = predefinedUsers.length >= CookieUtils.MAX_ACCOUNTS;
+
+/**
+ * 账号搜索词
+ */
+const [accountSearch, setAccountSearch] = useState('');
+
  // ==================== 生命周期函数 ====================
  
  /**
@@ -53,47 +220,7 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
   */
  useEffect(() => {
    try {
-      // 获取所有已保存的用户名
-      const allUsernames = CookieUtils.getAllSavedUsers();
-     
-     if (allUsernames.length > 0) {
-        // 转换为登录界面需要的格式，过滤掉需要迁移的用户
-        const userList = allUsernames.map(username => {
-         const userData = CookieUtils.getUserData(username);
-         const avatarData = CookieUtils.getUserAvatar(username);
-         
-         // 检查用户数据是否需要迁移
-         if (UserUtils.needsMigration(userData)) {
-           // 标记为需要迁移的用户
-           return {
-             id: `migration-${username}`,
-             username: username,
-             displayName: userData?.displayName || username,
-             role: 'User',
-             avatar: avatarData || username.charAt(0).toUpperCase(),
-             color: '#4299e1',
-             isOnline: false,
-             userAvatar: avatarData,
-             needsMigration: true
-           };
-         }
-         
-         return {
-           id: userData?.id || `legacy-${username}`,
-           username: username,
-           displayName: UserUtils.getDisplayName(userData),
-           role: userData?.isAdmin ? 'Admin' : 'User',
-           avatar: avatarData || username.charAt(0).toUpperCase(),
-           color: '#4299e1',
-           isOnline: false,
-           userAvatar: avatarData
-         };
-       });
-       
-       setPredefinedUsers(userList.slice(0, 2)); // 最多显示2个用户
-     } else {
-       setPredefinedUsers([]);
-     }
+     setPredefinedUsers(loadAccountCards());
    } catch (error) {
      setPredefinedUsers([]);
    }
@@ -109,12 +236,24 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
     setMessage('');
   };
   
+  /**
+   * 显示忘记密码页面
+   * @param {string} [identifier] - 预填的用户名或邮箱
+   */
+  const showForgotPassword = (identifier = '') => {
+    setFormData(prev => ({ ...prev, forgotIdentifier: identifier }));
+    setResetRequested(false);
+    setMessage('');
+    onPageChange('forgot');
+  };
+  
   /**
    * 处理用户选择
    * @param {Object} user - 选中的用户对象
    */
   const handleUserSelect = async (user) => {
     setSelectedUser(user);
+    setTwoFactorChallenge(null);
     setLoading(true);
     setMessage('');
     
@@ -123,7 +262,11 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
       const userToken = CookieUtils.getUserToken(user.username);
       const userData = CookieUtils.getUserData(user.username);
       
-      if (userToken && userData) {
+      if (SessionPolicy.isLocked(user.username)) {
+        // 空闲锁屏的账号需要重新输入密码
+        setMessage('该账号已锁定，请输入密码解锁');
+        setFormData(prev => ({ ...prev, loginUsername: user.username }));
+      } else if (userToken && userData) {
         // 直接使用已保存的用户数据登录
         CookieUtils.setActiveUser(user.username);
         onLoginSuccess(userData);
@@ -151,30 +294,40 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
   };
 
   /**
-   * 删除账号
-   * @param {string} userId - 要删除的用户ID
+   * 从本设备移除账号
+   * @param {Object} user - 要移除的账号卡片
+   * @param {Event} event - 点击事件
    */
-  const handleDeleteUser = (userId, event) => {
+  const handleDeleteUser = (user, event) => {
     event.stopPropagation(); // 防止触发用户选择
     
-    if (window.confirm('确定要删除这个账号吗？此操作不可撤销。')) {
-      // 从userId中提取用户名
-      const username = userId.split('-')[0];
-      
-      // 删除Cookie中的用户数据
-      CookieUtils.deleteUserToken(username);
+    if (window.confirm(`确定要从此设备移除账号「${user.displayName}」吗？移除后需要重新登录。`)) {
+      // 删除本设备保存的令牌、用户数据、头像和设备信任，正在使用该账号的其他标签页退出登录
+      CookieUtils.removeAccount(user.username);
+      SessionBus.publish(SessionBus.EVENTS.LOGOUT, { username: user.username });
       
       // 更新界面显示
-      setPredefinedUsers(prev => prev.filter(user => user.id !== userId));
+      setPredefinedUsers(prev => prev.filter(item => item.username !== user.username));
       
       // 如果删除的是当前选中的用户，清除选择
-      if (selectedUser?.id === userId) {
+      if (selectedUser?.username === user.username) {
         setSelectedUser(null);
       }
       
-      setMessage('账号已删除');
+      setMessage('账号已移除');
     }
   };
+
+  /**
+   * 置顶或取消置顶账号
+   * @param {Object} user - 账号卡片
+   * @param {Event} event - 点击事件
+   */
+  const handleTogglePin = (user, event) => {
+    event.stopPropagation(); // 防止触发用户选择
+    CookieUtils.togglePinnedUser(user.username);
+    setPredefinedUsers(loadAccountCards());
+  };
   
 
 
@@ -187,6 +340,37 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
    */
   const handleInputChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
+    if (serverFieldErrors[SIGNUP_FIELDS[field]]) {
+      setServerFieldErrors(prev => ({ ...prev, [SIGNUP_FIELDS[field]]: undefined }));
+    }
+  };
+
+  /**
+   * 保存登录结果并进入主页面（密码登录和两步验证共用）
+   * @param {Object} userData - 登录返回的用户数据
+   */
+  const completeLogin = (userData) => {
+    const username = userData.username;
+    
+    // 验证用户数据完整性
+    if (!UserUtils.validateUserData(userData)) {
+      setMessage('用户数据验证失败，请联系管理员');
+      return;
+    }
+    
+    // 使用新的多用户Token管理方法
+    CookieUtils.setUserToken(username, userData.token, userData, 7);
+    
+    // 清理旧版本的Cookie（如果存在）
+    CookieUtils.deleteCookie('userToken');
+    CookieUtils.deleteCookie('userData');
+    
+    onLoginSuccess(userData);
+    onPageChange('main');
+    
+    // 清空表单
+    setTwoFactorChallenge(null);
+    setFormData(prev => ({ ...prev, loginUsername: '', loginPassword: '' }));
   };
 
   /**
@@ -202,28 +386,12 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
       // 调用登录API
       const response = await ApiService.login(formData.loginUsername, formData.loginPassword);
       
-      if (response.success) {
-        const userData = response.data;
-        const username = userData.username;
-        
-        // 验证用户数据完整性
-        if (!UserUtils.validateUserData(userData)) {
-          setMessage('用户数据验证失败，请联系管理员');
-          return;
-        }
-        
-        // 使用新的多用户Token管理方法
-        CookieUtils.setUserToken(username, userData.token, userData, 7);
-        
-        // 清理旧版本的Cookie（如果存在）
-        CookieUtils.deleteCookie('userToken');
-        CookieUtils.deleteCookie('userData');
-        
-        onLoginSuccess(userData);
-        onPageChange('main');
-        
-        // 清空表单
-        setFormData(prev => ({ ...prev, loginUsername: '', loginPassword: '' }));
+      if (response.success && response.requires2fa) {
+        // 密码正确，进入两步验证
+        setTwoFactorChallenge({ username: formData.loginUsername, challengeToken: response.challengeToken });
+        setFormData(prev => ({ ...prev, loginPassword: '' }));
+      } else if (response.success) {
+        completeLogin(response.data);
       } else {
         setMessage(response.message);
       }
@@ -234,6 +402,29 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
     }
   };
 
+  /**
+   * 使用通行密钥登录（账号卡片或密码表单中的按钮）
+   * @param {Object} user - 账号卡片对应的用户
+   * @param {Event} [event] - 点击事件
+   */
+  const handlePasskeyLogin = async (user, event) => {
+    event?.stopPropagation(); // 防止触发用户选择
+    setSelectedUser(user);
+    setTwoFactorChallenge(null);
+    setLoading(true);
+    setMessage('');
+    
+    const response = await ApiService.loginWithPasskey(user.username);
+    setLoading(false);
+    
+    if (response.success) {
+      completeLogin(response.data);
+    } else {
+      setFormData(prev => ({ ...prev, loginUsername: user.username }));
+      setMessage(response.message || '通行密钥登录失败，请使用密码登录');
+    }
+  };
+
   /**
    * 处理注册表单提交
    * @param {Event} e - 表单提交事件
@@ -243,23 +434,22 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
     setLoading(true);
     setMessage('');
     
-    // 验证密码匹配
-    if (formData.signupPassword !== formData.signupConfirmPassword) {
-      setMessage('密码不匹配！');
+    setServerFieldErrors({});
+    
+    // 发出请求前验证所有字段
+    setSignupAttempted(true);
+    if (!signupValidation.isValid) {
+      setMessage(Object.values(signupValidation.errors)[0]);
       setLoading(false);
       return;
     }
     
-    // 验证密码强度
-    const passwordValidation = PasswordValidator.validateStrength(formData.signupPassword);
-    if (!passwordValidation.isValid) {
-      setMessage(`密码强度不足：${passwordValidation.issues.join('，')}`);
+    if (usernameAvailability === 'taken' || emailAvailability === 'taken') {
+      setMessage(usernameAvailability === 'taken' ? '该用户名已被注册' : '该邮箱已被注册');
       setLoading(false);
       return;
     }
     
-
-    
     try {
       // 调用注册API（默认创建普通用户）
       const response = await ApiService.register(
@@ -279,25 +469,11 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
           return;
         }
         
-        // 保存用户数据到Cookie（用于用户卡片显示）
-        const userCookieData = {
-          id: userData.id,
-          username: userData.username,
-          email: userData.email,
-          isAdmin: userData.isAdmin,
-          lastLogin: new Date().toISOString(),
-          createdAt: userData.createdAt,
-          preferences: userData.preferences,
-          stats: userData.stats
-        };
-        
-        // 保存到Cookie，过期时间30天
-        const expires = new Date();
-        expires.setDate(expires.getDate() + 30);
-        document.cookie = `user_${userData.username}=${JSON.stringify(userCookieData)}; expires=${expires.toUTCString()}; path=/`;
+        // 保存会话（邮箱未验证状态随用户数据保存，主页面据此显示验证提示）
+        CookieUtils.setUserToken(userData.username, userData.token, userData, 7);
         
         // 显示成功消息
-        setMessage('Registration successful! Welcome!');
+        setMessage('Registration successful! Check your inbox to verify your email.');
         
         // 清空表单
         setFormData(prev => ({
@@ -307,11 +483,15 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
           signupPassword: '',
           signupConfirmPassword: ''
         }));
+        setSignupAttempted(false);
         
         // 调用登录成功回调（这会自动设置用户状态并跳转到主页面）
         setTimeout(() => {
           onLoginSuccess(userData);
         }, 1000);
+      } else if (response.errors) {
+        // 字段错误显示在对应输入框下方
+        setServerFieldErrors(response.errors);
       } else {
         setMessage(response.message || '注册失败，请稍后重试');
       }
@@ -322,6 +502,25 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
     }
   };
 
+  /**
+   * 处理忘记密码表单提交
+   * @param {Event} e - 表单提交事件
+   */
+  const handleForgotSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage('');
+    
+    const response = await ApiService.requestPasswordReset(formData.forgotIdentifier);
+    setLoading(false);
+    
+    if (response.success) {
+      setResetRequested(true);
+    } else {
+      setMessage(response.message || '申请重置密码失败，请稍后重试');
+    }
+  };
+
   /**
    * 处理用户登出
 
@@ -354,22 +553,60 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
       </div>
       <div className="user-info">
         <div className="user-name">{user.displayName}</div>
-        <div className="user-role">{user.role}</div>
+        <div className="user-role">
+          {user.role}
+          {user.stale && (
+            <span className="user-stale" title="The server could not be reached to check this sign-in">· Not verified</span>
+          )}
+        </div>
       </div>
       <div className="user-status">
         <div className={`status-dot ${user.isOnline ? 'online' : 'offline'}`}></div>
         <span className="status-text">{user.isOnline ? 'Online' : 'Offline'}</span>
       </div>
+      {user.hasPasskey && WebAuthnUtils.isSupported() && (
+        <button
+          className="passkey-login-btn"
+          onClick={(e) => handlePasskeyLogin(user, e)}
+          disabled={loading}
+          title="Sign in with a passkey"
+        >
+          🔑
+        </button>
+      )}
+      <button
+        className={`pin-user-btn ${user.pinned ? 'pinned' : ''}`}
+        onClick={(e) => handleTogglePin(user, e)}
+        title={user.pinned ? 'Unpin' : 'Pin to top'}
+        aria-pressed={user.pinned}
+      >
+        📌
+      </button>
       <button 
         className="delete-user-btn"
-        onClick={(e) => handleDeleteUser(user.id, e)}
-        title="删除账号"
+        onClick={(e) => handleDeleteUser(user, e)}
+        title="Remove from this device"
       >
         ×
       </button>
     </div>
   );
 
+  /**
+   * 渲染账号列表（按搜索词筛选）
+   */
+  const renderAccountList = () => {
+    const matches = filterAccounts(predefinedUsers, accountSearch);
+    if (matches.length === 0) {
+      return (
+        <div className="empty-accounts-message">
+          <p>No accounts match “{accountSearch.trim()}”</p>
+        </div>
+      );
+    }
+    return matches.map(user => renderUserCard(user));
+  };
+
   /**
    * 渲染登录表单
    */
@@ -384,6 +621,16 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
       
       <div className="user-selection">
         <h3 className="section-title">Select Account</h3>
+        {predefinedUsers.length > ACCOUNT_SEARCH_THRESHOLD && (
+          <input
+            type="search"
+            className="account-search"
+            placeholder="Search accounts"
+            value={accountSearch}
+            onChange={(e) => setAccountSearch(e.target.value)}
+            aria-label="Search accounts"
+          />
+        )}
         <div className="user-cards">
           {predefinedUsers.length === 0 ? (
             <div className="empty-accounts-message">
@@ -391,10 +638,10 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
               <p className="subtitle">Create your first account to get started</p>
             </div>
           ) : (
-            predefinedUsers.map(user => renderUserCard(user))
+            renderAccountList()
           )}
           
-          {predefinedUsers.length < 2 && (
+          {!accountLimitReached && (
             <div className="add-account-card" onClick={showSignup}>
               <div className="add-icon">+</div>
               <span>{predefinedUsers.length === 0 ? 'Create Account' : 'Add New Account'}</span>
@@ -402,14 +649,31 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
           )}
         </div>
         
-        {predefinedUsers.length >= 2 && (
+        {accountLimitReached && (
           <div className="max-accounts-info">
-            <p>Maximum accounts reached (2/2)</p>
+            <p>Account limit reached ({predefinedUsers.length}/{CookieUtils.MAX_ACCOUNTS}) — remove an account to add another</p>
           </div>
         )}
       </div>
       
-      {selectedUser && (
+      {!selectedUser && predefinedUsers.length > 0 && (
+        <button type="button" className="forgot-password" onClick={() => showForgotPassword()}>
+          Forgot password?
+        </button>
+      )}
+      
+      {selectedUser && twoFactorChallenge && (
+        <TwoFactorChallenge
+          username={twoFactorChallenge.username}
+          challengeToken={twoFactorChallenge.challengeToken}
+          onSuccess={(response) => completeLogin(response.data)}
+          onCancel={() => setTwoFactorChallenge(null)}
+        />
+      )}
+      
+      {!selectedUser && !accountLimitReached && <OidcProviderButtons mode="login" disabled={loading} />}
+      
+      {selectedUser && !twoFactorChallenge && (
         <form className="password-form" onSubmit={handleLoginSubmit}>
           <div className="password-section">
             <label>Password for {selectedUser.displayName}</label>
@@ -427,7 +691,12 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
           </div>
           
           <div className="form-actions">
-            <button type="button" className="forgot-password" onClick={() => setMessage('密码重置功能开发中...')}>Forgot password?</button>
+            <button type="button" className="forgot-password" onClick={() => showForgotPassword(selectedUser.username)}>Forgot password?</button>
+            {selectedUser.hasPasskey && WebAuthnUtils.isSupported() && (
+              <button type="button" className="forgot-password" onClick={() => handlePasskeyLogin(selectedUser)} disabled={loading}>
+                Use a passkey
+              </button>
+            )}
             <button type="submit" className="sign-in-btn" disabled={loading}>
               {loading ? 'Signing In...' : 'Sign In'}
             </button>
@@ -449,17 +718,46 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
    * 渲染注册表单
    */
   const renderSignupForm = () => {
+    /**
+     * 渲染字段下方的提示：优先显示格式错误，其次显示后端返回的字段错误，最后显示可用性
+     * @param {string} field - 'username' | 'email' | 'password' | 'confirmPassword'
+     * @param {string} value - 字段值
+     * @param {string|null} availability - 可用性状态
+     */
+    const renderFieldHint = (field, value, availability = null) => {
+      const error = (value || signupAttempted) && signupValidation.errors[field];
+      if (error) {
+        return <p className="field-hint error">{error}</p>;
+      }
+      if (serverFieldErrors[field]) {
+        return <p className="field-hint error" role="alert">{serverFieldErrors[field]}</p>;
+      }
+
+      const hints = {
+        checking: 'Checking…',
+        available: '✓ Available',
+        taken: field === 'email' ? '该邮箱已被注册' : '该用户名已被注册'
+      };
+      if (!hints[availability]) return null;
+      return (
+        <p className={`field-hint ${availability === 'taken' ? 'error' : availability}`} aria-live="polite">
+          {hints[availability]}
+        </p>
+      );
+    };
+
+
     // 检查是否已达到最大账号数量
-    if (predefinedUsers.length >= 2) {
+    if (accountLimitReached) {
       return (
         <div className="modern-signup-container">
           <div className="signup-header">
             <h1 className="signup-title">Welcome to TimeDay</h1>
-            <p className="signup-subtitle">Maximum accounts reached</p>
+            <p className="signup-subtitle">Account limit reached</p>
           </div>
           
           <div className="max-accounts-message">
-            <p>Maximum account limit reached (2 accounts)</p>
+            <p>This device can keep up to {CookieUtils.MAX_ACCOUNTS} accounts. Remove one from the account picker to add another.</p>
             <button type="button" className="back-button" onClick={showLogin}>
               Back to Login
             </button>
@@ -492,6 +790,7 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
                 required
                 autoComplete="username"
               />
+              {renderFieldHint('username', formData.signupUsername, usernameAvailability)}
             </div>
             
             <div className="form-group">
@@ -507,6 +806,7 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
                 required
                 autoComplete="email"
               />
+              {renderFieldHint('email', formData.signupEmail, emailAvailability)}
             </div>
           </div>
            
@@ -524,6 +824,7 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
                 required
                 autoComplete="new-password"
               />
+              {renderFieldHint('password', formData.signupPassword)}
             </div>
             
             <div className="form-group">
@@ -539,6 +840,7 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
                 required
                 autoComplete="new-password"
               />
+              {renderFieldHint('confirmPassword', formData.signupConfirmPassword)}
             </div>
           </div>
            
@@ -546,12 +848,18 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
              <button type="button" className="back-button" onClick={showLogin} disabled={loading}>
                Back to Login
              </button>
-             <button type="submit" className="signup-btn" disabled={loading}>
+             <button
+               type="submit"
+               className="signup-btn"
+               disabled={loading || usernameAvailability === 'taken' || emailAvailability === 'taken'}
+             >
                {loading ? 'Creating Account...' : 'Create Account'}
              </button>
            </div>
          </form>
          
+         <OidcProviderButtons mode="signup" disabled={loading} />
+         
          <div className="login-footer">
            <div className="footer-links">
              <span>Privacy Policy • Terms of Service</span>
@@ -562,10 +870,62 @@ const [predefinedUsers, setPredefinedUsers] = useState([]);
      );
    };
 
+  /**
+   * 渲染忘记密码表单
+   */
+  const renderForgotForm = () => (
+    <div className="modern-login-container">
+      <div className="login-header">
+        <h1 className="login-title">Forgot your password?</h1>
+        <p className="login-subtitle">
+          {resetRequested
+            ? 'Check your inbox'
+            : 'Enter your username or email and we’ll send you a reset link'}
+        </p>
+      </div>
+      
+      {message && <div className="message error">{message}</div>}
+      
+      {resetRequested ? (
+        <div className="password-reset-done">
+          <p>If an account matches <strong>{formData.forgotIdentifier}</strong>, a link to reset its password is on its way. The link expires after a short time.</p>
+          <button type="button" className="sign-in-btn" onClick={showLogin}>Back to Sign In</button>
+        </div>
+      ) : (
+        <form className="password-form" onSubmit={handleForgotSubmit}>
+          <div className="password-section">
+            <label htmlFor="forgotIdentifier">Username or email</label>
+            <input
+              id="forgotIdentifier"
+              name="forgotIdentifier"
+              type="text"
+              placeholder="Enter your username or email"
+              value={formData.forgotIdentifier}
+              onChange={(e) => handleInputChange('forgotIdentifier', e.target.value)}
+              disabled={loading}
+              required
+              autoComplete="username"
+            />
+          </div>
+          
+          <div className="form-actions">
+            <button type="button" className="forgot-password" onClick={showLogin} disabled={loading}>
+              Back to Sign In
+            </button>
+            <button type="submit" className="sign-in-btn" disabled={loading}>
+              {loading ? 'Sending...' : 'Send reset link'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+
   return (
     <div className="login-container">
       {currentPage === 'login' && renderLoginForm()}
       {currentPage === 'signup' && renderSignupForm()}
+      {currentPage === 'forgot' && renderForgotForm()}
     </div>
   );
 };
@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ApiService } from './API.js';
+import { HistoryUtils } from './Cookie.js';
+import MarkingUtils from '../utils/MarkingUtils.js';
+
+/**
+ * MarkingPanel 组件 - 对照评分标准自评分
+ * 按题录入得分，实时显示总分、百分比和按当季分数线估算的等级
+ * 后端未提供题目信息时，可手动添加题目和满分
+ * @param {Object} props
+ * @param {Object} props.paper - 试卷对象
+ * @param {string} props.username - 当前用户名
+ * @param {Object} props.context - 所属学科和课程 { subjectKey, topic }
+ * @param {string} [props.attemptId] - 刚结束的限时考试记录ID，评分将附加到该记录
+ */
+const MarkingPanel = ({ paper, username, context, attemptId }) => {
+  /**
+   * 题目列表与分数线
+   */
+  const [questions, setQuestions] = useState([]);
+  const [gradeInfo, setGradeInfo] = useState({ thresholds: [], maxMarks: null });
+
+  /**
+   * 加载状态；后端无评分信息时进入手动模式
+   */
+  const [loading, setLoading] = useState(true);
+  const [manualMode, setManualMode] = useState(false);
+
+  /**
+   * 各题得分 { [questionId]: string }
+   */
+  const [marks, setMarks] = useState({});
+
+  /**
+   * 保存状态
+   */
+  const [saving, setSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState('');
+
+  /**
+   * 本次评分对应的记录ID，重复保存时更新同一条记录
+   */
+  const recordIdRef = useRef(null);
+
+  useEffect(() => {
+    // 切换试卷或关闭评分面板时取消请求
+    const controller = new AbortController();
+
+    ApiService.getPaperMarking(paper.id, { signal: controller.signal }).then(response => {
+      if (controller.signal.aborted) return;
+
+      const loaded = response.success ? MarkingUtils.normalizeQuestions(response.data?.questions) : [];
+      if (loaded.length > 0) {
+        setQuestions(loaded);
+        setGradeInfo({
+          thresholds: MarkingUtils.normalizeThresholds(response.data.thresholds),
+          maxMarks: response.data.maxMarks || null
+        });
+        setManualMode(false);
+      } else {
+        setManualMode(true);
+      }
+      setLoading(false);
+    });
+
+    return () => controller.abort();
+  }, [paper.id]);
+
+  const score = MarkingUtils.buildScore(questions, marks, gradeInfo);
+  const markedCount = Object.keys(score.marks).length;
+
+  /**
+   * 手动模式：添加题目
+   */
+  const addQuestion = () => {
+    const number = questions.length + 1;
+    setQuestions([...questions, { id: `q${Date.now()}`, label: String(number), maxMarks: 0 }]);
+  };
+
+  /**
+   * 手动模式：修改题目
+   * @param {string} questionId - 题目ID
+   * @param {Object} changes - { label, maxMarks }
+   */
+  const updateQuestion = (questionId, changes) => {
+    setQuestions(questions.map(question => (
+      question.id === questionId ? { ...question, ...changes } : question
+    )));
+  };
+
+  /**
+   * 手动模式：删除题目
+   * @param {string} questionId - 题目ID
+   */
+  const removeQuestion = (questionId) => {
+    setQuestions(questions.filter(question => question.id !== questionId));
+    setMarks(({ [questionId]: removed, ...rest }) => rest);
+  };
+
+  /**
+   * 保存评分：先写入本地记录，再同步到后端
+   */
+  const handleSave = async () => {
+    if (markedCount === 0) return;
+
+    if (!recordIdRef.current) {
+      recordIdRef.current = attemptId || `${paper.id}-${Date.now()}`;
+    }
+
+    const attempt = {
+      id: recordIdRef.current,
+      username,
+      paperId: paper.id,
+      title: paper.title,
+      topicId: context?.topic?.id || paper.topicId || null,
+      subjectKey: context?.subjectKey || paper.subject || null,
+      score,
+      markedAt: new Date().toISOString()
+    };
+
+    HistoryUtils.addExamAttempt({ ...attempt, synced: false });
+
+    setSaving(true);
+    // 发送合并后的完整记录（含限时考试的时间信息）
+    const fullRecord = HistoryUtils.getExamAttempts().find(item => item.id === attempt.id);
+    const { synced, ...payload } = fullRecord;
+    const response = await ApiService.saveAttempt(payload);
+    setSaving(false);
+
+    if (response.success) {
+      HistoryUtils.addExamAttempt({ id: attempt.id, synced: true });
+      setSaveMessage('Saved');
+    } else if (response.error?.isTransient()) {
+      // 离线或后端暂时不可用，联网后由 App 自动上传
+      setSaveMessage('已保存在本地，联网后自动同步');
+    } else {
+      setSaveMessage(response.message || '已保存在本地');
+    }
+  };
+
+  if (loading) {
+    return (
+      <aside className="marking-panel">
+        <p className="marking-status">Loading questions…</p>
+      </aside>
+    );
+  }
+
+  return (
+    <aside className="marking-panel" aria-label="Self-marking">
+      <div className="marking-header">
+        <h3>✏️ Self-marking</h3>
+        {attemptId && <span className="marking-linked" title="Linked to your timed attempt">⏱️</span>}
+      </div>
+
+      {manualMode && (
+        <p className="marking-status">
+          No question breakdown for this paper yet. Add questions and their maximum marks below.
+        </p>
+      )}
+
+      <div className="marking-questions">
+        {questions.map(question => (
+          <div key={question.id} className="marking-row">
+            {manualMode ? (
+              <input
+                className="marking-label-input"
+                value={question.label}
+                onChange={(e) => updateQuestion(question.id, { label: e.target.value })}
+                aria-label="Question number"
+              />
+            ) : (
+              <span className="marking-label">Q{question.label}</span>
+            )}
+            <input
+              type="number"
+              min="0"
+              max={question.maxMarks || undefined}
+              value={marks[question.id] ?? ''}
+              onChange={(e) => {
+                setMarks({ ...marks, [question.id]: e.target.value });
+                setSaveMessage('');
+              }}
+              aria-label={`Marks for question ${question.label}`}
+            />
+            <span className="marking-max">/</span>
+            {manualMode ? (
+              <>
+                <input
+                  type="number"
+                  min="1"
+                  value={question.maxMarks || ''}
+                  onChange={(e) => updateQuestion(question.id, { maxMarks: Number(e.target.value) || 0 })}
+                  aria-label={`Maximum marks for question ${question.label}`}
+                />
+                <button className="marking-remove" onClick={() => removeQuestion(question.id)} aria-label="Remove question">
+                  ×
+                </button>
+              </>
+            ) : (
+              <span className="marking-max">{question.maxMarks}</span>
+            )}
+          </div>
+        ))}
+        {manualMode && (
+          <button className="marking-add" onClick={addQuestion}>+ Add question</button>
+        )}
+      </div>
+
+      <div className="marking-summary">
+        <div>
+          <span className="marking-total">{score.total}</span>
+          <span className="marking-max"> / {score.maxTotal}</span>
+        </div>
+        <div className="marking-percentage">{score.percentage}%</div>
+        <div className="marking-grade" title={gradeInfo.thresholds.length ? 'Estimated from this session’s grade thresholds' : 'Grade thresholds unavailable'}>
+          Grade: <strong>{score.grade || '—'}</strong>
+        </div>
+      </div>
+
+      <button className="marking-save" onClick={handleSave} disabled={saving || markedCount === 0}>
+        {saving ? 'Saving…' : 'Save attempt'}
+      </button>
+      {saveMessage && <p className="marking-status">{saveMessage}</p>}
+    </aside>
+  );
+};
+
+export default MarkingPanel;
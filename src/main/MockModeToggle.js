@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import MockMode from '../utils/MockMode.js';
+
+/**
+ * MockModeToggle 组件 - 本地模拟后端开关（仅开发环境显示）
+ * 打开或关闭模拟后端后刷新页面，切换场景立即生效
+ */
+const MockModeToggle = () => {
+  const [expanded, setExpanded] = useState(false);
+  const [scenario, setScenario] = useState(() => MockMode.getScenario());
+
+  const enabled = MockMode.isEnabled();
+  const forced = MockMode.isForced();
+
+  /**
+   * 打开或关闭模拟后端
+   * @param {boolean} next - 是否启用
+   */
+  const handleToggle = (next) => {
+    MockMode.setEnabled(next);
+    window.location.reload();
+  };
+
+  /**
+   * 切换场景
+   * @param {string} next - 场景名称
+   */
+  const handleScenarioChange = (next) => {
+    MockMode.setScenario(next);
+    setScenario(next);
+  };
+
+  return (
+    <div className={`mock-mode-toggle ${enabled ? 'active' : ''}`}>
+      {expanded && (
+        <div className="mock-mode-panel" id="mock-mode-panel">
+          <label className="mock-mode-row">
+            <input
+              type="checkbox"
+              checked={enabled}
+              disabled={forced}
+              onChange={(e) => handleToggle(e.target.checked)}
+            />
+            Use mock backend
+          </label>
+          {forced && <p className="mock-mode-note">Enabled by REACT_APP_MOCK_API</p>}
+          <label className="mock-mode-row" htmlFor="mock-mode-scenario">Scenario</label>
+          <select
+            id="mock-mode-scenario"
+            value={scenario}
+            disabled={!enabled}
+            onChange={(e) => handleScenarioChange(e.target.value)}
+          >
+            {Object.entries(MockMode.SCENARIOS).map(([name, label]) => (
+              <option key={name} value={name}>{label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+      <button
+        type="button"
+        className="mock-mode-button"
+        onClick={() => setExpanded(value => !value)}
+        aria-expanded={expanded}
+        aria-controls="mock-mode-panel"
+      >
+        🧪 {enabled ? `Mock · ${MockMode.SCENARIOS[scenario]}` : 'Mock off'}
+      </button>
+    </div>
+  );
+};
+
+export default MockModeToggle;
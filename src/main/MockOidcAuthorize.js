@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import OidcUtils from '../utils/OidcUtils.js';
+
+/**
+ * MockOidcAuthorize 组件 - 本地模拟OIDC服务器的授权页（仅使用本地模拟后端时，见 MockMode）
+ * 代替提供方的登录/扫码页面：填写模拟账号后签发授权码并跳转回 /auth/callback
+ */
+const MockOidcAuthorize = () => {
+  const providerId = new URLSearchParams(window.location.search).get('provider');
+  const provider = OidcUtils.getProvider(providerId);
+
+  const [email, setEmail] = useState(provider?.qr ? '' : 'mock.user@example.com');
+  const [name, setName] = useState('Mock User');
+  const [message, setMessage] = useState('');
+
+  /**
+   * 同意或拒绝授权，跳转回应用
+   * @param {boolean} denied - 是否拒绝
+   */
+  const respond = async (denied) => {
+    try {
+      // 按需加载，不进入正式构建
+      const { authorize } = await import('./mockOidcServer.js');
+      window.location.assign(authorize(window.location.href, { email: email.trim(), name: name.trim(), denied }));
+    } catch (error) {
+      console.error('Mock OIDC Authorize Error:', error);
+      setMessage(error.message || '授权请求无效');
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="modern-login-container">
+        <div className="login-header">
+          <h1 className="login-title">{provider ? `Sign in with ${provider.name}` : 'Unknown provider'}</h1>
+          <p className="login-subtitle">Mock identity provider — nothing leaves this browser.</p>
+        </div>
+
+        {message && <div className="message error">{message}</div>}
+
+        {provider && (
+          <form className="password-form" onSubmit={(e) => { e.preventDefault(); respond(false); }}>
+            {provider.qr && (
+              <div className="mock-oidc-qr" aria-hidden="true">{provider.icon}</div>
+            )}
+            <div className="password-section">
+              <label htmlFor="mockOidcName">{provider.qr ? 'Nickname' : 'Name'}</label>
+              <input id="mockOidcName" type="text" value={name} onChange={(e) => setName(e.target.value)} />
+            </div>
+            <div className="password-section">
+              <label htmlFor="mockOidcEmail">Email {provider.qr && '(not shared by this provider)'}</label>
+              <input
+                id="mockOidcEmail"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                disabled={provider.qr}
+              />
+            </div>
+            <div className="form-actions">
+              <button type="button" className="forgot-password" onClick={() => respond(true)}>Cancel</button>
+              <button type="submit" className="sign-in-btn">{provider.qr ? 'Simulate scan' : 'Continue'}</button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MockOidcAuthorize;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import OfflineStore from '../utils/OfflineStore.js';
+
+/**
+ * 文件大小
+ * @param {number} bytes - 字节数
+ * @returns {string} 如 '3.2 MB'
+ */
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+};
+
+/**
+ * OfflineStorageSettings 组件 - 个人资料设置页中的离线试卷管理
+ * 按课程显示离线保存的试卷数和占用空间，可删除单个课程或全部
+ */
+const OfflineStorageSettings = () => {
+  const [usage, setUsage] = useState(() => OfflineStore.getUsageByTopic());
+  const [estimate, setEstimate] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => OfflineStore.subscribe(() => setUsage(OfflineStore.getUsageByTopic())), []);
+
+  // 整个网站在本设备的存储用量（含接口缓存），离线试卷变化后重新估算
+  useEffect(() => {
+    if (!navigator.storage?.estimate) return;
+
+    let ignore = false;
+    navigator.storage.estimate().then(result => {
+      if (!ignore) setEstimate(result);
+    }).catch(error => console.warn('获取存储用量失败:', error));
+
+    return () => {
+      ignore = true;
+    };
+  }, [usage]);
+
+  if (!OfflineStore.isSupported()) {
+    return (
+      <div className="offline-storage-settings">
+        <h3>Offline papers</h3>
+        <p className="modal-description">This browser cannot save papers for offline use.</p>
+      </div>
+    );
+  }
+
+  /**
+   * 删除课程的离线试卷，不传课程时删除全部
+   * @param {Object} [topic] - 课程 { id, name }
+   */
+  const handleRemove = async (topic) => {
+    const confirmText = topic
+      ? `确定要删除 ${topic.id} ${topic.name} 的离线试卷吗？`
+      : '确定要删除全部离线试卷吗？';
+    if (!window.confirm(confirmText)) return;
+
+    setBusy(topic ? topic.id : 'all');
+    setMessage('');
+    try {
+      await (topic ? OfflineStore.removeTopic(topic.id) : OfflineStore.clear());
+    } catch (error) {
+      console.error('删除离线试卷失败:', error);
+      setMessage('删除离线试卷失败，请稍后重试');
+    }
+    setBusy(null);
+  };
+
+  const totalBytes = usage.reduce((sum, item) => sum + item.bytes, 0);
+
+  return (
+    <div className="offline-storage-settings">
+      <h3>Offline papers</h3>
+      <p className="modal-description">
+        Papers saved with “Available offline” open without a connection. Attempts you mark offline sync when you reconnect.
+      </p>
+
+      {message && <div className="message error">{message}</div>}
+
+      {usage.length === 0 ? (
+        <p className="passkey-meta">No papers saved on this device yet.</p>
+      ) : (
+        <>
+          <ul className="passkey-list">
+            {usage.map(item => (
+              <li key={item.topic.id} className="passkey-item">
+                <div>
+                  <div className="passkey-name">{item.topic.id} - {item.topic.name}</div>
+                  <div className="passkey-meta">
+                    {item.papers} {item.papers === 1 ? 'paper' : 'papers'} · {formatBytes(item.bytes)} · Updated {new Date(item.savedAt).toLocaleDateString()}
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  className="cancel-btn danger"
+                  onClick={() => handleRemove(item.topic)}
+                  disabled={Boolean(busy)}
+                >
+                  {busy === item.topic.id ? 'Removing…' : 'Remove'}
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className="offline-storage-summary">
+            <span className="passkey-meta">Offline papers use {formatBytes(totalBytes)}</span>
+            <button type="button" className="cancel-btn danger" onClick={() => handleRemove()} disabled={Boolean(busy)}>
+              {busy === 'all' ? 'Removing…' : 'Remove all'}
+            </button>
+          </div>
+        </>
+      )}
+
+      {estimate?.quota > 0 && (
+        <p className="passkey-meta">
+          This site uses {formatBytes(estimate.usage || 0)} of {formatBytes(estimate.quota)} available on this device.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default OfflineStorageSettings;
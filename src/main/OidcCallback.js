@@ -0,0 +1,116 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ApiService } from './API.js';
+import { CookieUtils } from './Cookie.js';
+import UserUtils from '../utils/UserUtils.js';
+import TwoFactorChallenge from './TwoFactorChallenge.js';
+
+/**
+ * 保存登录得到的会话（与账号选择页登录一致，保存7天）
+ * @param {Object} userData - 登录返回的用户数据
+ * @returns {boolean} 用户数据是否有效
+ */
+const saveSession = (userData) => {
+  if (!UserUtils.validateUserData(userData)) return false;
+  CookieUtils.setUserToken(userData.username, userData.token, userData, 7);
+  return true;
+};
+
+/**
+ * OidcCallback 组件 - 第三方登录回调的落地页（/auth/callback）
+ * 打开后自动提交授权码；登录成功时保存会话，关联成功时显示结果
+ * @param {Object} props
+ * @param {Function} props.onLogin - 登录成功的回调，接收 (userData, returnTo)；应保持引用稳定
+ * @param {Function} props.onDone - 关联完成或失败后继续使用应用的回调，接收 returnTo
+ */
+const OidcCallback = ({ onLogin, onDone }) => {
+  /**
+   * 状态：'verifying' | 'twoFactor' | 'linked' | 'failed'
+   */
+  const [status, setStatus] = useState('verifying');
+  const [result, setResult] = useState(null);
+  const [message, setMessage] = useState('');
+
+  // 授权码只能使用一次：开发模式下effect会执行两次，共用同一个请求
+  const requestRef = useRef(null);
+
+  useEffect(() => {
+    let ignore = false;
+    if (!requestRef.current) {
+      requestRef.current = ApiService.completeOidcLogin(window.location.search);
+    }
+
+    requestRef.current.then(response => {
+      if (ignore) return;
+      setResult(response);
+      if (!response.success) {
+        setMessage(response.message || '第三方登录失败，请重试');
+        setStatus('failed');
+      } else if (response.requires2fa) {
+        setStatus('twoFactor');
+      } else if (response.mode === 'link') {
+        setStatus('linked');
+      } else if (saveSession(response.data)) {
+        onLogin(response.data, response.returnTo);
+      } else {
+        setMessage('用户数据验证失败，请联系管理员');
+        setStatus('failed');
+      }
+    });
+
+    return () => {
+      ignore = true;
+    };
+  }, [onLogin]);
+
+  /**
+   * 两步验证通过后完成登录
+   * @param {Object} response - verifyTwoFactor 的结果
+   */
+  const handleTwoFactorSuccess = (response) => {
+    if (saveSession(response.data)) {
+      onLogin(response.data, result.returnTo);
+    } else {
+      setMessage('用户数据验证失败，请联系管理员');
+      setStatus('failed');
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="modern-login-container">
+        <div className="login-header">
+          <h1 className="login-title">
+            {status === 'verifying' && 'Signing you in…'}
+            {status === 'twoFactor' && 'One more step'}
+            {status === 'linked' && 'Account linked ✓'}
+            {status === 'failed' && 'Sign-in failed'}
+          </h1>
+          {status === 'linked' && (
+            <p className="login-subtitle">You can now sign in with this provider as well as your password.</p>
+          )}
+        </div>
+
+        {message && <div className="message error">{message}</div>}
+
+        {status === 'twoFactor' && (
+          <TwoFactorChallenge
+            username={result.username}
+            challengeToken={result.challengeToken}
+            onSuccess={handleTwoFactorSuccess}
+            onCancel={() => onDone(null)}
+          />
+        )}
+
+        {(status === 'linked' || status === 'failed') && (
+          <div className="password-reset-done">
+            <button type="button" className="sign-in-btn" onClick={() => onDone(result?.returnTo || null)}>
+              Continue
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OidcCallback;
@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { ApiService } from './API.js';
+import OidcUtils from '../utils/OidcUtils.js';
+import RouteUtils from '../utils/RouteUtils.js';
+
+/**
+ * OidcProviderButtons 组件 - 登录页和注册页中的第三方登录按钮
+ * 点击后跳转到提供方授权页，授权完成后回到 /auth/callback（见 OidcCallback）
+ * 未配置任何提供方时不渲染
+ * @param {Object} props
+ * @param {string} props.mode - 'login' | 'signup'（注册页不显示无法创建账号的提供方）
+ * @param {boolean} [props.disabled=false] - 是否禁用
+ */
+const OidcProviderButtons = ({ mode, disabled = false }) => {
+  const [redirecting, setRedirecting] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const providers = OidcUtils.getProviders().filter(provider => mode !== 'signup' || provider.signup);
+  if (providers.length === 0) return null;
+
+  /**
+   * 跳转到提供方授权页
+   * @param {Object} provider - 提供方
+   */
+  const handleClick = async (provider) => {
+    setRedirecting(provider.id);
+    setMessage('');
+
+    const response = await ApiService.startOidcLogin(provider.id, { returnTo: RouteUtils.getRedirect() });
+    if (response.success) {
+      window.location.assign(response.data.authorizationUrl);
+    } else {
+      setRedirecting(null);
+      setMessage(response.message || '无法发起第三方登录');
+    }
+  };
+
+  return (
+    <div className="oidc-providers">
+      <div className="oidc-divider"><span>{mode === 'signup' ? 'or sign up with' : 'or continue with'}</span></div>
+      {message && <div className="message error">{message}</div>}
+      <div className="oidc-provider-buttons">
+        {providers.map(provider => (
+          <button
+            key={provider.id}
+            type="button"
+            className={`oidc-provider-btn ${provider.id}`}
+            onClick={() => handleClick(provider)}
+            disabled={disabled || Boolean(redirecting)}
+          >
+            <span className="oidc-provider-icon" aria-hidden="true">{provider.icon}</span>
+            {redirecting === provider.id ? 'Redirecting…' : provider.name}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default OidcProviderButtons;
@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ApiService } from './API.js';
+import { HistoryUtils } from './Cookie.js';
+import PaperUtils from '../utils/PaperUtils.js';
+import ExamUtils from '../utils/ExamUtils.js';
+import DocumentViewer from './DocumentViewer.js';
+import ExamPanel from './ExamPanel.js';
+import MarkingPanel from './MarkingPanel.js';
+
+/**
+ * 文档类型切换按钮的图标
+ */
+const DOCUMENT_ICONS = {
+  qp: '📄',
+  ms: '✅',
+  in: '📎',
+  er: '📝',
+  gt: '📊'
+};
+
+/**
+ * 文档面板 - 显示单个文档
+ * @param {Object} props
+ * @param {Object} props.document - 文档 { type, id, title, fileUrl }
+ * @param {boolean} props.compact - 是否为分屏紧凑模式
+ */
+const DocumentPane = ({ document, compact }) => (
+  <div className="document-pane">
+    <div className="document-pane-header">
+      <span>{DOCUMENT_ICONS[document.type]} {PaperUtils.getTypeLabel(document.type)}</span>
+      <span className="document-pane-title">{document.title}</span>
+    </div>
+    <DocumentViewer key={document.id || document.type} file={document} compact={compact} />
+  </div>
+);
+
+/**
+ * PaperPreview 组件 - 试卷预览
+ * 支持在试卷、评分标准、考官报告、插页、分数线之间一键切换，以及试卷/评分标准分屏对照
+ * 支持限时考试模式，考试进行中可锁定评分标准和考官报告；考试后可对照评分标准自评分
+ * 父组件应以试卷ID作为key渲染
+ * @param {Object} props
+ * @param {Object} props.paper - 试卷对象
+ * @param {string} props.durationLabel - 查看时长文本
+ * @param {Function} props.onClose - 关闭预览回调
+ * @param {string} props.username - 当前用户名，用于考试会话和记录
+ * @param {Object} props.context - 所属学科和课程 { subjectKey, topic }
+ */
+const PaperPreview = ({ paper, durationLabel, onClose, username, context }) => {
+  /**
+   * 试卷详情（含配套文档）
+   */
+  const [detail, setDetail] = useState(paper);
+
+  /**
+   * 当前显示的文档类型
+   */
+  const [activeType, setActiveType] = useState('qp');
+
+  /**
+   * 是否分屏显示试卷和配套文档
+   */
+  const [splitView, setSplitView] = useState(false);
+
+  /**
+   * 是否显示自评分面板
+   */
+  const [showMarking, setShowMarking] = useState(false);
+
+  /**
+   * 当前试卷的考试会话（刷新后从本地存储恢复）
+   */
+  const [examSession, setExamSession] = useState(() => {
+    const stored = ExamUtils.loadSession(username);
+    return stored && stored.paper.id === paper.id ? stored : null;
+  });
+
+  // 试卷记录不含配套文档时（如来自搜索结果），从后端补全详情
+  useEffect(() => {
+    if (paper.documents || !paper.id) return;
+
+    // 切换试卷或关闭预览时取消请求
+    const controller = new AbortController();
+    const applyDetail = (response) => {
+      if (!controller.signal.aborted && response.success && response.data) {
+        setDetail(prev => ({ ...response.data, ...prev, documents: response.data.documents }));
+      }
+    };
+    ApiService.getPaper(paper.id, { signal: controller.signal, onUpdate: applyDetail }).then(applyDetail);
+
+    return () => controller.abort();
+  }, [paper.id, paper.documents]);
+
+  /**
+   * 处理考试会话变化：持久化进行中的会话，结束时写入考试记录
+   * @param {Object|null} nextSession - 新的考试会话
+   */
+  const handleExamChange = useCallback((nextSession) => {
+    if (nextSession && nextSession.status === 'finished') {
+      HistoryUtils.addExamAttempt(ExamUtils.toAttempt(nextSession));
+      ExamUtils.clearSession();
+    } else if (nextSession) {
+      ExamUtils.saveSession(nextSession);
+    }
+    setExamSession(nextSession);
+  }, []);
+
+  // 其他试卷正在进行的考试（同一时间只允许一场考试）
+  const storedSession = examSession ? null : ExamUtils.loadSession(username);
+  const otherSession = storedSession && storedSession.paper.id !== paper.id ? storedSession : null;
+
+  /**
+   * 开始考试
+   * @param {Object} options - { durationMinutes, warnings, lockMarkScheme }
+   */
+  const handleExamStart = (options) => {
+    if (otherSession) {
+      HistoryUtils.addExamAttempt(ExamUtils.toAttempt(ExamUtils.finish(otherSession, 'abandoned')));
+    }
+
+    const session = ExamUtils.createSession({
+      ...options,
+      paper: { ...detail, duration: detail.duration || options.durationMinutes },
+      username,
+      context
+    });
+
+    if (session.lockMarkScheme) {
+      setActiveType('qp');
+      setSplitView(false);
+      setShowMarking(false);
+    }
+    handleExamChange(session);
+  };
+
+  const isLocked = (type) => ExamUtils.isDocumentLocked(examSession, type);
+  const documents = PaperUtils.getDocuments(detail);
+  const questionPaper = documents.find(doc => doc.type === 'qp');
+  const activeDocument = (!isLocked(activeType) && documents.find(doc => doc.type === activeType)) || questionPaper;
+  const hasMarkScheme = documents.some(doc => doc.type === 'ms') && !isLocked('ms');
+
+  /**
+   * 切换文档
+   * 分屏时切换右侧文档，试卷始终在左侧
+   * @param {string} type - 文档类型
+   */
+  const handleDocumentSwitch = (type) => {
+    if (isLocked(type)) return;
+    if (splitView && type === 'qp') {
+      setSplitView(false);
+    }
+    setActiveType(type);
+  };
+
+  /**
+   * 切换分屏模式
+   * 开启时右侧默认显示评分标准
+   */
+  const toggleSplitView = () => {
+    if (!splitView && (activeType === 'qp' || !activeType)) {
+      setActiveType('ms');
+    }
+    setSplitView(!splitView);
+  };
+
+  /**
+   * 切换自评分面板
+   * 开启时若只显示试卷，则切换到评分标准以便对照
+   */
+  const toggleMarking = () => {
+    if (!showMarking && !splitView && activeType !== 'ms') {
+      setActiveType('ms');
+    }
+    setShowMarking(!showMarking);
+  };
+
+  return (
+    <div className="file-preview-container">
+      <div className="file-preview-header">
+        <div className="file-info">
+          <h2>{detail.title}</h2>
+          <div className="file-meta">
+            <span className="duration">{durationLabel}</span>
+            {hasMarkScheme && (
+              <button
+                className={`mark-scheme-link ${splitView ? 'active' : ''}`}
+                onClick={toggleSplitView}
+                title="Show the question paper and mark scheme side by side"
+              >
+                {splitView ? 'Single view' : 'Split with mark scheme'}
+              </button>
+            )}
+            {hasMarkScheme && (
+              <button
+                className={`mark-scheme-link ${showMarking ? 'active' : ''}`}
+                onClick={toggleMarking}
+                title="Enter your marks per question and estimate your grade"
+              >
+                ✏️ Self-mark
+              </button>
+            )}
+          </div>
+          {/* 配套文档切换 */}
+          <div className="document-switcher" role="tablist">
+            {documents.map(doc => (
+              <button
+                key={doc.type}
+                role="tab"
+                aria-selected={activeDocument?.type === doc.type}
+                className={`document-tab ${activeDocument?.type === doc.type ? 'active' : ''}`}
+                onClick={() => handleDocumentSwitch(doc.type)}
+                disabled={isLocked(doc.type)}
+                title={isLocked(doc.type) ? 'Locked until the exam is over' : undefined}
+              >
+                {isLocked(doc.type) ? '🔒' : DOCUMENT_ICONS[doc.type]} {PaperUtils.getTypeLabel(doc.type)}
+              </button>
+            ))}
+          </div>
+          <ExamPanel
+            paper={detail}
+            session={examSession}
+            otherSession={otherSession}
+            onStart={handleExamStart}
+            onChange={handleExamChange}
+          />
+        </div>
+        <button className="back-to-papers-btn" onClick={onClose}>
+          ← Back to Papers
+        </button>
+      </div>
+      <div className={`file-preview-content ${splitView ? 'split' : ''} ${showMarking && hasMarkScheme ? 'with-marking' : ''}`}>
+        {splitView && hasMarkScheme && questionPaper && activeDocument && activeDocument.type !== 'qp' ? (
+          <>
+            <DocumentPane document={questionPaper} compact />
+            <DocumentPane document={activeDocument} compact />
+          </>
+        ) : (
+          activeDocument && <DocumentPane document={activeDocument} />
+        )}
+        {showMarking && hasMarkScheme && (
+          <MarkingPanel
+            paper={detail}
+            username={username}
+            context={context}
+            attemptId={examSession?.status === 'finished' ? examSession.id : undefined}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaperPreview;
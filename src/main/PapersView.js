@@ -0,0 +1,428 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ApiService } from './API.js';
+import { paginateArray } from '../utils/performanceUtils.js';
+import PaperUtils from '../utils/PaperUtils.js';
+import OfflineStore from '../utils/OfflineStore.js';
+
+/**
+ * 每页显示的试卷数量
+ */
+const PAGE_SIZE = 12;
+
+/**
+ * 空筛选条件
+ */
+const EMPTY_FILTERS = {
+  year: '',
+  session: '',
+  paperNumber: '',
+  variant: ''
+};
+
+/**
+ * 空筛选项
+ */
+const EMPTY_OPTIONS = {
+  years: [],
+  sessions: [],
+  paperNumbers: [],
+  variants: []
+};
+
+/**
+ * PapersView 组件 - 课程试卷列表（筛选 + 分页）
+ * 父组件应以课程ID作为key渲染，切换课程时重置筛选状态
+ * @param {Object} props
+ * @param {Object} props.topic - 当前课程 { id, name, papers }
+ * @param {Function} props.onPaperView - 查看试卷回调，接收试卷对象
+ * @param {Function} props.onPaperDownload - 下载试卷回调，接收试卷对象
+ */
+const PapersView = ({ topic, onPaperView, onPaperDownload }) => {
+  /**
+   * 筛选条件状态
+   */
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  /**
+   * 当前页码（从1开始）
+   */
+  const [page, setPage] = useState(1);
+
+  /**
+   * 试卷列表数据
+   * 结构：{ papers: Array, total: number, pageSize: number, offline: boolean }
+   * offline 为 true 时显示的是已离线保存的试卷
+   */
+  const [result, setResult] = useState({ papers: [], total: 0, pageSize: PAGE_SIZE, offline: false });
+
+  /**
+   * 筛选项 - 来自后端facets或已加载试卷
+   */
+  const [filterOptions, setFilterOptions] = useState(EMPTY_OPTIONS);
+
+  /**
+   * 加载和错误状态
+   */
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  /**
+   * 重试计数 - 变化时重新请求
+   */
+  const [reloadKey, setReloadKey] = useState(0);
+
+  /**
+   * 离线保存：已保存的试卷ID、正在保存的试卷ID、整个课程的下载进度 { done, total } 和结果提示
+   */
+  const [offlineIds, setOfflineIds] = useState(() => OfflineStore.getPaperIds());
+  const [savingIds, setSavingIds] = useState(() => new Set());
+  const [topicDownload, setTopicDownload] = useState(null);
+  const [offlineMessage, setOfflineMessage] = useState('');
+
+  // 单份试卷下载随组件卸载取消；整个课程的下载可单独取消
+  const lifetimeControllerRef = useRef(null);
+  const topicDownloadRef = useRef(null);
+
+  useEffect(() => OfflineStore.subscribe(() => setOfflineIds(OfflineStore.getPaperIds())), []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    lifetimeControllerRef.current = controller;
+    return () => {
+      controller.abort();
+      topicDownloadRef.current?.abort();
+    };
+  }, []);
+
+  // 筛选条件或页码变化时加载试卷，取消上一次未完成的请求
+  useEffect(() => {
+    const controller = new AbortController();
+
+    /**
+     * 显示试卷列表响应
+     * @param {Object} response - getPapers 的返回值
+     */
+    const applyResponse = (response) => {
+      if (response.success) {
+        const { papers, total, pageSize, facets } = response.data;
+        setResult({ papers, total, pageSize: pageSize || PAGE_SIZE, offline: Boolean(response.offline) });
+        setFilterOptions(prev => {
+          if (facets) {
+            return PaperUtils.normalizeFilterOptions(facets);
+          }
+          // 没有facets时合并已见过的筛选项，避免筛选后选项消失
+          const derived = PaperUtils.deriveFilterOptions(papers);
+          return PaperUtils.normalizeFilterOptions({
+            years: [...prev.years, ...derived.years],
+            sessions: [...prev.sessions, ...derived.sessions],
+            paperNumbers: [...prev.paperNumbers, ...derived.paperNumbers],
+            variants: [...prev.variants, ...derived.variants]
+          });
+        });
+      } else {
+        setResult({ papers: [], total: 0, pageSize: PAGE_SIZE, offline: false });
+        setError(response.message || '获取试卷列表失败');
+      }
+    };
+
+    const loadPapers = async () => {
+      setLoading(true);
+      setError('');
+
+      const response = await ApiService.getPapers(topic.id, {
+        ...filters,
+        page,
+        pageSize: PAGE_SIZE
+      }, {
+        signal: controller.signal,
+        // 显示的是过期缓存时，后台刷新得到新数据后更新列表
+        onUpdate: applyResponse
+      });
+
+      // 已发出新请求或组件已卸载（切换课程、学科），丢弃过期响应
+      if (controller.signal.aborted) return;
+
+      applyResponse(response);
+      setLoading(false);
+    };
+
+    loadPapers();
+
+    return () => controller.abort();
+  }, [topic.id, filters, page, reloadKey]);
+
+  /**
+   * 处理筛选条件变化
+   * @param {string} field - 筛选字段
+   * @param {string} value - 筛选值
+   */
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+    setPage(1);
+  };
+
+  /**
+   * 清除所有筛选条件
+   */
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+  };
+
+  /**
+   * 下载整个课程供离线使用
+   */
+  const handleSaveTopicOffline = async () => {
+    const controller = new AbortController();
+    topicDownloadRef.current = controller;
+    setOfflineMessage('');
+    setTopicDownload({ done: 0, total: 0 });
+
+    const response = await ApiService.saveTopicOffline(topic, {
+      signal: controller.signal,
+      onProgress: setTopicDownload
+    });
+
+    // 已取消或组件已卸载
+    if (controller.signal.aborted) return;
+
+    topicDownloadRef.current = null;
+    setTopicDownload(null);
+    setOfflineMessage(response.success
+      ? `${response.data.total} papers available offline`
+      : (response.message || '下载失败，请检查网络连接'));
+  };
+
+  /**
+   * 取消下载整个课程（已下载的试卷保留）
+   */
+  const cancelTopicDownload = () => {
+    topicDownloadRef.current?.abort();
+    topicDownloadRef.current = null;
+    setTopicDownload(null);
+  };
+
+  /**
+   * 切换单份试卷的离线状态：未保存时下载，已保存时删除
+   * @param {Object} paper - 试卷对象
+   */
+  const handlePaperOffline = async (paper) => {
+    setOfflineMessage('');
+    if (offlineIds.has(paper.id)) {
+      await OfflineStore.removePaper(paper.id);
+      return;
+    }
+
+    const signal = lifetimeControllerRef.current.signal;
+    setSavingIds(prev => new Set(prev).add(paper.id));
+    const response = await ApiService.savePaperOffline(paper, topic, { signal });
+    if (signal.aborted) return;
+
+    setSavingIds(prev => {
+      const next = new Set(prev);
+      next.delete(paper.id);
+      return next;
+    });
+    if (!response.success) {
+      setOfflineMessage(response.message || '下载试卷失败，请检查网络连接');
+    }
+  };
+
+  /**
+   * 单份试卷离线按钮的文字
+   * @param {Object} paper - 试卷对象
+   * @returns {string} 按钮文字
+   */
+  const getOfflineLabel = (paper) => {
+    if (savingIds.has(paper.id)) return 'Saving…';
+    return offlineIds.has(paper.id) ? '✓ Offline' : '📴 Offline';
+  };
+
+  const offlineCount = OfflineStore.getTopicPapers(topic.id).length;
+
+  // 后端已分页时直接使用返回结果，否则在本地分页
+  const isServerPaged = result.total > result.papers.length;
+  const pageSize = isServerPaged ? result.pageSize : PAGE_SIZE;
+  const visiblePapers = isServerPaged ? result.papers : paginateArray(result.papers, PAGE_SIZE, page);
+  const totalPages = Math.max(1, Math.ceil(result.total / pageSize));
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="papers-view">
+      <div className="section-header">
+        <h2>{topic.id} - {topic.name}</h2>
+        <p>{loading ? 'Loading papers...' : `${result.total} past papers available`}</p>
+      </div>
+
+      {/* 离线保存 - 下载整个课程 */}
+      {OfflineStore.isSupported() && (
+        <div className="papers-offline">
+          {topicDownload ? (
+            <>
+              <progress value={topicDownload.done} max={topicDownload.total || 1} aria-label="Offline download progress" />
+              <span className="papers-offline-status">
+                {topicDownload.total ? `Downloading ${topicDownload.done}/${topicDownload.total}…` : 'Preparing download…'}
+              </span>
+              <button className="action-btn" onClick={cancelTopicDownload}>Cancel</button>
+            </>
+          ) : (
+            <>
+              <button className="action-btn offline-topic-btn" onClick={handleSaveTopicOffline}>
+                📴 Available offline
+              </button>
+              {offlineCount > 0 && (
+                <span className="papers-offline-status">{offlineCount} saved on this device</span>
+              )}
+            </>
+          )}
+          {offlineMessage && <span className="papers-offline-message" role="status">{offlineMessage}</span>}
+        </div>
+      )}
+
+      {result.offline && (
+        <p className="papers-offline-notice">You are offline — showing papers saved on this device</p>
+      )}
+
+      {/* 试卷筛选器 - 筛选项来自后端数据 */}
+      <div className="papers-filters">
+        <div className="filter-group">
+          <label htmlFor="paper-filter-year">Year:</label>
+          <select
+            id="paper-filter-year"
+            value={filters.year}
+            onChange={(e) => handleFilterChange('year', e.target.value)}
+          >
+            <option value="">All Years</option>
+            {filterOptions.years.map(year => (
+              <option key={year} value={year}>{year}</option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label htmlFor="paper-filter-session">Session:</label>
+          <select
+            id="paper-filter-session"
+            value={filters.session}
+            onChange={(e) => handleFilterChange('session', e.target.value)}
+          >
+            <option value="">All Sessions</option>
+            {filterOptions.sessions.map(session => (
+              <option key={session} value={session}>{PaperUtils.getSessionLabel(session)}</option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label htmlFor="paper-filter-number">Paper:</label>
+          <select
+            id="paper-filter-number"
+            value={filters.paperNumber}
+            onChange={(e) => handleFilterChange('paperNumber', e.target.value)}
+          >
+            <option value="">All Papers</option>
+            {filterOptions.paperNumbers.map(number => (
+              <option key={number} value={number}>Paper {number}</option>
+            ))}
+          </select>
+        </div>
+        {filterOptions.variants.length > 0 && (
+          <div className="filter-group">
+            <label htmlFor="paper-filter-variant">Variant:</label>
+            <select
+              id="paper-filter-variant"
+              value={filters.variant}
+              onChange={(e) => handleFilterChange('variant', e.target.value)}
+            >
+              <option value="">All Variants</option>
+              {filterOptions.variants.map(variant => (
+                <option key={variant} value={variant}>Variant {variant}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        {hasFilters && (
+          <button className="clear-filters-btn" onClick={clearFilters}>
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="papers-error">
+          <p>{error}</p>
+          <button className="action-btn" onClick={() => setReloadKey(key => key + 1)}>Retry</button>
+        </div>
+      )}
+
+      {!error && !loading && visiblePapers.length === 0 && (
+        <div className="empty-state">
+          <p>{hasFilters ? 'No papers match the selected filters' : 'No papers available yet'}</p>
+        </div>
+      )}
+
+      {/* 试卷网格 */}
+      <div className={`papers-grid ${loading ? 'loading' : ''}`}>
+        {visiblePapers.map(paper => (
+          <div key={paper.id} className="paper-card">
+            <div className="paper-header">
+              <h4>{PaperUtils.formatComponentCode(paper)}</h4>
+              <span className="paper-year">{paper.year}</span>
+            </div>
+            <div className="paper-content">
+              <p>Session: {PaperUtils.getSessionLabel(paper.session)}</p>
+              <p>Type: {PaperUtils.getTypeLabel(paper.type || 'qp')}</p>
+              <p>Duration: {PaperUtils.formatPaperDuration(paper.duration)}</p>
+            </div>
+            <div className="paper-actions">
+              <button
+                className="action-btn view-btn"
+                onClick={() => onPaperView({ ...paper, title: PaperUtils.formatTitle(paper) })}
+              >
+                👁️ View
+              </button>
+              <button
+                className="action-btn download-btn"
+                onClick={() => onPaperDownload({ ...paper, title: PaperUtils.formatTitle(paper) })}
+              >
+                📥 Download
+              </button>
+              {OfflineStore.isSupported() && (
+                <button
+                  className={`action-btn offline-btn ${offlineIds.has(paper.id) ? 'saved' : ''}`}
+                  onClick={() => handlePaperOffline(paper)}
+                  disabled={savingIds.has(paper.id)}
+                  aria-pressed={offlineIds.has(paper.id)}
+                  title={offlineIds.has(paper.id) ? 'Remove from this device' : 'Save for offline use'}
+                >
+                  {getOfflineLabel(paper)}
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* 分页控件 */}
+      {totalPages > 1 && (
+        <div className="papers-pagination">
+          <button
+            className="pagination-btn"
+            disabled={page <= 1 || loading}
+            onClick={() => setPage(page - 1)}
+          >
+            ‹ Prev
+          </button>
+          <span className="pagination-info">Page {page} of {totalPages}</span>
+          <button
+            className="pagination-btn"
+            disabled={page >= totalPages || loading}
+            onClick={() => setPage(page + 1)}
+          >
+            Next ›
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PapersView;
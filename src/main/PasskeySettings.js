@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import { ApiService } from './API.js';
+import WebAuthnUtils from '../utils/WebAuthnUtils.js';
+
+/**
+ * 格式化日期
+ * @param {string} value - ISO时间
+ * @returns {string} 本地日期
+ */
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'Never');
+
+/**
+ * PasskeySettings 组件 - 个人资料设置页中的通行密钥管理
+ * 添加后可在账号选择页直接用通行密钥登录，无需输入密码
+ */
+const PasskeySettings = () => {
+  const [passkeys, setPasskeys] = useState(null);
+  const [name, setName] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  // 递增后重新读取列表
+  const [listVersion, setListVersion] = useState(0);
+  const reloadPasskeys = () => setListVersion(version => version + 1);
+
+  const supported = WebAuthnUtils.isSupported();
+
+  useEffect(() => {
+    if (!supported) return;
+    let ignore = false;
+
+    ApiService.getPasskeys().then(response => {
+      if (ignore) return;
+      if (response.success) {
+        setPasskeys(response.data || []);
+      } else {
+        setMessage(response.message || '获取通行密钥失败');
+      }
+    });
+
+    return () => {
+      ignore = true;
+    };
+  }, [supported, listVersion]);
+
+  /**
+   * 添加通行密钥
+   * @param {Event} e - 表单提交事件
+   */
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage('');
+
+    const response = await ApiService.registerPasskey(name);
+    setLoading(false);
+
+    if (response.success) {
+      setName('');
+      reloadPasskeys();
+    } else {
+      setMessage(response.message || '添加通行密钥失败');
+    }
+  };
+
+  /**
+   * 删除通行密钥
+   * @param {Object} passkey - { id, name }
+   */
+  const handleDelete = async (passkey) => {
+    if (!window.confirm(`确定要删除通行密钥「${passkey.name}」吗？`)) return;
+
+    setMessage('');
+    const response = await ApiService.deletePasskey(passkey.id);
+    if (response.success) {
+      reloadPasskeys();
+    } else {
+      setMessage(response.message || '删除通行密钥失败');
+    }
+  };
+
+  return (
+    <div className="passkey-settings">
+      <h3>Passkeys</h3>
+      <p className="modal-description">Sign in from the account picker with your fingerprint, face or device PIN instead of a password.</p>
+
+      {!supported && <p className="feature-locked-hint">This browser doesn’t support passkeys.</p>}
+
+      {message && <div className="message error">{message}</div>}
+
+      {supported && (
+        <>
+          {passkeys?.length > 0 && (
+            <ul className="passkey-list">
+              {passkeys.map(passkey => (
+                <li key={passkey.id} className="passkey-item">
+                  <div>
+                    <div className="passkey-name">🔑 {passkey.name}</div>
+                    <div className="passkey-meta">
+                      Added {formatDate(passkey.createdAt)} · Last used {formatDate(passkey.lastUsedAt)}
+                    </div>
+                  </div>
+                  <button type="button" className="cancel-btn danger" onClick={() => handleDelete(passkey)}>
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {passkeys?.length === 0 && <p className="feature-locked-hint">No passkeys yet.</p>}
+
+          <form className="passkey-add" onSubmit={handleAdd}>
+            <input
+              type="text"
+              placeholder="Name, e.g. My laptop"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              disabled={loading}
+              maxLength={40}
+              aria-label="Passkey name"
+            />
+            <button type="submit" className="confirm-btn" disabled={loading}>
+              {loading ? 'Waiting for device...' : 'Add a passkey'}
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PasskeySettings;
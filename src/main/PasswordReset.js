@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { ApiService } from './API.js';
+import { PasswordValidator } from './CryptoUtils.js';
+
+// 密码强度分数对应的文字（PasswordValidator 分数 0-4）
+const STRENGTH_LABELS = ['Too weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+/**
+ * PasswordReset 组件 - 通过重置链接设置新密码
+ * 先验证链接中的令牌，再输入新密码；密码强度实时反馈
+ * @param {Object} props
+ * @param {string|null} props.token - 重置链接中的令牌
+ * @param {Function} props.onDone - 返回登录页回调
+ */
+const PasswordReset = ({ token, onDone }) => {
+  /**
+   * 页面状态：'verifying' | 'invalid' | 'ready' | 'done'
+   */
+  const [status, setStatus] = useState(token ? 'verifying' : 'invalid');
+  const [username, setUsername] = useState('');
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(token ? '' : '重置链接无效或已过期');
+
+  useEffect(() => {
+    if (!token) return;
+    let ignore = false;
+
+    ApiService.verifyResetToken(token).then(response => {
+      if (ignore) return;
+      if (response.success && response.data?.username) {
+        setUsername(response.data.username);
+        setStatus('ready');
+      } else {
+        setMessage(response.message || '重置链接无效或已过期');
+        setStatus('invalid');
+      }
+    });
+
+    return () => {
+      ignore = true;
+    };
+  }, [token]);
+
+  const strength = PasswordValidator.validateStrength(password);
+  const mismatch = confirmPassword !== '' && password !== confirmPassword;
+
+  /**
+   * 提交新密码
+   * @param {Event} e - 表单提交事件
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage('');
+
+    if (!strength.isValid) {
+      setMessage(`密码强度不足：${strength.issues.join('，')}`);
+      return;
+    }
+    if (password !== confirmPassword) {
+      setMessage('密码不匹配！');
+      return;
+    }
+
+    setLoading(true);
+    const response = await ApiService.resetPassword(token, username, password);
+    setLoading(false);
+
+    if (response.success) {
+      setPassword('');
+      setConfirmPassword('');
+      setStatus('done');
+    } else {
+      setMessage(response.message || '重置密码失败，请稍后重试');
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="modern-login-container password-reset">
+        <div className="login-header">
+          <h1 className="login-title">Reset your password</h1>
+          <p className="login-subtitle">
+            {status === 'ready' && <>Choose a new password for <strong>{username}</strong></>}
+            {status === 'verifying' && 'Checking your reset link…'}
+            {status === 'invalid' && 'This reset link can’t be used'}
+            {status === 'done' && 'Your password has been changed'}
+          </p>
+        </div>
+
+        {message && <div className="message error">{message}</div>}
+
+        {status === 'ready' && (
+          <form className="password-form" onSubmit={handleSubmit}>
+            <div className="password-section">
+              <label htmlFor="resetPassword">New password</label>
+              <input
+                id="resetPassword"
+                type="password"
+                placeholder="Enter a new password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                disabled={loading}
+                required
+                autoComplete="new-password"
+              />
+              {password && (
+                <div className={`password-strength score-${strength.score}`} aria-live="polite">
+                  <div className="password-strength-bar">
+                    <span style={{ width: `${(strength.score / 4) * 100}%` }} />
+                  </div>
+                  <span className="password-strength-label">{STRENGTH_LABELS[strength.score]}</span>
+                  {!strength.isValid && <p className="field-hint error">{strength.issues.join('，')}</p>}
+                </div>
+              )}
+            </div>
+
+            <div className="password-section">
+              <label htmlFor="resetConfirmPassword">Confirm new password</label>
+              <input
+                id="resetConfirmPassword"
+                type="password"
+                placeholder="Confirm your new password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                disabled={loading}
+                required
+                autoComplete="new-password"
+              />
+              {mismatch && <p className="field-hint error">密码不匹配！</p>}
+            </div>
+
+            <div className="form-actions">
+              <button type="button" className="forgot-password" onClick={onDone} disabled={loading}>
+                Back to sign in
+              </button>
+              <button type="submit" className="sign-in-btn" disabled={loading || !strength.isValid || mismatch}>
+                {loading ? 'Saving...' : 'Set new password'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {status === 'done' && (
+          <div className="password-reset-done">
+            <p>Saved sessions for this account on this device have been cleared. Sign in again with your new password.</p>
+            <button type="button" className="sign-in-btn" onClick={onDone}>Sign In</button>
+          </div>
+        )}
+
+        {status === 'invalid' && (
+          <div className="password-reset-done">
+            <p>Reset links expire after a while and can only be used once. Request a new one from the sign-in page.</p>
+            <button type="button" className="sign-in-btn" onClick={onDone}>Back to sign in</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PasswordReset;
@@ -1,6 +1,12 @@
 import React from 'react';
 import { safeLocalStorage } from '../utils/storageUtils.js';
 import { formatDuration } from '../utils/performanceUtils.js';
+import AttemptsList from './AttemptsList.js';
+import TwoFactorSettings from './TwoFactorSettings.js';
+import PasskeySettings from './PasskeySettings.js';
+import LinkedAccountsSettings from './LinkedAccountsSettings.js';
+import SessionPolicySettings from './SessionPolicySettings.js';
+import OfflineStorageSettings from './OfflineStorageSettings.js';
 
 /**
  * UserProfile 组件 - 用户资料页面
@@ -20,6 +26,7 @@ import { formatDuration } from '../utils/performanceUtils.js';
  * @param {Function} props.onTabChange - 标签切换回调
  * @param {Function} props.onSubjectModalOpen - 打开学科选择模态框回调
  * @param {Function} props.onThemeToggle - 主题切换回调
+ * @param {Function} props.onSessionPolicyChange - 空闲锁屏策略修改回调
  */
 const UserProfile = ({
   // 数据props
@@ -39,7 +46,8 @@ const UserProfile = ({
   onProfileUpdate,
   onTabChange,
   onSubjectModalOpen,
-  onThemeToggle
+  onThemeToggle,
+  onSessionPolicyChange
 }) => {
   // 通用表单更新函数
   const handleProfileUpdate = (field, value) => {
@@ -159,6 +167,12 @@ const UserProfile = ({
             >
               Activity
             </button>
+            <button 
+              className={`profile-nav-item ${activeProfileTab === 'attempts' ? 'active' : ''}`}
+              onClick={() => onTabChange('attempts')}
+            >
+              Attempts
+            </button>
             <button 
               className={`profile-nav-item ${activeProfileTab === 'settings' ? 'active' : ''}`}
               onClick={() => onTabChange('settings')}
@@ -289,6 +303,11 @@ const UserProfile = ({
               </div>
             )}
             
+            {/* Attempts Tab */}
+            {activeProfileTab === 'attempts' && (
+              <AttemptsList username={user?.username} />
+            )}
+            
             {/* Settings Tab */}
             {activeProfileTab === 'settings' && (
               <div className="settings-content">
@@ -363,6 +382,16 @@ const UserProfile = ({
                     </select>
                   </div>
                 </div>
+                
+                <TwoFactorSettings user={user} />
+                
+                <PasskeySettings />
+                
+                <LinkedAccountsSettings />
+                
+                <SessionPolicySettings user={user} onPolicyChange={onSessionPolicyChange} />
+
+                <OfflineStorageSettings />
               </div>
             )}
           </div>
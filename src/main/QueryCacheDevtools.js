@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import QueryCache from '../utils/QueryCache.js';
+import { formatDuration } from '../utils/performanceUtils.js';
+
+// 展开时刷新剩余有效期的间隔（毫秒）
+const TICK_INTERVAL = 10000;
+
+/**
+ * 缓存条目的大致大小
+ * @param {Object} entry - 缓存条目
+ * @returns {string} 如 '3.2 KB'
+ */
+const formatSize = (entry) => {
+  const bytes = JSON.stringify(entry.data).length;
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+};
+
+/**
+ * QueryCacheDevtools 组件 - 接口缓存面板（仅开发环境显示）
+ * 列出缓存条目及其有效期、ETag，可使单条或全部过期、删除或清空
+ */
+const QueryCacheDevtools = () => {
+  const [expanded, setExpanded] = useState(false);
+  const [entries, setEntries] = useState(() => QueryCache.list());
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => QueryCache.subscribe(() => {
+    setEntries(QueryCache.list());
+    setNow(Date.now());
+  }), []);
+
+  useEffect(() => {
+    if (!expanded) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), TICK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [expanded]);
+
+  const staleCount = entries.filter(entry => entry.expiresAt <= now).length;
+
+  return (
+    <div className="query-cache-devtools">
+      {expanded && (
+        <div className="query-cache-panel" id="query-cache-panel">
+          <div className="query-cache-actions">
+            <button type="button" onClick={() => QueryCache.invalidate()} disabled={entries.length === 0}>
+              Invalidate all
+            </button>
+            <button type="button" onClick={() => QueryCache.clear()} disabled={entries.length === 0}>
+              Clear
+            </button>
+          </div>
+          {entries.length === 0 ? (
+            <p className="query-cache-empty">No cached responses</p>
+          ) : (
+            <ul className="query-cache-list">
+              {entries.map(entry => {
+                const fresh = entry.expiresAt > now;
+                return (
+                  <li key={entry.key} className={`query-cache-entry ${fresh ? 'fresh' : 'stale'}`}>
+                    <div className="query-cache-key" title={entry.key}>{entry.key}</div>
+                    <div className="query-cache-meta">
+                      <span>{entry.endpoint}</span>
+                      <span>{fresh ? `Fresh · ${formatDuration(entry.expiresAt - now)} left` : 'Stale'}</span>
+                      <span>Fetched {formatDuration(now - entry.fetchedAt)} ago</span>
+                      <span>{formatSize(entry)}</span>
+                      {entry.etag && <span title="ETag">{entry.etag}</span>}
+                    </div>
+                    <div className="query-cache-entry-actions">
+                      <button type="button" onClick={() => QueryCache.invalidate({ key: entry.key })} disabled={!fresh}>
+                        Invalidate
+                      </button>
+                      <button type="button" onClick={() => QueryCache.remove(entry.key)}>
+                        Remove
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+      <button
+        type="button"
+        className="query-cache-button"
+        onClick={() => setExpanded(value => !value)}
+        aria-expanded={expanded}
+        aria-controls="query-cache-panel"
+      >
+        🗄️ Cache · {entries.length}{staleCount > 0 ? ` (${staleCount} stale)` : ''}
+      </button>
+    </div>
+  );
+};
+
+export default QueryCacheDevtools;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { ApiService } from './API.js';
+import { CookieUtils } from './Cookie.js';
+import UserUtils from '../utils/UserUtils.js';
+import TwoFactorChallenge from './TwoFactorChallenge.js';
+
+/**
+ * ReloginModal 组件 - 会话失效后在应用内重新登录
+ * 令牌刷新失败时显示，当前页面状态保持不变；登录成功后等待中的请求会自动重放
+ * 账号启用了两步验证且此设备未被信任时，输入密码后还需输入验证码
+ * @param {Object} props
+ * @param {string} props.username - 会话失效的账号
+ * @param {Function} props.onSuccess - 重新登录成功回调，接收用户数据
+ * @param {Function} props.onSwitchAccount - 放弃当前会话并切换账号
+ */
+const ReloginModal = ({ username, onSuccess, onSwitchAccount }) => {
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
+
+  /**
+   * 保存新令牌并恢复会话
+   * @param {Object} userData - 登录返回的用户数据
+   */
+  const completeRelogin = (userData) => {
+    if (!UserUtils.validateUserData(userData)) {
+      setMessage('用户数据验证失败，请联系管理员');
+      return;
+    }
+
+    CookieUtils.setUserToken(username, userData.token, userData, 7);
+    ApiService.resumeSession();
+    onSuccess(userData);
+  };
+
+  /**
+   * 提交重新登录
+   * @param {Event} e - 表单提交事件
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password) return;
+
+    setLoading(true);
+    setMessage('');
+
+    const response = await ApiService.login(username, password);
+    setLoading(false);
+
+    if (!response.success) {
+      setMessage(response.message || '登录失败，请稍后重试');
+      return;
+    }
+
+    if (response.requires2fa) {
+      setPassword('');
+      setChallengeToken(response.challengeToken);
+      return;
+    }
+
+    completeRelogin(response.data);
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="modal-overlay relogin-overlay">
+        <div className="relogin-modal" role="dialog" aria-modal="true" aria-labelledby="relogin-title">
+          <div className="modal-header">
+            <h3 id="relogin-title">🔒 Session expired</h3>
+          </div>
+          <div className="modal-content">
+            <TwoFactorChallenge
+              username={username}
+              challengeToken={challengeToken}
+              onSuccess={(result) => completeRelogin(result.data)}
+              onCancel={() => setChallengeToken(null)}
+            />
+            {message && <div className="message error">{message}</div>}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="modal-overlay relogin-overlay">
+      <form className="relogin-modal" onSubmit={handleSubmit} role="dialog" aria-modal="true" aria-labelledby="relogin-title">
+        <div className="modal-header">
+          <h3 id="relogin-title">🔒 Session expired</h3>
+        </div>
+        <div className="modal-content">
+          <p className="modal-description">
+            Your session for <strong>{username}</strong> has expired. Sign in again to continue — your work on this page is kept.
+          </p>
+          <div className="form-group">
+            <label htmlFor="relogin-password">Password</label>
+            <input
+              id="relogin-password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              autoFocus
+            />
+          </div>
+          {message && <div className="message error">{message}</div>}
+        </div>
+        <div className="modal-footer">
+          <button type="button" className="cancel-btn" onClick={onSwitchAccount} disabled={loading}>
+            Switch account
+          </button>
+          <button type="submit" className="confirm-btn" disabled={loading || !password}>
+            {loading ? 'Signing in…' : 'Sign in'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ReloginModal;
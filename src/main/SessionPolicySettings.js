@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { ApiService } from './API.js';
+import SessionPolicy from '../utils/SessionPolicy.js';
+
+/**
+ * SessionPolicySettings 组件 - 个人资料设置页中的空闲锁屏策略
+ * 管理员可以修改全校默认值，其他账号只显示当前策略
+ * @param {Object} props
+ * @param {Object} props.user - 当前用户数据
+ * @param {Function} props.onPolicyChange - 策略保存后回调，接收新策略
+ */
+const SessionPolicySettings = ({ user, onPolicyChange }) => {
+  const [policy, setPolicy] = useState(null);
+  const [form, setForm] = useState({ lockMinutes: '', signOutMinutes: '' });
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [saved, setSaved] = useState(false);
+
+  const isAdmin = Boolean(user?.isAdmin);
+
+  useEffect(() => {
+    let ignore = false;
+
+    ApiService.getSessionPolicy().then(response => {
+      if (ignore) return;
+      // 获取失败时显示本设备缓存的策略
+      const current = response.success && response.data ? response.data : SessionPolicy.getCached();
+      setPolicy(current);
+      setForm({ lockMinutes: String(current.lockMinutes), signOutMinutes: String(current.signOutMinutes) });
+    });
+
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  if (!policy) return null;
+
+  /**
+   * 修改输入框
+   * @param {string} field - 字段名
+   * @param {string} value - 输入值
+   */
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setMessage('');
+    setSaved(false);
+  };
+
+  /**
+   * 保存全校策略
+   * @param {Event} e - 表单提交事件
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const next = {
+      lockMinutes: Number(form.lockMinutes),
+      signOutMinutes: Number(form.signOutMinutes)
+    };
+    setSaving(true);
+    const response = await ApiService.updateSessionPolicy(next);
+    setSaving(false);
+
+    if (response.success) {
+      setPolicy(response.data);
+      setSaved(true);
+      onPolicyChange(response.data);
+    } else {
+      setMessage(response.message || '保存锁屏策略失败');
+    }
+  };
+
+  /**
+   * 分钟数说明
+   * @param {number} minutes - 分钟数
+   * @returns {string} 说明
+   */
+  const describe = (minutes) => (minutes > 0 ? `after ${minutes} min without activity` : 'never');
+
+  return (
+    <div className="session-policy-settings">
+      <h3>Screen lock</h3>
+      <p className="modal-description">
+        Shared computers lock {describe(policy.lockMinutes)} and sign out {describe(policy.signOutMinutes)}.
+        Unlocking needs your password or a passkey.
+      </p>
+
+      {isAdmin && (
+        <form className="session-policy-form" onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="policy-lock-minutes">Lock after (minutes, 0 = never)</label>
+            <input
+              id="policy-lock-minutes"
+              type="number"
+              min="0"
+              max={SessionPolicy.MAX_LOCK_MINUTES}
+              value={form.lockMinutes}
+              onChange={(e) => handleChange('lockMinutes', e.target.value)}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="policy-sign-out-minutes">Sign out after (minutes, 0 = never)</label>
+            <input
+              id="policy-sign-out-minutes"
+              type="number"
+              min="0"
+              max={SessionPolicy.MAX_SIGN_OUT_MINUTES}
+              value={form.signOutMinutes}
+              onChange={(e) => handleChange('signOutMinutes', e.target.value)}
+            />
+          </div>
+          <button type="submit" className="confirm-btn" disabled={saving}>
+            {saving ? 'Saving…' : 'Save school policy'}
+          </button>
+          {policy.updatedBy && (
+            <p className="passkey-meta">
+              Last changed by {policy.updatedBy}{policy.updatedAt && ` · ${new Date(policy.updatedAt).toLocaleString()}`}
+            </p>
+          )}
+        </form>
+      )}
+
+      {saved && <div className="message success">已保存，所有设备将在下次获取策略时生效</div>}
+      {message && <div className="message error">{message}</div>}
+    </div>
+  );
+};
+
+export default SessionPolicySettings;
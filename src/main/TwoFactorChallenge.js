@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { ApiService } from './API.js';
+
+/**
+ * TwoFactorChallenge 组件 - 登录的第二步：输入验证器中的验证码或恢复码
+ * 密码验证通过且服务器返回 requires2fa 时显示
+ * @param {Object} props
+ * @param {string} props.username - 正在登录的账号
+ * @param {string} props.challengeToken - login 返回的挑战令牌
+ * @param {Function} props.onSuccess - 验证成功回调，接收登录结果 { data, recoveryCodesRemaining? }
+ * @param {Function} props.onCancel - 返回输入密码
+ */
+const TwoFactorChallenge = ({ username, challengeToken, onSuccess, onCancel }) => {
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [trustDevice, setTrustDevice] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  /**
+   * 切换验证码 / 恢复码输入
+   */
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(prev => !prev);
+    setCode('');
+    setMessage('');
+  };
+
+  /**
+   * 提交验证码
+   * @param {Event} e - 表单提交事件
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage('');
+
+    const response = await ApiService.verifyTwoFactor(challengeToken, code, {
+      recovery: useRecoveryCode,
+      trustDevice
+    });
+    setLoading(false);
+
+    if (response.success) {
+      onSuccess(response);
+    } else {
+      setCode('');
+      setMessage(response.message || '两步验证失败，请稍后重试');
+    }
+  };
+
+  return (
+    <form className="password-form two-factor-form" onSubmit={handleSubmit}>
+      <div className="password-section">
+        <label htmlFor="twoFactorCode">
+          {useRecoveryCode
+            ? <>Recovery code for <strong>{username}</strong></>
+            : <>Authentication code for <strong>{username}</strong></>}
+        </label>
+        <input
+          id="twoFactorCode"
+          name="twoFactorCode"
+          type="text"
+          placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '6-digit code'}
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          disabled={loading}
+          required
+          autoFocus
+          autoComplete="one-time-code"
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          maxLength={useRecoveryCode ? 11 : 6}
+        />
+        <p className="field-hint">
+          {useRecoveryCode
+            ? 'Each recovery code can only be used once.'
+            : 'Open your authenticator app and enter the code shown for TimeDay.'}
+        </p>
+      </div>
+
+      {message && <div className="message error">{message}</div>}
+
+      <label className="trust-device-option">
+        <input
+          type="checkbox"
+          checked={trustDevice}
+          onChange={(e) => setTrustDevice(e.target.checked)}
+          disabled={loading}
+        />
+        Trust this device for 30 days
+      </label>
+
+      <div className="form-actions">
+        <button type="button" className="forgot-password" onClick={toggleRecoveryCode} disabled={loading}>
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+        <button type="button" className="forgot-password" onClick={onCancel} disabled={loading}>
+          Back
+        </button>
+        <button type="submit" className="sign-in-btn" disabled={loading || !code.trim()}>
+          {loading ? 'Verifying...' : 'Verify'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorChallenge;
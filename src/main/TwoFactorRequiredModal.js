@@ -0,0 +1,58 @@
+import React, { useState, useEffect } from 'react';
+import { ApiService } from './API.js';
+import { CookieUtils } from './Cookie.js';
+import TwoFactorSetup from './TwoFactorSetup.js';
+
+/**
+ * TwoFactorRequiredModal 组件 - 管理员账号强制设置两步验证
+ * 账号尚未启用两步验证时覆盖整个应用，完成设置或退出登录前无法关闭
+ * 本机保存的用户数据可能早于启用时间，因此先向服务器确认状态
+ * @param {Object} props
+ * @param {string} props.username - 当前账号
+ * @param {Function} props.onEnabled - 已启用回调
+ * @param {Function} props.onSignOut - 退出登录回调
+ */
+const TwoFactorRequiredModal = ({ username, onEnabled, onSignOut }) => {
+  const [checking, setChecking] = useState(true);
+
+  useEffect(() => {
+    let ignore = false;
+
+    ApiService.getTwoFactorStatus().then(response => {
+      if (ignore) return;
+      if (response.success && response.data?.enabled) {
+        CookieUtils.updateUserData(username, { twoFactorEnabled: true });
+        onEnabled();
+      } else {
+        setChecking(false);
+      }
+    });
+
+    return () => {
+      ignore = true;
+    };
+  }, [username, onEnabled]);
+
+  return (
+    <div className="modal-overlay relogin-overlay">
+      <div className="relogin-modal two-factor-required" role="dialog" aria-modal="true" aria-labelledby="two-factor-required-title">
+        <div className="modal-header">
+          <h3 id="two-factor-required-title">🔐 Set up two-step verification</h3>
+        </div>
+        <div className="modal-content">
+          <p className="modal-description">
+            Administrator accounts must use two-step verification. Finish setting it up for <strong>{username}</strong> to continue.
+          </p>
+          {checking ? <p>Checking...</p> : <TwoFactorSetup onComplete={onEnabled} />}
+        </div>
+        <div className="modal-footer">
+          <button type="button" className="cancel-btn" onClick={onSignOut}>
+            Sign out
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorRequiredModal;
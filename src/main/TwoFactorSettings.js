@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { ApiService } from './API.js';
+import { CookieUtils } from './Cookie.js';
+import UserUtils from '../utils/UserUtils.js';
+import TwoFactorSetup from './TwoFactorSetup.js';
+
+/**
+ * TwoFactorSettings 组件 - 个人资料设置页中的两步验证管理
+ * 启用/停用、重新生成恢复码、取消信任此设备；管理员账号不能停用
+ * @param {Object} props
+ * @param {Object} props.user - 当前用户数据
+ */
+const TwoFactorSettings = ({ user }) => {
+  const required = UserUtils.requiresTwoFactor(user);
+
+  const [status, setStatus] = useState(null);
+  const [settingUp, setSettingUp] = useState(false);
+  // 需要验证码确认的操作：'regenerate' | 'disable' | null
+  const [pendingAction, setPendingAction] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [trusted, setTrusted] = useState(() => Boolean(CookieUtils.getTrustedDevice(user?.username)));
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  // 递增后重新读取状态
+  const [statusVersion, setStatusVersion] = useState(0);
+  const reloadStatus = () => setStatusVersion(version => version + 1);
+
+  useEffect(() => {
+    let ignore = false;
+
+    ApiService.getTwoFactorStatus().then(response => {
+      if (ignore) return;
+      if (response.success && response.data) {
+        setStatus(response.data);
+      } else {
+        setMessage(response.message || '获取两步验证状态失败');
+      }
+    });
+
+    return () => {
+      ignore = true;
+    };
+  }, [statusVersion]);
+
+  /**
+   * 设置完成后刷新状态
+   */
+  const handleSetupComplete = () => {
+    setSettingUp(false);
+    reloadStatus();
+  };
+
+  /**
+   * 用验证码确认重新生成恢复码或停用
+   * @param {Event} e - 表单提交事件
+   */
+  const handleConfirmAction = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage('');
+
+    const response = pendingAction === 'regenerate'
+      ? await ApiService.regenerateRecoveryCodes(code)
+      : await ApiService.disableTwoFactor(code);
+    setLoading(false);
+
+    if (!response.success) {
+      setMessage(response.message || '验证码错误，请重试');
+      return;
+    }
+
+    if (pendingAction === 'regenerate') {
+      setRecoveryCodes(response.data?.recoveryCodes || []);
+    } else {
+      setTrusted(false);
+    }
+    setPendingAction(null);
+    setCode('');
+    reloadStatus();
+  };
+
+  /**
+   * 取消信任此设备，下次登录需要输入验证码
+   */
+  const handleForgetDevice = () => {
+    CookieUtils.deleteTrustedDevice(user.username);
+    setTrusted(false);
+  };
+
+  return (
+    <div className="two-factor-settings">
+      <h3>Two-step verification</h3>
+      {required && (
+        <p className="modal-description">Required for administrator accounts.</p>
+      )}
+
+      {message && <div className="message error">{message}</div>}
+
+      {!status && !message && <p>Loading...</p>}
+
+      {status && !status.enabled && (
+        settingUp ? (
+          <TwoFactorSetup onComplete={handleSetupComplete} onCancel={() => setSettingUp(false)} />
+        ) : (
+          <div className="two-factor-status">
+            <span className="two-factor-badge off">Off</span>
+            <button type="button" className="confirm-btn" onClick={() => setSettingUp(true)}>Turn on</button>
+          </div>
+        )
+      )}
+
+      {status?.enabled && (
+        <>
+          <div className="two-factor-status">
+            <span className="two-factor-badge on">On</span>
+            {status.recoveryCodesRemaining !== undefined && (
+              <span>{status.recoveryCodesRemaining} recovery codes left</span>
+            )}
+          </div>
+
+          {recoveryCodes.length > 0 && (
+            <>
+              <p>Your new recovery codes — the old ones no longer work:</p>
+              <ul className="recovery-codes">
+                {recoveryCodes.map(recoveryCode => <li key={recoveryCode}><code>{recoveryCode}</code></li>)}
+              </ul>
+            </>
+          )}
+
+          {pendingAction ? (
+            <form className="two-factor-setup" onSubmit={handleConfirmAction}>
+              <div className="form-group">
+                <label htmlFor="twoFactorActionCode">
+                  Enter a code from your authenticator app to {pendingAction === 'regenerate' ? 'generate new recovery codes' : 'turn off two-step verification'}
+                </label>
+                <input
+                  id="twoFactorActionCode"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  disabled={loading}
+                  required
+                  autoFocus
+                />
+              </div>
+              <div className="form-actions">
+                <button type="button" className="cancel-btn" onClick={() => { setPendingAction(null); setCode(''); }} disabled={loading}>
+                  Cancel
+                </button>
+                <button type="submit" className="confirm-btn" disabled={loading || !code.trim()}>
+                  {loading ? 'Verifying...' : 'Confirm'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="form-actions">
+              <button type="button" className="cancel-btn" onClick={() => setPendingAction('regenerate')}>
+                New recovery codes
+              </button>
+              {trusted && (
+                <button type="button" className="cancel-btn" onClick={handleForgetDevice}>
+                  Stop trusting this device
+                </button>
+              )}
+              {!required && (
+                <button type="button" className="cancel-btn danger" onClick={() => setPendingAction('disable')}>
+                  Turn off
+                </button>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { ApiService } from './API.js';
+
+/**
+ * 把Base32密钥按4位分组，便于手动输入
+ * @param {string} secret - Base32密钥
+ * @returns {string} 分组后的密钥
+ */
+const formatSecret = (secret = '') => secret.replace(/(.{4})/g, '$1 ').trim();
+
+/**
+ * TwoFactorSetup 组件 - 设置两步验证
+ * 步骤：获取密钥 → 扫描二维码并输入验证码确认 → 保存恢复码
+ * @param {Object} props
+ * @param {Function} props.onComplete - 启用完成（恢复码已保存）回调
+ * @param {Function} [props.onCancel] - 取消设置回调，不传时不显示取消按钮
+ */
+const TwoFactorSetup = ({ onComplete, onCancel }) => {
+  /**
+   * 设置步骤：'start' | 'scan' | 'codes'
+   */
+  const [step, setStep] = useState('start');
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  /**
+   * 向服务器申请新的密钥
+   */
+  const handleStart = async () => {
+    setLoading(true);
+    setMessage('');
+
+    const response = await ApiService.setupTwoFactor();
+    setLoading(false);
+
+    if (response.success && response.data?.secret) {
+      setSetup(response.data);
+      setStep('scan');
+    } else {
+      setMessage(response.message || '获取两步验证密钥失败，请稍后重试');
+    }
+  };
+
+  /**
+   * 提交验证码，确认验证器已添加成功
+   * @param {Event} e - 表单提交事件
+   */
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage('');
+
+    const response = await ApiService.enableTwoFactor(code);
+    setLoading(false);
+
+    if (response.success) {
+      setRecoveryCodes(response.data?.recoveryCodes || []);
+      setCode('');
+      setStep('codes');
+    } else {
+      setMessage(response.message || '验证码错误，请重试');
+    }
+  };
+
+  if (step === 'start') {
+    return (
+      <div className="two-factor-setup">
+        <p>Use an authenticator app (such as Google Authenticator, Microsoft Authenticator or 1Password) to generate a sign-in code each time you log in.</p>
+        {message && <div className="message error">{message}</div>}
+        <div className="form-actions">
+          {onCancel && (
+            <button type="button" className="cancel-btn" onClick={onCancel} disabled={loading}>Cancel</button>
+          )}
+          <button type="button" className="confirm-btn" onClick={handleStart} disabled={loading}>
+            {loading ? 'Preparing...' : 'Set up authenticator'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (step === 'scan') {
+    return (
+      <form className="two-factor-setup" onSubmit={handleConfirm}>
+        <p>Scan this QR code with your authenticator app, or enter the key manually.</p>
+        <div className="two-factor-qr">
+          {setup.qrCode
+            ? <img src={setup.qrCode} alt="Authenticator QR code" />
+            : <a href={setup.otpauthUri}>Open in authenticator app</a>}
+        </div>
+        <div className="two-factor-secret">
+          <span>Setup key</span>
+          <code>{formatSecret(setup.secret)}</code>
+        </div>
+        <div className="form-group">
+          <label htmlFor="twoFactorSetupCode">Enter the 6-digit code from the app</label>
+          <input
+            id="twoFactorSetupCode"
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            maxLength={6}
+            placeholder="123456"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            disabled={loading}
+            required
+          />
+        </div>
+        {message && <div className="message error">{message}</div>}
+        <div className="form-actions">
+          {onCancel && (
+            <button type="button" className="cancel-btn" onClick={onCancel} disabled={loading}>Cancel</button>
+          )}
+          <button type="submit" className="confirm-btn" disabled={loading || !code.trim()}>
+            {loading ? 'Verifying...' : 'Enable'}
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="two-factor-setup">
+      <p>Two-step verification is on. Save these recovery codes somewhere safe — each one can be used once to sign in if you lose access to your authenticator app. They won’t be shown again.</p>
+      <ul className="recovery-codes">
+        {recoveryCodes.map(recoveryCode => <li key={recoveryCode}><code>{recoveryCode}</code></li>)}
+      </ul>
+      <div className="form-actions">
+        <button type="button" className="confirm-btn" onClick={onComplete}>I’ve saved my recovery codes</button>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
@@ -0,0 +1,1064 @@
+// ==================== 本地模拟后端 ====================
+import { AxiosError, CanceledError } from 'axios';
+import { safeLocalStorage } from '../utils/storageUtils.js';
+import IdUtils from '../utils/IdUtils.js';
+import { CryptoUtils } from './CryptoUtils.js';
+import WebAuthnUtils from '../utils/WebAuthnUtils.js';
+import { exchangeCode } from './mockOidcServer.js';
+import SessionPolicy from '../utils/SessionPolicy.js';
+import MockMode from '../utils/MockMode.js';
+import PaperUtils from '../utils/PaperUtils.js';
+import * as fixtures from './mockFixtures.js';
+import QueryCache from '../utils/QueryCache.js';
+
+/**
+ * 本地模拟后端
+ * 以axios适配器的形式在浏览器内处理请求，账号等数据保存在localStorage中，试卷目录由 mockFixtures.js 生成
+ * 启用方式：在 .env.local 中设置 REACT_APP_MOCK_API=true，或在开发环境中打开页面角落的开关（见 MockMode）
+ * 邮件（验证邮件、重置密码邮件）不会真正发出，链接打印在控制台并保存在发件箱中
+ */
+
+// 数据存储键
+const DB_KEY = 'mockBackendDb';
+
+// 模拟网络延迟（毫秒）
+const RESPONSE_DELAY = 250;
+
+/**
+ * 场景预设（名称见 MockMode.SCENARIOS）
+ * - delay：响应延迟（毫秒）
+ * - failStatus：认证以外的接口都返回该状态码
+ * - expireSessions：切换到该场景后，之前签发的访问令牌和刷新令牌全部失效（只执行一次）
+ * - emptyCatalogue：学科和试卷目录为空
+ */
+const SCENARIOS = {
+  normal: { delay: RESPONSE_DELAY },
+  slow: { delay: 3000 },
+  serverError: { delay: RESPONSE_DELAY, failStatus: 500 },
+  expiredToken: { delay: RESPONSE_DELAY, expireSessions: true },
+  emptyCatalogue: { delay: RESPONSE_DELAY, emptyCatalogue: true }
+};
+
+// 每页试卷数的默认值和上限
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// 访问令牌有效期、邮件链接有效期（毫秒）
+const ACCESS_TOKEN_TTL = 15 * 60 * 1000;
+const MAIL_TOKEN_TTL = 60 * 60 * 1000;
+
+// 新账号的PBKDF2迭代次数
+const PBKDF2_ITERATIONS = 210000;
+
+// 两步验证：登录挑战有效期、受信任设备有效期（毫秒）、TOTP时间步长（秒）、恢复码数量
+const CHALLENGE_TTL = 5 * 60 * 1000;
+const TRUSTED_DEVICE_TTL = 30 * 24 * 60 * 60 * 1000;
+const TOTP_PERIOD = 30;
+const RECOVERY_CODE_COUNT = 10;
+
+// 通行密钥挑战有效期（毫秒）
+const WEBAUTHN_CHALLENGE_TTL = 5 * 60 * 1000;
+
+// 发件箱最多保留的邮件数
+const OUTBOX_LIMIT = 20;
+
+/**
+ * 空数据库
+ * @returns {Object} 数据库结构
+ */
+const createEmptyDb = () => ({
+  users: {},          // username -> 用户（含密码哈希）
+  pendingParams: {},  // 未注册用户名 -> 预分配的哈希参数
+  sessions: {},       // 访问令牌 -> { username, expiresAt }
+  refreshTokens: {},  // 刷新令牌 -> username
+  mailTokens: {},     // 邮件链接令牌 -> { type: 'verify' | 'reset', username, expiresAt }
+  challenges: {},     // 两步验证挑战令牌 -> { username, expiresAt }
+  trustedDevices: {}, // 受信任设备令牌 -> { username, expiresAt }
+  webauthnChallenges: {}, // 通行密钥挑战 -> { type: 'register' | 'login', username, expiresAt }
+  sessionPolicy: null, // 全校空闲锁屏策略，未设置时使用默认值
+  attempts: {},       // username -> 做题记录（按时间倒序）
+  sessionsExpiredAt: 0, // 上次执行 expiredToken 场景的时间
+  outbox: []          // 已"发送"的邮件
+});
+
+const loadDb = () => ({ ...createEmptyDb(), ...safeLocalStorage.get(DB_KEY, {}) });
+const saveDb = (db) => safeLocalStorage.set(DB_KEY, db);
+
+/**
+ * 生成随机令牌
+ * @param {number} bytes - 字节数
+ * @returns {string} 十六进制字符串
+ */
+const randomToken = (bytes = 24) => Array.from(crypto.getRandomValues(new Uint8Array(bytes)))
+  .map(b => b.toString(16).padStart(2, '0'))
+  .join('');
+
+/**
+ * 去掉用户记录中的密码、两步验证、通行密钥和第三方账号信息
+ * @param {Object} user - 用户记录
+ * @returns {Object} 可返回给前端的用户数据
+ */
+const toPublicUser = ({ passwordHash, hashVersion, salt, iterations, twoFactor, passkeys, linkedAccounts, ...user }) => ({
+  ...user,
+  twoFactorEnabled: Boolean(twoFactor?.secret),
+  hasPasskey: Boolean(passkeys?.length)
+});
+
+// ==================== TOTP（RFC 6238） ====================
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Base32编码
+ * @param {Uint8Array} bytes - 字节
+ * @returns {string} Base32字符串（无填充）
+ */
+const base32Encode = (bytes) => {
+  let bits = '';
+  bytes.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  return (bits.match(/.{1,5}/g) || [])
+    .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+/**
+ * Base32解码
+ * @param {string} text - Base32字符串
+ * @returns {Uint8Array} 字节
+ */
+const base32Decode = (text) => {
+  const bits = text.toUpperCase().replace(/[^A-Z2-7]/g, '')
+    .split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return new Uint8Array((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+/**
+ * 计算某个时间步的TOTP验证码（HMAC-SHA1，6位）
+ * @param {string} secret - Base32密钥
+ * @param {number} counter - 时间步
+ * @returns {Promise<string>} 6位验证码
+ */
+const totpAt = async (secret, counter) => {
+  const message = new Uint8Array(8);
+  let value = counter;
+  for (let i = 7; i >= 0; i--) {
+    message[i] = value & 0xff;
+    value = Math.floor(value / 256);
+  }
+
+  const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(binary % 1000000).padStart(6, '0');
+};
+
+/**
+ * 校验TOTP验证码，允许前后各一个时间步的时钟偏差
+ * @param {string} secret - Base32密钥
+ * @param {string} code - 用户输入的验证码
+ * @returns {Promise<number|null>} 匹配的时间步，不匹配时为null
+ */
+const matchTotp = async (secret, code) => {
+  const current = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+  for (const counter of [current - 1, current, current + 1]) {
+    if (await totpAt(secret, counter) === String(code)) return counter;
+  }
+  return null;
+};
+
+/**
+ * 校验已启用账号的验证码；同一时间步的验证码只能使用一次
+ * @param {Object} user - 用户记录
+ * @param {string} code - 验证码
+ * @returns {Promise<boolean>} 是否有效
+ */
+const verifyUserTotp = async (user, code) => {
+  const counter = await matchTotp(user.twoFactor.secret, code);
+  if (counter === null || counter <= (user.twoFactor.lastCounter ?? -1)) return false;
+  user.twoFactor.lastCounter = counter;
+  return true;
+};
+
+/**
+ * 生成一组恢复码（格式 xxxxx-xxxxx）
+ * @returns {Array<string>} 恢复码
+ */
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = randomToken(5);
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+/**
+ * 为用户签发访问令牌和刷新令牌
+ * @param {Object} db - 数据库
+ * @param {string} username - 用户名
+ * @returns {Object} { token, refreshToken }
+ */
+const issueTokens = (db, username) => {
+  const token = `mock.${randomToken()}`;
+  const refreshToken = `mock-refresh.${randomToken()}`;
+  db.sessions[token] = { username, expiresAt: Date.now() + ACCESS_TOKEN_TTL };
+  db.refreshTokens[refreshToken] = username;
+  return { token, refreshToken };
+};
+
+/**
+ * 吊销用户的所有令牌
+ * @param {Object} db - 数据库
+ * @param {string} username - 用户名
+ */
+const revokeTokens = (db, username) => {
+  Object.keys(db.sessions).forEach(token => {
+    if (db.sessions[token].username === username) delete db.sessions[token];
+  });
+  Object.keys(db.refreshTokens).forEach(token => {
+    if (db.refreshTokens[token] === username) delete db.refreshTokens[token];
+  });
+};
+
+/**
+ * "发送"带链接的邮件：保存到发件箱并打印到控制台
+ * @param {Object} db - 数据库
+ * @param {Object} mail - { type, user, baseUrl, subject }
+ */
+const sendMailLink = (db, { type, user, baseUrl, subject }) => {
+  const token = randomToken();
+  db.mailTokens[token] = { type, username: user.username, expiresAt: Date.now() + MAIL_TOKEN_TTL };
+
+  const link = `${baseUrl || window.location.origin}?token=${token}`;
+  db.outbox = [{ to: user.email, subject, link, sentAt: new Date().toISOString() }, ...db.outbox].slice(0, OUTBOX_LIMIT);
+  console.info(`📧 [Mock] ${subject} → ${user.email}\n${link}`);
+};
+
+/**
+ * 读取未过期的邮件链接令牌（使用后即删除）
+ * @param {Object} db - 数据库
+ * @param {string} token - 令牌
+ * @param {string} type - 令牌类型
+ * @param {boolean} consume - 是否删除
+ * @returns {Object|null} 令牌记录
+ */
+const readMailToken = (db, token, type, consume = false) => {
+  const record = db.mailTokens[token];
+  if (!record || record.type !== type || record.expiresAt < Date.now() || !db.users[record.username]) {
+    return null;
+  }
+  if (consume) delete db.mailTokens[token];
+  return record;
+};
+
+const findUserByEmail = (db, email) => Object.values(db.users)
+  .find(user => user.email.toLowerCase() === String(email).toLowerCase());
+
+/**
+ * 签发两步验证挑战令牌
+ * @param {Object} db - 数据库
+ * @param {Object} user - 用户记录
+ * @returns {Object} { requires2fa, challengeToken }
+ */
+const issueTwoFactorChallenge = (db, user) => {
+  const challengeToken = randomToken();
+  db.challenges[challengeToken] = { username: user.username, expiresAt: Date.now() + CHALLENGE_TTL };
+  return { requires2fa: true, challengeToken };
+};
+
+// ==================== 第三方登录（OIDC） ====================
+
+/**
+ * 可返回给前端的关联账号列表（不含提供方的用户标识）
+ * @param {Object} user - 用户记录
+ * @returns {Array} [{ provider, email, linkedAt }]
+ */
+const toLinkedAccounts = (user) => (user.linkedAccounts || []).map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt }));
+
+/**
+ * 查找关联了该第三方账号的用户
+ * @param {Object} db - 数据库
+ * @param {string} provider - 提供方ID
+ * @param {string} subject - 提供方的用户标识
+ * @returns {Object|undefined} 用户记录
+ */
+const findUserByIdentity = (db, provider, subject) => Object.values(db.users)
+  .find(user => (user.linkedAccounts || []).some(account => account.provider === provider && account.subject === subject));
+
+/**
+ * 为第三方登录创建的账号生成用户名：取邮箱前缀，冲突时追加数字
+ * @param {Object} db - 数据库
+ * @param {string} email - 邮箱
+ * @returns {string} 符合注册规则的用户名
+ */
+const createUsernameFromEmail = (db, email) => {
+  const base = email.split('@')[0].replace(/[^A-Za-z0-9_]/g, '_').slice(0, 16).padEnd(3, '_');
+  let username = base;
+  for (let i = 1; db.users[username] || db.pendingParams[username]; i++) {
+    username = `${base}${i}`;
+  }
+  return username;
+};
+
+// ==================== 通行密钥（WebAuthn） ====================
+
+/**
+ * 签发通行密钥挑战
+ * @param {Object} db - 数据库
+ * @param {string} type - 'register' | 'login'
+ * @param {string} username - 用户名
+ * @returns {string} base64url挑战
+ */
+const issueWebAuthnChallenge = (db, type, username) => {
+  const challenge = WebAuthnUtils.toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+  db.webauthnChallenges[challenge] = { type, username, expiresAt: Date.now() + WEBAUTHN_CHALLENGE_TTL };
+  return challenge;
+};
+
+/**
+ * 校验客户端数据，并消费其中的挑战
+ * @param {Object} db - 数据库
+ * @param {string} clientDataJSON - base64url客户端数据
+ * @param {string} type - 'webauthn.create' | 'webauthn.get'
+ * @returns {Object|null} 挑战记录
+ */
+const consumeClientData = (db, clientDataJSON, type) => {
+  let clientData;
+  try {
+    clientData = JSON.parse(new TextDecoder().decode(WebAuthnUtils.fromBase64Url(clientDataJSON)));
+  } catch {
+    return null;
+  }
+
+  const record = db.webauthnChallenges[clientData.challenge];
+  delete db.webauthnChallenges[clientData.challenge];
+  const expectedType = type === 'webauthn.create' ? 'register' : 'login';
+  if (!record || record.type !== expectedType || record.expiresAt < Date.now()) return null;
+  if (clientData.type !== type || clientData.origin !== window.location.origin) return null;
+  return record;
+};
+
+/**
+ * 校验认证器数据：RP ID哈希，以及用户在场、用户已验证标志
+ * @param {Uint8Array} authenticatorData - 认证器数据
+ * @returns {Promise<boolean>} 是否有效
+ */
+const checkAuthenticatorData = async (authenticatorData) => {
+  const rpIdHash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(window.location.hostname)));
+  const flags = authenticatorData[32];
+  return rpIdHash.every((byte, i) => authenticatorData[i] === byte) && (flags & 0x01) !== 0 && (flags & 0x04) !== 0;
+};
+
+/**
+ * DER编码的ECDSA签名转为WebCrypto使用的 r||s
+ * @param {Uint8Array} der - DER签名
+ * @returns {Uint8Array} 64字节签名
+ */
+const derSignatureToRaw = (der) => {
+  const readInteger = (offset) => {
+    const length = der[offset + 1];
+    const value = der.slice(offset + 2, offset + 2 + length);
+    const trimmed = value.length > 32 ? value.slice(value.length - 32) : value;
+    const padded = new Uint8Array(32);
+    padded.set(trimmed, 32 - trimmed.length);
+    return { value: padded, next: offset + 2 + length };
+  };
+  const r = readInteger(2);
+  const s = readInteger(r.next);
+  const raw = new Uint8Array(64);
+  raw.set(r.value);
+  raw.set(s.value, 32);
+  return raw;
+};
+
+const ok = (data) => [200, data === undefined ? { success: true } : { success: true, data }];
+const fail = (status, message) => [status, { success: false, message }];
+// 参数错误并指出具体字段：{ 字段名: 提示 }，第一个提示同时作为 message
+const failFields = (status, errors) => [status, { success: false, message: Object.values(errors)[0], errors }];
+
+/**
+ * 接口表："方法 路径" -> 处理函数
+ * 处理函数接收 { db, body, query, params, username, scenario }，返回 [状态码, 响应体]（可为Promise）
+ * 路径中的 :param 段解析到 params
+ * username 为请求令牌对应的用户，未登录或令牌过期时为null
+ */
+const routes = {
+  // ==================== 试卷目录 ====================
+
+  'GET /api/subjects': ({ scenario }) => ok(scenario.emptyCatalogue ? {} : fixtures.getSubjects()),
+
+  'GET /api/topics/:id/papers': ({ params, query, scenario }) => {
+    const all = scenario.emptyCatalogue ? [] : fixtures.getTopicPapers(params.id);
+    if (!all) return fail(404, '课程不存在');
+
+    const filtered = PaperUtils.filterPapers(all, query);
+    const pageSize = Math.min(Math.max(1, parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+
+    return ok({
+      papers: filtered.slice((page - 1) * pageSize, page * pageSize),
+      total: filtered.length,
+      page,
+      pageSize,
+      facets: PaperUtils.deriveFilterOptions(all)
+    });
+  },
+
+  'GET /api/papers/search': ({ query, scenario }) => {
+    if (scenario.emptyCatalogue) return ok([]);
+    const limit = Math.min(Math.max(1, parseInt(query.limit, 10) || 10), MAX_PAGE_SIZE);
+    return ok(fixtures.searchPapers(query, limit));
+  },
+
+  'GET /api/papers/:id': ({ params, scenario }) => {
+    const paper = scenario.emptyCatalogue ? null : fixtures.getPaper(params.id);
+    return paper ? ok(paper) : fail(404, '试卷不存在');
+  },
+
+  'GET /api/papers/:id/marking': ({ params, scenario }) => {
+    const paper = scenario.emptyCatalogue ? null : fixtures.getPaper(params.id);
+    return paper ? ok(fixtures.getPaperMarking(paper)) : fail(404, '试卷不存在');
+  },
+
+  // ==================== 做题记录 ====================
+
+  'POST /api/attempts': ({ db, body, username }) => {
+    if (!username) return fail(401, '请先登录');
+    if (!body.paperId || !body.score) return fail(400, '做题记录不完整');
+
+    const attempt = { ...body, id: body.id || randomToken(8), savedAt: new Date().toISOString() };
+    const attempts = (db.attempts[username] || []).filter(item => item.id !== attempt.id);
+    db.attempts[username] = [attempt, ...attempts];
+    return ok(attempt);
+  },
+
+  'GET /api/attempts': ({ db, query, username }) => {
+    if (!username) return fail(401, '请先登录');
+    const attempts = db.attempts[username] || [];
+    return ok(query.topicId ? attempts.filter(item => item.topicId === query.topicId) : attempts);
+  },
+
+  // ==================== 认证 ====================
+
+  'GET /api/auth/params': ({ db, query }) => {
+    const user = db.users[query.username];
+    if (user?.passwordHash) {
+      return ok({ version: user.hashVersion, salt: user.salt, iterations: user.iterations });
+    }
+    // 未注册的用户名（以及只通过第三方登录、尚未设置密码的账号）也返回参数，注册或设置密码时使用同一组参数
+    if (!db.pendingParams[query.username]) {
+      db.pendingParams[query.username] = {
+        version: CryptoUtils.HASH_VERSIONS.PBKDF2_SHA256,
+        salt: randomToken(16),
+        iterations: PBKDF2_ITERATIONS
+      };
+    }
+    return ok(db.pendingParams[query.username]);
+  },
+
+  'GET /api/auth/available': ({ db, query }) => ok({
+    ...(query.username && { username: !db.users[query.username] }),
+    ...(query.email && { email: !findUserByEmail(db, query.email) })
+  }),
+
+  'POST /api/auth/register': ({ db, body }) => {
+    const taken = {
+      ...(db.users[body.username] && { username: '该用户名已被注册' }),
+      ...(findUserByEmail(db, body.email) && { email: '该邮箱已被注册' })
+    };
+    if (Object.keys(taken).length > 0) return failFields(409, taken);
+    if (!body.passwordHash) return fail(400, '缺少密码哈希');
+
+    const params = db.pendingParams[body.username];
+    if (body.hashVersion === CryptoUtils.HASH_VERSIONS.PBKDF2_SHA256 && body.salt !== params?.salt) {
+      return fail(400, '盐值与服务器下发的不一致');
+    }
+
+    const isAdmin = Boolean(body.isAdmin);
+    const user = {
+      id: IdUtils.generateUserId(isAdmin),
+      username: body.username,
+      email: body.email,
+      emailVerified: false,
+      isAdmin,
+      createdAt: new Date().toISOString(),
+      hashVersion: body.hashVersion,
+      salt: body.salt,
+      iterations: body.iterations,
+      passwordHash: body.passwordHash
+    };
+    db.users[user.username] = user;
+    delete db.pendingParams[user.username];
+
+    sendMailLink(db, { type: 'verify', user, baseUrl: body.verifyUrl, subject: 'Verify your email' });
+    return ok({ ...toPublicUser(user), ...issueTokens(db, user.username) });
+  },
+
+  'POST /api/auth/login': ({ db, body }) => {
+    const user = db.users[body.username];
+    if (!user || body.hashVersion !== user.hashVersion || body.passwordHash !== user.passwordHash) {
+      return fail(401, '用户名或密码错误');
+    }
+
+    // 旧版哈希账号附带升级参数时替换存储
+    if (body.upgrade && body.upgrade.hashVersion > user.hashVersion) {
+      Object.assign(user, {
+        hashVersion: body.upgrade.hashVersion,
+        salt: body.upgrade.salt,
+        iterations: body.upgrade.iterations,
+        passwordHash: body.upgrade.passwordHash
+      });
+    }
+
+    // 已启用两步验证且设备未被信任：签发挑战令牌，由 /api/auth/2fa/verify 完成登录
+    const trusted = db.trustedDevices[body.trustedDeviceToken];
+    const isTrusted = trusted && trusted.username === user.username && trusted.expiresAt > Date.now();
+    if (user.twoFactor?.secret && !isTrusted) {
+      return ok(issueTwoFactorChallenge(db, user));
+    }
+
+    user.lastLoginAt = new Date().toISOString();
+    return ok({ ...toPublicUser(user), ...issueTokens(db, user.username) });
+  },
+
+  'POST /api/auth/validate': ({ username }) => (username ? ok() : fail(401, '会话已过期')),
+
+  'POST /api/auth/refresh': ({ db, body }) => {
+    const username = db.refreshTokens[body.refreshToken];
+    if (!username || !db.users[username]) return fail(401, '刷新令牌无效');
+
+    // 轮换刷新令牌
+    delete db.refreshTokens[body.refreshToken];
+    return ok(issueTokens(db, username));
+  },
+
+  'POST /api/auth/logout': ({ db, token }) => {
+    delete db.sessions[token];
+    return ok();
+  },
+
+  // ==================== 两步验证 ====================
+
+  'POST /api/auth/2fa/verify': async ({ db, body }) => {
+    const challenge = db.challenges[body.challengeToken];
+    const user = challenge && challenge.expiresAt > Date.now() ? db.users[challenge.username] : null;
+    if (!user?.twoFactor?.secret) return fail(401, '登录已超时，请重新输入密码');
+
+    let recoveryCodesRemaining;
+    if (body.recoveryCode) {
+      const index = user.twoFactor.recoveryCodes.indexOf(String(body.recoveryCode).toLowerCase());
+      if (index === -1) return fail(401, '恢复码无效');
+      user.twoFactor.recoveryCodes.splice(index, 1);
+      recoveryCodesRemaining = user.twoFactor.recoveryCodes.length;
+    } else if (!(await verifyUserTotp(user, body.code))) {
+      return fail(401, '验证码错误');
+    }
+    delete db.challenges[body.challengeToken];
+
+    let trustedDeviceToken;
+    if (body.trustDevice) {
+      trustedDeviceToken = randomToken();
+      db.trustedDevices[trustedDeviceToken] = { username: user.username, expiresAt: Date.now() + TRUSTED_DEVICE_TTL };
+    }
+
+    user.lastLoginAt = new Date().toISOString();
+    return ok({
+      ...toPublicUser(user),
+      ...issueTokens(db, user.username),
+      ...(trustedDeviceToken && { trustedDeviceToken }),
+      ...(recoveryCodesRemaining !== undefined && { recoveryCodesRemaining })
+    });
+  },
+
+  'GET /api/auth/2fa': ({ db, username }) => {
+    if (!username) return fail(401, '请先登录');
+    const user = db.users[username];
+    return ok({
+      enabled: Boolean(user.twoFactor?.secret),
+      required: IdUtils.isAdminId(user.id),
+      ...(user.twoFactor?.secret && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length })
+    });
+  },
+
+  'POST /api/auth/2fa/setup': ({ db, username }) => {
+    if (!username) return fail(401, '请先登录');
+    const user = db.users[username];
+    if (user.twoFactor?.secret) return fail(409, '两步验证已启用');
+
+    const secret = base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+    user.twoFactor = { pendingSecret: secret };
+    console.info(`🔐 [Mock] ${username} 的两步验证密钥：${secret}`);
+    return ok({
+      secret,
+      otpauthUri: `otpauth://totp/TimeDay:${encodeURIComponent(username)}?secret=${secret}&issuer=TimeDay&period=${TOTP_PERIOD}`
+    });
+  },
+
+  'POST /api/auth/2fa/enable': async ({ db, body, username }) => {
+    if (!username) return fail(401, '请先登录');
+    const user = db.users[username];
+    const pendingSecret = user.twoFactor?.pendingSecret;
+    if (!pendingSecret) return fail(400, '请先获取两步验证密钥');
+
+    const counter = await matchTotp(pendingSecret, body.code);
+    if (counter === null) return fail(400, '验证码错误');
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor = { secret: pendingSecret, recoveryCodes, lastCounter: counter };
+    return ok({ recoveryCodes });
+  },
+
+  'POST /api/auth/2fa/recovery-codes': async ({ db, body, username }) => {
+    if (!username) return fail(401, '请先登录');
+    const user = db.users[username];
+    if (!user.twoFactor?.secret) return fail(400, '两步验证未启用');
+    if (!(await verifyUserTotp(user, body.code))) return fail(400, '验证码错误');
+
+    user.twoFactor.recoveryCodes = generateRecoveryCodes();
+    return ok({ recoveryCodes: user.twoFactor.recoveryCodes });
+  },
+
+  'POST /api/auth/2fa/disable': async ({ db, body, username }) => {
+    if (!username) return fail(401, '请先登录');
+    const user = db.users[username];
+    if (IdUtils.isAdminId(user.id)) return fail(403, '管理员账号必须启用两步验证');
+    if (!user.twoFactor?.secret) return fail(400, '两步验证未启用');
+    if (!(await verifyUserTotp(user, body.code))) return fail(400, '验证码错误');
+
+    delete user.twoFactor;
+    Object.keys(db.trustedDevices).forEach(token => {
+      if (db.trustedDevices[token].username === username) delete db.trustedDevices[token];
+    });
+    return ok();
+  },
+
+  // ==================== 通行密钥 ====================
+
+  'POST /api/auth/webauthn/register/options': ({ db, username }) => {
+    if (!username) return fail(401, '请先登录');
+    const user = db.users[username];
+
+    return ok({
+      rp: { name: 'TimeDay', id: window.location.hostname },
+      user: {
+        id: WebAuthnUtils.toBase64Url(new TextEncoder().encode(user.id)),
+        name: user.username,
+        displayName: user.username
+      },
+      challenge: issueWebAuthnChallenge(db, 'register', username),
+      pubKeyCredParams: [{ type: 'public-key', alg: -7 }],
+      timeout: WEBAUTHN_CHALLENGE_TTL,
+      attestation: 'none',
+      authenticatorSelection: { residentKey: 'preferred', userVerification: 'required' },
+      excludeCredentials: (user.passkeys || []).map(passkey => ({ type: 'public-key', id: passkey.id }))
+    });
+  },
+
+  'POST /api/auth/webauthn/register/verify': async ({ db, body, username }) => {
+    if (!username) return fail(401, '请先登录');
+    const { credential } = body;
+    const record = consumeClientData(db, credential?.response?.clientDataJSON, 'webauthn.create');
+    if (!record || record.username !== username) return fail(400, '通行密钥挑战无效或已过期');
+    if (!credential.response.publicKey || credential.response.publicKeyAlgorithm !== -7) {
+      return fail(400, '不支持的通行密钥算法');
+    }
+    if (!(await checkAuthenticatorData(WebAuthnUtils.fromBase64Url(credential.response.authenticatorData || '')))) {
+      return fail(400, '认证器数据无效');
+    }
+
+    const user = db.users[username];
+    const passkey = {
+      id: credential.id,
+      name: body.name,
+      publicKey: credential.response.publicKey,
+      signCount: 0,
+      createdAt: new Date().toISOString()
+    };
+    user.passkeys = [...(user.passkeys || []), passkey];
+    return ok({ id: passkey.id, name: passkey.name, createdAt: passkey.createdAt });
+  },
+
+  'POST /api/auth/webauthn/login/options': ({ db, body }) => {
+    const user = db.users[body.username];
+    return ok({
+      challenge: issueWebAuthnChallenge(db, 'login', body.username),
+      rpId: window.location.hostname,
+      timeout: WEBAUTHN_CHALLENGE_TTL,
+      userVerification: 'required',
+      // 未知账号也返回选项，避免暴露用户名是否存在
+      allowCredentials: (user?.passkeys || []).map(passkey => ({ type: 'public-key', id: passkey.id }))
+    });
+  },
+
+  'POST /api/auth/webauthn/login/verify': async ({ db, body }) => {
+    const { credential } = body;
+    const record = consumeClientData(db, credential?.response?.clientDataJSON, 'webauthn.get');
+    const user = record ? db.users[record.username] : null;
+    const passkey = user?.passkeys?.find(item => item.id === credential.id);
+    if (!passkey) return fail(401, '通行密钥无效');
+
+    const authenticatorData = WebAuthnUtils.fromBase64Url(credential.response.authenticatorData);
+    const clientDataHash = new Uint8Array(await crypto.subtle.digest('SHA-256', WebAuthnUtils.fromBase64Url(credential.response.clientDataJSON)));
+    const signed = new Uint8Array(authenticatorData.length + clientDataHash.length);
+    signed.set(authenticatorData);
+    signed.set(clientDataHash, authenticatorData.length);
+
+    const key = await crypto.subtle.importKey('spki', WebAuthnUtils.fromBase64Url(passkey.publicKey), { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+    const valid = await crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      key,
+      derSignatureToRaw(WebAuthnUtils.fromBase64Url(credential.response.signature)),
+      signed
+    );
+    if (!valid || !(await checkAuthenticatorData(authenticatorData))) return fail(401, '通行密钥验证失败');
+
+    // 签名计数器必须递增（为0表示认证器不支持计数）
+    const signCount = new DataView(authenticatorData.buffer, authenticatorData.byteOffset + 33, 4).getUint32(0);
+    if (signCount !== 0 && signCount <= passkey.signCount) return fail(401, '检测到克隆的通行密钥');
+    passkey.signCount = signCount;
+    passkey.lastUsedAt = new Date().toISOString();
+
+    user.lastLoginAt = passkey.lastUsedAt;
+    return ok({ ...toPublicUser(user), ...issueTokens(db, user.username) });
+  },
+
+  'GET /api/auth/webauthn/credentials': ({ db, username }) => {
+    if (!username) return fail(401, '请先登录');
+    return ok((db.users[username].passkeys || []).map(({ id, name, createdAt, lastUsedAt }) => ({ id, name, createdAt, lastUsedAt })));
+  },
+
+  'DELETE /api/auth/webauthn/credentials/:id': ({ db, params, username }) => {
+    if (!username) return fail(401, '请先登录');
+    const user = db.users[username];
+    const remaining = (user.passkeys || []).filter(passkey => passkey.id !== params.id);
+    if (remaining.length === (user.passkeys || []).length) return fail(404, '通行密钥不存在');
+
+    user.passkeys = remaining;
+    return ok({ remaining: remaining.length });
+  },
+
+  // ==================== 第三方登录 ====================
+
+  'POST /api/auth/oidc/callback': async ({ db, body, username }) => {
+    if (body.mode === 'link' && !username) return fail(401, '请先登录');
+
+    let claims;
+    try {
+      claims = await exchangeCode(body);
+    } catch (error) {
+      return fail(401, error.message);
+    }
+    if (claims.nonce !== body.nonce) return fail(401, '身份令牌无效');
+
+    const owner = findUserByIdentity(db, body.provider, claims.sub);
+
+    if (body.mode === 'link') {
+      if (owner && owner.username !== username) return fail(409, '该第三方账号已关联其他账号');
+      const user = db.users[username];
+      if (!owner) {
+        user.linkedAccounts = [
+          ...(user.linkedAccounts || []).filter(account => account.provider !== body.provider),
+          { provider: body.provider, subject: claims.sub, email: claims.email || null, linkedAt: new Date().toISOString() }
+        ];
+      }
+      return ok(toLinkedAccounts(user));
+    }
+
+    let user = owner;
+    if (!user) {
+      // 已有账号必须先用密码登录再关联，防止通过同名邮箱接管账号
+      if (!claims.email || !claims.email_verified) return fail(400, '该登录方式未提供已验证的邮箱，请先注册账号后在设置中关联');
+      if (findUserByEmail(db, claims.email)) return fail(409, '该邮箱已注册，请使用密码登录后在设置中关联');
+
+      user = {
+        id: IdUtils.generateUserId(false),
+        username: createUsernameFromEmail(db, claims.email),
+        email: claims.email,
+        emailVerified: true,
+        isAdmin: false,
+        createdAt: new Date().toISOString(),
+        linkedAccounts: [{ provider: body.provider, subject: claims.sub, email: claims.email, linkedAt: new Date().toISOString() }]
+      };
+      db.users[user.username] = user;
+    }
+
+    // 第三方登录不能代替两步验证；挑战中附带用户名，便于前端提示
+    if (user.twoFactor?.secret) {
+      return ok({ ...issueTwoFactorChallenge(db, user), username: user.username });
+    }
+
+    user.lastLoginAt = new Date().toISOString();
+    return ok({ ...toPublicUser(user), ...issueTokens(db, user.username) });
+  },
+
+  'GET /api/auth/oidc/accounts': ({ db, username }) => {
+    if (!username) return fail(401, '请先登录');
+    return ok(toLinkedAccounts(db.users[username]));
+  },
+
+  'DELETE /api/auth/oidc/accounts/:provider': ({ db, params, username }) => {
+    if (!username) return fail(401, '请先登录');
+    const user = db.users[username];
+    const remaining = (user.linkedAccounts || []).filter(account => account.provider !== params.provider);
+    if (remaining.length === (user.linkedAccounts || []).length) return fail(404, '未关联该第三方账号');
+    if (!user.passwordHash && !user.passkeys?.length && remaining.length === 0) {
+      return fail(400, '这是该账号唯一的登录方式，请先通过"忘记密码"设置密码');
+    }
+
+    user.linkedAccounts = remaining;
+    return ok(toLinkedAccounts(user));
+  },
+
+  // ==================== 密码重置 ====================
+
+  'POST /api/auth/password/forgot': ({ db, body }) => {
+    const user = body.email ? findUserByEmail(db, body.email) : db.users[body.username];
+    if (user) {
+      sendMailLink(db, { type: 'reset', user, baseUrl: body.resetUrl, subject: 'Reset your password' });
+    }
+    // 无论账号是否存在都返回成功
+    return ok();
+  },
+
+  'GET /api/auth/password/reset': ({ db, query }) => {
+    const record = readMailToken(db, query.token, 'reset');
+    return record ? ok({ username: record.username, expiresAt: new Date(record.expiresAt).toISOString() }) : fail(400, '重置链接无效或已过期');
+  },
+
+  'POST /api/auth/password/reset': ({ db, body }) => {
+    const record = readMailToken(db, body.token, 'reset', true);
+    if (!record) return fail(400, '重置链接无效或已过期');
+
+    Object.assign(db.users[record.username], {
+      hashVersion: body.hashVersion,
+      salt: body.salt,
+      iterations: body.iterations,
+      passwordHash: body.passwordHash
+    });
+    revokeTokens(db, record.username);
+    return ok();
+  },
+
+  // ==================== 邮箱验证 ====================
+
+  'POST /api/auth/email/resend': ({ db, body, username }) => {
+    if (!username) return fail(401, '请先登录');
+    const user = db.users[username];
+    if (user.emailVerified) return fail(400, '邮箱已验证');
+
+    sendMailLink(db, { type: 'verify', user, baseUrl: body.verifyUrl, subject: 'Verify your email' });
+    return ok();
+  },
+
+  'POST /api/auth/email/verify': ({ db, body }) => {
+    const record = readMailToken(db, body.token, 'verify', true);
+    if (!record) return fail(400, '验证链接无效或已过期');
+
+    const user = db.users[record.username];
+    user.emailVerified = true;
+    return ok({ username: user.username, email: user.email, emailVerified: true });
+  },
+
+  // ==================== 空闲锁屏策略 ====================
+
+  'GET /api/settings/session-policy': ({ db, username }) => {
+    if (!username) return fail(401, '请先登录');
+    return ok({ ...SessionPolicy.DEFAULTS, ...db.sessionPolicy });
+  },
+
+  'PUT /api/admin/session-policy': ({ db, body, username }) => {
+    if (!username) return fail(401, '请先登录');
+    if (!IdUtils.isAdminId(db.users[username].id)) return fail(403, '仅管理员可以修改锁屏策略');
+
+    const policy = { lockMinutes: body.lockMinutes, signOutMinutes: body.signOutMinutes };
+    const validationError = SessionPolicy.validate(policy);
+    if (validationError) return fail(400, validationError);
+
+    db.sessionPolicy = { ...policy, updatedAt: new Date().toISOString(), updatedBy: username };
+    return ok(db.sessionPolicy);
+  }
+};
+
+/**
+ * 查找接口：先按完整路径匹配，再匹配带 :param 段的路径
+ * @param {string} key - "方法 路径"
+ * @returns {Object|null} { handler, params }
+ */
+const findRoute = (key) => {
+  if (routes[key]) return { handler: routes[key], params: {} };
+
+  const [method, path] = key.split(' ');
+  const segments = path.split('/');
+  for (const pattern of Object.keys(routes)) {
+    const [patternMethod, patternPath] = pattern.split(' ');
+    const patternSegments = patternPath.split('/');
+    if (patternMethod !== method || patternSegments.length !== segments.length || !patternPath.includes('/:')) continue;
+
+    const params = {};
+    const matched = patternSegments.every((segment, i) => {
+      if (segment.startsWith(':')) {
+        params[segment.slice(1)] = decodeURIComponent(segments[i]);
+        return true;
+      }
+      return segment === segments[i];
+    });
+    if (matched) return { handler: routes[pattern], params };
+  }
+  return null;
+};
+
+/**
+ * 解析请求：路径、查询参数、请求体、认证令牌
+ * @param {Object} config - axios请求配置
+ * @returns {Object} { key, query, body, token }
+ */
+const parseRequest = (config) => {
+  const url = new URL(config.url, 'http://mock.local');
+  const query = { ...Object.fromEntries(url.searchParams), ...config.params };
+
+  let body = config.data || {};
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      body = {};
+    }
+  }
+
+  const authorization = config.headers?.Authorization || config.headers?.authorization || '';
+  const token = String(authorization).replace(/^Bearer\s+/, '') || null;
+  const ifNoneMatch = config.headers?.['If-None-Match'] || config.headers?.['if-none-match'] || null;
+
+  return { key: `${(config.method || 'get').toUpperCase()} ${url.pathname}`, query, body, token, ifNoneMatch };
+};
+
+/**
+ * 根据响应体生成ETag（FNV-1a）
+ * @param {*} data - 响应体
+ * @returns {string} ETag
+ */
+const computeEtag = (data) => {
+  const text = JSON.stringify(data);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `"${(hash >>> 0).toString(16)}-${text.length.toString(16)}"`;
+};
+
+/**
+ * 按场景处理请求：认证以外的接口返回错误，或先让已签发的令牌失效
+ * @param {Object} db - 数据库
+ * @param {Object} scenario - 场景（见 SCENARIOS）
+ * @param {string} key - "方法 路径"
+ * @returns {Array|null} [状态码, 响应体]，正常处理时为null
+ */
+const applyScenario = (db, scenario, key) => {
+  const since = MockMode.getScenarioSince();
+  if (scenario.expireSessions && db.sessionsExpiredAt < since) {
+    db.sessions = {};
+    db.refreshTokens = {};
+    db.sessionsExpiredAt = since;
+  }
+
+  if (scenario.failStatus && !key.includes(' /api/auth/')) {
+    return fail(scenario.failStatus, '服务器内部错误（模拟）');
+  }
+  return null;
+};
+
+/**
+ * 模拟网络延迟；请求被取消时立即以 CanceledError 结束，与真实适配器一致
+ * @param {Object} config - axios请求配置
+ * @param {number} ms - 延迟毫秒数
+ * @returns {Promise<void>}
+ */
+const simulateLatency = (config, ms) => new Promise((resolve, reject) => {
+  const { signal } = config;
+  if (signal?.aborted) {
+    reject(new CanceledError(null, config));
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new CanceledError(null, config));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * axios适配器：在浏览器内处理请求并返回模拟响应
+ * @param {Object} config - axios请求配置
+ * @returns {Promise<Object>} axios响应
+ */
+export const mockAdapter = async (config) => {
+  const scenario = SCENARIOS[MockMode.getScenario()];
+  await simulateLatency(config, scenario.delay);
+
+  const { key, query, body, token, ifNoneMatch } = parseRequest(config);
+  const db = loadDb();
+  const scenarioResponse = applyScenario(db, scenario, key);
+  const session = token ? db.sessions[token] : null;
+  const username = session && session.expiresAt > Date.now() ? session.username : null;
+
+  const route = findRoute(key);
+  let [status, data] = scenarioResponse || (route
+    ? await route.handler({ db, body, query, params: route.params, token, username, scenario })
+    : fail(404, `模拟后端未实现该接口：${key}`));
+  saveDb(db);
+
+  // GET 成功时返回 ETag，与 If-None-Match 相同时返回304且不带响应体
+  const headers = {};
+  if (key.startsWith('GET ') && status === 200) {
+    headers.etag = computeEtag(data);
+    if (ifNoneMatch === headers.etag) {
+      status = 304;
+      data = '';
+    }
+  }
+
+  const response = { data, status, statusText: String(status), headers, config, request: {} };
+  const validateStatus = config.validateStatus || (code => code >= 200 && code < 300);
+  if (!validateStatus(status)) {
+    throw new AxiosError(
+      `Request failed with status code ${status}`,
+      status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  }
+  return response;
+};
+
+/**
+ * 查看模拟发件箱（开发调试用）
+ * @returns {Array} [{ to, subject, link, sentAt }]
+ */
+export const getMockOutbox = () => loadDb().outbox;
+
+/**
+ * 生成账号当前的TOTP验证码（开发调试用，代替验证器应用）
+ * @param {string} username - 用户名
+ * @returns {Promise<string|null>} 6位验证码，账号未设置两步验证时为null
+ */
+export const getMockTotpCode = async (username) => {
+  const twoFactor = loadDb().users[username]?.twoFactor;
+  const secret = twoFactor?.secret || twoFactor?.pendingSecret;
+  return secret ? totpAt(secret, Math.floor(Date.now() / 1000 / TOTP_PERIOD)) : null;
+};
+
+/**
+ * 清空模拟后端的所有数据，以及缓存的接口数据
+ */
+export const resetMockBackend = () => {
+  safeLocalStorage.remove(DB_KEY);
+  QueryCache.clear();
+};
@@ -91,6 +91,11 @@ export const subjectsData = {
   }
 };
 
+/**
+ * 示例PDF文件目录（public/samples），后端接入文件API前供文档查看器使用
+ */
+const SAMPLE_FILES_URL = `${process.env.PUBLIC_URL}/samples`;
+
 /**
  * 用户测试数据
  * 后端数据库表结构参考：
@@ -101,30 +106,30 @@ export const subjectsData = {
 export const userTestData = {
   textBooks: [
     // Physics Textbooks
-    { id: 1, title: 'Cambridge IGCSE Physics Coursebook', subject: 'Physics', level: 'IGCSE', author: 'David Sang', publisher: 'Cambridge University Press', year: '2023', description: 'Comprehensive coursebook covering all IGCSE Physics topics with practical activities and exam preparation.' },
-    { id: 2, title: 'Cambridge International AS & A Level Physics Coursebook', subject: 'Physics', level: 'A Level', author: 'David Sang', publisher: 'Cambridge University Press', year: '2023', description: 'Complete coverage of AS and A Level Physics with worked examples and practice questions.' },
+    { id: 1, title: 'Cambridge IGCSE Physics Coursebook', subject: 'Physics', level: 'IGCSE', author: 'David Sang', publisher: 'Cambridge University Press', year: '2023', description: 'Comprehensive coursebook covering all IGCSE Physics topics with practical activities and exam preparation.', fileUrl: `${SAMPLE_FILES_URL}/sample-textbook.pdf` },
+    { id: 2, title: 'Cambridge International AS & A Level Physics Coursebook', subject: 'Physics', level: 'A Level', author: 'David Sang', publisher: 'Cambridge University Press', year: '2023', description: 'Complete coverage of AS and A Level Physics with worked examples and practice questions.', fileUrl: `${SAMPLE_FILES_URL}/sample-textbook.pdf` },
     
     // Mathematics Textbooks
-    { id: 3, title: 'Cambridge IGCSE Mathematics Core and Extended Coursebook', subject: 'Mathematics', level: 'IGCSE', author: 'Karen Morrison', publisher: 'Cambridge University Press', year: '2023', description: 'Covers both Core and Extended curriculum with step-by-step explanations and exercises.' },
-    { id: 4, title: 'Cambridge International AS & A Level Mathematics Pure Mathematics 1', subject: 'Mathematics', level: 'A Level', author: 'Hugh Neill', publisher: 'Cambridge University Press', year: '2023', description: 'Pure Mathematics 1 coursebook with comprehensive coverage of algebraic and calculus topics.' },
+    { id: 3, title: 'Cambridge IGCSE Mathematics Core and Extended Coursebook', subject: 'Mathematics', level: 'IGCSE', author: 'Karen Morrison', publisher: 'Cambridge University Press', year: '2023', description: 'Covers both Core and Extended curriculum with step-by-step explanations and exercises.', fileUrl: `${SAMPLE_FILES_URL}/sample-textbook.pdf` },
+    { id: 4, title: 'Cambridge International AS & A Level Mathematics Pure Mathematics 1', subject: 'Mathematics', level: 'A Level', author: 'Hugh Neill', publisher: 'Cambridge University Press', year: '2023', description: 'Pure Mathematics 1 coursebook with comprehensive coverage of algebraic and calculus topics.', fileUrl: `${SAMPLE_FILES_URL}/sample-textbook.pdf` },
     
     // Chemistry Textbooks
-    { id: 5, title: 'Cambridge IGCSE Chemistry Coursebook', subject: 'Chemistry', level: 'IGCSE', author: 'Richard Harwood', publisher: 'Cambridge University Press', year: '2023', description: 'Complete IGCSE Chemistry course with practical investigations and exam techniques.' },
-    { id: 6, title: 'Cambridge International AS & A Level Chemistry Coursebook', subject: 'Chemistry', level: 'A Level', author: 'Lawrie Ryan', publisher: 'Cambridge University Press', year: '2023', description: 'Comprehensive A Level Chemistry with detailed explanations and real-world applications.' },
+    { id: 5, title: 'Cambridge IGCSE Chemistry Coursebook', subject: 'Chemistry', level: 'IGCSE', author: 'Richard Harwood', publisher: 'Cambridge University Press', year: '2023', description: 'Complete IGCSE Chemistry course with practical investigations and exam techniques.', fileUrl: `${SAMPLE_FILES_URL}/sample-textbook.pdf` },
+    { id: 6, title: 'Cambridge International AS & A Level Chemistry Coursebook', subject: 'Chemistry', level: 'A Level', author: 'Lawrie Ryan', publisher: 'Cambridge University Press', year: '2023', description: 'Comprehensive A Level Chemistry with detailed explanations and real-world applications.', fileUrl: `${SAMPLE_FILES_URL}/sample-textbook.pdf` },
     
     // Biology Textbooks
-    { id: 7, title: 'Cambridge IGCSE Biology Coursebook', subject: 'Biology', level: 'IGCSE', author: 'Mary Jones', publisher: 'Cambridge University Press', year: '2023', description: 'Complete IGCSE Biology coverage with practical work and assessment guidance.' },
-    { id: 8, title: 'Cambridge International AS & A Level Biology Coursebook', subject: 'Biology', level: 'A Level', author: 'Mary Jones', publisher: 'Cambridge University Press', year: '2023', description: 'Comprehensive A Level Biology with detailed biological processes and modern applications.' }
+    { id: 7, title: 'Cambridge IGCSE Biology Coursebook', subject: 'Biology', level: 'IGCSE', author: 'Mary Jones', publisher: 'Cambridge University Press', year: '2023', description: 'Complete IGCSE Biology coverage with practical work and assessment guidance.', fileUrl: `${SAMPLE_FILES_URL}/sample-textbook.pdf` },
+    { id: 8, title: 'Cambridge International AS & A Level Biology Coursebook', subject: 'Biology', level: 'A Level', author: 'Mary Jones', publisher: 'Cambridge University Press', year: '2023', description: 'Comprehensive A Level Biology with detailed biological processes and modern applications.', fileUrl: `${SAMPLE_FILES_URL}/sample-textbook.pdf` }
   ],
   syllabuses: [
-    { id: 1, title: 'Cambridge International AS & A Level Physics', subject: 'Physics', year: '2025-2027', level: 'A Level', code: '9702' },
-    { id: 2, title: 'Cambridge IGCSE Physics', subject: 'Physics', year: '2024-2026', level: 'IGCSE', code: '0625' },
-    { id: 3, title: 'Cambridge International AS & A Level Mathematics', subject: 'Mathematics', year: '2025-2027', level: 'A Level', code: '9709' },
-    { id: 4, title: 'Cambridge IGCSE Mathematics', subject: 'Mathematics', year: '2024-2026', level: 'IGCSE', code: '0580' },
-    { id: 5, title: 'Cambridge International AS & A Level Chemistry', subject: 'Chemistry', year: '2025-2027', level: 'A Level', code: '9701' },
-    { id: 6, title: 'Cambridge IGCSE Chemistry', subject: 'Chemistry', year: '2024-2026', level: 'IGCSE', code: '0620' },
-    { id: 7, title: 'Cambridge International AS & A Level Biology', subject: 'Biology', year: '2025-2027', level: 'A Level', code: '9700' },
-    { id: 8, title: 'Cambridge IGCSE Biology', subject: 'Biology', year: '2024-2026', level: 'IGCSE', code: '0610' }
+    { id: 1, title: 'Cambridge International AS & A Level Physics', subject: 'Physics', year: '2025-2027', level: 'A Level', code: '9702', fileUrl: `${SAMPLE_FILES_URL}/sample-syllabus.pdf` },
+    { id: 2, title: 'Cambridge IGCSE Physics', subject: 'Physics', year: '2024-2026', level: 'IGCSE', code: '0625', fileUrl: `${SAMPLE_FILES_URL}/sample-syllabus.pdf` },
+    { id: 3, title: 'Cambridge International AS & A Level Mathematics', subject: 'Mathematics', year: '2025-2027', level: 'A Level', code: '9709', fileUrl: `${SAMPLE_FILES_URL}/sample-syllabus.pdf` },
+    { id: 4, title: 'Cambridge IGCSE Mathematics', subject: 'Mathematics', year: '2024-2026', level: 'IGCSE', code: '0580', fileUrl: `${SAMPLE_FILES_URL}/sample-syllabus.pdf` },
+    { id: 5, title: 'Cambridge International AS & A Level Chemistry', subject: 'Chemistry', year: '2025-2027', level: 'A Level', code: '9701', fileUrl: `${SAMPLE_FILES_URL}/sample-syllabus.pdf` },
+    { id: 6, title: 'Cambridge IGCSE Chemistry', subject: 'Chemistry', year: '2024-2026', level: 'IGCSE', code: '0620', fileUrl: `${SAMPLE_FILES_URL}/sample-syllabus.pdf` },
+    { id: 7, title: 'Cambridge International AS & A Level Biology', subject: 'Biology', year: '2025-2027', level: 'A Level', code: '9700', fileUrl: `${SAMPLE_FILES_URL}/sample-syllabus.pdf` },
+    { id: 8, title: 'Cambridge IGCSE Biology', subject: 'Biology', year: '2024-2026', level: 'IGCSE', code: '0610', fileUrl: `${SAMPLE_FILES_URL}/sample-syllabus.pdf` }
   ],
   notebooks: [
     { 
@@ -0,0 +1,203 @@
+// ==================== 模拟后端数据 ====================
+import { subjectsData } from './mockData.js';
+import PaperUtils from '../utils/PaperUtils.js';
+
+/**
+ * 本地模拟后端的试卷目录
+ * 由 mockData.js 的学科和课程生成试卷、配套文档和评分信息
+ * 用课程代码和试卷ID作为随机种子，每次生成的数据相同，便于测试断言和复现问题
+ */
+
+// 生成的年份、试卷编号、各考试季的变体（Feb/March只有变体2）
+const YEARS = ['2021', '2022', '2023'];
+const PAPER_NUMBERS = [1, 2, 3, 4];
+const SESSION_VARIANTS = { m: [2], s: [1, 2, 3], w: [1, 2, 3] };
+
+// 各试卷编号的基础考试时长（分钟）
+const BASE_DURATIONS = { 1: 75, 2: 75, 3: 120, 4: 120 };
+
+// 等级及其分数线占满分的比例
+const GRADE_RATIOS = [['A*', 0.8], ['A', 0.7], ['B', 0.6], ['C', 0.5], ['D', 0.4], ['E', 0.3]];
+
+// 示例PDF文件（public/samples）
+const SAMPLE_FILES_URL = `${process.env.PUBLIC_URL}/samples`;
+const QUESTION_PAPER_URL = `${SAMPLE_FILES_URL}/sample-question-paper.pdf`;
+const MARK_SCHEME_URL = `${SAMPLE_FILES_URL}/sample-mark-scheme.pdf`;
+
+/**
+ * 字符串转为32位随机种子（FNV-1a）
+ * @param {string} text - 字符串
+ * @returns {number} 种子
+ */
+const hashSeed = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * 可复现的伪随机数生成器（mulberry32）
+ * @param {string} seed - 种子
+ * @returns {Function} 生成器，调用时接收 (min, max) 返回其间的整数（含两端）
+ */
+const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return (min, max) => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    const value = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    return min + Math.floor(value * (max - min + 1));
+  };
+};
+
+/**
+ * 生成单份试卷
+ * @param {Object} topic - 课程 { id, name }
+ * @param {string} subjectKey - 学科键名
+ * @param {Object} fields - { year, session, paperNumber, variant }
+ * @returns {Object} 试卷（结构同 GET /api/topics/:id/papers）
+ */
+const createPaper = (topic, subjectKey, { year, session, paperNumber, variant }) => {
+  const id = PaperUtils.buildPaperId({ topicId: topic.id, session, year, paperNumber, variant });
+  const random = createRandom(id);
+  const documentId = (type) => id.replace('_qp_', `_${type}_`);
+  const seasonId = `${topic.id}_${session}${year.slice(2)}`;
+
+  const paper = {
+    id,
+    topicId: topic.id,
+    subject: subjectKey,
+    year,
+    session,
+    paperNumber,
+    variant,
+    type: 'qp',
+    duration: BASE_DURATIONS[paperNumber] + random(0, 2) * 15,
+    fileUrl: QUESTION_PAPER_URL,
+    documents: {
+      ms: { id: documentId('ms'), fileUrl: MARK_SCHEME_URL },
+      // 考官报告和分数线按考试季发布，Feb/March没有考官报告
+      ...(session !== 'm' && { er: { id: `${seasonId}_er`, fileUrl: MARK_SCHEME_URL } }),
+      // 部分试卷带插页
+      ...(random(1, 4) === 1 && { in: { id: documentId('in'), fileUrl: QUESTION_PAPER_URL } }),
+      gt: { id: `${seasonId}_gt`, fileUrl: MARK_SCHEME_URL }
+    }
+  };
+  return { ...paper, title: PaperUtils.formatTitle(paper) };
+};
+
+// 按课程缓存生成的试卷
+const papersByTopic = new Map();
+
+/**
+ * 查找课程及其所属学科
+ * @param {Object} subjects - 学科数据
+ * @param {string} topicId - 课程代码
+ * @returns {Object|null} { topic, subjectKey }
+ */
+const findTopic = (subjects, topicId) => {
+  for (const [subjectKey, subject] of Object.entries(subjects)) {
+    const topic = subject.topics.find(item => item.id.toUpperCase() === String(topicId).toUpperCase());
+    if (topic) return { topic, subjectKey };
+  }
+  return null;
+};
+
+/**
+ * 学科目录（GET /api/subjects）
+ * @returns {Object} 学科数据
+ */
+export const getSubjects = () => subjectsData;
+
+/**
+ * 课程的全部试卷，按年份、考试季倒序
+ * @param {string} topicId - 课程代码
+ * @returns {Array|null} 试卷列表，课程不存在时为null
+ */
+export const getTopicPapers = (topicId) => {
+  const match = findTopic(subjectsData, topicId);
+  if (!match) return null;
+
+  if (!papersByTopic.has(match.topic.id)) {
+    const papers = [];
+    [...YEARS].reverse().forEach(year => {
+      ['w', 's', 'm'].forEach(session => {
+        PAPER_NUMBERS.forEach(paperNumber => {
+          SESSION_VARIANTS[session].forEach(variant => {
+            papers.push(createPaper(match.topic, match.subjectKey, { year, session, paperNumber, variant }));
+          });
+        });
+      });
+    });
+    papersByTopic.set(match.topic.id, papers);
+  }
+  return papersByTopic.get(match.topic.id);
+};
+
+/**
+ * 查找单份试卷
+ * @param {string} paperId - 试卷ID
+ * @returns {Object|null} 试卷，不存在时为null
+ */
+export const getPaper = (paperId) => {
+  const parsed = PaperUtils.parsePaperId(paperId);
+  if (!parsed) return null;
+  return (getTopicPapers(parsed.topicId) || []).find(paper => paper.id.toLowerCase() === String(paperId).toLowerCase()) || null;
+};
+
+/**
+ * 搜索试卷：按结构化条件过滤，自由文本匹配标题、课程名称和学科名称
+ * @param {Object} criteria - { topicId, year, session, type, paperNumber, variant, text }
+ * @param {number} limit - 最多返回条数
+ * @returns {Array} 试卷列表
+ */
+export const searchPapers = (criteria, limit = 10) => {
+  const { topicId, year, session, type, paperNumber, variant } = criteria;
+  const text = String(criteria.text || '').trim().toLowerCase();
+  if (!PaperUtils.hasStructuredFields(criteria) && !text) return [];
+  // 只支持试卷（qp）本身的搜索
+  if (type && type !== 'qp') return [];
+
+  const topicIds = topicId
+    ? [topicId]
+    : Object.values(subjectsData).flatMap(subject => subject.topics.map(topic => topic.id));
+
+  const results = [];
+  for (const id of topicIds) {
+    const match = findTopic(subjectsData, id);
+    if (!match) continue;
+
+    const haystack = `${match.topic.name} ${subjectsData[match.subjectKey].name}`.toLowerCase();
+    const papers = PaperUtils.filterPapers(getTopicPapers(id), { year, session, paperNumber, variant })
+      .filter(paper => !text || `${paper.title} ${haystack}`.toLowerCase().includes(text));
+
+    results.push(...papers);
+    if (results.length >= limit) break;
+  }
+  return results.slice(0, limit);
+};
+
+/**
+ * 试卷评分信息：各题满分和当季分数线
+ * @param {Object} paper - 试卷
+ * @returns {Object} { questions, thresholds, maxMarks }
+ */
+export const getPaperMarking = (paper) => {
+  const random = createRandom(`${paper.id}_marking`);
+  const questions = Array.from({ length: random(5, 10) }, (_, index) => ({
+    number: String(index + 1),
+    maxMarks: random(4, 15)
+  }));
+  const maxMarks = questions.reduce((sum, question) => sum + question.maxMarks, 0);
+
+  return {
+    questions,
+    thresholds: GRADE_RATIOS.map(([grade, ratio]) => ({ grade, minMark: Math.round(maxMarks * ratio) - random(0, 3) })),
+    maxMarks
+  };
+};
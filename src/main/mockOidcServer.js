@@ -0,0 +1,102 @@
+// ==================== 本地模拟OIDC服务器 ====================
+import { safeLocalStorage } from '../utils/storageUtils.js';
+import OidcUtils from '../utils/OidcUtils.js';
+
+/**
+ * 本地模拟OIDC服务器
+ * 代替 Google、Microsoft、微信的授权页和令牌接口，供模拟后端和测试使用
+ * - authorize：模拟用户在提供方页面同意授权，返回带授权码的回调地址
+ * - exchangeCode：模拟后端用授权码换取令牌，校验回调地址和PKCE后返回ID令牌中的声明
+ * 数据保存在localStorage中，与模拟后端相互独立
+ */
+
+// 数据存储键
+const SERVER_KEY = 'mockOidcServer';
+
+// 授权码有效期（毫秒）
+const CODE_TTL = 60 * 1000;
+
+const loadServer = () => ({ codes: {}, subjects: {}, ...safeLocalStorage.get(SERVER_KEY, {}) });
+const saveServer = (server) => safeLocalStorage.set(SERVER_KEY, server);
+
+/**
+ * 模拟授权页：用户确认后签发授权码
+ * @param {string} authorizationUrl - 前端跳转的授权地址
+ * @param {Object} identity - 模拟的提供方账号
+ * @param {string} [identity.email] - 邮箱（微信不返回）
+ * @param {string} [identity.name] - 显示名称
+ * @param {boolean} [identity.denied=false] - 用户拒绝授权
+ * @returns {string} 回调地址（含 code 和 state，或 error）
+ */
+export const authorize = (authorizationUrl, { email, name, denied = false } = {}) => {
+  const params = new URL(authorizationUrl).searchParams;
+  const provider = params.get('provider');
+  const clientId = params.get('client_id') || params.get('appid');
+  const redirectUri = params.get('redirect_uri');
+
+  if (clientId !== OidcUtils.MOCK_CLIENT_ID || !redirectUri || params.get('response_type') !== 'code') {
+    throw new Error('授权请求无效');
+  }
+
+  const callback = new URL(redirectUri);
+  callback.searchParams.set('state', params.get('state') || '');
+  if (denied) {
+    callback.searchParams.set('error', 'access_denied');
+    return callback.toString();
+  }
+
+  // 同一提供方、同一邮箱始终对应同一个用户标识
+  const server = loadServer();
+  const account = `${provider}:${String(email || name || 'user').toLowerCase()}`;
+  server.subjects[account] = server.subjects[account] || OidcUtils.randomString(12);
+
+  const code = OidcUtils.randomString();
+  server.codes[code] = {
+    provider,
+    redirectUri,
+    codeChallenge: params.get('code_challenge'),
+    nonce: params.get('nonce'),
+    claims: {
+      sub: server.subjects[account],
+      ...(email && { email, email_verified: true }),
+      ...(name && { name })
+    },
+    expiresAt: Date.now() + CODE_TTL
+  };
+  saveServer(server);
+
+  callback.searchParams.set('code', code);
+  return callback.toString();
+};
+
+/**
+ * 模拟令牌接口：用授权码换取ID令牌中的声明（授权码只能使用一次）
+ * @param {Object} request - { provider, code, redirectUri, codeVerifier? }
+ * @returns {Promise<Object>} 声明 { iss, aud, sub, email?, email_verified?, name?, nonce? }
+ * @throws {Error} 授权码无效、已过期、回调地址不一致或PKCE校验失败
+ */
+export const exchangeCode = async ({ provider, code, redirectUri, codeVerifier }) => {
+  const server = loadServer();
+  const record = server.codes[code];
+  delete server.codes[code];
+  saveServer(server);
+
+  if (!record || record.expiresAt < Date.now() || record.provider !== provider || record.redirectUri !== redirectUri) {
+    throw new Error('授权码无效或已过期');
+  }
+  if (record.codeChallenge && await OidcUtils.createCodeChallenge(String(codeVerifier || '')) !== record.codeChallenge) {
+    throw new Error('PKCE校验失败');
+  }
+
+  return {
+    iss: `https://mock-oidc.local/${provider}`,
+    aud: OidcUtils.MOCK_CLIENT_ID,
+    ...record.claims,
+    ...(record.nonce && { nonce: record.nonce })
+  };
+};
+
+/**
+ * 清空模拟OIDC服务器的所有数据
+ */
+export const resetMockOidcServer = () => safeLocalStorage.remove(SERVER_KEY);
@@ -0,0 +1,100 @@
+/**
+ * 自评分测试：题目整理、单题得分限制、总分与百分比、按分数线估算等级
+ */
+import MarkingUtils from './utils/MarkingUtils.js';
+
+const QUESTIONS = MarkingUtils.normalizeQuestions([
+  { number: 1, maxMarks: 10 },
+  { label: '2(a)', marks: 6 },
+  { id: 'q3', number: 3, maxMarks: '4' }
+]);
+
+// 9702 Paper 4 的分数线（满分100）
+const THRESHOLDS = { 'A*': 80, A: 66, B: 55, C: 44, D: 33, E: 22 };
+
+describe('questions and marks', () => {
+  test('accepts both question formats and drops questions without marks', () => {
+    expect(QUESTIONS).toEqual([
+      { id: '1', label: '1', maxMarks: 10 },
+      { id: '2(a)', label: '2(a)', maxMarks: 6 },
+      { id: 'q3', label: '3', maxMarks: 4 }
+    ]);
+    expect(MarkingUtils.normalizeQuestions([{ number: 4, maxMarks: 0 }, {}])).toEqual([]);
+  });
+
+  test.each([
+    ['', 10, null],
+    [null, 10, null],
+    ['abc', 10, null],
+    ['7', 10, 7],
+    [2.5, 10, 2.5],
+    [-3, 10, 0],
+    [12, 10, 10]
+  ])('clamps %p out of %i to %p', (value, maxMarks, expected) => {
+    expect(MarkingUtils.clampMark(value, maxMarks)).toBe(expected);
+  });
+
+  test('totals partial marks and ignores blank or unknown questions', () => {
+    const marks = { 1: 7.5, '2(a)': 9, q3: '', q9: 5 };
+
+    expect(MarkingUtils.getTotal(QUESTIONS, marks)).toBe(13.5);
+    expect(MarkingUtils.getMaxTotal(QUESTIONS)).toBe(20);
+    expect(MarkingUtils.getPercentage(13.5, 20)).toBe(67.5);
+    expect(MarkingUtils.getPercentage(1, 3)).toBe(33.3);
+    expect(MarkingUtils.getPercentage(5, 0)).toBe(0);
+  });
+});
+
+describe('grade thresholds', () => {
+  test('accepts thresholds as an object or a list and sorts them highest first', () => {
+    expect(MarkingUtils.normalizeThresholds(THRESHOLDS).map(item => item.grade)).toEqual(['A*', 'A', 'B', 'C', 'D', 'E']);
+    expect(MarkingUtils.normalizeThresholds([{ grade: 'B', mark: '40' }, { grade: 'A', minMark: 50 }, { grade: 'C' }])).toEqual([
+      { grade: 'A', minMark: 50 },
+      { grade: 'B', minMark: 40 }
+    ]);
+    expect(MarkingUtils.normalizeThresholds(null)).toEqual([]);
+  });
+
+  test.each([
+    [80, 'A*'],
+    [79.5, 'A'],
+    [66, 'A'],
+    [44, 'C'],
+    [22, 'E'],
+    [21, 'U'],
+    [0, 'U']
+  ])('grades %p out of 100 as %s', (total, grade) => {
+    expect(MarkingUtils.estimateGrade(total, MarkingUtils.normalizeThresholds(THRESHOLDS))).toBe(grade);
+  });
+
+  test('scales the total when the thresholds are for a different maximum', () => {
+    const thresholds = MarkingUtils.normalizeThresholds(THRESHOLDS);
+
+    // 40分卷的33分相当于100分中的82.5分
+    expect(MarkingUtils.estimateGrade(33, thresholds, { maxTotal: 40, thresholdMax: 100 })).toBe('A*');
+    expect(MarkingUtils.estimateGrade(33, thresholds, { maxTotal: 40 })).toBe('D');
+  });
+
+  test('has no grade when there are no thresholds', () => {
+    expect(MarkingUtils.estimateGrade(50, [])).toBeNull();
+    expect(MarkingUtils.estimateGrade(50, null)).toBeNull();
+  });
+});
+
+describe('buildScore', () => {
+  test('keeps only entered marks, clamped, and grades against scaled thresholds', () => {
+    const score = MarkingUtils.buildScore(QUESTIONS, { 1: 8, '2(a)': 7.5, q3: '' }, { thresholds: THRESHOLDS, maxMarks: 100 });
+
+    expect(score).toEqual({
+      marks: { 1: 8, '2(a)': 6 },
+      total: 14,
+      maxTotal: 20,
+      percentage: 70,
+      grade: 'A'
+    });
+  });
+
+  test('leaves the grade empty without thresholds', () => {
+    expect(MarkingUtils.buildScore(QUESTIONS, { 1: 10 }).grade).toBeNull();
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * 本地模拟后端测试：试卷目录、做题记录、场景预设（服务器错误、令牌失效、空目录）
+ */
+import axios from 'axios';
+import MockMode from './utils/MockMode.js';
+import { getPaperMarking, getPaper } from './main/mockFixtures.js';
+import { signUp } from './testUtils/mockAccounts.js';
+
+let ApiService;
+let CookieUtils;
+let mockBackend;
+
+// 经过的请求地址
+let requests = [];
+
+beforeAll(() => {
+  // apiClient 创建时会复制默认适配器，因此在加载 API.js 之前替换
+  mockBackend = require('./main/mockBackend.js');
+  axios.defaults.adapter = (config) => {
+    requests.push(config.url);
+    return mockBackend.mockAdapter(config);
+  };
+  ({ ApiService } = require('./main/API.js'));
+  ({ CookieUtils } = require('./main/Cookie.js'));
+});
+
+beforeEach(() => {
+  mockBackend.resetMockBackend();
+  requests = [];
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'info').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  localStorage.removeItem('mockApi');
+});
+
+describe('catalogue fixtures', () => {
+  test('serves subjects, filtered papers with facets, and paper details', async () => {
+    const subjects = await ApiService.getSubjects();
+    expect(subjects.data.physics.topics.map(topic => topic.id)).toContain('9702');
+
+    const papers = await ApiService.getPapers('9702', { year: '2023', session: 's', paperNumber: 4 });
+    expect(papers.data.papers.map(paper => paper.id)).toEqual(['9702_s23_qp_41', '9702_s23_qp_42', '9702_s23_qp_43']);
+    expect(papers.data.total).toBe(3);
+    expect(papers.data.facets).toEqual({
+      years: ['2023', '2022', '2021'],
+      sessions: ['m', 's', 'w'],
+      paperNumbers: [1, 2, 3, 4],
+      variants: [1, 2, 3]
+    });
+
+    const detail = await ApiService.getPaper('9702_s23_qp_42');
+    expect(detail.data).toMatchObject({ topicId: '9702', subject: 'physics', title: '9702 Paper 4 Variant 2 May/June 2023' });
+    expect(detail.data.documents.ms.id).toBe('9702_s23_ms_42');
+
+    expect(await ApiService.getPapers('0000')).toMatchObject({ success: false, message: '课程不存在' });
+  });
+
+  test('generates the same papers and marking every time', async () => {
+    const first = getPaperMarking(getPaper('9709_w22_qp_31'));
+    expect(getPaperMarking(getPaper('9709_w22_qp_31'))).toEqual(first);
+    expect(first.maxMarks).toBe(first.questions.reduce((sum, question) => sum + question.maxMarks, 0));
+
+    const marking = await ApiService.getPaperMarking('9709_w22_qp_31');
+    expect(marking.data).toEqual(first);
+  });
+
+  test('searches by component code and by free text', async () => {
+    const byCode = await ApiService.searchPapers('9702/42/M/J/23');
+    expect(byCode.data.map(paper => paper.id)).toEqual(['9702_s23_qp_42']);
+
+    const byText = await ApiService.searchPapers('chemistry', { limit: 5 });
+    expect(byText.data).toHaveLength(5);
+    expect(byText.data.every(paper => paper.subject === 'chemistry')).toBe(true);
+  });
+
+  test('keeps attempts per account', async () => {
+    expect((await ApiService.getAttempts()).success).toBe(false);
+
+    await signUp('student_01');
+    const attempt = {
+      id: 'attempt-1',
+      paperId: '9702_s23_qp_42',
+      topicId: '9702',
+      score: { marks: {}, total: 30, maxTotal: 60, percentage: 50, grade: 'C' },
+      markedAt: new Date().toISOString()
+    };
+    expect((await ApiService.saveAttempt(attempt)).data).toMatchObject({ id: 'attempt-1', paperId: '9702_s23_qp_42' });
+
+    expect((await ApiService.getAttempts({ topicId: '9702' })).data).toHaveLength(1);
+    expect((await ApiService.getAttempts({ topicId: '9709' })).data).toEqual([]);
+  });
+});
+
+describe('token refresh', () => {
+  test('a 401 and refreshSession at the same time share one refresh', async () => {
+    await signUp('student_04');
+    expect(CookieUtils.getUserRefreshToken('student_04')).toBeTruthy();
+
+    // 访问令牌过期，刷新令牌仍有效
+    const expiredAt = Date.now() + 16 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(expiredAt);
+    requests = [];
+
+    const [attempts, refreshed] = await Promise.all([
+      ApiService.getAttempts(),
+      ApiService.refreshSession('student_04')
+    ]);
+
+    expect(requests.filter(url => url === '/api/auth/refresh')).toHaveLength(1);
+    expect(attempts.success).toBe(true);
+    expect(refreshed.success).toBe(true);
+    expect(CookieUtils.getUserToken('student_04')).toBe(refreshed.data.token);
+    expect((await ApiService.validateSession(refreshed.data.token)).success).toBe(true);
+  });
+});
+
+describe('scenario presets', () => {
+  test('server errors fail everything except sign-in', async () => {
+    MockMode.setScenario('serverError');
+
+    expect(await ApiService.getSubjects()).toMatchObject({ success: false, message: '服务器内部错误（模拟）' });
+    expect(await ApiService.checkAvailability({ username: 'student_02' })).toEqual({ success: true, data: { username: true } });
+  });
+
+  test('expired sessions invalidate tokens issued before the switch', async () => {
+    const { token } = await signUp('student_03');
+    expect((await ApiService.validateSession(token)).success).toBe(true);
+
+    MockMode.setScenario('expiredToken');
+    expect(await ApiService.validateSession(token)).toMatchObject({ success: false, transient: false });
+    expect((await ApiService.refreshSession('student_03')).success).toBe(false);
+
+    const login = await ApiService.login('student_03', 'Secr3t-Passw0rd!');
+    expect((await ApiService.validateSession(login.data.token)).success).toBe(true);
+  });
+
+  test('an empty catalogue has no subjects or papers', async () => {
+    MockMode.setScenario('emptyCatalogue');
+
+    expect((await ApiService.getSubjects()).data).toEqual({});
+    expect((await ApiService.getPapers('9702')).data.papers).toEqual([]);
+    expect((await ApiService.searchPapers('9702')).data).toEqual([]);
+  });
+
+  test('rejects unknown scenarios', () => {
+    expect(() => MockMode.setScenario('offline')).toThrow('未知的模拟场景：offline');
+  });
+});
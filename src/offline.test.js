@@ -0,0 +1,325 @@
+/**
+ * 离线试卷包测试：保存试卷和课程、共用文件的引用计数、离线时的试卷列表和详情、离线做题记录的同步
+ */
+import axios, { AxiosError } from 'axios';
+import { render, screen, fireEvent } from '@testing-library/react';
+import QueryCache from './utils/QueryCache.js';
+import OfflineStore from './utils/OfflineStore.js';
+import PaperUtils from './utils/PaperUtils.js';
+import { HistoryUtils } from './main/Cookie.js';
+import { getTopicPapers } from './main/mockFixtures.js';
+
+/**
+ * 内存中的 Cache Storage（jsdom 未提供），响应体按字节保存
+ */
+const cacheStorage = new Map();
+
+const createCache = () => {
+  const entries = new Map();
+  const urlOf = (request) => (typeof request === 'string' ? request : request.url);
+  return {
+    put: async (request, response) => {
+      entries.set(urlOf(request), { body: new Uint8Array(await response.arrayBuffer()), headers: Object.fromEntries(response.headers) });
+    },
+    match: async (request) => {
+      const entry = entries.get(urlOf(request));
+      return entry ? new Response(entry.body.slice(0), { headers: entry.headers }) : undefined;
+    },
+    delete: async (request) => entries.delete(urlOf(request)),
+    keys: async () => Array.from(entries.keys()).map(url => ({ url }))
+  };
+};
+
+global.caches = {
+  open: async (name) => {
+    if (!cacheStorage.has(name)) cacheStorage.set(name, createCache());
+    return cacheStorage.get(name);
+  },
+  delete: async (name) => cacheStorage.delete(name),
+  keys: async () => Array.from(cacheStorage.keys())
+};
+
+/**
+ * 缓存中保存的文件地址
+ * @returns {Promise<Array<string>>} 文件地址（路径部分）
+ */
+const storedFiles = async () => {
+  const keys = await (await caches.open('timeday-offline-files')).keys();
+  return keys.map(request => new URL(request.url).pathname).sort();
+};
+
+let ApiService;
+let PapersView;
+let mockBackend;
+
+// 当前使用的适配器，以及请求过的地址
+let adapter = null;
+let requests = [];
+
+/**
+ * 返回PDF文件（前几个字节即文件地址，便于核对内容），其他请求交给模拟后端
+ * @param {Object} config - 请求配置
+ * @returns {Promise<Object>} 响应
+ */
+const backendWithFiles = async (config) => {
+  if (config.url.endsWith('.pdf')) {
+    return { status: 200, data: new TextEncoder().encode(`%PDF ${config.url}`), headers: {}, config, statusText: 'OK' };
+  }
+  return mockBackend.mockAdapter(config);
+};
+
+/**
+ * 连不上后端
+ * @param {Object} config - 请求配置
+ * @returns {Promise<never>} 网络错误
+ */
+const unreachable = async (config) => {
+  throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, config, {});
+};
+
+/**
+ * 模拟浏览器离线：请求失败，且不再重试
+ */
+const goOffline = () => {
+  adapter = unreachable;
+  jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+};
+
+const PHYSICS = { id: '9702', name: 'Physics' };
+
+beforeAll(() => {
+  // apiClient 创建时会复制默认适配器，因此在加载 API.js 之前替换
+  mockBackend = require('./main/mockBackend.js');
+  axios.defaults.adapter = (config) => {
+    requests.push(config.url);
+    return adapter(config);
+  };
+  ({ ApiService } = require('./main/API.js'));
+  PapersView = require('./main/PapersView.js').default;
+});
+
+beforeEach(async () => {
+  mockBackend.resetMockBackend();
+  await QueryCache.clear();
+  await OfflineStore.clear();
+  localStorage.removeItem('examAttempts');
+  requests = [];
+  adapter = backendWithFiles;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('offline papers', () => {
+  test('saves the paper, marking and each PDF once, and keeps them across reloads', async () => {
+    const [paper] = getTopicPapers('9702');
+
+    const response = await ApiService.savePaperOffline(paper, PHYSICS);
+
+    expect(response.success).toBe(true);
+    expect(OfflineStore.isPaperOffline(paper.id)).toBe(true);
+    expect(response.data.marking.questions.length).toBeGreaterThan(0);
+    // 试卷、插页共用一个示例文件，评分标准、考官报告、分数线共用另一个
+    expect(requests.filter(url => url.endsWith('.pdf'))).toHaveLength(2);
+    expect(await storedFiles()).toEqual(['/samples/sample-mark-scheme.pdf', '/samples/sample-question-paper.pdf']);
+
+    const data = await OfflineStore.getFileData(paper.fileUrl);
+    expect(String.fromCharCode(...data)).toBe(`%PDF ${paper.fileUrl}`);
+
+    let reloaded;
+    jest.isolateModules(() => {
+      reloaded = require('./utils/OfflineStore.js').default;
+    });
+    await reloaded.init();
+    expect(reloaded.getPaperRecord(paper.id)).toMatchObject({ topic: PHYSICS, paper: { id: paper.id } });
+  });
+
+  test('retries a file download that fails once', async () => {
+    const [paper] = getTopicPapers('9702');
+    let failed = false;
+    adapter = (config) => {
+      if (config.url.endsWith('.pdf') && !failed) {
+        failed = true;
+        return unreachable(config);
+      }
+      return backendWithFiles(config);
+    };
+
+    const response = await ApiService.savePaperOffline(paper, PHYSICS);
+
+    expect(response.success).toBe(true);
+    expect(requests.filter(url => url === paper.fileUrl)).toHaveLength(2);
+    expect(await storedFiles()).toHaveLength(2);
+  });
+
+  test('serves saved papers, details and marking when the backend cannot be reached', async () => {
+    const papers = getTopicPapers('9702');
+    const saved = [papers[0], papers.find(paper => paper.year !== papers[0].year)];
+    for (const paper of saved) {
+      expect((await ApiService.savePaperOffline(paper, PHYSICS)).success).toBe(true);
+    }
+    await QueryCache.clear();
+    goOffline();
+
+    const list = await ApiService.getPapers('9702', { page: 1, pageSize: 12 });
+    expect(list).toMatchObject({ success: true, offline: true, data: { total: 2 } });
+    expect(list.data.facets.years).toEqual(PaperUtils.normalizeFilterOptions({ years: saved.map(paper => paper.year) }).years);
+
+    const filtered = await ApiService.getPapers('9702', { year: saved[1].year });
+    expect(filtered.data.papers.map(paper => paper.id)).toEqual([saved[1].id]);
+
+    expect(await ApiService.getPaper(saved[0].id)).toMatchObject({ success: true, offline: true, data: { id: saved[0].id } });
+    expect((await ApiService.getPaperMarking(saved[0].id)).data.questions.length).toBeGreaterThan(0);
+
+    // 没有保存的试卷仍然失败
+    const missing = await ApiService.getPaper(papers[2].id);
+    expect(missing.success).toBe(false);
+    expect(missing.error.type).toBe('network');
+  });
+
+  test('removing a paper keeps files still used by other saved papers', async () => {
+    const [first, second] = getTopicPapers('9702');
+    await ApiService.savePaperOffline(first, PHYSICS);
+    await ApiService.savePaperOffline(second, PHYSICS);
+
+    const [usage] = OfflineStore.getUsageByTopic();
+    expect(usage).toMatchObject({ topic: PHYSICS, papers: 2 });
+    expect(usage.bytes).toBe(
+      `%PDF ${first.fileUrl}`.length + `%PDF ${first.documents.ms.fileUrl}`.length
+    );
+
+    await OfflineStore.removePaper(first.id);
+    expect(OfflineStore.isPaperOffline(first.id)).toBe(false);
+    expect(await storedFiles()).toHaveLength(2);
+    expect(await OfflineStore.getFileData(second.fileUrl)).not.toBeNull();
+
+    await OfflineStore.removeTopic(PHYSICS.id);
+    expect(OfflineStore.getUsageByTopic()).toEqual([]);
+    expect(await storedFiles()).toEqual([]);
+  });
+
+  test('downloads a whole topic page by page, skips saved papers and reports progress', async () => {
+    const catalogue = [1, 2, 3].map(variant => ({
+      id: `9702_s23_qp_4${variant}`,
+      topicId: '9702',
+      year: '2023',
+      session: 's',
+      paperNumber: 4,
+      variant,
+      fileUrl: `/files/9702_s23_qp_4${variant}.pdf`,
+      documents: { ms: { id: `9702_s23_ms_4${variant}`, fileUrl: `/files/9702_s23_ms_4${variant}.pdf` } }
+    }));
+    adapter = async (config) => {
+      const ok = (data) => ({ status: 200, data, headers: {}, config, statusText: 'OK' });
+      if (config.url.endsWith('.pdf')) return ok(new TextEncoder().encode(config.url));
+      if (config.url === '/api/topics/9702/papers') {
+        // 每页最多返回2份
+        const page = config.params.page;
+        return ok({ success: true, data: { papers: catalogue.slice((page - 1) * 2, page * 2), total: catalogue.length, page, pageSize: 2 } });
+      }
+      const paper = catalogue.find(item => config.url.startsWith(`/api/papers/${item.id}`));
+      return ok({ success: true, data: config.url.endsWith('/marking') ? { questions: [], thresholds: [], maxMarks: 0 } : paper });
+    };
+
+    await ApiService.savePaperOffline(catalogue[0], PHYSICS);
+    requests = [];
+    const onProgress = jest.fn();
+
+    const response = await ApiService.saveTopicOffline(PHYSICS, { onProgress });
+
+    expect(response).toEqual({ success: true, data: { saved: 2, total: 3 } });
+    expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+      { done: 1, total: 3 },
+      { done: 2, total: 3 },
+      { done: 3, total: 3 }
+    ]);
+    expect(requests.filter(url => url === '/api/topics/9702/papers')).toHaveLength(2);
+    expect(requests).not.toContain('/files/9702_s23_qp_41.pdf');
+    expect(OfflineStore.getTopicPapers('9702')).toHaveLength(3);
+  });
+
+  test('a cancelled topic download keeps the papers already saved', async () => {
+    const controller = new AbortController();
+    const response = await ApiService.saveTopicOffline(PHYSICS, {
+      signal: controller.signal,
+      onProgress: ({ done }) => {
+        if (done === 1) controller.abort();
+      }
+    });
+
+    expect(response.error.type).toBe('cancelled');
+    expect(OfflineStore.getTopicPapers('9702')).toHaveLength(1);
+  });
+});
+
+describe('offline attempts', () => {
+  test('uploads attempts saved offline once the backend is reachable', async () => {
+    const uploaded = [];
+    HistoryUtils.addExamAttempt({ id: 'a1', username: 'student', paperId: '9702_s23_qp_42', score: { total: 30 }, synced: false });
+    HistoryUtils.addExamAttempt({ id: 'a2', username: 'student', paperId: '9702_s23_qp_41', score: { total: 40 }, synced: false });
+    HistoryUtils.addExamAttempt({ id: 'a3', username: 'student', paperId: '9702_s23_qp_43', score: { total: 20 }, synced: true });
+    HistoryUtils.addExamAttempt({ id: 'b1', username: 'other', paperId: '9702_s23_qp_42', score: { total: 10 }, synced: false });
+
+    goOffline();
+    const offline = await ApiService.syncPendingAttempts('student');
+    expect(offline).toMatchObject({ success: false, data: { synced: 0, remaining: 2 } });
+
+    jest.restoreAllMocks();
+    adapter = async (config) => {
+      uploaded.push(JSON.parse(config.data));
+      return { status: 200, data: { success: true, data: {} }, headers: {}, config, statusText: 'OK' };
+    };
+    // 同时触发的同步只上传一次
+    const [first, second] = await Promise.all([
+      ApiService.syncPendingAttempts('student'),
+      ApiService.syncPendingAttempts('student')
+    ]);
+
+    expect(first).toEqual({ success: true, data: { synced: 2, remaining: 0 } });
+    expect(second).toBe(first);
+    expect(uploaded.map(attempt => attempt.id).sort()).toEqual(['a1', 'a2']);
+    expect(uploaded[0]).not.toHaveProperty('synced');
+    expect(HistoryUtils.getExamAttempts('student').every(attempt => attempt.synced)).toBe(true);
+    expect(HistoryUtils.getExamAttempts('other')[0].synced).toBe(false);
+    // 同步后记录仍按时间排列（最新的在前）
+    expect(HistoryUtils.getExamAttempts().map(attempt => attempt.id)).toEqual(['b1', 'a3', 'a2', 'a1']);
+  });
+
+  test('does not recreate an attempt that was removed before it synced', async () => {
+    HistoryUtils.addExamAttempt({ id: 'a1', username: 'student', paperId: '9702_s23_qp_42', score: { total: 30 }, synced: false });
+    adapter = async (config) => {
+      localStorage.removeItem('examAttempts');
+      return { status: 200, data: { success: true, data: {} }, headers: {}, config, statusText: 'OK' };
+    };
+
+    expect(await ApiService.syncPendingAttempts('student')).toEqual({ success: true, data: { synced: 1, remaining: 0 } });
+    expect(HistoryUtils.getExamAttempts()).toEqual([]);
+  });
+});
+
+describe('PapersView', () => {
+  test('saves a paper for offline use and lists saved papers when offline', async () => {
+    const { unmount } = render(
+      <PapersView topic={PHYSICS} onPaperView={() => {}} onPaperDownload={() => {}} />
+    );
+    const [saveButton] = await screen.findAllByRole('button', { name: '📴 Offline' });
+    // 卡片标题为组件代码，第一张卡片对应第一个按钮
+    const code = screen.getAllByRole('heading', { level: 4 })[0].textContent;
+
+    fireEvent.click(saveButton);
+
+    expect(await screen.findByRole('button', { name: '✓ Offline' })).toBeInTheDocument();
+    expect(screen.getByText('1 saved on this device')).toBeInTheDocument();
+    unmount();
+
+    await QueryCache.clear();
+    goOffline();
+    render(<PapersView topic={PHYSICS} onPaperView={() => {}} onPaperDownload={() => {}} />);
+
+    expect(await screen.findByText('You are offline — showing papers saved on this device')).toBeInTheDocument();
+    expect(screen.getByText('1 past papers available')).toBeInTheDocument();
+    expect(screen.getByText(code)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * 第三方登录（OIDC）测试
+ * 授权页和令牌接口由本地模拟OIDC服务器代替，请求由本地模拟后端处理
+ */
+import axios from 'axios';
+import { signUp } from './testUtils/mockAccounts.js';
+
+let ApiService;
+let CookieUtils;
+let mockBackend;
+let mockOidcServer;
+
+/**
+ * 完整走一遍授权流程：发起 -> 模拟授权页 -> 回调
+ * @param {string} providerId - 提供方ID
+ * @param {Object} identity - 模拟的提供方账号 { email?, name?, denied? }
+ * @param {Object} [options] - startOidcLogin 的参数
+ * @returns {Promise<Object>} completeOidcLogin 的结果
+ */
+const signInWith = async (providerId, identity, options) => {
+  const started = await ApiService.startOidcLogin(providerId, options);
+  expect(started.success).toBe(true);
+  const callbackUrl = mockOidcServer.authorize(started.data.authorizationUrl, identity);
+  return ApiService.completeOidcLogin(new URL(callbackUrl).search);
+};
+
+beforeAll(() => {
+  // apiClient 创建时会复制默认适配器，因此在加载 API.js 之前替换
+  mockBackend = require('./main/mockBackend.js');
+  mockOidcServer = require('./main/mockOidcServer.js');
+  axios.defaults.adapter = mockBackend.mockAdapter;
+  ({ ApiService } = require('./main/API.js'));
+  ({ CookieUtils } = require('./main/Cookie.js'));
+
+  // 加载 API.js 之后再开启，所有提供方指向模拟OIDC服务器
+  process.env.REACT_APP_MOCK_API = 'true';
+});
+
+afterAll(() => {
+  delete process.env.REACT_APP_MOCK_API;
+});
+
+beforeEach(() => {
+  mockBackend.resetMockBackend();
+  mockOidcServer.resetMockOidcServer();
+  sessionStorage.clear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'info').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('third-party login', () => {
+  test('creates an account on first sign-in and returns to it afterwards', async () => {
+    const first = await signInWith('google', { email: 'Jane.Doe@example.com', name: 'Jane' }, { returnTo: '/history' });
+    expect(first).toMatchObject({ success: true, mode: 'login', returnTo: '/history' });
+    expect(first.data).toMatchObject({ username: 'Jane_Doe', email: 'Jane.Doe@example.com', emailVerified: true });
+    expect(first.data.token).toBeTruthy();
+
+    const second = await signInWith('google', { email: 'Jane.Doe@example.com' });
+    expect(second.data.id).toBe(first.data.id);
+  });
+
+  test('sends an S256 challenge and rejects a mismatched code verifier', async () => {
+    const started = await ApiService.startOidcLogin('microsoft');
+    const url = new URL(started.data.authorizationUrl);
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('code_challenge')).toMatch(/^[\w-]{43}$/);
+
+    const callback = new URL(mockOidcServer.authorize(started.data.authorizationUrl, { email: 'jane@example.com' }));
+
+    // 替换保存的 code_verifier，模拟授权码被截获后在另一处使用
+    const pending = JSON.parse(sessionStorage.getItem('oidcPendingRequests'));
+    pending[callback.searchParams.get('state')].codeVerifier = 'x'.repeat(64);
+    sessionStorage.setItem('oidcPendingRequests', JSON.stringify(pending));
+
+    const response = await ApiService.completeOidcLogin(callback.search);
+    expect(response).toMatchObject({ success: false, message: 'PKCE校验失败' });
+  });
+
+  test('rejects a forged state and a replayed callback', async () => {
+    const forged = await ApiService.completeOidcLogin('?code=stolen&state=forged');
+    expect(forged).toEqual({ success: false, message: '登录请求已失效，请重新发起第三方登录' });
+
+    const started = await ApiService.startOidcLogin('google');
+    const callback = new URL(mockOidcServer.authorize(started.data.authorizationUrl, { email: 'jane@example.com' }));
+    expect((await ApiService.completeOidcLogin(callback.search)).success).toBe(true);
+    expect((await ApiService.completeOidcLogin(callback.search)).success).toBe(false);
+  });
+
+  test('reports a cancelled consent', async () => {
+    const response = await signInWith('google', { denied: true });
+    expect(response).toMatchObject({ success: false, message: '已取消第三方登录' });
+  });
+
+  test('does not sign in to an existing account that only shares the email', async () => {
+    await signUp('alice_01');
+
+    const response = await signInWith('google', { email: 'alice_01@example.com' });
+    expect(response).toMatchObject({ success: false, message: '该邮箱已注册，请使用密码登录后在设置中关联' });
+  });
+
+  test('links a QR-style provider in settings and signs in with it', async () => {
+    await signUp('alice_01');
+
+    // 微信不返回邮箱：未关联时不能创建账号
+    const unlinked = await signInWith('wechat', { name: 'Alice' });
+    expect(unlinked.success).toBe(false);
+
+    const started = await ApiService.startOidcLogin('wechat', { mode: 'link' });
+    expect(started.data.authorizationUrl).toContain('appid=timeday-mock');
+    expect(started.data.authorizationUrl).not.toContain('code_challenge');
+    expect(started.data.authorizationUrl).toMatch(/#wechat_redirect$/);
+
+    const callbackUrl = mockOidcServer.authorize(started.data.authorizationUrl, { name: 'Alice' });
+    const linked = await ApiService.completeOidcLogin(new URL(callbackUrl).search);
+    expect(linked).toMatchObject({ success: true, mode: 'link', data: [expect.objectContaining({ provider: 'wechat' })] });
+
+    const login = await signInWith('wechat', { name: 'Alice' });
+    expect(login.data.username).toBe('alice_01');
+
+    const accounts = await ApiService.getLinkedAccounts();
+    expect(accounts.data).toEqual([expect.objectContaining({ provider: 'wechat', email: null })]);
+  });
+
+  test('still asks for the second factor after a provider sign-in', async () => {
+    await signUp('alice_01');
+    await signInWith('google', { email: 'alice.g@example.com' }, { mode: 'link' });
+
+    await ApiService.setupTwoFactor();
+    await ApiService.enableTwoFactor(await mockBackend.getMockTotpCode('alice_01'));
+
+    const login = await signInWith('google', { email: 'alice.g@example.com' });
+    expect(login).toMatchObject({ success: true, requires2fa: true, username: 'alice_01' });
+    expect(login.data).toBeUndefined();
+  });
+
+  test('refuses to unlink the only way to sign in', async () => {
+    const login = await signInWith('google', { email: 'jane@example.com' });
+    CookieUtils.setUserToken(login.data.username, login.data.token, login.data);
+
+    const response = await ApiService.unlinkOidcAccount('google');
+    expect(response.success).toBe(false);
+    expect((await ApiService.getLinkedAccounts()).data).toHaveLength(1);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * 试卷搜索测试：试卷ID、Cambridge组件编号和自然写法的解析
+ */
+import PaperUtils from './utils/PaperUtils.js';
+
+const EMPTY = { topicId: null, year: null, session: null, type: null, paperNumber: null, variant: null, text: '' };
+
+describe('PaperUtils.parseSearchQuery', () => {
+  test.each([
+    // 试卷ID
+    ['9709_s23_qp_12', { topicId: '9709', session: 's', year: '2023', type: 'qp', paperNumber: 1, variant: 2 }],
+    ['9702_w22_ms_4', { topicId: '9702', session: 'w', year: '2022', type: 'ms', paperNumber: 4 }],
+    ['9709_m21', { topicId: '9709', session: 'm', year: '2021' }],
+    ['  9PH0_S23_QP_1  ', { topicId: '9PH0', session: 's', year: '2023', type: 'qp', paperNumber: 1 }],
+    // 组件编号
+    ['9702/42/M/J/23', { topicId: '9702', session: 's', year: '2023', paperNumber: 4, variant: 2 }],
+    ['9702/4/O/N/22', { topicId: '9702', session: 'w', year: '2022', paperNumber: 4 }],
+    ['9709/12/f/m/24', { topicId: '9709', session: 'm', year: '2024', paperNumber: 1, variant: 2 }],
+    // 自然写法
+    ['9702 2022 Oct/Nov paper 4', { topicId: '9702', year: '2022', session: 'w', paperNumber: 4 }],
+    ['9702 May/June 2023 paper 42', { topicId: '9702', year: '2023', session: 's', paperNumber: 4, variant: 2 }],
+    ['physics s23 p4 v1', { session: 's', year: '2023', paperNumber: 4, variant: 1, text: 'physics' }],
+    ['9709 mark scheme winter 2021', { topicId: '9709', type: 'ms', session: 'w', year: '2021' }],
+    ['9702 er 2020 variant 3', { topicId: '9702', type: 'er', year: '2020', variant: 3 }],
+    // 'in' 是普通英文单词，不识别为插页
+    ['forces in equilibrium', { text: 'forces in equilibrium' }],
+    ['', {}],
+    [null, {}]
+  ])('parses %p', (query, expected) => {
+    expect(PaperUtils.parseSearchQuery(query)).toEqual({ ...EMPTY, ...expected });
+  });
+
+  test('only free text has no structured fields', () => {
+    expect(PaperUtils.hasStructuredFields(PaperUtils.parseSearchQuery('forces in equilibrium'))).toBe(false);
+    expect(PaperUtils.hasStructuredFields(PaperUtils.parseSearchQuery('9702 2022 Oct/Nov paper 4'))).toBe(true);
+  });
+});
+
+describe('paper IDs and component codes', () => {
+  test.each([
+    ['9709_s23_qp_12', { topicId: '9709', session: 's', year: '2023', type: 'qp', paperNumber: 1, variant: 2 }, '9709/12/M/J/23'],
+    ['9702_w22_ms_42', { topicId: '9702', session: 'w', year: '2022', type: 'ms', paperNumber: 4, variant: 2 }, '9702/42/O/N/22'],
+    ['9702_m24_gt', { topicId: '9702', session: 'm', year: '2024', type: 'gt', paperNumber: null, variant: null }, '9702/F/M/24']
+  ])('%s round-trips and formats as %s', (paperId, parts, componentCode) => {
+    expect(PaperUtils.parsePaperId(paperId)).toEqual(parts);
+    expect(PaperUtils.buildPaperId(parts)).toBe(paperId);
+    expect(PaperUtils.formatComponentCode(parts)).toBe(componentCode);
+  });
+
+  test('a formatted component code parses back to the same paper', () => {
+    const code = PaperUtils.formatComponentCode(PaperUtils.parsePaperId('9702_s23_qp_42'));
+
+    expect(PaperUtils.parseSearchQuery(code)).toMatchObject({ topicId: '9702', session: 's', year: '2023', paperNumber: 4, variant: 2 });
+  });
+
+  test.each(['', '9702', '9702_x23_qp_42', '9702_s23_qp_423', 'physics'])('rejects %p as a paper ID', (paperId) => {
+    expect(PaperUtils.parsePaperId(paperId)).toBeNull();
+  });
+});
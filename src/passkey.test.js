@@ -0,0 +1,128 @@
+/**
+ * 通行密钥测试
+ * 使用软件认证器代替浏览器的 navigator.credentials，请求由本地模拟后端处理
+ */
+import axios from 'axios';
+import { createSoftwareAuthenticator } from './testUtils/softwareAuthenticator.js';
+import { PASSWORD, signUp } from './testUtils/mockAccounts.js';
+
+let ApiService;
+let CookieUtils;
+let mockBackend;
+let uninstall = null;
+
+// 发往模拟后端的请求
+let requests = [];
+
+/**
+ * 安装软件认证器
+ * @param {Object} [options] - createSoftwareAuthenticator 的参数
+ * @returns {Object} 认证器
+ */
+const useAuthenticator = (options) => {
+  const authenticator = createSoftwareAuthenticator(options);
+  uninstall = authenticator.install();
+  return authenticator;
+};
+
+beforeAll(() => {
+  // apiClient 创建时会复制默认适配器，因此在加载 API.js 之前替换
+  mockBackend = require('./main/mockBackend.js');
+  axios.defaults.adapter = (config) => {
+    requests.push(config);
+    return mockBackend.mockAdapter(config);
+  };
+  ({ ApiService } = require('./main/API.js'));
+  ({ CookieUtils } = require('./main/Cookie.js'));
+});
+
+beforeEach(() => {
+  requests = [];
+  mockBackend.resetMockBackend();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'info').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  if (uninstall) {
+    uninstall();
+    uninstall = null;
+  }
+  jest.restoreAllMocks();
+});
+
+describe('passkeys', () => {
+  test('registers a passkey and signs in with it without a password', async () => {
+    const authenticator = useAuthenticator();
+    await signUp('alice_01');
+
+    const registered = await ApiService.registerPasskey('Laptop');
+    expect(registered.success).toBe(true);
+    expect(authenticator.credentials.size).toBe(1);
+    expect(CookieUtils.getUserData('alice_01').hasPasskey).toBe(true);
+
+    const passkeys = await ApiService.getPasskeys();
+    expect(passkeys.data).toEqual([expect.objectContaining({ id: registered.data.id, name: 'Laptop' })]);
+
+    const login = await ApiService.loginWithPasskey('alice_01');
+    expect(login.success).toBe(true);
+    expect(login.data).toMatchObject({ username: 'alice_01', hasPasskey: true });
+    expect(login.data.token).toBeTruthy();
+  });
+
+  test('skips the two-factor step when signing in with a passkey', async () => {
+    useAuthenticator();
+    await signUp('alice_01');
+    await ApiService.registerPasskey('Laptop');
+
+    await ApiService.setupTwoFactor();
+    const enabled = await ApiService.enableTwoFactor(await mockBackend.getMockTotpCode('alice_01'));
+    expect(enabled.success).toBe(true);
+
+    const passwordLogin = await ApiService.login('alice_01', PASSWORD);
+    expect(passwordLogin.requires2fa).toBe(true);
+
+    const passkeyLogin = await ApiService.loginWithPasskey('alice_01');
+    expect(passkeyLogin.success).toBe(true);
+    expect(passkeyLogin.requires2fa).toBeUndefined();
+  });
+
+  test('reports a cancelled prompt when no passkey is available', async () => {
+    useAuthenticator();
+    await signUp('alice_01');
+
+    const login = await ApiService.loginWithPasskey('alice_01');
+    expect(login).toMatchObject({ success: false, message: '通行密钥验证已取消或超时' });
+  });
+
+  test('rejects an assertion signed for another origin', async () => {
+    const authenticator = useAuthenticator();
+    await signUp('alice_01');
+    await ApiService.registerPasskey('Laptop');
+
+    // 同一把密钥，但客户端数据声明了其他来源
+    const phishing = createSoftwareAuthenticator({ origin: 'https://timeday.example.net' });
+    authenticator.credentials.forEach((credential, id) => phishing.credentials.set(id, credential));
+    uninstall();
+    uninstall = phishing.install();
+
+    const login = await ApiService.loginWithPasskey('alice_01');
+    expect(login).toMatchObject({ success: false, message: '通行密钥无效' });
+  });
+
+  test('removes a passkey and clears the saved flag', async () => {
+    useAuthenticator();
+    await signUp('alice_01');
+    const registered = await ApiService.registerPasskey('Laptop');
+
+    const removed = await ApiService.deletePasskey(registered.data.id);
+    expect(removed).toEqual({ success: true, data: { remaining: 0 } });
+    expect(CookieUtils.getUserData('alice_01').hasPasskey).toBe(false);
+  });
+
+  test('refuses without WebAuthn support before any request', async () => {
+    const login = await ApiService.loginWithPasskey('alice_01');
+    expect(login).toEqual({ success: false, message: '当前浏览器不支持通行密钥' });
+    expect(requests).toHaveLength(0);
+  });
+});
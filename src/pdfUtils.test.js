@@ -0,0 +1,51 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { ReadableStream } from 'stream/web';
+import { MessageChannel, receiveMessageOnPort } from 'worker_threads';
+import * as pdfjs from 'pdfjs-dist/build/pdf.js';
+import { loadPdfDocument, getPageText, searchPdfText } from './utils/pdfUtils';
+
+// jest的node环境未暴露这些Web全局对象，pdf.js在主线程解析时需要它们
+global.ReadableStream = global.ReadableStream || ReadableStream;
+// structuredClone借助MessageChannel实现真正的结构化克隆
+const clonePorts = new MessageChannel();
+global.structuredClone = global.structuredClone || ((value, options) => {
+  clonePorts.port1.postMessage(value, options && options.transfer);
+  return receiveMessageOnPort(clonePorts.port2).message;
+});
+
+afterAll(() => clonePorts.port1.close());
+
+// 使用public/samples中的本地示例PDF，无需后端
+const loadSample = (name) => loadPdfDocument(
+  {
+    data: new Uint8Array(fs.readFileSync(path.join(__dirname, '../public/samples', name))),
+    // 测试环境无标准字体文件，关闭相关警告
+    verbosity: 0
+  },
+  { pdfjs }
+);
+
+test('loads a local sample paper and extracts page text', async () => {
+  const pdf = await loadSample('sample-question-paper.pdf');
+
+  expect(pdf.numPages).toBe(3);
+  expect(await getPageText(pdf, 1)).toMatch(/electric potential/);
+});
+
+test('finds search matches across pages case-insensitively', async () => {
+  const pdf = await loadSample('sample-mark-scheme.pdf');
+  const matches = await searchPdfText(pdf, 'b1');
+
+  expect(matches.map(match => match.pageNumber)).toEqual([1, 2, 3, 3]);
+  expect(matches[0].snippet).toMatch(/B1/);
+});
+
+test('returns no matches for an empty query', async () => {
+  const pdf = await loadSample('sample-syllabus.pdf');
+
+  expect(await searchPdfText(pdf, '  ')).toEqual([]);
+});
@@ -0,0 +1,151 @@
+/**
+ * 接口数据缓存测试：按接口的有效期、ETag/304、stale-while-revalidate、持久化、手动失效
+ */
+import axios from 'axios';
+import { waitFor } from '@testing-library/react';
+import QueryCache from './utils/QueryCache.js';
+
+let ApiService;
+let mockBackend;
+
+// 经过的请求（url 和 If-None-Match），以及实际处理请求的适配器
+let requests = [];
+let adapter = null;
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * 把当前时间向后拨
+ * @param {number} ms - 毫秒数
+ */
+const advanceTime = (ms) => {
+  const now = Date.now() + ms;
+  jest.spyOn(Date, 'now').mockReturnValue(now);
+};
+
+/**
+ * 返回固定学科目录的适配器，ETag 随目录变化
+ * @param {Object} subjects - 学科目录
+ * @returns {Function} 适配器
+ */
+const subjectsAdapter = (subjects) => async (config) => {
+  const etag = `"${Object.keys(subjects).join('-')}"`;
+  if (config.headers['If-None-Match'] === etag) {
+    return { status: 304, data: '', headers: { etag }, config, statusText: 'Not Modified' };
+  }
+  return { status: 200, data: { success: true, data: subjects }, headers: { etag }, config, statusText: 'OK' };
+};
+
+beforeAll(() => {
+  // apiClient 创建时会复制默认适配器，因此在加载 API.js 之前替换
+  mockBackend = require('./main/mockBackend.js');
+  axios.defaults.adapter = (config) => {
+    requests.push({ url: config.url, ifNoneMatch: config.headers['If-None-Match'] || null });
+    return adapter(config);
+  };
+  ({ ApiService } = require('./main/API.js'));
+});
+
+beforeEach(() => {
+  mockBackend.resetMockBackend();
+  requests = [];
+  adapter = mockBackend.mockAdapter;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('QueryCache', () => {
+  test('serves fresh entries without a request and keeps each endpoint on its own TTL', async () => {
+    const subjects = await ApiService.getSubjects();
+    const papers = await ApiService.getPapers('9702', { year: '2023' });
+    expect(requests).toHaveLength(2);
+
+    expect(await ApiService.getSubjects()).toEqual(subjects);
+    expect(await ApiService.getPapers('9702', { year: '2023' })).toEqual(papers);
+    expect(requests).toHaveLength(2);
+
+    // 试卷列表1小时过期，学科目录仍有效
+    advanceTime(HOUR + 1);
+    await ApiService.getSubjects();
+    await ApiService.getPapers('9702', { year: '2023' });
+    await waitFor(() => expect(requests).toHaveLength(3));
+    expect(requests[2].url).toBe('/api/topics/9702/papers');
+  });
+
+  test('revalidates stale entries with If-None-Match and keeps the data on 304', async () => {
+    await ApiService.getSubjects();
+    const key = QueryCache.keyFor('/api/subjects');
+    const { etag } = QueryCache.get(key);
+    expect(etag).toBeTruthy();
+
+    expect(ApiService.invalidateCache({ endpoint: 'subjects' })).toBe(1);
+    const onUpdate = jest.fn();
+    const response = await ApiService.getSubjects({ onUpdate });
+
+    expect(response.success).toBe(true);
+    await waitFor(() => expect(QueryCache.isFresh(QueryCache.get(key))).toBe(true));
+    expect(requests[1]).toEqual({ url: '/api/subjects', ifNoneMatch: etag });
+    expect(QueryCache.get(key).data).toEqual(response);
+    expect(onUpdate).not.toHaveBeenCalled();
+  });
+
+  test('returns stale data at once and reports newer data from the background refresh', async () => {
+    adapter = subjectsAdapter({ physics: { name: 'Physics', topics: [] } });
+    const first = await ApiService.getSubjects();
+
+    ApiService.invalidateCache();
+    adapter = subjectsAdapter({ physics: { name: 'Physics', topics: [] }, biology: { name: 'Biology', topics: [] } });
+    const onUpdate = jest.fn();
+
+    expect(await ApiService.getSubjects({ onUpdate })).toEqual(first);
+    await waitFor(() => expect(onUpdate).toHaveBeenCalledTimes(1));
+    expect(Object.keys(onUpdate.mock.calls[0][0].data)).toEqual(['physics', 'biology']);
+    expect(Object.keys((await ApiService.getSubjects()).data)).toEqual(['physics', 'biology']);
+  });
+
+  test('does not report background updates after the caller is cancelled', async () => {
+    adapter = subjectsAdapter({ physics: { name: 'Physics', topics: [] } });
+    await ApiService.getSubjects();
+
+    ApiService.invalidateCache();
+    adapter = subjectsAdapter({ chemistry: { name: 'Chemistry', topics: [] } });
+    const controller = new AbortController();
+    const onUpdate = jest.fn();
+    await ApiService.getSubjects({ signal: controller.signal, onUpdate });
+    controller.abort();
+
+    const key = QueryCache.keyFor('/api/subjects');
+    await waitFor(() => expect(Object.keys(QueryCache.get(key).data.data)).toEqual(['chemistry']));
+    expect(onUpdate).not.toHaveBeenCalled();
+  });
+
+  test('does not cache failures', async () => {
+    adapter = async (config) => {
+      const error = new Error('Request failed with status code 404');
+      error.config = config;
+      error.response = { status: 404, data: { success: false, message: '试卷不存在' }, headers: {}, config };
+      throw error;
+    };
+
+    expect((await ApiService.getPaper('9702_s23_qp_99')).message).toBe('试卷不存在');
+    expect(QueryCache.list()).toEqual([]);
+  });
+
+  test('persists entries across reloads', async () => {
+    await ApiService.getPaperMarking('9702_s23_qp_42');
+    await QueryCache.flush();
+
+    let reloaded;
+    jest.isolateModules(() => {
+      reloaded = require('./utils/QueryCache.js').default;
+    });
+    await reloaded.init();
+
+    const entry = reloaded.get(QueryCache.keyFor('/api/papers/9702_s23_qp_42/marking'));
+    expect(entry).toMatchObject({ endpoint: 'marking', data: { success: true } });
+    expect(reloaded.isFresh(entry)).toBe(true);
+  });
+});
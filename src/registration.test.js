@@ -0,0 +1,203 @@
+/**
+ * 注册与登录凭据测试
+ * 拦截 API.js 发出的所有请求，确保明文密码不会离开本模块
+ */
+import axios from 'axios';
+import { pbkdf2Sync } from 'crypto';
+import IdUtils from './utils/IdUtils.js';
+
+const PASSWORD = 'Secr3t-Passw0rd!';
+const SALT = 'server-salt-0123';
+const ITERATIONS = 100000;
+
+// 拦截到的请求，以及各接口的模拟响应
+let requests = [];
+let routes = {};
+
+/**
+ * 模拟axios适配器：记录请求并按地址返回预设响应
+ * @param {Object} config - 请求配置
+ * @returns {Promise<Object>} 响应
+ */
+const recordingAdapter = async (config) => {
+  requests.push(config);
+
+  const route = routes[`${config.method.toUpperCase()} ${config.url}`];
+  const [status, data] = route ? route(config) : [404, { success: false }];
+  const response = { status, data, headers: {}, config, statusText: '' };
+
+  if (status >= 400) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.config = config;
+    error.response = response;
+    throw error;
+  }
+  return response;
+};
+
+/**
+ * 把请求的所有可见部分序列化，用于检查是否包含明文密码
+ * @param {Object} config - 请求配置
+ * @returns {string} 序列化结果
+ */
+const serializeRequest = (config) => JSON.stringify({
+  url: config.url,
+  params: config.params,
+  data: config.data,
+  headers: config.headers
+});
+
+const expectNoPlaintext = () => {
+  expect(requests.length).toBeGreaterThan(0);
+  requests.forEach(config => {
+    expect(serializeRequest(config)).not.toContain(PASSWORD);
+  });
+};
+
+const createdUser = (username, email) => ({
+  id: IdUtils.generateUserId(false),
+  username,
+  email,
+  isAdmin: false,
+  token: 'access-token',
+  refreshToken: 'refresh-token'
+});
+
+let ApiService;
+
+beforeAll(() => {
+  // apiClient 创建时会复制默认适配器，因此在加载 API.js 之前替换
+  axios.defaults.adapter = recordingAdapter;
+  ({ ApiService } = require('./main/API.js'));
+});
+
+beforeEach(() => {
+  requests = [];
+  routes = {
+    'GET /api/auth/params': () => [200, { success: true, data: { version: 2, salt: SALT, iterations: ITERATIONS } }],
+    'GET /api/auth/available': (config) => [200, {
+      success: true,
+      data: { username: config.params.username !== 'taken_name' }
+    }],
+    'POST /api/auth/register': (config) => {
+      const body = JSON.parse(config.data);
+      return [200, { success: true, data: createdUser(body.username, body.email) }];
+    },
+    'POST /api/auth/login': (config) => {
+      const body = JSON.parse(config.data);
+      return [200, { success: true, data: createdUser(body.username, 'alice@example.com') }];
+    }
+  };
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('ApiService.register', () => {
+  test('sends only the PBKDF2-derived credential', async () => {
+    const response = await ApiService.register('alice_01', 'alice@example.com', PASSWORD);
+
+    expect(response.success).toBe(true);
+    expectNoPlaintext();
+
+    const register = requests.find(config => config.url === '/api/auth/register');
+    const body = JSON.parse(register.data);
+    expect(body).not.toHaveProperty('password');
+    expect(body).toMatchObject({ hashVersion: 2, salt: SALT, iterations: ITERATIONS });
+    expect(body.passwordHash).toBe(pbkdf2Sync(PASSWORD, SALT, ITERATIONS, 32, 'sha256').toString('hex'));
+  });
+
+  test('refuses to register when the server has no hashing parameters', async () => {
+    delete routes['GET /api/auth/params'];
+
+    const response = await ApiService.register('alice_01', 'alice@example.com', PASSWORD);
+
+    expect(response.success).toBe(false);
+    expect(requests.some(config => config.url === '/api/auth/register')).toBe(false);
+  });
+
+  test.each([
+    ['a weak password', 'alice_01', 'alice@example.com', 'abc', 'password'],
+    ['an invalid username', 'a b', 'alice@example.com', PASSWORD, 'username'],
+    ['an invalid email', 'alice_01', 'not-an-email', PASSWORD, 'email']
+  ])('rejects %s before any request', async (_, username, email, password, field) => {
+    const response = await ApiService.register(username, email, password);
+
+    expect(response.success).toBe(false);
+    expect(response.errors).toHaveProperty(field);
+    expect(requests).toHaveLength(0);
+  });
+});
+
+describe('ApiService.login', () => {
+  test('upgrades a legacy account without sending the plaintext', async () => {
+    routes['GET /api/auth/params'] = () => [200, {
+      success: true,
+      data: { version: 1, upgrade: { version: 2, salt: SALT, iterations: ITERATIONS } }
+    }];
+
+    const response = await ApiService.login('alice_01', PASSWORD);
+
+    expect(response.success).toBe(true);
+    expectNoPlaintext();
+
+    const body = JSON.parse(requests.find(config => config.url === '/api/auth/login').data);
+    expect(body.hashVersion).toBe(1);
+    expect(body.upgrade).toMatchObject({ hashVersion: 2, salt: SALT, iterations: ITERATIONS });
+    expect(body.upgrade.passwordHash).toBe(pbkdf2Sync(PASSWORD, SALT, ITERATIONS, 32, 'sha256').toString('hex'));
+  });
+
+  test('falls back to legacy hashing when the server has no hashing parameters', async () => {
+    delete routes['GET /api/auth/params'];
+
+    const response = await ApiService.login('alice_01', PASSWORD);
+
+    expect(response.success).toBe(true);
+    expectNoPlaintext();
+    const body = JSON.parse(requests.find(config => config.url === '/api/auth/login').data);
+    expect(body.hashVersion).toBe(1);
+    expect(body.passwordHash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('refuses server parameters with too few iterations', async () => {
+    routes['GET /api/auth/params'] = () => [200, { success: true, data: { version: 2, salt: SALT, iterations: 10 } }];
+
+    const response = await ApiService.login('alice_01', PASSWORD);
+
+    expect(response.success).toBe(false);
+    expect(requests.some(config => config.url === '/api/auth/login')).toBe(false);
+  });
+});
+
+describe('ApiService.resetPassword', () => {
+  test('refuses to reset when the server has no hashing parameters', async () => {
+    delete routes['GET /api/auth/params'];
+    routes['POST /api/auth/password/reset'] = () => [200, { success: true }];
+
+    const response = await ApiService.resetPassword('reset-token', 'alice_01', PASSWORD);
+
+    expect(response.success).toBe(false);
+    expect(requests.some(config => config.url === '/api/auth/password/reset')).toBe(false);
+  });
+
+  test('refuses to reset a legacy account without upgrade parameters', async () => {
+    routes['GET /api/auth/params'] = () => [200, { success: true, data: { version: 1 } }];
+    routes['POST /api/auth/password/reset'] = () => [200, { success: true }];
+
+    const response = await ApiService.resetPassword('reset-token', 'alice_01', PASSWORD);
+
+    expect(response.success).toBe(false);
+    expect(requests.some(config => config.url === '/api/auth/password/reset')).toBe(false);
+  });
+});
+
+describe('ApiService.checkAvailability', () => {
+  test('only sends the fields being checked', async () => {
+    const response = await ApiService.checkAvailability({ username: 'taken_name' });
+
+    expect(response).toEqual({ success: true, data: { username: false } });
+    expect(requests[0].params).toEqual({ username: 'taken_name' });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * 路由测试：路径生成与匹配互逆、参数编码、公开页面、登录后的跳转目标
+ */
+import RouteUtils from './utils/RouteUtils.js';
+
+afterEach(() => {
+  window.history.replaceState(null, '', '/');
+});
+
+describe('build and match', () => {
+  test.each([
+    ['home', {}, '/'],
+    ['subject', { subjectKey: 'physics' }, '/subjects/physics'],
+    ['topic', { subjectKey: 'physics', topicId: '9702' }, '/subjects/physics/9702'],
+    ['paper', { subjectKey: 'physics', topicId: '9702', paperId: '9702_s23_qp_42' }, '/subjects/physics/9702/papers/9702_s23_qp_42'],
+    ['standalonePaper', { paperId: '9709_s23_qp_12' }, '/papers/9709_s23_qp_12'],
+    ['textbooks', {}, '/textbooks'],
+    ['textbook', { documentId: '3' }, '/textbooks/3'],
+    ['syllabuses', {}, '/syllabus'],
+    ['syllabus', { documentId: '7' }, '/syllabus/7'],
+    ['notebook', {}, '/notebook'],
+    ['note', { noteId: 'n1' }, '/notebook/n1'],
+    ['history', {}, '/history'],
+    ['profile', {}, '/profile'],
+    ['profileTab', { profileTab: 'security' }, '/profile/security'],
+    ['login', {}, '/login']
+  ])('%s round-trips through %s', (name, params, path) => {
+    expect(RouteUtils.build(name, params)).toBe(path);
+    expect(RouteUtils.match(path)).toEqual({ name, params });
+  });
+
+  test('encodes parameters and decodes them again', () => {
+    const path = RouteUtils.build('topic', { subjectKey: 'further maths', topicId: '9231/A' });
+
+    expect(path).toBe('/subjects/further%20maths/9231%2FA');
+    expect(RouteUtils.match(path)).toEqual({ name: 'topic', params: { subjectKey: 'further maths', topicId: '9231/A' } });
+  });
+
+  test('ignores the query string and trailing slashes', () => {
+    expect(RouteUtils.match('/subjects/physics/?tab=papers')).toEqual({ name: 'subject', params: { subjectKey: 'physics' } });
+  });
+
+  test.each([
+    ['an unknown path', '/nowhere/at/all'],
+    ['a malformed escape', '/subjects/%E0%A4%A'],
+    ['an empty path', '']
+  ])('falls back to home for %s', (_, path) => {
+    expect(RouteUtils.match(path)).toEqual({ name: 'home', params: {} });
+  });
+});
+
+describe('login redirects', () => {
+  test.each([
+    ['/login', true],
+    ['/reset?token=abc', true],
+    ['/verify-email?token=abc', true],
+    ['/auth/callback?code=1', true],
+    ['/history', false],
+    ['/', false]
+  ])('%s is public: %s', (path, isPublic) => {
+    expect(RouteUtils.isPublicRoute(path)).toBe(isPublic);
+  });
+
+  test('keeps the target of a private page and drops public pages and home', () => {
+    expect(RouteUtils.buildLoginPath('/subjects/physics/9702')).toBe('/login?next=%2Fsubjects%2Fphysics%2F9702');
+    expect(RouteUtils.buildLoginPath('/reset?token=abc')).toBe('/login');
+    expect(RouteUtils.buildLoginPath('/')).toBe('/login');
+    expect(RouteUtils.buildLoginPath(null)).toBe('/login');
+  });
+
+  test.each([
+    ['/login?next=%2Fhistory', '/history'],
+    ['/login?next=%2F%2Fevil.example.com', null],
+    ['/login?next=https%3A%2F%2Fevil.example.com', null],
+    ['/login', null]
+  ])('reads the redirect from %s as %p', (url, redirect) => {
+    window.history.replaceState(null, '', url);
+    expect(RouteUtils.getRedirect()).toBe(redirect);
+  });
+
+  test('reads the current path back from the address bar', () => {
+    RouteUtils.navigate(RouteUtils.buildLoginPath('/history'));
+    expect(RouteUtils.getCurrentPath()).toBe('/login?next=%2Fhistory');
+    expect(RouteUtils.getRedirect()).toBe('/history');
+  });
+});
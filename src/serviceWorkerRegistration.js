@@ -0,0 +1,15 @@
+/**
+ * 注册 service worker（public/service-worker.js），离线时仍可打开网站和离线保存的试卷
+ * 只在生产构建中注册：开发服务器的文件名不带哈希，缓存后会看不到代码修改
+ */
+const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // 页面加载完成后再注册，不与首屏资源争抢带宽
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error('注册service worker失败:', error));
+  });
+};
+
+export default registerServiceWorker;
@@ -0,0 +1,140 @@
+/**
+ * 跨标签页会话同步测试
+ * 每个标签页用 jest.isolateModules 单独加载一份 SessionBus、SessionStore 和 CookieUtils（各自的内存缓存），共用同一个 localStorage
+ */
+import { BroadcastChannel as NodeBroadcastChannel } from 'worker_threads';
+
+let tabs = [];
+
+/**
+ * 打开一个模拟标签页
+ * @returns {Promise<Object>} { SessionBus, SessionStore, CookieUtils, messages }
+ */
+const openTab = async () => {
+  let tab;
+  jest.isolateModules(() => {
+    tab = {
+      SessionBus: require('./utils/SessionBus.js').default,
+      SessionStore: require('./utils/SessionStore.js').default,
+      CookieUtils: require('./main/Cookie.js').CookieUtils,
+      messages: []
+    };
+  });
+  await tab.SessionStore.init();
+  tab.SessionBus.subscribe(message => tab.messages.push(message));
+  tabs.push(tab);
+  return tab;
+};
+
+/**
+ * 等待标签页收到指定类型的消息
+ * @param {Object} tab - 标签页
+ * @param {string} type - 消息类型
+ * @returns {Promise<Object>} 消息
+ */
+const nextMessage = (tab, type) => new Promise(resolve => {
+  const unsubscribe = tab.SessionBus.subscribe(message => {
+    if (message.type !== type) return;
+    unsubscribe();
+    resolve(message);
+  });
+});
+
+beforeEach(() => {
+  global.BroadcastChannel = NodeBroadcastChannel;
+});
+
+afterEach(() => {
+  tabs.forEach(tab => tab.SessionBus.close());
+  tabs = [];
+  delete global.BroadcastChannel;
+  jest.restoreAllMocks();
+  localStorage.clear();
+});
+
+describe('cross-tab session bus', () => {
+  test('a sign-in in one tab switches the other tab to that account', async () => {
+    const first = await openTab();
+    const second = await openTab();
+    expect(first.SessionBus.getTabId()).not.toBe(second.SessionBus.getTabId());
+
+    first.CookieUtils.setUserToken('amy', 'token-amy', { id: 'ab12-3456', username: 'amy' });
+    const received = nextMessage(second, second.SessionBus.EVENTS.LOGIN);
+    first.SessionBus.publish(first.SessionBus.EVENTS.LOGIN, { username: 'amy' });
+
+    expect((await received).payload).toEqual({ username: 'amy' });
+    expect(second.CookieUtils.getActiveUser()).toBe('amy');
+    expect(second.CookieUtils.getUserData('amy')).toMatchObject({ username: 'amy' });
+    expect(first.messages).toEqual([]);
+  });
+
+  test('token refresh, account switch and removal reach the other tab', async () => {
+    const first = await openTab();
+    first.CookieUtils.setUserToken('amy', 'token-amy', { id: 'ab12-3456', username: 'amy' });
+    await first.SessionStore.flush();
+    const second = await openTab();
+    const { EVENTS } = second.SessionBus;
+
+    first.CookieUtils.updateUserToken('amy', 'token-amy-2');
+    let received = nextMessage(second, EVENTS.TOKEN_REFRESH);
+    first.SessionBus.publish(EVENTS.TOKEN_REFRESH, { username: 'amy' });
+    await received;
+    expect(second.CookieUtils.getUserToken('amy')).toBe('token-amy-2');
+
+    first.CookieUtils.clearActiveUser();
+    received = nextMessage(second, EVENTS.SWITCH);
+    first.SessionBus.publish(EVENTS.SWITCH, { username: 'amy' });
+    await received;
+    expect(second.CookieUtils.getActiveUser()).toBeNull();
+    expect(second.CookieUtils.getAllSavedUsers()).toEqual(['amy']);
+
+    first.CookieUtils.removeAccount('amy');
+    received = nextMessage(second, EVENTS.LOGOUT);
+    first.SessionBus.publish(EVENTS.LOGOUT, { username: 'amy' });
+    await received;
+    expect(second.CookieUtils.getAllSavedUsers()).toEqual([]);
+  });
+
+  test('delivers messages in order', async () => {
+    const first = await openTab();
+    const second = await openTab();
+    const { EVENTS } = first.SessionBus;
+
+    const received = nextMessage(second, EVENTS.PROFILE);
+    first.SessionBus.publish(EVENTS.THEME, { theme: 'dark' });
+    first.SessionBus.publish(EVENTS.THEME, { theme: 'light' });
+    first.SessionBus.publish(EVENTS.PROFILE, { profile: { bio: 'hi' } });
+    await received;
+
+    expect(second.messages.map(message => message.payload)).toEqual([
+      { theme: 'dark' },
+      { theme: 'light' },
+      { profile: { bio: 'hi' } }
+    ]);
+  });
+
+  test('falls back to storage events without BroadcastChannel', async () => {
+    delete global.BroadcastChannel;
+
+    // 浏览器会把 localStorage 的修改以 storage 事件通知其他标签页，这里由测试代为派发
+    const setItem = Storage.prototype.setItem;
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+      setItem.call(this, key, value);
+      window.dispatchEvent(new StorageEvent('storage', { key, newValue: value }));
+    });
+
+    const first = await openTab();
+    first.CookieUtils.setUserToken('amy', 'token-amy', { id: 'ab12-3456', username: 'amy' });
+    await first.SessionStore.flush();
+    const second = await openTab();
+
+    // 修改已保存的用户数据时自动通知其他标签页
+    const received = nextMessage(second, second.SessionBus.EVENTS.PROFILE);
+    first.CookieUtils.updateUserData('amy', { emailVerified: true });
+
+    expect((await received).payload).toEqual({ username: 'amy' });
+    expect(second.CookieUtils.getUserData('amy')).toMatchObject({ emailVerified: true });
+    expect(first.messages).toEqual([]);
+    expect(localStorage.getItem('sessionBus')).toBeNull();
+  });
+});
@@ -3,3 +3,11 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+
+// jsdom 未提供 WebCrypto、TextEncoder 和 TextDecoder（密码哈希、通行密钥、模拟后端都需要）
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
@@ -0,0 +1,27 @@
+/**
+ * 测试用账号：通过 ApiService 在本地模拟后端注册账号
+ * 测试需先把 axios 默认适配器换成模拟后端，再加载 API.js（apiClient 创建时会复制默认适配器），
+ * 因此这里在调用时才加载 API.js 和 Cookie.js，取得与测试相同的模块实例
+ */
+
+// 测试账号的密码（满足密码强度要求）
+export const PASSWORD = 'Secr3t-Passw0rd!';
+
+/**
+ * 注册账号并设为活跃账号
+ * @param {string} username - 用户名
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.isAdmin=false] - 是否注册为管理员
+ * @returns {Promise<Object>} 用户数据（含访问令牌 token）
+ */
+export const signUp = async (username, { isAdmin = false } = {}) => {
+  const { ApiService } = require('../main/API.js');
+  const { CookieUtils } = require('../main/Cookie.js');
+
+  const response = await ApiService.register(username, `${username}@example.com`, PASSWORD, isAdmin);
+  if (!response.success) {
+    throw new Error(`注册测试账号 ${username} 失败：${response.message}`);
+  }
+  CookieUtils.setUserToken(username, response.data.token, response.data);
+  return response.data;
+};
@@ -0,0 +1,253 @@
+// ==================== 软件认证器 ====================
+import WebAuthnUtils from '../utils/WebAuthnUtils.js';
+
+/**
+ * 软件认证器
+ * 用WebCrypto（ECDSA P-256 / ES256）模拟平台认证器，实现 navigator.credentials.create / get
+ * 仅供测试和无头环境验证通行密钥流程，不属于应用代码；不做真正的用户验证，也不持久化密钥
+ * 使用方式：createSoftwareAuthenticator().install()
+ */
+
+// COSE算法标识：ES256
+const COSE_ALG_ES256 = -7;
+
+// authenticatorData 标志位：用户在场、用户已验证、包含凭据数据
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_DATA = 0x40;
+
+// 软件认证器的AAGUID（全零表示未声明型号）
+const AAGUID = new Uint8Array(16);
+
+// 按需创建：测试环境可能在加载本模块之后才提供 TextEncoder
+const textEncoder = () => new TextEncoder();
+
+/**
+ * 拼接多段二进制
+ * @param {...Uint8Array} parts - 各段数据
+ * @returns {Uint8Array} 拼接结果
+ */
+const concatBytes = (...parts) => {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+};
+
+// 复制为独立的ArrayBuffer（TypedArray可能只占底层缓冲区的一部分）
+const toBuffer = (bytes) => bytes.slice().buffer;
+
+const sha256 = async (data) => new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+
+/**
+ * 32位大端整数
+ * @param {number} value - 数值
+ * @returns {Uint8Array} 4字节
+ */
+const uint32 = (value) => new Uint8Array([(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff]);
+
+// ==================== 最小CBOR编码（仅覆盖认证器需要的类型） ====================
+
+/**
+ * CBOR类型头
+ * @param {number} major - 主类型
+ * @param {number} length - 长度或数值
+ * @returns {Uint8Array} 类型头
+ */
+const cborHead = (major, length) => {
+  if (length < 24) return new Uint8Array([(major << 5) | length]);
+  if (length < 256) return new Uint8Array([(major << 5) | 24, length]);
+  return new Uint8Array([(major << 5) | 25, length >> 8, length & 0xff]);
+};
+
+/**
+ * 编码CBOR值：整数、字符串、字节串、Map（键值对数组）
+ * @param {*} value - 值
+ * @returns {Uint8Array} 编码结果
+ */
+const cborEncode = (value) => {
+  if (typeof value === 'number') {
+    return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+  }
+  if (typeof value === 'string') {
+    const bytes = textEncoder().encode(value);
+    return concatBytes(cborHead(3, bytes.length), bytes);
+  }
+  if (value instanceof Uint8Array) {
+    return concatBytes(cborHead(2, value.length), value);
+  }
+  // Map：[[键, 值], ...]，保持给定顺序
+  return concatBytes(cborHead(5, value.length), ...value.flatMap(([key, item]) => [cborEncode(key), cborEncode(item)]));
+};
+
+/**
+ * ECDSA签名：WebCrypto输出 r||s，WebAuthn要求DER编码
+ * @param {Uint8Array} raw - 64字节签名
+ * @returns {Uint8Array} DER编码签名
+ */
+const rawSignatureToDer = (raw) => {
+  const toInteger = (bytes) => {
+    let start = 0;
+    while (start < bytes.length - 1 && bytes[start] === 0) start++;
+    const trimmed = bytes.slice(start);
+    const value = trimmed[0] & 0x80 ? concatBytes(new Uint8Array([0]), trimmed) : trimmed;
+    return concatBytes(new Uint8Array([0x02, value.length]), value);
+  };
+  const body = concatBytes(toInteger(raw.slice(0, 32)), toInteger(raw.slice(32)));
+  return concatBytes(new Uint8Array([0x30, body.length]), body);
+};
+
+/**
+ * 创建一个软件认证器
+ * @param {Object} [options]
+ * @param {string} [options.origin] - 客户端数据中的来源，默认当前页面
+ * @param {boolean} [options.userVerified=true] - 是否报告已完成用户验证
+ * @returns {Object} { create, get, install, credentials }
+ */
+export const createSoftwareAuthenticator = ({ origin = window.location.origin, userVerified = true } = {}) => {
+  // 凭据ID（base64url） -> { rpId, userHandle, keyPair, signCount }
+  const credentials = new Map();
+
+  const flags = FLAG_USER_PRESENT | (userVerified ? FLAG_USER_VERIFIED : 0);
+
+  /**
+   * 生成客户端数据
+   * @param {string} type - 'webauthn.create' | 'webauthn.get'
+   * @param {Uint8Array} challenge - 挑战
+   * @returns {Uint8Array} clientDataJSON
+   */
+  const clientData = (type, challenge) => textEncoder().encode(JSON.stringify({
+    type,
+    challenge: WebAuthnUtils.toBase64Url(challenge),
+    origin,
+    crossOrigin: false
+  }));
+
+  /**
+   * 模拟 navigator.credentials.create
+   * @param {Object} options - { publicKey: PublicKeyCredentialCreationOptions }
+   * @returns {Promise<Object>} 与 PublicKeyCredential 结构一致的对象
+   */
+  const create = async ({ publicKey }) => {
+    if (!publicKey.pubKeyCredParams.some(param => param.alg === COSE_ALG_ES256)) {
+      throw new DOMException('不支持的算法', 'NotSupportedError');
+    }
+
+    const rpId = publicKey.rp.id || window.location.hostname;
+    const userHandle = WebAuthnUtils.toBase64Url(publicKey.user.id);
+    const excluded = (publicKey.excludeCredentials || []).map(descriptor => WebAuthnUtils.toBase64Url(descriptor.id));
+    if (excluded.some(id => credentials.has(id))) {
+      throw new DOMException('凭据已存在', 'InvalidStateError');
+    }
+
+    const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    const rawId = crypto.getRandomValues(new Uint8Array(32));
+    const id = WebAuthnUtils.toBase64Url(rawId);
+    credentials.set(id, { rpId, userHandle, keyPair, signCount: 0 });
+
+    // 公钥：SPKI（getPublicKey）和COSE（写入 authenticatorData）
+    const spki = new Uint8Array(await crypto.subtle.exportKey('spki', keyPair.publicKey));
+    const point = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+    const coseKey = cborEncode([[1, 2], [3, COSE_ALG_ES256], [-1, 1], [-2, point.slice(1, 33)], [-3, point.slice(33)]]);
+
+    const authenticatorData = concatBytes(
+      await sha256(textEncoder().encode(rpId)),
+      new Uint8Array([flags | FLAG_ATTESTED_DATA]),
+      uint32(0),
+      AAGUID,
+      new Uint8Array([0, rawId.length]),
+      rawId,
+      coseKey
+    );
+    const attestationObject = cborEncode([['fmt', 'none'], ['attStmt', []], ['authData', authenticatorData]]);
+
+    return {
+      id,
+      rawId: toBuffer(rawId),
+      type: 'public-key',
+      authenticatorAttachment: 'platform',
+      response: {
+        clientDataJSON: toBuffer(clientData('webauthn.create', publicKey.challenge)),
+        attestationObject: toBuffer(attestationObject),
+        getAuthenticatorData: () => toBuffer(authenticatorData),
+        getPublicKey: () => toBuffer(spki),
+        getPublicKeyAlgorithm: () => COSE_ALG_ES256,
+        getTransports: () => ['internal']
+      }
+    };
+  };
+
+  /**
+   * 模拟 navigator.credentials.get
+   * @param {Object} options - { publicKey: PublicKeyCredentialRequestOptions }
+   * @returns {Promise<Object>} 与 PublicKeyCredential 结构一致的对象
+   */
+  const get = async ({ publicKey }) => {
+    const rpId = publicKey.rpId || window.location.hostname;
+    const allowed = (publicKey.allowCredentials || []).map(descriptor => WebAuthnUtils.toBase64Url(descriptor.id));
+    const entry = Array.from(credentials.entries()).find(([id, credential]) => (
+      credential.rpId === rpId && (allowed.length === 0 || allowed.includes(id))
+    ));
+    if (!entry) {
+      throw new DOMException('没有可用的凭据', 'NotAllowedError');
+    }
+
+    const [id, credential] = entry;
+    credential.signCount += 1;
+
+    const clientDataJSON = clientData('webauthn.get', publicKey.challenge);
+    const authenticatorData = concatBytes(
+      await sha256(textEncoder().encode(rpId)),
+      new Uint8Array([flags]),
+      uint32(credential.signCount)
+    );
+    const signature = new Uint8Array(await crypto.subtle.sign(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      credential.keyPair.privateKey,
+      concatBytes(authenticatorData, await sha256(clientDataJSON))
+    ));
+
+    return {
+      id,
+      rawId: toBuffer(WebAuthnUtils.fromBase64Url(id)),
+      type: 'public-key',
+      authenticatorAttachment: 'platform',
+      response: {
+        clientDataJSON: toBuffer(clientDataJSON),
+        authenticatorData: toBuffer(authenticatorData),
+        signature: toBuffer(rawSignatureToDer(signature)),
+        userHandle: toBuffer(WebAuthnUtils.fromBase64Url(credential.userHandle))
+      }
+    };
+  };
+
+  /**
+   * 替换 navigator.credentials（并在缺失时声明 PublicKeyCredential），返回还原函数
+   * @returns {Function} 还原函数
+   */
+  const install = () => {
+    const previousCredentials = Object.getOwnPropertyDescriptor(navigator, 'credentials');
+    const hadPublicKeyCredential = 'PublicKeyCredential' in window;
+
+    Object.defineProperty(navigator, 'credentials', { value: { create, get }, configurable: true });
+    if (!hadPublicKeyCredential) {
+      window.PublicKeyCredential = function PublicKeyCredential() {};
+    }
+
+    return () => {
+      if (previousCredentials) {
+        Object.defineProperty(navigator, 'credentials', previousCredentials);
+      } else {
+        delete navigator.credentials;
+      }
+      if (!hadPublicKeyCredential) {
+        delete window.PublicKeyCredential;
+      }
+    };
+  };
+
+  return { create, get, install, credentials };
+};
@@ -0,0 +1,169 @@
+/**
+ * 接口错误类型
+ * 把axios错误归类为网络、超时、未登录、无权限、参数错误（含字段错误）、服务器错误、请求过于频繁、已取消等类型，
+ * 调用方可按 type 区分处理，不必解析提示文字
+ *
+ * ApiService 失败时返回 { success: false, message, error }，其中 error 为 ApiError；
+ * 参数错误时另附 errors: { 字段名: 提示 }，与注册信息的本地验证结果格式相同
+ *
+ * 后端错误响应格式：{ success: false, message?: string, errors?: { [field]: string } | Array<{ field, message }> }
+ * 429、503 响应可带 Retry-After 头（秒数或HTTP日期）
+ */
+import axios from 'axios';
+
+// 各类型的默认提示
+const DEFAULT_MESSAGES = {
+  network: '网络连接失败，请检查网络后重试',
+  timeout: '请求超时，请稍后重试',
+  auth: '登录已过期，请重新登录',
+  forbidden: '没有权限执行此操作',
+  validation: '提交的信息有误，请检查后重试',
+  notFound: '请求的内容不存在',
+  server: '服务器出现问题，请稍后重试',
+  rateLimited: '请求过于频繁，请稍后重试',
+  cancelled: '请求已取消',
+  unknown: '请求失败，请稍后重试'
+};
+
+/**
+ * 读取 Retry-After 响应头
+ * @param {Object} headers - 响应头
+ * @returns {number|null} 需等待的毫秒数，未提供或无法解析时为null
+ */
+const parseRetryAfter = (headers) => {
+  const value = headers?.['retry-after'] ?? headers?.['Retry-After'];
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * 整理后端返回的字段错误
+ * @param {Object|Array} errors - { field: message } 或 [{ field, message }]
+ * @returns {Object|null} { field: message }，没有字段错误时为null
+ */
+const normalizeFieldErrors = (errors) => {
+  if (!errors || typeof errors !== 'object') return null;
+
+  const entries = Array.isArray(errors)
+    ? errors.filter(item => item?.field).map(item => [item.field, String(item.message || DEFAULT_MESSAGES.validation)])
+    : Object.entries(errors).map(([field, message]) => [field, String(Array.isArray(message) ? message[0] : message)]);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+};
+
+/**
+ * 按状态码归类
+ * @param {number} status - HTTP状态码
+ * @returns {string} 错误类型
+ */
+const typeForStatus = (status) => {
+  if (status === 401) return ApiError.TYPES.AUTH;
+  if (status === 403) return ApiError.TYPES.FORBIDDEN;
+  if (status === 404) return ApiError.TYPES.NOT_FOUND;
+  if (status === 408) return ApiError.TYPES.TIMEOUT;
+  if (status === 429) return ApiError.TYPES.RATE_LIMITED;
+  if (status === 400 || status === 409 || status === 422) return ApiError.TYPES.VALIDATION;
+  if (status >= 500) return ApiError.TYPES.SERVER;
+  return ApiError.TYPES.UNKNOWN;
+};
+
+class ApiError extends Error {
+  static TYPES = {
+    NETWORK: 'network',
+    TIMEOUT: 'timeout',
+    AUTH: 'auth',
+    FORBIDDEN: 'forbidden',
+    VALIDATION: 'validation',
+    NOT_FOUND: 'notFound',
+    SERVER: 'server',
+    RATE_LIMITED: 'rateLimited',
+    CANCELLED: 'cancelled',
+    UNKNOWN: 'unknown'
+  };
+
+  /**
+   * @param {string} type - 错误类型，见 ApiError.TYPES
+   * @param {Object} [details]
+   * @param {string} [details.message] - 后端返回的提示
+   * @param {number} [details.status] - HTTP状态码
+   * @param {Object} [details.fieldErrors] - 字段错误 { field: message }
+   * @param {number} [details.retryAfter] - 建议等待的毫秒数（Retry-After）
+   * @param {Error} [details.cause] - 原始错误
+   */
+  constructor(type, { message = null, status = null, fieldErrors = null, retryAfter = null, cause = null } = {}) {
+    super(message || DEFAULT_MESSAGES[type] || DEFAULT_MESSAGES.unknown);
+    this.name = 'ApiError';
+    this.type = type;
+    this.status = status;
+    this.serverMessage = message;
+    this.fieldErrors = fieldErrors;
+    this.retryAfter = retryAfter;
+    this.cause = cause;
+  }
+
+  /**
+   * 把任意错误转换为 ApiError
+   * @param {Error} error - axios错误或其他错误
+   * @returns {ApiError} 接口错误
+   */
+  static from(error) {
+    if (error instanceof ApiError) return error;
+    // 通过 AbortSignal 取消的请求（如切换页面）
+    if (axios.isCancel(error)) {
+      return new ApiError(this.TYPES.CANCELLED, { cause: error });
+    }
+    // 非请求错误（如代码异常）的信息不显示给用户
+    if (!axios.isAxiosError(error) && !error?.response) {
+      return new ApiError(this.TYPES.UNKNOWN, { cause: error });
+    }
+
+    const { response } = error;
+    if (!response) {
+      const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+      return new ApiError(timedOut ? this.TYPES.TIMEOUT : this.TYPES.NETWORK, { cause: error });
+    }
+
+    const data = response.data && typeof response.data === 'object' ? response.data : {};
+    return new ApiError(typeForStatus(response.status), {
+      message: data.message || null,
+      status: response.status,
+      fieldErrors: normalizeFieldErrors(data.errors),
+      retryAfter: parseRetryAfter(response.headers),
+      cause: error
+    });
+  }
+
+  /**
+   * 是否为暂时性错误（网络、超时、服务器繁忙或出错），重试可能成功
+   * @returns {boolean} 是否为暂时性错误
+   */
+  isTransient() {
+    const { TYPES } = ApiError;
+    return [TYPES.NETWORK, TYPES.TIMEOUT, TYPES.SERVER, TYPES.RATE_LIMITED].includes(this.type);
+  }
+
+  /**
+   * 显示给用户的提示
+   * 优先使用后端返回的提示；网络、超时、请求过于频繁、已取消时说明原因；其余使用调用方的提示
+   * @param {string} [fallback] - 调用方的提示，如“获取试卷列表失败”
+   * @returns {string} 提示
+   */
+  getMessage(fallback) {
+    if (this.serverMessage) return this.serverMessage;
+
+    const { TYPES } = ApiError;
+    if (this.type === TYPES.RATE_LIMITED && this.retryAfter) {
+      return `请求过于频繁，请在${Math.ceil(this.retryAfter / 1000)}秒后重试`;
+    }
+    if ([TYPES.NETWORK, TYPES.TIMEOUT, TYPES.RATE_LIMITED, TYPES.CANCELLED].includes(this.type) || !fallback) {
+      return DEFAULT_MESSAGES[this.type] || DEFAULT_MESSAGES.unknown;
+    }
+    return fallback;
+  }
+}
+
+export default ApiError;
@@ -0,0 +1,275 @@
+/**
+ * 考试模式工具类
+ * 管理限时考试会话：倒计时、暂停、提醒阈值、评分标准锁定和持久化
+ * 所有时间均以毫秒时间戳计算，页面刷新后可根据开始时间和暂停记录恢复剩余时间
+ */
+
+import { safeLocalStorage } from './storageUtils.js';
+
+class ExamUtils {
+  // 进行中的考试会话存储键
+  static STORAGE_KEY = 'activeExamSession';
+
+  // 默认提醒阈值（剩余分钟数）
+  static DEFAULT_WARNINGS = [30, 10, 5];
+
+  // 考试锁定期间不可查看的文档类型（评分标准、考官报告）
+  static LOCKED_DOCUMENT_TYPES = ['ms', 'er'];
+
+  // 结束原因
+  static FINISH_REASONS = {
+    completed: 'Completed',
+    timeUp: 'Time up',
+    abandoned: 'Abandoned'
+  };
+
+  /**
+   * 创建考试会话
+   * @param {Object} options - 会话选项
+   * @param {Object} options.paper - 试卷对象
+   * @param {number} options.durationMinutes - 考试时长（分钟）
+   * @param {Array<number>} [options.warnings] - 提醒阈值（剩余分钟数）
+   * @param {boolean} [options.lockMarkScheme=true] - 时间结束前是否锁定评分标准
+   * @param {string} [options.username] - 当前用户名
+   * @param {Object} [options.context] - 所属学科和课程 { subjectKey, topic }，用于刷新后恢复
+   * @param {number} [now=Date.now()] - 当前时间戳
+   * @returns {Object} 考试会话
+   */
+  static createSession(options, now = Date.now()) {
+    const { paper, durationMinutes, warnings = this.DEFAULT_WARNINGS, lockMarkScheme = true, username = null, context = {} } = options;
+
+    return {
+      id: `${paper.id || 'paper'}-${now}`,
+      username,
+      paper,
+      subjectKey: context.subjectKey || null,
+      topic: context.topic || null,
+      durationMs: Math.round(durationMinutes * 60 * 1000),
+      warnings: this.normalizeWarnings(warnings, durationMinutes),
+      firedWarnings: [],
+      lockMarkScheme,
+      startedAt: now,
+      pauses: [],
+      status: 'running',
+      endedAt: null,
+      finishReason: null
+    };
+  }
+
+  /**
+   * 整理提醒阈值：去重、去除不小于考试时长的值，并按从大到小排序
+   * @param {Array<number>} warnings - 提醒阈值（分钟）
+   * @param {number} durationMinutes - 考试时长（分钟）
+   * @returns {Array<number>} 提醒阈值
+   */
+  static normalizeWarnings(warnings, durationMinutes) {
+    return [...new Set((warnings || []).map(Number))]
+      .filter(minutes => Number.isFinite(minutes) && minutes > 0 && minutes < durationMinutes)
+      .sort((a, b) => b - a);
+  }
+
+  /**
+   * 解析用户输入的提醒阈值，如 "30, 10, 5"
+   * @param {string} text - 输入文本
+   * @returns {Array<number>} 提醒阈值（分钟）
+   */
+  static parseWarnings(text) {
+    return String(text || '')
+      .split(/[\s,，]+/)
+      .map(part => parseInt(part, 10))
+      .filter(minutes => Number.isFinite(minutes) && minutes > 0);
+  }
+
+  /**
+   * 计算累计暂停时长
+   * @param {Object} session - 考试会话
+   * @param {number} now - 当前时间戳
+   * @returns {number} 暂停总时长（毫秒）
+   */
+  static getPausedTime(session, now = Date.now()) {
+    return session.pauses.reduce((total, pause) => total + ((pause.end ?? now) - pause.start), 0);
+  }
+
+  /**
+   * 计算已用时间（不含暂停）
+   * @param {Object} session - 考试会话
+   * @param {number} now - 当前时间戳
+   * @returns {number} 已用时间（毫秒）
+   */
+  static getElapsed(session, now = Date.now()) {
+    const end = session.endedAt ?? now;
+    return Math.max(0, end - session.startedAt - this.getPausedTime(session, end));
+  }
+
+  /**
+   * 计算剩余时间
+   * @param {Object} session - 考试会话
+   * @param {number} now - 当前时间戳
+   * @returns {number} 剩余时间（毫秒）
+   */
+  static getRemaining(session, now = Date.now()) {
+    return Math.max(0, session.durationMs - this.getElapsed(session, now));
+  }
+
+  /**
+   * 暂停考试
+   * @param {Object} session - 考试会话
+   * @param {number} now - 当前时间戳
+   * @returns {Object} 新的考试会话
+   */
+  static pause(session, now = Date.now()) {
+    if (session.status !== 'running') return session;
+    return {
+      ...session,
+      status: 'paused',
+      pauses: [...session.pauses, { start: now, end: null }]
+    };
+  }
+
+  /**
+   * 继续考试
+   * @param {Object} session - 考试会话
+   * @param {number} now - 当前时间戳
+   * @returns {Object} 新的考试会话
+   */
+  static resume(session, now = Date.now()) {
+    if (session.status !== 'paused') return session;
+    return {
+      ...session,
+      status: 'running',
+      pauses: session.pauses.map(pause => (pause.end === null ? { ...pause, end: now } : pause))
+    };
+  }
+
+  /**
+   * 结束考试
+   * 时间耗尽时结束时间取截止时刻，而非检测到的时刻（如页面刷新后才检测到）
+   * @param {Object} session - 考试会话
+   * @param {string} reason - 结束原因：completed | timeUp | abandoned
+   * @param {number} now - 当前时间戳
+   * @returns {Object} 新的考试会话
+   */
+  static finish(session, reason = 'completed', now = Date.now()) {
+    if (session.status === 'finished') return session;
+
+    const resumed = this.resume(session, now);
+    const endedAt = reason === 'timeUp'
+      ? now - Math.max(0, this.getElapsed(resumed, now) - resumed.durationMs)
+      : now;
+
+    return {
+      ...resumed,
+      status: 'finished',
+      endedAt,
+      finishReason: reason
+    };
+  }
+
+  /**
+   * 获取已到达但尚未提醒的阈值
+   * @param {Object} session - 考试会话
+   * @param {number} now - 当前时间戳
+   * @returns {Array<number>} 需要提醒的阈值（分钟）
+   */
+  static getDueWarnings(session, now = Date.now()) {
+    if (session.status !== 'running') return [];
+
+    const remaining = this.getRemaining(session, now);
+    return session.warnings.filter(minutes =>
+      !session.firedWarnings.includes(minutes) && remaining <= minutes * 60 * 1000
+    );
+  }
+
+  /**
+   * 判断时间是否已用完
+   * @param {Object} session - 考试会话
+   * @param {number} now - 当前时间戳
+   * @returns {boolean} 是否超时
+   */
+  static isTimeUp(session, now = Date.now()) {
+    return session.status === 'running' && this.getRemaining(session, now) <= 0;
+  }
+
+  /**
+   * 判断文档是否被考试锁定
+   * @param {Object|null} session - 考试会话
+   * @param {string} documentType - 文档类型
+   * @returns {boolean} 是否锁定
+   */
+  static isDocumentLocked(session, documentType) {
+    return Boolean(
+      session &&
+      session.lockMarkScheme &&
+      session.status !== 'finished' &&
+      this.LOCKED_DOCUMENT_TYPES.includes(documentType)
+    );
+  }
+
+  /**
+   * 格式化倒计时，如 1:05:09 或 25:00
+   * @param {number} milliseconds - 毫秒数
+   * @returns {string} 倒计时文本
+   */
+  static formatCountdown(milliseconds) {
+    const totalSeconds = Math.ceil(Math.max(0, milliseconds) / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+  }
+
+  /**
+   * 将会话转换为考试记录，写入用户历史
+   * @param {Object} session - 已结束的考试会话
+   * @returns {Object} 考试记录
+   */
+  static toAttempt(session) {
+    const toIso = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+    return {
+      id: session.id,
+      username: session.username,
+      paperId: session.paper.id,
+      title: session.paper.title,
+      topicId: session.topic?.id || session.paper.topicId || null,
+      subjectKey: session.subjectKey,
+      startedAt: toIso(session.startedAt),
+      endedAt: toIso(session.endedAt),
+      durationMs: session.durationMs,
+      elapsedMs: this.getElapsed(session),
+      pauses: session.pauses.map(pause => ({ start: toIso(pause.start), end: toIso(pause.end) })),
+      finishReason: session.finishReason
+    };
+  }
+
+  /**
+   * 保存进行中的考试会话
+   * @param {Object} session - 考试会话
+   */
+  static saveSession(session) {
+    safeLocalStorage.set(this.STORAGE_KEY, session);
+  }
+
+  /**
+   * 读取进行中的考试会话
+   * @param {string} [username] - 仅返回该用户的会话
+   * @returns {Object|null} 考试会话
+   */
+  static loadSession(username) {
+    const session = safeLocalStorage.get(this.STORAGE_KEY, null);
+    if (!session || !session.paper || session.status === 'finished') return null;
+    if (username && session.username && session.username !== username) return null;
+    return session;
+  }
+
+  /**
+   * 清除进行中的考试会话
+   */
+  static clearSession() {
+    safeLocalStorage.remove(this.STORAGE_KEY);
+  }
+}
+
+export default ExamUtils;
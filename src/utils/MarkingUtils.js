@@ -0,0 +1,143 @@
+/**
+ * 自评分工具类
+ * 按题目汇总得分、计算百分比，并根据当季分数线估算等级
+ */
+
+class MarkingUtils {
+  // 未达到任何分数线时的等级
+  static UNGRADED = 'U';
+
+  /**
+   * 整理题目列表
+   * 兼容后端返回的 { number, maxMarks } 或 { label, marks } 写法
+   * @param {Array} questions - 题目列表
+   * @returns {Array} [{ id, label, maxMarks }]
+   */
+  static normalizeQuestions(questions = []) {
+    return questions
+      .map((question, index) => {
+        const label = String(question.number ?? question.label ?? index + 1);
+        return {
+          id: String(question.id ?? label),
+          label,
+          maxMarks: Number(question.maxMarks ?? question.marks) || 0
+        };
+      })
+      .filter(question => question.maxMarks > 0);
+  }
+
+  /**
+   * 将单题得分限制在 0 ~ 满分 之间
+   * @param {number|string} value - 输入的得分
+   * @param {number} maxMarks - 该题满分
+   * @returns {number|null} 得分，空输入返回null
+   */
+  static clampMark(value, maxMarks) {
+    if (value === '' || value === null || value === undefined) return null;
+    const mark = Number(value);
+    if (!Number.isFinite(mark)) return null;
+    return Math.min(Math.max(0, mark), maxMarks);
+  }
+
+  /**
+   * 计算卷面满分
+   * @param {Array} questions - 题目列表
+   * @returns {number} 满分
+   */
+  static getMaxTotal(questions) {
+    return questions.reduce((sum, question) => sum + question.maxMarks, 0);
+  }
+
+  /**
+   * 计算总得分
+   * @param {Array} questions - 题目列表
+   * @param {Object} marks - 各题得分 { [questionId]: number }
+   * @returns {number} 总分
+   */
+  static getTotal(questions, marks = {}) {
+    return questions.reduce(
+      (sum, question) => sum + (this.clampMark(marks[question.id], question.maxMarks) || 0),
+      0
+    );
+  }
+
+  /**
+   * 计算得分百分比（保留一位小数）
+   * @param {number} total - 总分
+   * @param {number} maxTotal - 满分
+   * @returns {number} 百分比
+   */
+  static getPercentage(total, maxTotal) {
+    if (!maxTotal) return 0;
+    return Math.round((total / maxTotal) * 1000) / 10;
+  }
+
+  /**
+   * 整理分数线
+   * 兼容数组 [{ grade, minMark }] 和对象 { 'A*': 60, A: 52 } 两种写法，按分数从高到低排序
+   * @param {Array|Object} thresholds - 分数线
+   * @returns {Array} [{ grade, minMark }]
+   */
+  static normalizeThresholds(thresholds) {
+    if (!thresholds) return [];
+
+    const list = Array.isArray(thresholds)
+      ? thresholds
+      : Object.entries(thresholds).map(([grade, minMark]) => ({ grade, minMark }));
+
+    return list
+      .map(item => ({ grade: String(item.grade), minMark: Number(item.minMark ?? item.mark) }))
+      .filter(item => item.grade && Number.isFinite(item.minMark))
+      .sort((a, b) => b.minMark - a.minMark);
+  }
+
+  /**
+   * 根据分数线估算等级
+   * 分数线满分与卷面满分不同时按比例换算
+   * @param {number} total - 总分
+   * @param {Array} thresholds - 整理后的分数线
+   * @param {Object} [scale] - 换算参数 { maxTotal, thresholdMax }
+   * @returns {string|null} 等级，无分数线时返回null
+   */
+  static estimateGrade(total, thresholds, scale = {}) {
+    if (!thresholds || thresholds.length === 0) return null;
+
+    const { maxTotal, thresholdMax } = scale;
+    const scaled = maxTotal && thresholdMax && maxTotal !== thresholdMax
+      ? (total / maxTotal) * thresholdMax
+      : total;
+
+    const match = thresholds.find(threshold => scaled >= threshold.minMark);
+    return match ? match.grade : this.UNGRADED;
+  }
+
+  /**
+   * 生成评分结果
+   * @param {Array} questions - 题目列表
+   * @param {Object} marks - 各题得分
+   * @param {Object} [gradeInfo] - 分数线信息 { thresholds, maxMarks }
+   * @returns {Object} { marks, total, maxTotal, percentage, grade }
+   */
+  static buildScore(questions, marks, gradeInfo = {}) {
+    const total = this.getTotal(questions, marks);
+    const maxTotal = this.getMaxTotal(questions);
+    const cleanMarks = Object.fromEntries(
+      questions
+        .map(question => [question.id, this.clampMark(marks[question.id], question.maxMarks)])
+        .filter(([, mark]) => mark !== null)
+    );
+
+    return {
+      marks: cleanMarks,
+      total,
+      maxTotal,
+      percentage: this.getPercentage(total, maxTotal),
+      grade: this.estimateGrade(total, this.normalizeThresholds(gradeInfo.thresholds), {
+        maxTotal,
+        thresholdMax: gradeInfo.maxMarks
+      })
+    };
+  }
+}
+
+export default MarkingUtils;
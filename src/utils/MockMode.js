@@ -0,0 +1,99 @@
+/**
+ * 本地模拟后端开关与场景
+ * 启用后所有接口由浏览器内的模拟后端（src/main/mockBackend.js）处理，无需启动服务器
+ *
+ * - REACT_APP_MOCK_API=true 时始终启用，REACT_APP_MOCK_SCENARIO 设置默认场景
+ * - 开发环境（npm start）可在页面角落的开关中启用或切换场景，设置保存在 localStorage 的 mockApi 中
+ * - 正式构建中只能通过环境变量启用
+ * - 打开或关闭需刷新页面生效，切换场景立即生效
+ */
+import { safeLocalStorage } from './storageUtils.js';
+import QueryCache from './QueryCache.js';
+import OfflineStore from './OfflineStore.js';
+
+// localStorage 中的开发开关 { enabled, scenario, since }
+const STORAGE_KEY = 'mockApi';
+
+class MockMode {
+  /**
+   * 场景预设（行为见 mockBackend.js 中的 SCENARIOS）
+   */
+  static SCENARIOS = {
+    normal: 'Normal',
+    slow: 'Slow network',
+    serverError: 'Server errors (500)',
+    expiredToken: 'Expired sessions',
+    emptyCatalogue: 'Empty catalogue'
+  };
+
+  static DEFAULT_SCENARIO = process.env.REACT_APP_MOCK_SCENARIO in MockMode.SCENARIOS
+    ? process.env.REACT_APP_MOCK_SCENARIO
+    : 'normal';
+
+  /**
+   * 是否可以在页面中切换（开发环境）
+   * @returns {boolean} 是否显示开关
+   */
+  static isToggleAvailable() {
+    return process.env.NODE_ENV === 'development';
+  }
+
+  /**
+   * 是否由环境变量启用
+   * @returns {boolean} 是否启用
+   */
+  static isForced() {
+    return process.env.REACT_APP_MOCK_API === 'true';
+  }
+
+  /**
+   * 是否使用模拟后端
+   * @returns {boolean} 是否启用
+   */
+  static isEnabled() {
+    return this.isForced() || (this.isToggleAvailable() && Boolean(safeLocalStorage.get(STORAGE_KEY)?.enabled));
+  }
+
+  /**
+   * 打开或关闭开发开关（刷新页面后生效）
+   * @param {boolean} enabled - 是否启用
+   */
+  static setEnabled(enabled) {
+    safeLocalStorage.set(STORAGE_KEY, { ...safeLocalStorage.get(STORAGE_KEY, {}), enabled });
+    // 两种后端的数据不同，缓存的接口数据和离线试卷不再可用
+    QueryCache.clear();
+    OfflineStore.clear();
+  }
+
+  /**
+   * 当前场景
+   * @returns {string} 场景名称，见 SCENARIOS
+   */
+  static getScenario() {
+    const scenario = safeLocalStorage.get(STORAGE_KEY)?.scenario;
+    return scenario in this.SCENARIOS ? scenario : this.DEFAULT_SCENARIO;
+  }
+
+  /**
+   * 场景开始的时间（用于只执行一次的场景，如让已签发的令牌全部失效）
+   * @returns {number} 时间戳，未切换过场景时为0
+   */
+  static getScenarioSince() {
+    return safeLocalStorage.get(STORAGE_KEY)?.since || 0;
+  }
+
+  /**
+   * 切换场景（立即生效）
+   * @param {string} scenario - 场景名称，见 SCENARIOS
+   */
+  static setScenario(scenario) {
+    if (!(scenario in this.SCENARIOS)) {
+      throw new Error(`未知的模拟场景：${scenario}`);
+    }
+    safeLocalStorage.set(STORAGE_KEY, { ...safeLocalStorage.get(STORAGE_KEY, {}), scenario, since: Date.now() });
+    // 场景会改变返回的数据（如空目录），清空缓存使其立即生效
+    QueryCache.clear();
+  }
+}
+
+export default MockMode;
@@ -0,0 +1,292 @@
+/**
+ * 离线试卷包（在火车上、考场等没有网络的地方复习）
+ * 用户把课程或单份试卷设为"离线可用"后，试卷详情、评分信息和全部PDF保存在 Cache Storage 中
+ *
+ * - 文件（试卷、评分标准等PDF）保存在 FILE_CACHE，以文件地址为键；service worker 离线时也从这里返回文件
+ * - 试卷记录保存在 RECORD_CACHE，键为 /offline/papers/:id，内容为 JSON：
+ *   { paperId, topic: { id, name }, paper, marking, files: Array<{ type, url, size }>, savedAt }
+ * - 多份试卷可能共用同一文件，删除试卷时只删除不再被引用的文件
+ * - 读取试卷记录是同步的，启动时 init() 把全部记录读入内存
+ */
+
+// 缓存名称（与 public/service-worker.js 中的 OFFLINE_FILE_CACHE 一致）
+const FILE_CACHE = 'timeday-offline-files';
+const RECORD_CACHE = 'timeday-offline-papers';
+
+// 试卷记录的缓存键前缀
+const RECORD_PATH = '/offline/papers/';
+
+// 内存中的试卷记录：试卷ID -> 记录
+let records = new Map();
+
+let initPromise = null;
+
+// 正在保存的文件地址（记录写入前不会被删除）：地址 -> 保存中的次数
+const savingUrls = new Map();
+
+// 记录变化的监听器
+const listeners = new Set();
+
+/**
+ * 通知监听器记录已变化
+ */
+const notify = () => {
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * 缓存键使用绝对地址，与 service worker 收到的请求地址一致
+ * @param {string} url - 文件地址
+ * @returns {string} 绝对地址
+ */
+const toCacheKey = (url) => new URL(url, window.location.href).href;
+
+/**
+ * 试卷记录的缓存键
+ * @param {string} paperId - 试卷ID
+ * @returns {string} 缓存键
+ */
+const recordKey = (paperId) => toCacheKey(`${RECORD_PATH}${encodeURIComponent(paperId)}`);
+
+/**
+ * 仍被试卷记录引用的文件地址
+ * @returns {Set<string>} 文件地址
+ */
+const referencedUrls = () => new Set(
+  Array.from(records.values()).flatMap(record => record.files.map(file => file.url))
+);
+
+/**
+ * 查找离线保存的文件（只查找仍被试卷记录引用的文件）
+ * @param {string} url - 文件地址
+ * @returns {Promise<Response|null>} 缓存的响应，未保存或读取失败时返回null
+ */
+const matchFile = async (url) => {
+  if (typeof caches === 'undefined' || !url || !referencedUrls().has(url)) return null;
+  try {
+    return (await (await caches.open(FILE_CACHE)).match(toCacheKey(url))) || null;
+  } catch (error) {
+    console.error('读取离线文件失败:', error);
+    return null;
+  }
+};
+
+/**
+ * 删除试卷记录，并删除不再被引用的文件
+ * @param {Array<string>} paperIds - 试卷ID
+ * @returns {Promise<number>} 删除的试卷数
+ */
+const removeRecords = async (paperIds) => {
+  const removed = paperIds.map(id => records.get(id)).filter(Boolean);
+  if (removed.length === 0) return 0;
+
+  removed.forEach(record => records.delete(record.paperId));
+  notify();
+
+  const stillUsed = referencedUrls();
+  const unusedUrls = new Set(removed
+    .flatMap(record => record.files.map(file => file.url))
+    .filter(url => !stillUsed.has(url) && !savingUrls.has(url)));
+
+  const [recordCache, fileCache] = await Promise.all([caches.open(RECORD_CACHE), caches.open(FILE_CACHE)]);
+  await Promise.all([
+    ...removed.map(record => recordCache.delete(recordKey(record.paperId))),
+    ...Array.from(unusedUrls).map(url => fileCache.delete(toCacheKey(url)))
+  ]);
+  return removed.length;
+};
+
+class OfflineStore {
+  /**
+   * 浏览器是否支持离线保存（需要 Cache Storage，仅在 HTTPS 或 localhost 下可用）
+   * @returns {boolean} 是否支持
+   */
+  static isSupported() {
+    return typeof caches !== 'undefined';
+  }
+
+  /**
+   * 启动时读取已保存的试卷记录（只执行一次；读取失败时从空记录开始）
+   * @returns {Promise<void>}
+   */
+  static init() {
+    if (!initPromise) {
+      initPromise = (this.isSupported() ? caches.open(RECORD_CACHE) : Promise.resolve(null))
+        .then(async cache => {
+          if (!cache) return;
+          const requests = await cache.keys();
+          const saved = await Promise.all(requests.map(request => cache.match(request).then(response => response?.json())));
+          // 读取期间新保存的记录优先
+          records = new Map([...saved.filter(Boolean).map(record => [record.paperId, record]), ...records]);
+          notify();
+        })
+        .catch(error => console.error('加载离线试卷失败:', error));
+    }
+    return initPromise;
+  }
+
+  /**
+   * 试卷是否已离线可用
+   * @param {string} paperId - 试卷ID
+   * @returns {boolean} 是否已保存
+   */
+  static isPaperOffline(paperId) {
+    return records.has(paperId);
+  }
+
+  /**
+   * 已离线保存的试卷ID
+   * @returns {Set<string>} 试卷ID
+   */
+  static getPaperIds() {
+    return new Set(records.keys());
+  }
+
+  /**
+   * 获取试卷记录
+   * @param {string} paperId - 试卷ID
+   * @returns {Object|null} 试卷记录
+   */
+  static getPaperRecord(paperId) {
+    return records.get(paperId) || null;
+  }
+
+  /**
+   * 课程中已离线保存的试卷
+   * @param {string} topicId - 课程代码
+   * @returns {Array<Object>} 试卷（格式同 getPapers 返回的试卷）
+   */
+  static getTopicPapers(topicId) {
+    return Array.from(records.values())
+      .filter(record => record.topic.id === topicId)
+      .map(record => record.paper);
+  }
+
+  /**
+   * 各课程占用的空间，共用的文件在同一课程中只计算一次
+   * @returns {Array<Object>} [{ topic, papers, bytes, savedAt }]，按课程代码排序
+   */
+  static getUsageByTopic() {
+    const topics = new Map();
+    records.forEach(record => {
+      const usage = topics.get(record.topic.id) || { topic: record.topic, papers: 0, files: new Map(), savedAt: record.savedAt };
+      usage.papers++;
+      record.files.forEach(file => usage.files.set(file.url, file.size));
+      if (record.savedAt > usage.savedAt) usage.savedAt = record.savedAt;
+      topics.set(record.topic.id, usage);
+    });
+
+    return Array.from(topics.values())
+      .map(({ files, ...usage }) => ({ ...usage, bytes: Array.from(files.values()).reduce((sum, size) => sum + size, 0) }))
+      .sort((a, b) => a.topic.id.localeCompare(b.topic.id));
+  }
+
+  /**
+   * 读取离线保存的文件
+   * @param {string} url - 文件地址
+   * @returns {Promise<Blob|null>} 文件，未保存时返回null
+   */
+  static async getFile(url) {
+    const response = await matchFile(url);
+    return response ? response.blob() : null;
+  }
+
+  /**
+   * 读取离线保存的文件内容（供 pdf.js 直接加载）
+   * @param {string} url - 文件地址
+   * @returns {Promise<Uint8Array|null>} 文件内容，未保存时返回null
+   */
+  static async getFileData(url) {
+    const response = await matchFile(url);
+    return response ? new Uint8Array(await response.arrayBuffer()) : null;
+  }
+
+  /**
+   * 保存试卷（先保存文件，再保存记录，保存中断时不会留下缺少文件的记录）
+   * @param {Object} paper - 试卷
+   * @param {Object} paper.topic - 所属课程 { id, name }
+   * @param {Object} paper.paper - 试卷详情
+   * @param {Object|null} paper.marking - 评分信息
+   * @param {Array<Object>} paper.files - [{ type, url, data: Blob }]
+   * @returns {Promise<Object>} 试卷记录
+   */
+  static async savePaper({ topic, paper, marking, files }) {
+    const urls = files.map(file => file.url);
+    urls.forEach(url => savingUrls.set(url, (savingUrls.get(url) || 0) + 1));
+
+    try {
+      const fileCache = await caches.open(FILE_CACHE);
+      await Promise.all(files.map(file => fileCache.put(
+        toCacheKey(file.url),
+        new Response(file.data, { headers: { 'Content-Type': 'application/pdf' } })
+      )));
+
+      const record = {
+        paperId: paper.id,
+        topic: { id: topic.id, name: topic.name },
+        paper,
+        marking,
+        files: files.map(file => ({ type: file.type, url: file.url, size: file.data.size ?? file.data.byteLength ?? 0 })),
+        savedAt: new Date().toISOString()
+      };
+      await (await caches.open(RECORD_CACHE)).put(
+        recordKey(paper.id),
+        new Response(JSON.stringify(record), { headers: { 'Content-Type': 'application/json' } })
+      );
+
+      records.set(record.paperId, record);
+      notify();
+      return record;
+    } finally {
+      urls.forEach(url => {
+        const count = savingUrls.get(url) - 1;
+        if (count > 0) {
+          savingUrls.set(url, count);
+        } else {
+          savingUrls.delete(url);
+        }
+      });
+    }
+  }
+
+  /**
+   * 删除离线保存的试卷
+   * @param {string} paperId - 试卷ID
+   * @returns {Promise<number>} 删除的试卷数
+   */
+  static removePaper(paperId) {
+    return removeRecords([paperId]);
+  }
+
+  /**
+   * 删除课程的全部离线试卷
+   * @param {string} topicId - 课程代码
+   * @returns {Promise<number>} 删除的试卷数
+   */
+  static removeTopic(topicId) {
+    return removeRecords(Array.from(records.values()).filter(record => record.topic.id === topicId).map(record => record.paperId));
+  }
+
+  /**
+   * 删除全部离线试卷
+   * @returns {Promise<void>}
+   */
+  static async clear() {
+    records = new Map();
+    notify();
+    if (!this.isSupported()) return;
+    await Promise.all([caches.delete(FILE_CACHE), caches.delete(RECORD_CACHE)]);
+  }
+
+  /**
+   * 监听试卷记录变化
+   * @param {Function} listener - 变化时调用
+   * @returns {Function} 取消监听
+   */
+  static subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+}
+
+export default OfflineStore;
@@ -0,0 +1,239 @@
+/**
+ * 第三方登录（OIDC）工具类
+ * 授权码模式 + PKCE：浏览器只负责跳转到提供方并带回授权码，换取令牌由后端完成（客户端密钥不进入前端）
+ * 跳转前的 state、nonce、code_verifier 保存在 sessionStorage 中，回调时校验并取出
+ *
+ * 提供方配置：
+ * - 内置 Google、Microsoft、微信（扫码登录），填写对应的 REACT_APP_OIDC_*_CLIENT_ID 后启用
+ * - REACT_APP_OIDC_PROVIDERS 可追加或覆盖提供方（JSON数组，字段同 PROVIDERS）
+ * - 使用本地模拟后端时（见 MockMode）所有提供方指向本地模拟OIDC服务器
+ */
+import RouteUtils from './RouteUtils.js';
+import WebAuthnUtils from './WebAuthnUtils.js';
+import MockMode from './MockMode.js';
+
+// sessionStorage 中保存待完成授权请求的键
+const PENDING_KEY = 'oidcPendingRequests';
+
+class OidcUtils {
+  // 授权请求有效期（毫秒），超时后回调视为失效
+  static REQUEST_TTL = 10 * 60 * 1000;
+
+  // 本地模拟OIDC服务器使用的客户端ID
+  static MOCK_CLIENT_ID = 'timeday-mock';
+
+  /**
+   * 内置提供方
+   * - clientIdParam：客户端ID的参数名（微信为 appid）
+   * - pkce / nonce：提供方是否支持（微信扫码登录两者都不支持，只校验 state）
+   * - fragment：授权地址末尾的锚点（微信要求 #wechat_redirect）
+   * - signup：是否可用于注册新账号（提供方不返回邮箱时只能登录已关联的账号）
+   * - qr：提供方页面为扫码授权（用手机App扫码后跳转回来）
+   */
+  static PROVIDERS = {
+    google: {
+      id: 'google',
+      name: 'Google',
+      icon: 'G',
+      authorizationEndpoint: 'https://accounts.google.com/o/oauth2/v2/auth',
+      clientId: process.env.REACT_APP_OIDC_GOOGLE_CLIENT_ID,
+      scope: 'openid email profile',
+      pkce: true,
+      nonce: true,
+      signup: true
+    },
+    microsoft: {
+      id: 'microsoft',
+      name: 'Microsoft',
+      icon: '⊞',
+      authorizationEndpoint: `https://login.microsoftonline.com/${process.env.REACT_APP_OIDC_MICROSOFT_TENANT || 'common'}/oauth2/v2.0/authorize`,
+      clientId: process.env.REACT_APP_OIDC_MICROSOFT_CLIENT_ID,
+      scope: 'openid email profile',
+      pkce: true,
+      nonce: true,
+      signup: true
+    },
+    wechat: {
+      id: 'wechat',
+      name: 'WeChat',
+      icon: '💬',
+      authorizationEndpoint: 'https://open.weixin.qq.com/connect/qrconnect',
+      clientId: process.env.REACT_APP_OIDC_WECHAT_APP_ID,
+      clientIdParam: 'appid',
+      scope: 'snsapi_login',
+      pkce: false,
+      nonce: false,
+      fragment: 'wechat_redirect',
+      signup: false,
+      qr: true
+    }
+  };
+
+  /**
+   * 是否使用本地模拟OIDC服务器
+   * @returns {boolean} 是否为模拟模式
+   */
+  static isMock() {
+    return MockMode.isEnabled();
+  }
+
+  /**
+   * 获取已启用的提供方（已配置客户端ID）
+   * @returns {Array<Object>} 提供方列表
+   */
+  static getProviders() {
+    let custom = [];
+    try {
+      custom = JSON.parse(process.env.REACT_APP_OIDC_PROVIDERS || '[]');
+    } catch (error) {
+      console.error('Invalid REACT_APP_OIDC_PROVIDERS:', error);
+    }
+
+    const providers = { ...this.PROVIDERS };
+    custom.forEach(provider => {
+      providers[provider.id] = { pkce: true, nonce: true, signup: true, scope: 'openid email profile', ...providers[provider.id], ...provider };
+    });
+
+    const list = Object.values(providers);
+    if (this.isMock()) {
+      return list.map(provider => ({
+        ...provider,
+        clientId: this.MOCK_CLIENT_ID,
+        authorizationEndpoint: `${window.location.origin}${RouteUtils.toHref(RouteUtils.ROUTES.mockOidcAuthorize)}?provider=${provider.id}`
+      }));
+    }
+    return list.filter(provider => provider.clientId && provider.authorizationEndpoint);
+  }
+
+  /**
+   * 查找已启用的提供方
+   * @param {string} providerId - 提供方ID
+   * @returns {Object|null} 提供方
+   */
+  static getProvider(providerId) {
+    return this.getProviders().find(provider => provider.id === providerId) || null;
+  }
+
+  /**
+   * 回调地址（需在各提供方的控制台中登记）
+   * @returns {string} 完整地址
+   */
+  static getRedirectUri() {
+    return `${window.location.origin}${RouteUtils.toHref(RouteUtils.ROUTES.oidcCallback)}`;
+  }
+
+  /**
+   * 生成随机字符串
+   * @param {number} bytes - 字节数
+   * @returns {string} base64url字符串
+   */
+  static randomString(bytes = 32) {
+    return WebAuthnUtils.toBase64Url(crypto.getRandomValues(new Uint8Array(bytes)));
+  }
+
+  /**
+   * 计算PKCE挑战（S256）
+   * @param {string} codeVerifier - 验证码
+   * @returns {Promise<string>} base64url(SHA-256(codeVerifier))
+   */
+  static async createCodeChallenge(codeVerifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+    return WebAuthnUtils.toBase64Url(digest);
+  }
+
+  /**
+   * 读取待完成的授权请求（同时丢弃已过期的请求）
+   * @returns {Object} state -> 请求
+   */
+  static loadPendingRequests() {
+    try {
+      const requests = JSON.parse(sessionStorage.getItem(PENDING_KEY) || '{}');
+      return Object.fromEntries(Object.entries(requests).filter(([, request]) => request.createdAt + this.REQUEST_TTL > Date.now()));
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * 保存待完成的授权请求
+   * @param {Object} requests - state -> 请求
+   */
+  static savePendingRequests(requests) {
+    try {
+      sessionStorage.setItem(PENDING_KEY, JSON.stringify(requests));
+    } catch (error) {
+      console.error('Failed to save OIDC request:', error);
+    }
+  }
+
+  /**
+   * 生成授权地址，并保存回调时需要的参数
+   * @param {Object} provider - 提供方（getProvider 的结果）
+   * @param {Object} [options]
+   * @param {string} [options.mode='login'] - 'login' 登录或注册 | 'link' 关联到当前账号
+   * @param {string|null} [options.username=null] - 关联时的当前账号
+   * @param {string|null} [options.returnTo=null] - 完成后返回的站内路径
+   * @returns {Promise<string>} 授权地址
+   */
+  static async createAuthorizationUrl(provider, { mode = 'login', username = null, returnTo = null } = {}) {
+    const state = this.randomString();
+    const nonce = provider.nonce ? this.randomString() : null;
+    const codeVerifier = provider.pkce ? this.randomString(48) : null;
+    const redirectUri = this.getRedirectUri();
+
+    const url = new URL(provider.authorizationEndpoint);
+    url.searchParams.set(provider.clientIdParam || 'client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('scope', provider.scope);
+    url.searchParams.set('state', state);
+    if (nonce) {
+      url.searchParams.set('nonce', nonce);
+    }
+    if (codeVerifier) {
+      url.searchParams.set('code_challenge', await this.createCodeChallenge(codeVerifier));
+      url.searchParams.set('code_challenge_method', 'S256');
+    }
+    if (provider.fragment) {
+      url.hash = provider.fragment;
+    }
+
+    this.savePendingRequests({
+      ...this.loadPendingRequests(),
+      [state]: { provider: provider.id, mode, username, returnTo, nonce, codeVerifier, redirectUri, createdAt: Date.now() }
+    });
+
+    return url.toString();
+  }
+
+  /**
+   * 取出与 state 对应的授权请求（只能取出一次）
+   * @param {string} state - 回调中的 state
+   * @returns {Object|null} 请求，不存在或已过期时为null
+   */
+  static takePendingRequest(state) {
+    const requests = this.loadPendingRequests();
+    const request = state ? requests[state] : null;
+    if (request) {
+      delete requests[state];
+    }
+    this.savePendingRequests(requests);
+    return request || null;
+  }
+
+  /**
+   * 解析回调地址中的参数
+   * @param {string} search - 查询字符串
+   * @returns {Object} { code, state, error }
+   */
+  static parseCallback(search) {
+    const params = new URLSearchParams(search);
+    return {
+      code: params.get('code'),
+      state: params.get('state'),
+      error: params.get('error')
+    };
+  }
+}
+
+export default OidcUtils;
@@ -0,0 +1,394 @@
+/**
+ * 试卷工具类
+ * 处理Cambridge风格的试卷编号、考试季和筛选项
+ * 试卷ID格式: {syllabus}_{session}{yy}_{type}_{component}，例如 9702_s23_qp_42
+ */
+
+class PaperUtils {
+  // 考试季代码 -> 显示信息（m=Feb/March, s=May/June, w=Oct/Nov）
+  static SESSIONS = {
+    m: { label: 'Feb/March', short: 'F/M', order: 1 },
+    s: { label: 'May/June', short: 'M/J', order: 2 },
+    w: { label: 'Oct/Nov', short: 'O/N', order: 3 }
+  };
+
+  // 文件类型代码 -> 显示名称
+  static FILE_TYPES = {
+    qp: 'Question Paper',
+    ms: 'Mark Scheme',
+    er: 'Examiner Report',
+    in: 'Insert',
+    gt: 'Grade Thresholds'
+  };
+
+  // 搜索时可识别的考试季写法
+  static SESSION_ALIASES = {
+    m: ['f/m', 'fm', 'feb', 'february', 'mar', 'march', 'feb/mar', 'feb/march', 'spring'],
+    s: ['m/j', 'mj', 'may', 'jun', 'june', 'may/june', 'may/jun', 'summer'],
+    w: ['o/n', 'oct', 'october', 'nov', 'november', 'oct/nov', 'winter']
+  };
+
+  // 试卷ID正则
+  static PAPER_ID_PATTERN = /^([0-9A-Z]{4})_([msw])(\d{2})_([a-z]{2})(?:_(\d)(\d)?)?$/i;
+
+  // 搜索用的宽松试卷ID正则，允许省略类型和组件，如 9709_s23
+  static LOOSE_PAPER_ID_PATTERN = /^([0-9a-z]{4})_([msw])(\d{2})(?:_([a-z]{2}))?(?:_(\d)(\d)?)?$/i;
+
+  // Cambridge组件编号正则，如 9702/42/M/J/23
+  static COMPONENT_CODE_PATTERN = /^([0-9a-z]{4})\/(\d)(\d)?\/([a-z]\/[a-z])\/(\d{2})$/i;
+
+  /**
+   * 解析试卷ID
+   * @param {string} paperId - 试卷ID，如 9702_s23_qp_42
+   * @returns {Object|null} { topicId, session, year, type, paperNumber, variant } 或null
+   */
+  static parsePaperId(paperId) {
+    if (!paperId || typeof paperId !== 'string') {
+      return null;
+    }
+
+    const match = paperId.trim().match(this.PAPER_ID_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    const [, topicId, session, yy, type, paperNumber, variant] = match;
+    return {
+      topicId: topicId.toUpperCase(),
+      session: session.toLowerCase(),
+      year: `20${yy}`,
+      type: type.toLowerCase(),
+      paperNumber: paperNumber ? Number(paperNumber) : null,
+      variant: variant ? Number(variant) : null
+    };
+  }
+
+  /**
+   * 生成试卷ID
+   * @param {Object} parts - { topicId, session, year, type, paperNumber, variant }
+   * @returns {string} 试卷ID
+   */
+  static buildPaperId({ topicId, session, year, type = 'qp', paperNumber, variant }) {
+    const yy = String(year).slice(-2);
+    const component = paperNumber ? `_${paperNumber}${variant || ''}` : '';
+    return `${topicId}_${session}${yy}_${type}${component}`;
+  }
+
+  /**
+   * 将考试季写法转换为考试季代码
+   * @param {string} token - 如 may/june、O/N、winter
+   * @returns {string|null} m | s | w 或null
+   */
+  static resolveSession(token) {
+    const normalized = String(token || '').toLowerCase();
+    const entry = Object.entries(this.SESSION_ALIASES)
+      .find(([, aliases]) => aliases.includes(normalized));
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * 解析搜索关键词
+   * 支持试卷ID（9709_s23_qp_12）、组件编号（9702/42/M/J/23）
+   * 以及自然写法（9702 2022 Oct/Nov paper 4），其余部分作为自由文本
+   * @param {string} query - 搜索关键词
+   * @returns {Object} { topicId, year, session, type, paperNumber, variant, text }
+   */
+  static parseSearchQuery(query) {
+    const parsed = {
+      topicId: null,
+      year: null,
+      session: null,
+      type: null,
+      paperNumber: null,
+      variant: null,
+      text: ''
+    };
+
+    const trimmed = String(query || '').trim();
+    if (!trimmed) {
+      return parsed;
+    }
+
+    // 1. 试卷ID写法
+    const idMatch = trimmed.match(this.LOOSE_PAPER_ID_PATTERN);
+    if (idMatch) {
+      const [, topicId, session, yy, type, paperNumber, variant] = idMatch;
+      return {
+        ...parsed,
+        topicId: topicId.toUpperCase(),
+        session: session.toLowerCase(),
+        year: `20${yy}`,
+        type: type ? type.toLowerCase() : null,
+        paperNumber: paperNumber ? Number(paperNumber) : null,
+        variant: variant ? Number(variant) : null
+      };
+    }
+
+    // 2. 组件编号写法
+    const codeMatch = trimmed.match(this.COMPONENT_CODE_PATTERN);
+    if (codeMatch) {
+      const [, topicId, paperNumber, variant, session, yy] = codeMatch;
+      return {
+        ...parsed,
+        topicId: topicId.toUpperCase(),
+        session: this.resolveSession(session),
+        year: `20${yy}`,
+        paperNumber: Number(paperNumber),
+        variant: variant ? Number(variant) : null
+      };
+    }
+
+    // 3. 自然写法，逐词识别
+    const tokens = trimmed.toLowerCase().split(/[\s,]+/).filter(Boolean);
+    const textTokens = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const next = tokens[i + 1];
+
+      // paper 4 / paper 42 / p4（第二位数字为变体）
+      const paperDigits = token === 'paper' && /^\d{1,2}$/.test(next || '')
+        ? next
+        : (token.match(/^p(\d{1,2})$/) || [])[1];
+      if (paperDigits) {
+        parsed.paperNumber = Number(paperDigits[0]);
+        if (paperDigits.length > 1) parsed.variant = Number(paperDigits[1]);
+        if (token === 'paper') i++;
+        continue;
+      }
+
+      // variant 2 / v2
+      const variantDigit = token === 'variant' && /^\d$/.test(next || '')
+        ? next
+        : (token.match(/^v(\d)$/) || [])[1];
+      if (variantDigit) {
+        parsed.variant = Number(variantDigit);
+        if (token === 'variant') i++;
+        continue;
+      }
+
+      // s23 / w22 / m21
+      const sessionYearMatch = token.match(/^([msw])(\d{2})$/);
+      if (sessionYearMatch) {
+        parsed.session = sessionYearMatch[1];
+        parsed.year = `20${sessionYearMatch[2]}`;
+        continue;
+      }
+
+      // 年份（20xx）
+      if (/^20\d{2}$/.test(token)) {
+        parsed.year = token;
+        continue;
+      }
+
+      // 考试季
+      const session = this.resolveSession(token);
+      if (session) {
+        parsed.session = session;
+        continue;
+      }
+
+      // 文件类型（in与英文单词冲突，不在自然写法中识别）
+      if (token !== 'in' && this.FILE_TYPES[token]) {
+        parsed.type = token;
+        continue;
+      }
+      if (token === 'mark' && next === 'scheme') {
+        parsed.type = 'ms';
+        i++;
+        continue;
+      }
+
+      // 课程代码（4位，含数字），如 9702、9PH0
+      if (!parsed.topicId && /^(?=.*\d)[0-9a-z]{4}$/.test(token)) {
+        parsed.topicId = token.toUpperCase();
+        continue;
+      }
+
+      textTokens.push(token);
+    }
+
+    parsed.text = textTokens.join(' ');
+    return parsed;
+  }
+
+  /**
+   * 判断解析结果是否包含结构化条件
+   * @param {Object} parsed - parseSearchQuery的返回值
+   * @returns {boolean} 是否包含结构化条件
+   */
+  static hasStructuredFields(parsed) {
+    return Boolean(
+      parsed && (parsed.topicId || parsed.year || parsed.session || parsed.type || parsed.paperNumber || parsed.variant)
+    );
+  }
+
+  /**
+   * 获取考试季显示名称
+   * @param {string} session - 考试季代码
+   * @returns {string} 显示名称
+   */
+  static getSessionLabel(session) {
+    return this.SESSIONS[session]?.label || session || '';
+  }
+
+  /**
+   * 获取文件类型显示名称
+   * @param {string} type - 文件类型代码
+   * @returns {string} 显示名称
+   */
+  static getTypeLabel(type) {
+    return this.FILE_TYPES[type] || type || '';
+  }
+
+  /**
+   * 生成Cambridge组件编号，例如 9702/42/M/J/23
+   * @param {Object} paper - 试卷对象
+   * @returns {string} 组件编号
+   */
+  static formatComponentCode(paper) {
+    if (!paper) return '';
+
+    const component = `${paper.paperNumber || ''}${paper.variant || ''}`;
+    const session = this.SESSIONS[paper.session]?.short || '';
+    const yy = String(paper.year || '').slice(-2);
+
+    return [paper.topicId, component, session, yy].filter(Boolean).join('/');
+  }
+
+  /**
+   * 生成试卷显示标题
+   * @param {Object} paper - 试卷对象
+   * @returns {string} 显示标题
+   */
+  static formatTitle(paper) {
+    if (!paper) return '';
+    if (paper.title) return paper.title;
+
+    const variant = paper.variant ? ` Variant ${paper.variant}` : '';
+    return `${paper.topicId} Paper ${paper.paperNumber}${variant} ${this.getSessionLabel(paper.session)} ${paper.year}`;
+  }
+
+  /**
+   * 根据试卷ID生成试卷对象（用于直接打开链接，详情由预览组件补全）
+   * @param {string} paperId - 试卷ID
+   * @returns {Object} { id, topicId, session, year, type, paperNumber, variant, title }
+   */
+  static fromPaperId(paperId) {
+    const parsed = this.parsePaperId(paperId);
+    if (!parsed) {
+      return { id: paperId, title: paperId };
+    }
+
+    const paper = { id: paperId, ...parsed };
+    return { ...paper, title: this.formatTitle(paper) };
+  }
+
+  /**
+   * 格式化考试时长
+   * @param {number} minutes - 分钟数
+   * @returns {string} 如 2h 15m
+   */
+  static formatPaperDuration(minutes) {
+    if (!minutes) return '--';
+
+    const hours = Math.floor(minutes / 60);
+    const remainingMinutes = minutes % 60;
+
+    if (hours > 0) {
+      return remainingMinutes > 0 ? `${hours}h ${remainingMinutes}m` : `${hours}h`;
+    }
+    return `${remainingMinutes}m`;
+  }
+
+  /**
+   * 获取试卷及其配套文档列表
+   * 后端在试卷记录的documents字段中返回配套文档，可为按类型索引的对象或数组
+   * @param {Object} paper - 试卷对象
+   * @returns {Array} 按 qp、ms、in、er、gt 顺序排列的文档 [{ type, id, title, fileUrl }]
+   */
+  static getDocuments(paper) {
+    if (!paper) return [];
+
+    const documents = Array.isArray(paper.documents)
+      ? paper.documents
+      : Object.entries(paper.documents || {}).map(([type, doc]) => ({ type, ...doc }));
+
+    // 试卷本身即为qp文档
+    const all = [
+      { type: 'qp', id: paper.id, fileUrl: paper.fileUrl },
+      ...documents.filter(doc => doc && doc.type !== 'qp')
+    ];
+
+    const order = Object.keys(this.FILE_TYPES);
+    return all
+      .filter(doc => order.includes(doc.type))
+      .sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type))
+      .map(doc => ({
+        ...doc,
+        title: doc.title || `${this.formatComponentCode(paper)} ${this.getTypeLabel(doc.type)}`
+      }));
+  }
+
+  /**
+   * 从试卷列表中推导筛选项
+   * 当后端未返回facets时作为降级方案
+   * @param {Array} papers - 试卷列表
+   * @returns {Object} { years, sessions, paperNumbers, variants }
+   */
+  static deriveFilterOptions(papers = []) {
+    const years = new Set();
+    const sessions = new Set();
+    const paperNumbers = new Set();
+    const variants = new Set();
+
+    papers.forEach(paper => {
+      if (paper.year) years.add(String(paper.year));
+      if (paper.session) sessions.add(paper.session);
+      if (paper.paperNumber) paperNumbers.add(Number(paper.paperNumber));
+      if (paper.variant) variants.add(Number(paper.variant));
+    });
+
+    return this.normalizeFilterOptions({
+      years: [...years],
+      sessions: [...sessions],
+      paperNumbers: [...paperNumbers],
+      variants: [...variants]
+    });
+  }
+
+  /**
+   * 规范化筛选项（排序、去重）
+   * @param {Object} options - 原始筛选项
+   * @returns {Object} 规范化后的筛选项
+   */
+  static normalizeFilterOptions(options = {}) {
+    const unique = (values = []) => [...new Set(values)];
+
+    return {
+      years: unique((options.years || []).map(String)).sort((a, b) => b.localeCompare(a)),
+      sessions: unique(options.sessions).sort(
+        (a, b) => (this.SESSIONS[a]?.order || 99) - (this.SESSIONS[b]?.order || 99)
+      ),
+      paperNumbers: unique((options.paperNumbers || []).map(Number)).sort((a, b) => a - b),
+      variants: unique((options.variants || []).map(Number)).sort((a, b) => a - b)
+    };
+  }
+
+  /**
+   * 在本地按筛选条件过滤试卷
+   * @param {Array} papers - 试卷列表
+   * @param {Object} filters - { year, session, paperNumber, variant }
+   * @returns {Array} 过滤后的试卷列表
+   */
+  static filterPapers(papers = [], filters = {}) {
+    return papers.filter(paper => (
+      (!filters.year || String(paper.year) === String(filters.year)) &&
+      (!filters.session || paper.session === filters.session) &&
+      (!filters.paperNumber || Number(paper.paperNumber) === Number(filters.paperNumber)) &&
+      (!filters.variant || Number(paper.variant) === Number(filters.variant))
+    ));
+  }
+}
+
+export default PaperUtils;
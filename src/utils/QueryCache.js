@@ -0,0 +1,311 @@
+/**
+ * 接口数据缓存（学科目录、试卷列表、试卷详情、评分信息）
+ * 这些数据很少变化，缓存后切换页面不必重新请求；过期后先显示缓存，再在后台刷新（stale-while-revalidate）
+ *
+ * 每条缓存：{ key, endpoint, data, etag, fetchedAt, expiresAt }
+ * - 有效期按接口设置，见 TTL
+ * - 保存后端返回的 ETag，刷新时带上 If-None-Match，未变化（304）时只延长有效期
+ * - 持久化到IndexedDB，刷新页面后仍可使用；读取是同步的，启动时 init() 把全部缓存读入内存
+ * - 不支持IndexedDB的环境改用localStorage
+ */
+import { safeLocalStorage } from './storageUtils.js';
+
+// IndexedDB数据库和对象仓库
+const DB_NAME = 'timeday-query-cache';
+const DB_VERSION = 1;
+const ENTRY_STORE = 'entries';
+
+// 不支持IndexedDB时使用的localStorage键
+const FALLBACK_KEY = 'queryCache';
+
+// 打开数据库的超时时间（毫秒），超时后改用localStorage
+const OPEN_TIMEOUT = 3000;
+
+// 最多保存的条数，超出时删除最早获取的
+const MAX_ENTRIES = 200;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// 内存中的缓存：键 -> 缓存条目
+let entries = new Map();
+
+let initPromise = null;
+let backendPromise = null;
+
+// 按顺序执行的写入队列
+let writeQueue = Promise.resolve();
+
+// 缓存变化的监听器（开发面板使用）
+const listeners = new Set();
+
+/**
+ * IDBRequest 转 Promise
+ * @param {IDBRequest} request - 请求
+ * @returns {Promise} 请求结果
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * 打开（必要时创建）数据库
+ * @returns {Promise<IDBDatabase>} 数据库连接
+ */
+const openDatabase = () => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error('打开IndexedDB超时')), OPEN_TIMEOUT);
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    if (!request.result.objectStoreNames.contains(ENTRY_STORE)) {
+      request.result.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+    }
+  };
+  request.onsuccess = () => {
+    clearTimeout(timer);
+    resolve(request.result);
+  };
+  request.onerror = () => {
+    clearTimeout(timer);
+    reject(request.error);
+  };
+});
+
+/**
+ * IndexedDB后端
+ * @param {IDBDatabase} db - 数据库连接
+ * @returns {Object} { name, loadAll, write }
+ */
+const createIndexedDbBackend = (db) => ({
+  name: 'indexedDB',
+
+  loadAll: () => requestToPromise(db.transaction(ENTRY_STORE, 'readonly').objectStore(ENTRY_STORE).getAll()),
+
+  write: (key, entry) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(ENTRY_STORE, 'readwrite');
+    const store = transaction.objectStore(ENTRY_STORE);
+    if (entry === undefined) {
+      store.delete(key);
+    } else {
+      store.put(entry);
+    }
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  })
+});
+
+/**
+ * localStorage后端：{ 键: 缓存条目 }
+ * @returns {Object} { name, loadAll, write }
+ */
+const createLocalStorageBackend = () => ({
+  name: 'localStorage',
+
+  loadAll: async () => Object.values(safeLocalStorage.get(FALLBACK_KEY, {})),
+
+  write: async (key, entry) => {
+    const data = { ...safeLocalStorage.get(FALLBACK_KEY, {}) };
+    if (entry === undefined) {
+      delete data[key];
+    } else {
+      data[key] = entry;
+    }
+    safeLocalStorage.set(FALLBACK_KEY, data);
+  }
+});
+
+/**
+ * 选择存储后端（只选择一次）
+ * @returns {Promise<Object>} 后端
+ */
+const getBackend = () => {
+  if (!backendPromise) {
+    backendPromise = typeof indexedDB === 'undefined'
+      ? Promise.resolve(createLocalStorageBackend())
+      : openDatabase().then(createIndexedDbBackend).catch(error => {
+        console.warn('IndexedDB不可用，接口缓存改为保存在localStorage:', error);
+        return createLocalStorageBackend();
+      });
+  }
+  return backendPromise;
+};
+
+/**
+ * 把一次写入加入队列
+ * @param {string} key - 缓存键
+ * @param {Object} [entry] - 缓存条目，undefined 表示删除
+ * @returns {Promise<void>} 写入完成
+ */
+const persist = (key, entry) => {
+  writeQueue = writeQueue
+    .then(getBackend)
+    .then(backend => backend.write(key, entry))
+    .catch(error => console.error('Query cache write failed:', error));
+  return writeQueue;
+};
+
+/**
+ * 通知监听器缓存已变化
+ */
+const notify = () => {
+  listeners.forEach(listener => listener());
+};
+
+class QueryCache {
+  /**
+   * 各接口的缓存有效期（毫秒）
+   */
+  static TTL = {
+    subjects: 24 * HOUR,
+    papers: HOUR,
+    paper: 24 * HOUR,
+    marking: 24 * HOUR
+  };
+
+  /**
+   * 启动时读取持久化的缓存（只执行一次；读取失败时从空缓存开始）
+   * @returns {Promise<void>}
+   */
+  static init() {
+    if (!initPromise) {
+      initPromise = getBackend()
+        .then(backend => backend.loadAll())
+        .then(records => {
+          // 读取期间已写入的新数据优先
+          entries = new Map([...records.map(entry => [entry.key, entry]), ...entries]);
+          notify();
+        })
+        .catch(error => console.error('加载接口缓存失败:', error));
+    }
+    return initPromise;
+  }
+
+  /**
+   * 等待所有写入完成
+   * @returns {Promise<void>}
+   */
+  static flush() {
+    return writeQueue;
+  }
+
+  /**
+   * 生成缓存键：地址加按名称排序的查询参数
+   * @param {string} url - 请求地址
+   * @param {Object} [params] - 查询参数
+   * @returns {string} 缓存键
+   */
+  static keyFor(url, params = {}) {
+    const query = Object.keys(params)
+      .filter(name => params[name] !== undefined && params[name] !== null && params[name] !== '')
+      .sort()
+      .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+      .join('&');
+    return query ? `${url}?${query}` : url;
+  }
+
+  /**
+   * 获取缓存条目（过期的也会返回，由调用方决定是否刷新）
+   * @param {string} key - 缓存键
+   * @returns {Object|null} 缓存条目
+   */
+  static get(key) {
+    return entries.get(key) || null;
+  }
+
+  /**
+   * 缓存是否仍在有效期内
+   * @param {Object} entry - 缓存条目
+   * @returns {boolean} 是否有效
+   */
+  static isFresh(entry) {
+    return Boolean(entry) && entry.expiresAt > Date.now();
+  }
+
+  /**
+   * 写入缓存，有效期按接口重新计算
+   * @param {string} key - 缓存键
+   * @param {Object} value - { endpoint, data, etag }
+   * @returns {Object} 缓存条目
+   */
+  static set(key, { endpoint, data, etag = null }) {
+    const now = Date.now();
+    const entry = { key, endpoint, data, etag, fetchedAt: now, expiresAt: now + (this.TTL[endpoint] || 0) };
+
+    entries.delete(key);
+    entries.set(key, entry);
+    persist(key, entry);
+
+    // Map 按写入顺序排列，最早写入的在前
+    while (entries.size > MAX_ENTRIES) {
+      const oldest = entries.keys().next().value;
+      entries.delete(oldest);
+      persist(oldest, undefined);
+    }
+
+    notify();
+    return entry;
+  }
+
+  /**
+   * 使缓存过期：保留数据，下次读取时在后台刷新
+   * @param {Object} [filter] - { endpoint, key }，都不传时使全部缓存过期
+   * @returns {number} 过期的条数
+   */
+  static invalidate({ endpoint, key } = {}) {
+    let count = 0;
+    entries.forEach(entry => {
+      if ((endpoint && entry.endpoint !== endpoint) || (key && entry.key !== key) || entry.expiresAt === 0) return;
+      const expired = { ...entry, expiresAt: 0 };
+      entries.set(entry.key, expired);
+      persist(entry.key, expired);
+      count++;
+    });
+
+    if (count > 0) notify();
+    return count;
+  }
+
+  /**
+   * 删除一条缓存
+   * @param {string} key - 缓存键
+   */
+  static remove(key) {
+    if (!entries.has(key)) return;
+    entries.delete(key);
+    persist(key, undefined);
+    notify();
+  }
+
+  /**
+   * 清空缓存（如切换后端后）
+   * @returns {Promise<void>} 写入完成
+   */
+  static clear() {
+    Array.from(entries.keys()).forEach(key => persist(key, undefined));
+    entries = new Map();
+    notify();
+    return writeQueue;
+  }
+
+  /**
+   * 所有缓存条目，最近获取的在前
+   * @returns {Array<Object>} 缓存条目
+   */
+  static list() {
+    return Array.from(entries.values()).sort((a, b) => b.fetchedAt - a.fetchedAt);
+  }
+
+  /**
+   * 监听缓存变化
+   * @param {Function} listener - 变化时调用
+   * @returns {Function} 取消监听
+   */
+  static subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+}
+
+export default QueryCache;
@@ -0,0 +1,163 @@
+/**
+ * 路由工具类
+ * 基于History API的轻量路由：路径匹配、路径生成，以及登录跳转后的目标地址
+ * 路由表中的 :param 段会被解析为参数，生成路径时自动编码
+ */
+
+class RouteUtils {
+  // 应用部署的基础路径（如部署在子目录下）
+  static BASE_PATH = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+
+  // 路由表：名称 -> 路径模式（按从具体到宽泛的顺序匹配）
+  static ROUTES = {
+    home: '/',
+    subject: '/subjects/:subjectKey',
+    topic: '/subjects/:subjectKey/:topicId',
+    paper: '/subjects/:subjectKey/:topicId/papers/:paperId',
+    standalonePaper: '/papers/:paperId',
+    textbooks: '/textbooks',
+    textbook: '/textbooks/:documentId',
+    syllabuses: '/syllabus',
+    syllabus: '/syllabus/:documentId',
+    notebook: '/notebook',
+    note: '/notebook/:noteId',
+    history: '/history',
+    profile: '/profile',
+    profileTab: '/profile/:profileTab',
+    login: '/login',
+    reset: '/reset',
+    verifyEmail: '/verify-email',
+    oidcCallback: '/auth/callback',
+    mockOidcAuthorize: '/mock-oidc/authorize'
+  };
+
+  // 无需登录即可访问的路由，不会作为登录后的跳转目标
+  static PUBLIC_ROUTES = ['login', 'reset', 'verifyEmail', 'oidcCallback', 'mockOidcAuthorize'];
+
+  // 登录后跳转目标的查询参数名
+  static REDIRECT_PARAM = 'next';
+
+  /**
+   * 获取当前路径（不含基础路径，含查询字符串）
+   * @returns {string} 如 /subjects/physics?x=1
+   */
+  static getCurrentPath() {
+    const { pathname, search } = window.location;
+    const path = this.BASE_PATH && pathname.startsWith(this.BASE_PATH)
+      ? pathname.slice(this.BASE_PATH.length)
+      : pathname;
+    return `${path || '/'}${search}`;
+  }
+
+  /**
+   * 匹配路径
+   * @param {string} path - 路径（可含查询字符串）
+   * @returns {Object} { name, params }，无法匹配时返回首页
+   */
+  static match(path) {
+    const pathname = String(path || '/').split('?')[0].replace(/\/+$/, '') || '/';
+    const segments = pathname.split('/').filter(Boolean);
+
+    for (const [name, pattern] of Object.entries(this.ROUTES)) {
+      const patternSegments = pattern.split('/').filter(Boolean);
+      if (patternSegments.length !== segments.length) continue;
+
+      const params = {};
+      const matched = patternSegments.every((segment, index) => {
+        if (segment.startsWith(':')) {
+          try {
+            params[segment.slice(1)] = decodeURIComponent(segments[index]);
+          } catch {
+            return false;
+          }
+          return true;
+        }
+        return segment === segments[index];
+      });
+
+      if (matched) {
+        return { name, params };
+      }
+    }
+
+    return { name: 'home', params: {} };
+  }
+
+  /**
+   * 生成路径
+   * @param {string} name - 路由名称
+   * @param {Object} params - 路由参数
+   * @returns {string} 路径
+   */
+  static build(name, params = {}) {
+    const pattern = this.ROUTES[name] || this.ROUTES.home;
+    return pattern.replace(/:([A-Za-z]+)/g, (_, key) => encodeURIComponent(params[key] ?? ''));
+  }
+
+  /**
+   * 生成链接地址（含基础路径），用于<a href>
+   * @param {string} path - 路径
+   * @returns {string} 链接地址
+   */
+  static toHref(path) {
+    return `${this.BASE_PATH}${path}`;
+  }
+
+  /**
+   * 写入浏览器地址
+   * @param {string} path - 路径
+   * @param {Object} options - 选项
+   * @param {boolean} [options.replace=false] - 是否替换当前历史记录
+   */
+  static navigate(path, options = {}) {
+    const url = this.toHref(path);
+    if (options.replace) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }
+
+  /**
+   * 判断路径是否为公开页面（登录、重置密码、验证邮箱、第三方登录回调）
+   * @param {string} path - 路径
+   * @returns {boolean} 是否为公开页面
+   */
+  static isPublicRoute(path) {
+    return this.PUBLIC_ROUTES.includes(this.match(path).name);
+  }
+
+  /**
+   * 读取当前地址中的查询参数
+   * @param {string} name - 参数名
+   * @returns {string|null} 参数值
+   */
+  static getQueryParam(name) {
+    return new URLSearchParams(window.location.search).get(name);
+  }
+
+  /**
+   * 读取登录后的跳转目标
+   * 只接受站内路径，防止开放重定向
+   * @returns {string|null} 跳转路径
+   */
+  static getRedirect() {
+    const next = this.getQueryParam(this.REDIRECT_PARAM);
+    if (!next || !next.startsWith('/') || next.startsWith('//')) return null;
+    return next;
+  }
+
+  /**
+   * 生成登录页路径，并记录登录后的跳转目标
+   * @param {string|null} next - 跳转目标
+   * @returns {string} 如 /login?next=%2Fhistory
+   */
+  static buildLoginPath(next) {
+    const target = next && !this.isPublicRoute(next) && next !== '/' ? next : null;
+    return target
+      ? `${this.ROUTES.login}?${this.REDIRECT_PARAM}=${encodeURIComponent(target)}`
+      : this.ROUTES.login;
+  }
+}
+
+export default RouteUtils;
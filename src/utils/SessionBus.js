@@ -0,0 +1,142 @@
+/**
+ * 跨标签页会话同步
+ * 一个标签页登录、退出、切换账号、刷新令牌、切换主题、修改资料或锁屏后，通知同一浏览器中的其他标签页
+ * 优先使用 BroadcastChannel，不支持时通过 localStorage 的 storage 事件传递
+ *
+ * 消息格式：{ type, payload, tabId, sentAt }，只通知其他标签页，不通知发送方自己
+ * 收到消息时先重新读取 SessionStore，监听器读到的账号会话已经是发送方写入后的数据
+ */
+import SessionStore from './SessionStore.js';
+import { safeLocalStorage } from './storageUtils.js';
+
+const CHANNEL_NAME = 'timeday-session';
+
+// 不支持BroadcastChannel时用于传递消息的localStorage键
+const STORAGE_KEY = 'sessionBus';
+
+// 当前标签页标识，用于忽略自己发出的消息
+const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const listeners = new Set();
+
+let channel = null;
+let storageListener = null;
+
+// 按收到的顺序处理消息
+let receiveQueue = Promise.resolve();
+
+/**
+ * 处理其他标签页发来的消息
+ * @param {Object} message - 消息
+ */
+const receive = (message) => {
+  if (!message || !message.type || message.tabId === TAB_ID) return;
+
+  receiveQueue = receiveQueue
+    .then(() => SessionStore.reload())
+    .then(() => listeners.forEach(listener => listener(message)))
+    .catch(error => console.error('Session bus message failed:', error));
+};
+
+/**
+ * 开始接收消息（只连接一次）
+ */
+const connect = () => {
+  if (channel || storageListener) return;
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => receive(event.data);
+    return;
+  }
+
+  storageListener = (event) => {
+    if (event.key !== STORAGE_KEY || !event.newValue) return;
+    try {
+      receive(JSON.parse(event.newValue));
+    } catch (error) {
+      console.warn('Failed to parse session bus message:', error);
+    }
+  };
+  window.addEventListener('storage', storageListener);
+};
+
+class SessionBus {
+  /**
+   * 消息类型
+   */
+  static EVENTS = {
+    // 登录或进入某个账号 { username }
+    LOGIN: 'login',
+    // 账号从本设备移除 { username }
+    LOGOUT: 'logout',
+    // 退出当前账号，回到账号选择 { username }
+    SWITCH: 'switch',
+    // 令牌已刷新 { username }
+    TOKEN_REFRESH: 'tokenRefresh',
+    // 主题切换 { theme }
+    THEME: 'theme',
+    // 资料更新 { username?, profile?, avatar? }
+    PROFILE: 'profile',
+    // 空闲锁屏、解锁 { username }
+    LOCK: 'lock',
+    UNLOCK: 'unlock'
+  };
+
+  /**
+   * 当前标签页标识
+   * @returns {string} 标识
+   */
+  static getTabId() {
+    return TAB_ID;
+  }
+
+  /**
+   * 通知其他标签页（等待本标签页的会话写入完成后再发送）
+   * @param {string} type - 消息类型，见 SessionBus.EVENTS
+   * @param {Object} payload - 消息内容
+   * @returns {Promise<void>}
+   */
+  static async publish(type, payload = {}) {
+    connect();
+    await SessionStore.flush();
+
+    const message = { type, payload, tabId: TAB_ID, sentAt: Date.now() };
+    if (channel) {
+      channel.postMessage(message);
+      return;
+    }
+
+    // 写入后立即删除：其他标签页只需要收到 storage 事件
+    safeLocalStorage.set(STORAGE_KEY, message);
+    safeLocalStorage.remove(STORAGE_KEY);
+  }
+
+  /**
+   * 订阅其他标签页的消息
+   * @param {Function} listener - 回调函数，接收 { type, payload, tabId, sentAt }
+   * @returns {Function} 取消订阅函数
+   */
+  static subscribe(listener) {
+    connect();
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  /**
+   * 停止接收消息并移除所有监听器
+   */
+  static close() {
+    listeners.clear();
+    if (channel) {
+      channel.close();
+      channel = null;
+    }
+    if (storageListener) {
+      window.removeEventListener('storage', storageListener);
+      storageListener = null;
+    }
+  }
+}
+
+export default SessionBus;
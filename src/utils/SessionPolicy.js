@@ -0,0 +1,137 @@
+/**
+ * 空闲锁屏策略
+ * 适用于学校的公用电脑：一段时间没有操作后锁屏（保留页面状态，需密码或通行密钥解锁），更长时间后完全退出登录
+ *
+ * 策略：{ lockMinutes, signOutMinutes }，0 表示不启用
+ * - 默认值来自 REACT_APP_IDLE_LOCK_MINUTES（默认15）、REACT_APP_IDLE_SIGNOUT_MINUTES（默认0，不自动退出）
+ * - 管理员可在设置中修改全校策略（后端保存），登录后获取并缓存在本设备
+ * - 锁屏状态保存在 SessionStore 中，刷新页面或打开新标签页后仍保持锁定
+ */
+import SessionStore from './SessionStore.js';
+import { safeLocalStorage } from './storageUtils.js';
+
+// 本设备缓存的全校策略
+const CACHE_KEY = 'sessionPolicy';
+
+// SessionStore 中的锁屏状态 { username, idleSince, lockedAt }
+const LOCK_KEY = 'screenLock';
+
+/**
+ * 读取环境变量中的分钟数
+ * @param {string} value - 环境变量
+ * @param {number} fallback - 未设置或无效时的默认值
+ * @returns {number} 分钟数
+ */
+const readMinutes = (value, fallback) => {
+  const minutes = parseInt(value, 10);
+  return Number.isInteger(minutes) && minutes >= 0 ? minutes : fallback;
+};
+
+class SessionPolicy {
+  // 取值范围（分钟）
+  static MAX_LOCK_MINUTES = 240;
+  static MAX_SIGN_OUT_MINUTES = 24 * 60;
+
+  static DEFAULTS = {
+    lockMinutes: readMinutes(process.env.REACT_APP_IDLE_LOCK_MINUTES, 15),
+    signOutMinutes: readMinutes(process.env.REACT_APP_IDLE_SIGNOUT_MINUTES, 0)
+  };
+
+  /**
+   * 校验策略（前端表单和模拟后端共用）
+   * @param {Object} policy - { lockMinutes, signOutMinutes }
+   * @returns {string|null} 错误信息，有效时为null
+   */
+  static validate(policy) {
+    const { lockMinutes, signOutMinutes } = policy || {};
+    if (!Number.isInteger(lockMinutes) || lockMinutes < 0 || lockMinutes > this.MAX_LOCK_MINUTES) {
+      return `锁屏时间应为0~${this.MAX_LOCK_MINUTES}之间的整数分钟`;
+    }
+    if (!Number.isInteger(signOutMinutes) || signOutMinutes < 0 || signOutMinutes > this.MAX_SIGN_OUT_MINUTES) {
+      return `自动退出时间应为0~${this.MAX_SIGN_OUT_MINUTES}之间的整数分钟`;
+    }
+    if (lockMinutes > 0 && signOutMinutes > 0 && signOutMinutes <= lockMinutes) {
+      return '自动退出时间应长于锁屏时间';
+    }
+    return null;
+  }
+
+  /**
+   * 补全策略，无效时使用默认值
+   * @param {Object} policy - 策略
+   * @returns {Object} { lockMinutes, signOutMinutes }
+   */
+  static normalize(policy) {
+    const merged = {
+      lockMinutes: policy?.lockMinutes ?? this.DEFAULTS.lockMinutes,
+      signOutMinutes: policy?.signOutMinutes ?? this.DEFAULTS.signOutMinutes
+    };
+    return this.validate(merged) ? { ...this.DEFAULTS } : merged;
+  }
+
+  /**
+   * 本设备缓存的策略（尚未获取时为默认值）
+   * @returns {Object} { lockMinutes, signOutMinutes }
+   */
+  static getCached() {
+    return this.normalize(safeLocalStorage.get(CACHE_KEY));
+  }
+
+  /**
+   * 缓存从后端获取的策略
+   * @param {Object} policy - 策略
+   */
+  static setCached(policy) {
+    safeLocalStorage.set(CACHE_KEY, this.normalize(policy));
+  }
+
+  /**
+   * 转换为空闲检测的阶段（见 IdleManager）
+   * @param {Object} policy - 策略
+   * @returns {Array} [{ name: 'lock' | 'signOut', timeout }]
+   */
+  static getStages(policy) {
+    const { lockMinutes, signOutMinutes } = this.normalize(policy);
+    return [
+      { name: 'lock', timeout: lockMinutes * 60 * 1000 },
+      { name: 'signOut', timeout: signOutMinutes * 60 * 1000 }
+    ];
+  }
+
+  // ==================== 锁屏状态 ====================
+
+  /**
+   * 获取锁屏状态
+   * @returns {Object|null} { username, idleSince, lockedAt }
+   */
+  static getLock() {
+    return SessionStore.getMeta(LOCK_KEY);
+  }
+
+  /**
+   * 判断账号是否已锁定
+   * @param {string} username - 用户名
+   * @returns {boolean} 是否已锁定
+   */
+  static isLocked(username) {
+    return Boolean(username) && this.getLock()?.username === username;
+  }
+
+  /**
+   * 锁定账号
+   * @param {string} username - 用户名
+   * @param {number} idleSince - 最后一次活动时间，用于计算自动退出
+   */
+  static setLock(username, idleSince) {
+    SessionStore.setMeta(LOCK_KEY, { username, idleSince, lockedAt: Date.now() });
+  }
+
+  /**
+   * 解除锁定
+   */
+  static clearLock() {
+    SessionStore.removeMeta(LOCK_KEY);
+  }
+}
+
+export default SessionPolicy;
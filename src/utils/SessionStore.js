@@ -0,0 +1,338 @@
+/**
+ * 账号会话存储
+ * 每个账号一条记录（令牌、刷新令牌、用户数据、头像、受信任设备令牌），另有少量全局信息（活跃账号、最近使用、置顶）
+ * 持久化到IndexedDB而不是Cookie，不会随每个请求发送，也不受单个Cookie 4KB的限制
+ *
+ * 读取是同步的：启动时 init() 把全部记录读入内存，之后的写入先更新内存，再按顺序写入IndexedDB
+ * 不支持IndexedDB的环境（部分隐私模式、测试环境）改用localStorage
+ *
+ * 多个标签页共用同一份存储：账号记录只写入修改的字段（与存储中的记录合并），
+ * 内存中较旧的记录不会覆盖其他标签页刚写入的字段（如刚刷新的令牌）
+ */
+import { safeLocalStorage } from './storageUtils.js';
+
+// IndexedDB数据库和对象仓库
+const DB_NAME = 'timeday-sessions';
+const DB_VERSION = 1;
+const ACCOUNT_STORE = 'accounts';
+const META_STORE = 'meta';
+
+// 不支持IndexedDB时使用的localStorage键
+const FALLBACK_KEY = 'sessionStore';
+
+// 打开数据库的超时时间（毫秒），超时后改用localStorage
+const OPEN_TIMEOUT = 3000;
+
+// 内存中的数据：用户名 -> 账号记录，键 -> 全局信息
+let accounts = new Map();
+let meta = new Map();
+
+let initPromise = null;
+let backendPromise = null;
+
+// 按顺序执行的写入队列
+let writeQueue = Promise.resolve();
+
+// 进行中的 reload 各自记录读取期间本标签页的修改，读取完成后应用到读到的数据上
+// { accounts: 用户名 -> { replaced: 是否先删除了记录, changes: 修改的字段 }, meta: 键 -> { value } }
+const loadTrackers = new Set();
+
+/**
+ * 合并账号记录，值为null或undefined的字段被清除
+ * @param {Object} [record] - 原记录
+ * @param {Object} changes - 修改的字段
+ * @param {string} username - 用户名
+ * @returns {Object} 合并后的记录
+ */
+const mergeRecord = (record, changes, username) => Object.fromEntries(
+  Object.entries({ ...record, ...changes, username }).filter(([, value]) => value !== null && value !== undefined)
+);
+
+/**
+ * IDBRequest 转 Promise
+ * @param {IDBRequest} request - 请求
+ * @returns {Promise} 请求结果
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * 打开（必要时创建）数据库
+ * @returns {Promise<IDBDatabase>} 数据库连接
+ */
+const openDatabase = () => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error('打开IndexedDB超时')), OPEN_TIMEOUT);
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(ACCOUNT_STORE)) {
+      db.createObjectStore(ACCOUNT_STORE, { keyPath: 'username' });
+    }
+    if (!db.objectStoreNames.contains(META_STORE)) {
+      db.createObjectStore(META_STORE);
+    }
+  };
+  request.onsuccess = () => {
+    clearTimeout(timer);
+    resolve(request.result);
+  };
+  request.onerror = () => {
+    clearTimeout(timer);
+    reject(request.error);
+  };
+});
+
+/**
+ * IndexedDB后端
+ * @param {IDBDatabase} db - 数据库连接
+ * @returns {Object} { name, loadAll, write }
+ */
+const createIndexedDbBackend = (db) => ({
+  name: 'indexedDB',
+
+  loadAll: async () => {
+    const transaction = db.transaction([ACCOUNT_STORE, META_STORE], 'readonly');
+    const [records, keys, values] = await Promise.all([
+      requestToPromise(transaction.objectStore(ACCOUNT_STORE).getAll()),
+      requestToPromise(transaction.objectStore(META_STORE).getAllKeys()),
+      requestToPromise(transaction.objectStore(META_STORE).getAll())
+    ]);
+    return { accounts: records, meta: keys.map((key, index) => [key, values[index]]) };
+  },
+
+  write: (storeName, key, value) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+    if (value === undefined) {
+      store.delete(key);
+    } else if (storeName === ACCOUNT_STORE) {
+      // 在同一事务中读取并合并，其他标签页的写入不会穿插其间
+      const request = store.get(key);
+      request.onsuccess = () => store.put(mergeRecord(request.result, value, key));
+    } else {
+      store.put(value, key);
+    }
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  })
+});
+
+/**
+ * localStorage后端：{ accounts: { 用户名: 记录 }, meta: { 键: 值 } }
+ * @returns {Object} { name, loadAll, write }
+ */
+const createLocalStorageBackend = () => ({
+  name: 'localStorage',
+
+  loadAll: async () => {
+    const data = safeLocalStorage.get(FALLBACK_KEY, {});
+    return { accounts: Object.values(data.accounts || {}), meta: Object.entries(data.meta || {}) };
+  },
+
+  write: async (storeName, key, value) => {
+    const data = safeLocalStorage.get(FALLBACK_KEY, {});
+    const field = storeName === ACCOUNT_STORE ? 'accounts' : 'meta';
+    const entries = { ...data[field] };
+    if (value === undefined) {
+      delete entries[key];
+    } else {
+      entries[key] = storeName === ACCOUNT_STORE ? mergeRecord(entries[key], value, key) : value;
+    }
+    safeLocalStorage.set(FALLBACK_KEY, { ...data, [field]: entries });
+  }
+});
+
+/**
+ * 选择存储后端（只选择一次）
+ * @returns {Promise<Object>} 后端
+ */
+const getBackend = () => {
+  if (!backendPromise) {
+    backendPromise = typeof indexedDB === 'undefined'
+      ? Promise.resolve(createLocalStorageBackend())
+      : openDatabase().then(createIndexedDbBackend).catch(error => {
+        console.warn('IndexedDB不可用，账号会话改为保存在localStorage:', error);
+        return createLocalStorageBackend();
+      });
+  }
+  return backendPromise;
+};
+
+/**
+ * 把一次写入加入队列
+ * @param {string} storeName - 对象仓库
+ * @param {string} key - 键
+ * @param {*} value - 值（账号记录为修改的字段，与存储中的记录合并），undefined 表示删除
+ * @returns {Promise<void>} 写入完成
+ */
+const persist = (storeName, key, value) => {
+  writeQueue = writeQueue
+    .then(getBackend)
+    .then(backend => backend.write(storeName, key, value))
+    .catch(error => console.error('Session store write failed:', error));
+  return writeQueue;
+};
+
+class SessionStore {
+  /**
+   * 启动时读取所有账号会话（只执行一次，应在渲染应用之前完成）
+   * @returns {Promise<void>}
+   */
+  static init() {
+    if (!initPromise) {
+      initPromise = this.reload();
+    }
+    return initPromise;
+  }
+
+  /**
+   * 重新从持久化存储读取（等待尚未完成的写入）
+   * 其他标签页修改了会话后调用；读取期间本标签页的修改会保留
+   * @returns {Promise<void>}
+   */
+  static async reload() {
+    const backend = await getBackend();
+    await writeQueue;
+
+    const tracker = { accounts: new Map(), meta: new Map() };
+    loadTrackers.add(tracker);
+    let data;
+    try {
+      data = await backend.loadAll();
+    } finally {
+      loadTrackers.delete(tracker);
+    }
+
+    const loadedAccounts = new Map(data.accounts.map(record => [record.username, record]));
+    tracker.accounts.forEach(({ replaced, changes }, username) => {
+      if (replaced && Object.keys(changes).length === 0) {
+        loadedAccounts.delete(username);
+      } else {
+        loadedAccounts.set(username, mergeRecord(replaced ? null : loadedAccounts.get(username), changes, username));
+      }
+    });
+
+    const loadedMeta = new Map(data.meta);
+    tracker.meta.forEach(({ value }, key) => {
+      if (value === undefined) {
+        loadedMeta.delete(key);
+      } else {
+        loadedMeta.set(key, value);
+      }
+    });
+
+    accounts = loadedAccounts;
+    meta = loadedMeta;
+  }
+
+  /**
+   * 当前使用的存储后端
+   * @returns {Promise<string>} 'indexedDB' | 'localStorage'
+   */
+  static async getBackendName() {
+    return (await getBackend()).name;
+  }
+
+  /**
+   * 等待所有写入完成
+   * @returns {Promise<void>}
+   */
+  static flush() {
+    return writeQueue;
+  }
+
+  /**
+   * 获取账号记录
+   * @param {string} username - 用户名
+   * @returns {Object|null} 记录副本
+   */
+  static getAccount(username) {
+    const record = accounts.get(username);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * 获取所有保存了记录的用户名
+   * @returns {Array<string>} 用户名列表
+   */
+  static listAccounts() {
+    return Array.from(accounts.keys());
+  }
+
+  /**
+   * 更新账号记录（合并字段，不存在时创建）
+   * @param {string} username - 用户名
+   * @param {Object} changes - 要更新的字段，值为null表示清除
+   * @returns {Object} 更新后的记录
+   */
+  static updateAccount(username, changes) {
+    const record = mergeRecord(accounts.get(username), changes, username);
+    accounts.set(username, record);
+    loadTrackers.forEach(tracker => {
+      const tracked = tracker.accounts.get(username) || { replaced: false, changes: {} };
+      tracker.accounts.set(username, { ...tracked, changes: { ...tracked.changes, ...changes } });
+    });
+    // 只写入修改的字段
+    persist(ACCOUNT_STORE, username, changes);
+    return { ...record };
+  }
+
+  /**
+   * 删除账号记录
+   * @param {string} username - 用户名
+   */
+  static deleteAccount(username) {
+    if (!accounts.has(username)) return;
+    accounts.delete(username);
+    loadTrackers.forEach(tracker => tracker.accounts.set(username, { replaced: true, changes: {} }));
+    persist(ACCOUNT_STORE, username, undefined);
+  }
+
+  /**
+   * 获取全局信息
+   * @param {string} key - 键
+   * @param {*} defaultValue - 默认值
+   * @returns {*} 值
+   */
+  static getMeta(key, defaultValue = null) {
+    return meta.has(key) ? meta.get(key) : defaultValue;
+  }
+
+  /**
+   * 保存全局信息
+   * @param {string} key - 键
+   * @param {*} value - 值
+   */
+  static setMeta(key, value) {
+    meta.set(key, value);
+    loadTrackers.forEach(tracker => tracker.meta.set(key, { value }));
+    persist(META_STORE, key, value);
+  }
+
+  /**
+   * 删除全局信息
+   * @param {string} key - 键
+   */
+  static removeMeta(key) {
+    if (!meta.has(key)) return;
+    meta.delete(key);
+    loadTrackers.forEach(tracker => tracker.meta.set(key, { value: undefined }));
+    persist(META_STORE, key, undefined);
+  }
+
+  /**
+   * 清空所有账号和全局信息
+   * @returns {Promise<void>} 写入完成
+   */
+  static clear() {
+    this.listAccounts().forEach(username => this.deleteAccount(username));
+    Array.from(meta.keys()).forEach(key => this.removeMeta(key));
+    return writeQueue;
+  }
+}
+
+export default SessionStore;
@@ -7,6 +7,9 @@ import IdUtils from './IdUtils.js';
 import { CookieUtils } from '../main/Cookie.js';
 
 class UserUtils {
+  // 需要已验证邮箱才能使用的功能
+  static VERIFIED_EMAIL_FEATURES = ['shareNote'];
+
   /**
    * 创建新用户数据结构
    * @param {string} username - 用户名
@@ -21,6 +24,8 @@ class UserUtils {
       id: userId,
       username: username,
       email: email,
+      emailVerified: false,
+      twoFactorEnabled: false,
       isAdmin: isAdmin,
       createdAt: new Date().toISOString(),
       lastLoginAt: null,
@@ -135,6 +140,44 @@ class UserUtils {
     return `${rolePrefix} ${userData.username || 'Unknown'}`;
   }
 
+  /**
+   * 检查邮箱是否已验证
+   * 旧版用户数据没有该字段，视为已验证，避免已有账号被限制
+   * @param {Object} userData - 用户数据
+   * @returns {boolean} 是否已验证
+   */
+  static isEmailVerified(userData) {
+    return userData?.emailVerified !== false;
+  }
+
+  /**
+   * 检查用户能否使用某项功能（部分功能需要先验证邮箱）
+   * @param {Object} userData - 用户数据
+   * @param {string} feature - 功能名称，见 VERIFIED_EMAIL_FEATURES
+   * @returns {boolean} 是否可用
+   */
+  static canUseFeature(userData, feature) {
+    return !this.VERIFIED_EMAIL_FEATURES.includes(feature) || this.isEmailVerified(userData);
+  }
+
+  /**
+   * 检查账号是否必须启用两步验证（管理员ID）
+   * @param {Object} userData - 用户数据
+   * @returns {boolean} 是否必须启用
+   */
+  static requiresTwoFactor(userData) {
+    return Boolean(userData?.id) && IdUtils.isAdminId(userData.id);
+  }
+
+  /**
+   * 检查必须启用两步验证的账号是否尚未启用
+   * @param {Object} userData - 用户数据
+   * @returns {boolean} 是否需要先完成设置
+   */
+  static needsTwoFactorSetup(userData) {
+    return this.requiresTwoFactor(userData) && userData.twoFactorEnabled !== true;
+  }
+
   /**
    * 检查用户数据是否需要迁移
    * @param {Object} userData - 用户数据
@@ -154,36 +197,19 @@ class UserUtils {
    * @returns {Array} 用户列表
    */
   static getAllStoredUsers() {
-    const users = [];
-    const cookies = document.cookie.split(';');
-    
-    for (const cookie of cookies) {
-      const [name, value] = cookie.trim().split('=');
-      if (name.startsWith('userData_')) {
-        try {
-          const userData = JSON.parse(decodeURIComponent(value));
-          users.push(userData);
-        } catch (error) {
-          console.warn('Failed to parse user data from cookie:', name, error);
-        }
-      }
-    }
-    
-    return users;
+    return CookieUtils.getAllSavedUsers()
+      .map(username => CookieUtils.getUserData(username))
+      .filter(Boolean);
   }
 
   /**
    * 清理无效的用户数据
    */
   static cleanupInvalidUsers() {
-    const users = this.getAllStoredUsers();
-    
-    for (const user of users) {
-      if (this.needsMigration(user)) {
+    for (const username of CookieUtils.getAllSavedUsers()) {
+      if (this.needsMigration(CookieUtils.getUserData(username))) {
         // 删除旧版本的无效数据
-        CookieUtils.deleteUserData(user.username || user.id);
-        CookieUtils.deleteUserToken(user.username || user.id);
-        CookieUtils.deleteUserAvatar(user.username || user.id);
+        CookieUtils.removeAccount(username);
       }
     }
   }
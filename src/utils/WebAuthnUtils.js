@@ -0,0 +1,137 @@
+/**
+ * WebAuthn工具类
+ * 处理通行密钥（Passkey）选项与凭据在JSON和二进制之间的转换
+ * 后端以base64url字符串收发所有二进制字段（challenge、user.id、凭据ID、签名等）
+ */
+
+class WebAuthnUtils {
+  // 用户取消或验证超时（浏览器统一报告为 NotAllowedError）
+  static CANCELLED_ERROR = 'NotAllowedError';
+
+  /**
+   * 检查当前环境是否支持通行密钥
+   * @returns {boolean} 是否支持
+   */
+  static isSupported() {
+    return typeof window !== 'undefined'
+      && typeof window.PublicKeyCredential !== 'undefined'
+      && typeof navigator.credentials?.create === 'function';
+  }
+
+  /**
+   * 二进制转base64url
+   * @param {ArrayBuffer|Uint8Array} buffer - 二进制数据
+   * @returns {string} base64url字符串（无填充）
+   */
+  static toBase64Url(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * base64url转二进制
+   * @param {string} value - base64url字符串
+   * @returns {Uint8Array} 二进制数据
+   */
+  static fromBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+
+  /**
+   * 把凭据描述符列表中的ID转为二进制
+   * @param {Array} descriptors - [{ type, id, transports? }]
+   * @returns {Array} 转换后的列表
+   */
+  static toDescriptors(descriptors = []) {
+    return descriptors.map(descriptor => ({
+      ...descriptor,
+      id: this.fromBase64Url(descriptor.id)
+    }));
+  }
+
+  /**
+   * 后端返回的注册选项 -> navigator.credentials.create 的 publicKey 参数
+   * @param {Object} options - PublicKeyCredentialCreationOptions（JSON形式）
+   * @returns {Object} 可直接传给浏览器的选项
+   */
+  static toCreationOptions(options) {
+    return {
+      ...options,
+      challenge: this.fromBase64Url(options.challenge),
+      user: {
+        ...options.user,
+        id: this.fromBase64Url(options.user.id)
+      },
+      excludeCredentials: this.toDescriptors(options.excludeCredentials)
+    };
+  }
+
+  /**
+   * 后端返回的登录选项 -> navigator.credentials.get 的 publicKey 参数
+   * @param {Object} options - PublicKeyCredentialRequestOptions（JSON形式）
+   * @returns {Object} 可直接传给浏览器的选项
+   */
+  static toRequestOptions(options) {
+    return {
+      ...options,
+      challenge: this.fromBase64Url(options.challenge),
+      allowCredentials: this.toDescriptors(options.allowCredentials)
+    };
+  }
+
+  /**
+   * 序列化注册得到的凭据
+   * 同时附带公钥（SPKI）和认证器数据，后端无需解析CBOR格式的 attestationObject 即可保存公钥
+   * @param {PublicKeyCredential} credential - navigator.credentials.create 的结果
+   * @returns {Object} 可发送给后端的JSON
+   */
+  static serializeAttestation(credential) {
+    const { response } = credential;
+    const publicKey = response.getPublicKey?.();
+    const authenticatorData = response.getAuthenticatorData?.();
+
+    return {
+      id: credential.id,
+      rawId: this.toBase64Url(credential.rawId),
+      type: credential.type,
+      authenticatorAttachment: credential.authenticatorAttachment || null,
+      response: {
+        clientDataJSON: this.toBase64Url(response.clientDataJSON),
+        attestationObject: this.toBase64Url(response.attestationObject),
+        ...(authenticatorData && { authenticatorData: this.toBase64Url(authenticatorData) }),
+        ...(publicKey && { publicKey: this.toBase64Url(publicKey) }),
+        ...(response.getPublicKeyAlgorithm && { publicKeyAlgorithm: response.getPublicKeyAlgorithm() }),
+        transports: response.getTransports?.() || []
+      }
+    };
+  }
+
+  /**
+   * 序列化登录得到的断言
+   * @param {PublicKeyCredential} credential - navigator.credentials.get 的结果
+   * @returns {Object} 可发送给后端的JSON
+   */
+  static serializeAssertion(credential) {
+    const { response } = credential;
+
+    return {
+      id: credential.id,
+      rawId: this.toBase64Url(credential.rawId),
+      type: credential.type,
+      response: {
+        clientDataJSON: this.toBase64Url(response.clientDataJSON),
+        authenticatorData: this.toBase64Url(response.authenticatorData),
+        signature: this.toBase64Url(response.signature),
+        userHandle: response.userHandle ? this.toBase64Url(response.userHandle) : null
+      }
+    };
+  }
+}
+
+export default WebAuthnUtils;
@@ -4,8 +4,26 @@
  */
 
 import UnifiedStorage from './storageUtils.js';
+import SessionStore from './SessionStore.js';
 import { CookieUtils } from '../main/Cookie.js';
 
+// 旧版按账号保存在Cookie中的会话：Cookie前缀 -> SessionStore记录字段
+const LEGACY_SESSION_COOKIES = {
+  userToken_: 'token',
+  userData_: 'userData',
+  userRefresh_: 'refreshToken',
+  userTrust_: 'trustedDevice',
+  userAvatar_: 'avatar'
+};
+
+// 旧版注册时另存的用户资料Cookie（user_用户名），会话中已有同样的数据，直接删除
+const LEGACY_PROFILE_COOKIE = 'user_';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 旧版Cookie的默认有效期（天），迁移时无法读取Cookie的实际过期时间
+const LEGACY_SESSION_DAYS = { expiresAt: 7, refreshExpiresAt: 30, trustedDeviceExpiresAt: 30 };
+
 /**
  * 执行数据迁移
  */
@@ -86,6 +104,117 @@ export const runMigration = () => {
   return migrationResults;
 };
 
+/**
+ * 读取旧版头像Cookie（可能分片存储），返回要删除的Cookie名称
+ * @param {string} username - 用户名
+ * @returns {Object} { avatar, names }
+ */
+const readLegacyAvatar = (username) => {
+  const name = `userAvatar_${username}`;
+  const value = CookieUtils.getCookie(name);
+  if (value !== 'chunked') {
+    return { avatar: value && value !== 'default' ? value : null, names: [name] };
+  }
+
+  const count = parseInt(CookieUtils.getCookie(`${name}_chunks`) || '0', 10);
+  const names = [name, `${name}_chunks`];
+  const chunks = [];
+  for (let i = 0; i < count; i++) {
+    names.push(`${name}_chunk_${i}`);
+    chunks.push(CookieUtils.getCookie(`${name}_chunk_${i}`));
+  }
+  const avatar = count > 0 && chunks.every(Boolean) ? chunks.join('') : null;
+  // 旧版未编码Cookie值，data URL 在第一个分号处被截断，无法恢复
+  return { avatar: avatar && (!avatar.startsWith('data:') || avatar.includes(',')) ? avatar : null, names };
+};
+
+/**
+ * 把旧版保存在Cookie中的账号会话迁移到 SessionStore，并删除这些Cookie
+ * 应在 SessionStore.init() 之后、渲染应用之前调用；没有旧Cookie时不做任何事
+ * @returns {Promise<Array<string>>} 迁移的用户名
+ */
+export const migrateCookieSessions = async () => {
+  const cookieNames = document.cookie.split(';').map(cookie => cookie.trim().split('=')[0]).filter(Boolean);
+  const records = {};
+  const obsolete = [];
+
+  cookieNames.forEach(name => {
+    if (name.startsWith(LEGACY_PROFILE_COOKIE)) {
+      obsolete.push(name);
+      return;
+    }
+
+    const prefix = Object.keys(LEGACY_SESSION_COOKIES).find(item => name.startsWith(item));
+    if (!prefix || name.includes('_chunk')) return;
+
+    const username = name.slice(prefix.length);
+    const record = records[username] || (records[username] = {});
+    const field = LEGACY_SESSION_COOKIES[prefix];
+
+    if (field === 'avatar') {
+      const { avatar, names } = readLegacyAvatar(username);
+      record.avatar = avatar;
+      obsolete.push(...names);
+      return;
+    }
+
+    const value = CookieUtils.getCookie(name);
+    obsolete.push(name);
+    if (field !== 'userData') {
+      record[field] = value;
+      return;
+    }
+    try {
+      record.userData = JSON.parse(value);
+    } catch (error) {
+      console.warn('Failed to parse user data from cookie:', name, error);
+    }
+  });
+
+  const now = Date.now();
+  const usernames = Object.keys(records).filter(Boolean);
+  usernames.forEach(username => {
+    const record = records[username];
+    // 已在 SessionStore 中的字段以 SessionStore 为准
+    const existing = SessionStore.getAccount(username) || {};
+    const changes = {
+      ...(record.token && { token: record.token, expiresAt: now + LEGACY_SESSION_DAYS.expiresAt * DAY }),
+      ...(record.refreshToken && { refreshToken: record.refreshToken, refreshExpiresAt: now + LEGACY_SESSION_DAYS.refreshExpiresAt * DAY }),
+      ...(record.trustedDevice && { trustedDevice: record.trustedDevice, trustedDeviceExpiresAt: now + LEGACY_SESSION_DAYS.trustedDeviceExpiresAt * DAY }),
+      ...(record.userData && { userData: record.userData }),
+      ...(record.avatar && { avatar: record.avatar })
+    };
+    SessionStore.updateAccount(username, Object.fromEntries(
+      Object.entries(changes).filter(([field]) => existing[field] === undefined)
+    ));
+  });
+
+  // 全局信息：活跃账号、最近使用、置顶
+  ['activeUser', 'lastUsers', 'pinnedUsers'].forEach(key => {
+    const value = CookieUtils.getCookie(key);
+    if (value === null) return;
+    obsolete.push(key);
+    if (SessionStore.getMeta(key) !== null) return;
+    try {
+      SessionStore.setMeta(key, key === 'activeUser' ? value : JSON.parse(value));
+    } catch (error) {
+      console.warn('Failed to parse account list from cookie:', key, error);
+    }
+  });
+
+  // 迁移的账号同样不能超过本设备可保存的账号数
+  CookieUtils.enforceAccountLimit();
+
+  // 确认写入完成后再删除旧Cookie
+  await SessionStore.flush();
+  obsolete.forEach(name => CookieUtils.deleteCookie(name));
+
+  if (usernames.length > 0) {
+    console.info(`已将 ${usernames.length} 个账号的会话从Cookie迁移到本地存储`);
+  }
+  return usernames;
+};
+
 /**
  * 检查是否需要迁移
  */
@@ -126,6 +255,7 @@ if (process.env.NODE_ENV === 'development') {
     runMigration,
     checkMigrationNeeded,
     autoMigrate,
+    migrateCookieSessions,
     resetAllStorage,
     getStats: () => UnifiedStorage.getStats()
   };
@@ -135,5 +265,6 @@ export default {
   runMigration,
   checkMigrationNeeded,
   autoMigrate,
+  migrateCookieSessions,
   resetAllStorage
 };
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * PDF工具集
+ * 封装pdf.js的加载、文本提取和搜索，供文档查看器使用
+ */
+
+/**
+ * 懒加载pdf.js，避免首屏打包体积过大
+ * pdfjs-dist/webpack 会自动以Web Worker方式加载解析器
+ */
+let pdfjsPromise = null;
+const loadPdfjs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/webpack');
+  }
+  return pdfjsPromise;
+};
+
+/**
+ * 页面文本缓存，避免重复提取
+ */
+const pageTextCache = new WeakMap();
+
+/**
+ * 加载PDF文档
+ * @param {Object|string} source - 文件地址，或 { url, httpHeaders } / { data }
+ * @param {Object} options - 额外选项
+ * @param {Object} options.pdfjs - 自定义pdf.js实现（测试时使用legacy构建）
+ * @returns {Promise<Object>} pdf.js文档对象
+ */
+export const loadPdfDocument = async (source, options = {}) => {
+  const pdfjs = options.pdfjs || await loadPdfjs();
+  const params = typeof source === 'string' ? { url: source } : { ...source };
+
+  return pdfjs.getDocument({
+    ...params,
+    // 禁用eval，符合CSP策略
+    isEvalSupported: false
+  }).promise;
+};
+
+/**
+ * 提取指定页的纯文本
+ * @param {Object} pdfDocument - pdf.js文档对象
+ * @param {number} pageNumber - 页码（从1开始）
+ * @returns {Promise<string>} 页面文本
+ */
+export const getPageText = async (pdfDocument, pageNumber) => {
+  if (!pageTextCache.has(pdfDocument)) {
+    pageTextCache.set(pdfDocument, new Map());
+  }
+  const cache = pageTextCache.get(pdfDocument);
+
+  if (!cache.has(pageNumber)) {
+    const page = await pdfDocument.getPage(pageNumber);
+    const textContent = await page.getTextContent();
+    const text = textContent.items
+      .map(item => item.str + (item.hasEOL ? '\n' : ' '))
+      .join('')
+      .replace(/[ \t]+/g, ' ');
+    cache.set(pageNumber, text);
+  }
+
+  return cache.get(pageNumber);
+};
+
+/**
+ * 在PDF全文中搜索
+ * @param {Object} pdfDocument - pdf.js文档对象
+ * @param {string} query - 搜索词（不区分大小写）
+ * @returns {Promise<Array>} 命中结果 [{ pageNumber, index, snippet }]
+ */
+export const searchPdfText = async (pdfDocument, query) => {
+  const needle = String(query || '').trim().toLowerCase();
+  if (!pdfDocument || !needle) return [];
+
+  const matches = [];
+  for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+    const text = await getPageText(pdfDocument, pageNumber);
+    const haystack = text.toLowerCase();
+
+    let index = haystack.indexOf(needle);
+    while (index !== -1) {
+      const start = Math.max(0, index - 30);
+      const end = Math.min(text.length, index + needle.length + 30);
+      matches.push({
+        pageNumber,
+        index,
+        snippet: text.slice(start, end).replace(/\s+/g, ' ').trim()
+      });
+      index = haystack.indexOf(needle, index + needle.length);
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * 计算适应宽度的缩放比例
+ * @param {Object} page - pdf.js页面对象
+ * @param {number} containerWidth - 容器宽度（像素）
+ * @returns {number} 缩放比例
+ */
+export const getFitWidthScale = (page, containerWidth) => {
+  const viewport = page.getViewport({ scale: 1 });
+  if (!containerWidth || !viewport.width) return 1;
+  return containerWidth / viewport.width;
+};
+
+/**
+ * 将页面渲染到canvas
+ * 返回pdf.js的渲染任务，可调用cancel()取消
+ * @param {Object} page - pdf.js页面对象
+ * @param {HTMLCanvasElement} canvas - 目标canvas
+ * @param {number} scale - 缩放比例
+ * @returns {Object} 渲染任务
+ */
+export const renderPageToCanvas = (page, canvas, scale) => {
+  const outputScale = window.devicePixelRatio || 1;
+  const viewport = page.getViewport({ scale });
+
+  canvas.width = Math.floor(viewport.width * outputScale);
+  canvas.height = Math.floor(viewport.height * outputScale);
+  canvas.style.width = `${Math.floor(viewport.width)}px`;
+  canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+  return page.render({
+    canvasContext: canvas.getContext('2d'),
+    viewport,
+    transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+  });
+};
+
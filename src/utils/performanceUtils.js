@@ -194,6 +194,136 @@ export class VisibilityManager {
   }
 }
 
+// 空闲检测：视为用户活动的事件、检查间隔、写入共享活动时间的最小间隔（毫秒）
+const IDLE_ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel', 'scroll'];
+const IDLE_CHECK_INTERVAL = 5000;
+const IDLE_SHARE_INTERVAL = 5000;
+const IDLE_STORAGE_KEY = 'lastActivity';
+
+/**
+ * 用户空闲检测
+ * 超过设定时间没有键盘、鼠标、触摸操作时，按时间先后依次触发各阶段（如锁屏、退出登录）
+ * 最近活动时间通过localStorage在标签页之间共享，任一标签页有操作都算作活动
+ * 页面重新可见或获得焦点时立即检查，后台标签页的定时器被浏览器延迟时也能及时触发
+ * 到达第一个阶段后不再记录活动（锁屏界面上的操作不算），需调用 reset() 重新开始计时
+ */
+export class IdleManager {
+  constructor(visibilityManager) {
+    this.visibilityManager = visibilityManager;
+    this.stages = [];
+    this.reached = new Set();
+    this.onStage = null;
+    this.lastActivity = Date.now();
+    this.lastShared = 0;
+    this.timer = null;
+    this.check = this.check.bind(this);
+    this.handleActivity = throttle(() => this.recordActivity(), 1000);
+  }
+
+  /**
+   * 开始检测（会先停止上一次检测）
+   * @param {Array} stages - 阶段 [{ name: string, timeout: number（毫秒，0表示不启用） }]
+   * @param {Function} onStage - 到达阶段时调用，接收阶段名称
+   * @param {number} since - 从该时间开始计算空闲，默认现在（恢复已锁屏的页面时传入锁屏前的最后活动时间）
+   */
+  start(stages, onStage, since = Date.now()) {
+    this.stop();
+    this.onStage = onStage;
+    this.lastActivity = since;
+    this.reached = new Set();
+
+    IDLE_ACTIVITY_EVENTS.forEach(event => {
+      document.addEventListener(event, this.handleActivity, { capture: true, passive: true });
+    });
+    this.visibilityManager.on('visible', this.check);
+    this.visibilityManager.on('focus', this.check);
+    this.timer = setInterval(this.check, IDLE_CHECK_INTERVAL);
+
+    this.setStages(stages);
+  }
+
+  /**
+   * 更新阶段（如策略变化），不重新开始计时
+   * @param {Array} stages - 同 start
+   */
+  setStages(stages) {
+    this.stages = stages.filter(stage => stage.timeout > 0).sort((a, b) => a.timeout - b.timeout);
+    this.check();
+  }
+
+  /**
+   * 停止检测
+   */
+  stop() {
+    IDLE_ACTIVITY_EVENTS.forEach(event => {
+      document.removeEventListener(event, this.handleActivity, { capture: true });
+    });
+    this.visibilityManager.off('visible', this.check);
+    this.visibilityManager.off('focus', this.check);
+    clearInterval(this.timer);
+    this.timer = null;
+    this.onStage = null;
+  }
+
+  /**
+   * 重新开始计时（如解锁后）
+   */
+  reset() {
+    this.reached.clear();
+    this.lastShared = 0;
+    this.recordActivity();
+  }
+
+  /**
+   * 记录一次用户活动
+   */
+  recordActivity() {
+    if (this.reached.size > 0) return;
+
+    const now = Date.now();
+    this.lastActivity = now;
+    if (now - this.lastShared < IDLE_SHARE_INTERVAL) return;
+    this.lastShared = now;
+    try {
+      localStorage.setItem(IDLE_STORAGE_KEY, String(now));
+    } catch {
+      // localStorage不可用时只按本标签页的活动计算
+    }
+  }
+
+  /**
+   * 最近一次活动时间（包括其他标签页）
+   * @returns {number} 时间戳
+   */
+  getLastActivity() {
+    let shared = 0;
+    try {
+      shared = Number(localStorage.getItem(IDLE_STORAGE_KEY)) || 0;
+    } catch {
+      shared = 0;
+    }
+    return this.reached.size > 0 ? this.lastActivity : Math.max(this.lastActivity, shared);
+  }
+
+  /**
+   * 检查是否到达新的阶段
+   */
+  check() {
+    if (!this.onStage) return;
+
+    const idleTime = Date.now() - this.getLastActivity();
+    this.stages.forEach(stage => {
+      if (this.reached.has(stage.name) || idleTime < stage.timeout) return;
+      if (this.reached.size === 0) {
+        // 冻结最近活动时间（含其他标签页），之后的阶段从这里继续计算
+        this.lastActivity = this.getLastActivity();
+      }
+      this.reached.add(stage.name);
+      this.onStage?.(stage.name);
+    });
+  }
+}
+
 /**
  * 高效的动画帧管理
  * 替代setInterval进行UI更新
@@ -267,6 +397,7 @@ export class AnimationFrameManager {
 // 创建全局实例
 export const globalVisibilityManager = new VisibilityManager();
 export const globalAnimationManager = new AnimationFrameManager();
+export const globalIdleManager = new IdleManager(globalVisibilityManager);
 
 export default {
   debounce,
@@ -276,6 +407,8 @@ export default {
   EventListenerManager,
   VisibilityManager,
   AnimationFrameManager,
+  IdleManager,
   globalVisibilityManager,
-  globalAnimationManager
+  globalAnimationManager,
+  globalIdleManager
 };
\ No newline at end of file